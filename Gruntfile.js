@@ -1,17 +1,20 @@
 module.exports = function(grunt) {
 
     var dependenciesPaths = {
-            "q": "../node_modules/q/q",
             "uritemplate": "../node_modules/uritemplate/bin/uritemplate"
         },
         testPaths = {
             "q": "../node_modules/q/q",
             "jasmineCAPIMatchers": "../test/jasmine/CAPIMatchers",
+            "jasmineFakeWebCrypto": "../test/jasmine/FakeWebCrypto",
+            "jasmineFakeBuffer": "../test/jasmine/FakeBuffer",
             "uritemplate": "../node_modules/uritemplate/bin/uritemplate"
         },
         coveragePaths = {
             "q": "../../../node_modules/q/q",
             "jasmineCAPIMatchers": "../../../test/jasmine/CAPIMatchers",
+            "jasmineFakeWebCrypto": "../../../test/jasmine/FakeWebCrypto",
+            "jasmineFakeBuffer": "../../../test/jasmine/FakeBuffer",
             "uritemplate": "../../../node_modules/uritemplate/bin/uritemplate"
         };
 
@@ -21,6 +24,7 @@ module.exports = function(grunt) {
                 options: {
                     almond: true,
                     name : 'PromiseCAPI',
+                    include: ['authAgents/OAuth2AuthAgent', 'storages/SessionStorage', 'storages/CookieStorage', 'storages/IndexedDbStorage', 'storages/EncryptedStorage', 'structures/QueryBuilder', 'utils/Pager'],
                     optimize: "none",
                     baseUrl: "src/",
                     paths: dependenciesPaths,
@@ -35,6 +39,7 @@ module.exports = function(grunt) {
                 options: {
                     almond: true,
                     name : 'PromiseCAPI',
+                    include: ['authAgents/OAuth2AuthAgent', 'storages/SessionStorage', 'storages/CookieStorage', 'storages/IndexedDbStorage', 'storages/EncryptedStorage', 'structures/QueryBuilder', 'utils/Pager'],
                     optimize: "uglify",
                     baseUrl: "src/",
                     paths: dependenciesPaths,
@@ -45,10 +50,26 @@ module.exports = function(grunt) {
                     }
                 }
             },
+            node: {
+                options: {
+                    almond: true,
+                    name : 'PromiseCAPI',
+                    include: ['storages/InMemoryStorage', 'storages/EncryptedStorage', 'structures/QueryBuilder', 'utils/Pager', 'authAgents/OAuth2AuthAgent'],
+                    optimize: "none",
+                    baseUrl: "src/",
+                    paths: dependenciesPaths,
+                    out: "dist/CAPI.node.js",
+                    wrap: {
+                        startFile: 'wrap/wrap.node.start.js',
+                        endFile: 'wrap/wrap.node.end.js'
+                    }
+                }
+            },
             testBundle: {
                 options: {
                     almond: true,
                     name : 'PromiseCAPI',
+                    include: ['authAgents/OAuth2AuthAgent', 'storages/SessionStorage', 'storages/CookieStorage', 'storages/IndexedDbStorage', 'storages/EncryptedStorage', 'structures/QueryBuilder', 'utils/Pager'],
                     optimize: "none",
                     baseUrl: "src/",
                     paths: dependenciesPaths,
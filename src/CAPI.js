@@ -1,18 +1,25 @@
 /* global define */
 define(['authAgents/SessionAuthAgent', 'authAgents/HttpBasicAuthAgent', 'ConnectionManager',
         'ConnectionFeatureFactory', 'connections/XmlHttpRequestConnection', 'connections/MicrosoftXmlHttpRequestConnection',
-        'services/DiscoveryService', 'services/ContentService', 'services/ContentTypeService',
-        'services/UserService', "utils/extend"],
+        'connections/NodeHttpConnection', 'connections/FetchConnection', 'services/DiscoveryService',
+        'services/ContentService', 'services/ContentTypeService', 'services/UserService',
+        'services/NavigationService', 'services/SearchService', 'RetryPolicy', 'fieldTypes/FieldTypeRegistry',
+        'fieldTypes/ContentValidator', 'fieldTypes/ImageVariationLoader', "utils/extend", "utils/CookieJar"],
     function (SessionAuthAgent, HttpBasicAuthAgent, ConnectionManager,
               ConnectionFeatureFactory, XmlHttpRequestConnection, MicrosoftXmlHttpRequestConnection,
-              DiscoveryService, ContentService, ContentTypeService,
-              UserService, extend) {
+              NodeHttpConnection, FetchConnection, DiscoveryService,
+              ContentService, ContentTypeService, UserService,
+              NavigationService, SearchService, RetryPolicy, FieldTypeRegistry,
+              ContentValidator, ImageVariationLoader, extend, CookieJar) {
     "use strict";
 
     /**
      * Creates an instance of CAPI - main object which handles the API initialization and gives ability to retrieve various services.
      * Could be created only in one instance. Handles connections, authorization and REST paths discovery automatically.
      *
+     * Every asynchronous method of the services returns a {{#crossLink "RequestHandle"}}RequestHandle{{/crossLink}}
+     * which allows to abort the call or to set its maximum duration.
+     *
      * @class CAPI
      * @constructor
      * @param endPointUrl {String} url pointing to REST root
@@ -26,10 +33,22 @@ define(['authAgents/SessionAuthAgent', 'authAgents/HttpBasicAuthAgent', 'Connect
            jsCAPI = new CAPI(
                'http://ez.git.local', authAgent, {
                logRequests: true, // Whether we should log each request to the js console or not
+               timeout: 10000, // Maximum duration of a request in milliseconds, 0 means no timeout
+               retry: {maxAttempts: 3}, // Retry policy options (see RetryPolicy), false to disable the retries
+               middlewares: [addCorrelationId], // Request/response middlewares (see use method)
+               onSessionExpired: function (error, done) { // Called when the session expired, by default the session is re-created
+                   showLoginForm(function (credentials) { // from the stored credentials
+                       jsCAPI.logIn(credentials, done);
+                   });
+               },
                rootPath: '/api/ezp/v2/', // Path to the REST root
+               cookieJar: new CookieJar(), // Cookie jar of the Node.js connections, by default each CAPI has its own
+               rootCache: {storage: new LocalStorage(), ttl: 3600000}, // Persists the Root resource (see DiscoveryService)
                connectionStack: [ // Array of connections, should be filled-in in preferred order
                     {connection: XmlHttpRequestConnection},
-                    {connection: MicrosoftXmlHttpRequestConnection}
+                    {connection: MicrosoftXmlHttpRequestConnection},
+                    {connection: NodeHttpConnection},
+                    {connection: FetchConnection}
                ]
            });
      */
@@ -37,31 +56,241 @@ define(['authAgents/SessionAuthAgent', 'authAgents/HttpBasicAuthAgent', 'Connect
         var defaultOptions,
             mergedOptions,
             connectionFactory,
+            cookieJar,
             connectionManager,
             discoveryService,
             contentService,
             contentTypeService,
-            userService;
+            userService,
+            navigationService,
+            searchService,
+            fieldTypeRegistry,
+            contentValidator,
+            imageVariationLoader,
+            bindRequestHandles;
 
         // Options used if not overwritten from the outside
         defaultOptions =  {
             logRequests: false, // Whether we should log each request to the js console or not
+            timeout: 0, // Maximum duration of a request in milliseconds, 0 means no timeout
+            retry: false, // Retry policy options (see RetryPolicy), false to disable the retries
+            middlewares: [], // Request/response middlewares (see use method)
+            onSessionExpired: null, // Called when the session expired, by default the session is re-created from the stored credentials
             rootPath: '/api/ezp/v2/', // Path to the REST root
+            rootCache: null, // Persists the Root resource (see DiscoveryService), by default it is only kept in memory
             connectionStack: [ // Array of connections, should be filled-in in preferred order
                 {connection: XmlHttpRequestConnection},
-                {connection: MicrosoftXmlHttpRequestConnection}
+                {connection: MicrosoftXmlHttpRequestConnection},
+                {connection: NodeHttpConnection},
+                {connection: FetchConnection}
             ]
         };
 
+        /**
+         * Returns the url of the REST end point
+         *
+         * @method getEndPointUrl
+         * @return {String}
+         */
+        this.getEndPointUrl = function () {
+            return endPointUrl;
+        };
+
         authenticationAgent.setCAPI(this);
 
         // Merging provided options (if any) with defaults
         mergedOptions = extend({}, defaultOptions, options);
 
         connectionFactory = new ConnectionFeatureFactory(mergedOptions.connectionStack);
+        // the cookies (e.g. the session) are only shared by the connections of this CAPI
+        cookieJar = mergedOptions.cookieJar || new CookieJar();
+        connectionFactory.defaultFactory = function (Connection) {
+            return (Connection === NodeHttpConnection) ? new Connection({cookieJar: cookieJar}) : new Connection();
+        };
         connectionManager = new ConnectionManager(endPointUrl, authenticationAgent, connectionFactory);
         connectionManager.logRequests = mergedOptions.logRequests;
-        discoveryService = new DiscoveryService(mergedOptions.rootPath, connectionManager);
+        connectionManager.timeout = mergedOptions.timeout;
+        connectionManager.onSessionExpired = mergedOptions.onSessionExpired;
+        if (mergedOptions.retry instanceof RetryPolicy) {
+            connectionManager.retryPolicy = mergedOptions.retry;
+        } else if (mergedOptions.retry) {
+            connectionManager.retryPolicy = new RetryPolicy(mergedOptions.retry === true ? {} : mergedOptions.retry);
+        }
+        mergedOptions.middlewares.forEach(function (middleware) {
+            connectionManager.use(middleware);
+        });
+        discoveryService = new DiscoveryService(
+            mergedOptions.rootPath,
+            connectionManager,
+            extend({namespace: endPointUrl.replace(/\/+$/, '')}, mergedOptions.rootCache)
+        );
+
+        /**
+         * Makes every asynchronous method of the service return the
+         * {{#crossLink "RequestHandle"}}RequestHandle{{/crossLink}} the
+         * requests of the call are bound to.
+         *
+         * @method bindRequestHandles
+         * @param service {Object}
+         * @return {Object} the service
+         * @private
+         */
+        bindRequestHandles = function (service) {
+            var key,
+                wrap = function (method) {
+                    return function () {
+                        return connectionManager.runWithHandle(method, service, arguments);
+                    };
+                };
+
+            /* jshint -W089 */
+            for (key in service) {
+                if (typeof service[key] === "function" && !(/^_/).test(key) && !(/^new[^\s(]+(Struct|Pager)/).test(key)) {
+                    service[key] = wrap(service[key]);
+                }
+            }
+            /* jshint +W089 */
+            return service;
+        };
+
+        /**
+         * Registers a middleware which can inspect or change each request
+         * before it is sent and each response before the callback gets it.
+         * See {{#crossLink "ConnectionManager/use:method"}}ConnectionManager.use{{/crossLink}}
+         *
+         * @method use
+         * @param middleware {Function} function called with the request, the next function and the callback
+         * @return {CAPI}
+         * @example
+         *     jsCAPI.use(function (request, next, callback) {
+         *         request.headers["X-Correlation-Id"] = generateId();
+         *         next(request, callback);
+         *     });
+         */
+        this.use = function (middleware) {
+            connectionManager.use(middleware);
+            return this;
+        };
+
+        /**
+         * Returns the discovery service used by the services. It allows to
+         * refresh or to clear the cached Root resource.
+         *
+         * @method getDiscoveryService
+         * @return {DiscoveryService}
+         * @example
+         *     jsCAPI.getDiscoveryService().refresh(callback);
+         */
+        this.getDiscoveryService = function () {
+            return discoveryService;
+        };
+
+        /**
+         * Returns the field type registry, it builds the field values of the
+         * structs and parses the field values of the responses. The custom
+         * field types can be registered in it.
+         *
+         * @method getFieldTypeRegistry
+         * @return {FieldTypeRegistry}
+         * @example
+         *     var registry = jsCAPI.getFieldTypeRegistry();
+         *
+         *     contentCreateStruct.addField("publish_date", registry.serialize("ezdate", new Date()));
+         */
+        this.getFieldTypeRegistry = function () {
+            if (!fieldTypeRegistry) {
+                fieldTypeRegistry = new FieldTypeRegistry();
+            }
+            return fieldTypeRegistry;
+        };
+
+        /**
+         * Returns the content validator, it checks the fields of a create or
+         * an update struct against the Content Type before the struct is sent.
+         * See {{#crossLink "ContentValidator/validate:method"}}ContentValidator.validate{{/crossLink}}
+         *
+         * @method getContentValidator
+         * @return {ContentValidator}
+         * @example
+         *     jsCAPI.getContentValidator().validate(contentCreateStruct, function (error, result) {
+         *         if ( !error && result.valid ) {
+         *             contentService.createContent(contentCreateStruct, callback);
+         *         }
+         *     });
+         */
+        this.getContentValidator = function () {
+            if (!contentValidator) {
+                contentValidator = new ContentValidator(this.getContentTypeService());
+            }
+            return contentValidator;
+        };
+
+        /**
+         * Returns the image variation loader, it resolves and caches the
+         * variations of the ezimage fields.
+         * See {{#crossLink "ImageVariationLoader"}}ImageVariationLoader{{/crossLink}}
+         *
+         * @method getImageVariationLoader
+         * @return {ImageVariationLoader}
+         * @example
+         *     jsCAPI.getImageVariationLoader().getVariationUrl(imageField, "medium", function (error, uri) {
+         *         image.src = uri;
+         *     });
+         */
+        this.getImageVariationLoader = function () {
+            if (!imageVariationLoader) {
+                imageVariationLoader = new ImageVariationLoader(this.getContentService());
+            }
+            return imageVariationLoader;
+        };
+
+        /**
+         * Describes the server: the detected version of the REST API and the
+         * resources provided by its Root resource.
+         * See {{#crossLink "DiscoveryService/getServerInfo:method"}}DiscoveryService.getServerInfo{{/crossLink}}
+         *
+         * @method getServerInfo
+         * @param callback {Function} callback receiving an error (or false) and the server info object
+         * @example
+         *     jsCAPI.getServerInfo(function (error, serverInfo) {
+         *         console.log(serverInfo.version, serverInfo.resources);
+         *     });
+         */
+        this.getServerInfo = function (callback) {
+            discoveryService.getServerInfo(callback);
+        };
+
+        /**
+         * Checks whether the server provides the resource with the given
+         * name. The service methods needing a resource the server does not
+         * provide give an {{#crossLink "UnsupportedResourceError"}}UnsupportedResourceError{{/crossLink}}
+         * without sending any request.
+         *
+         * @method supports
+         * @param name {String} name of the resource in the Root resource (e.g. "views" or "trash")
+         * @param callback {Function} callback receiving an error (or false) and whether the resource is provided
+         * @example
+         *     jsCAPI.supports("views", function (error, supported) {
+         *         if (supported) {
+         *             // create a view
+         *         }
+         *     });
+         */
+        this.supports = function (name, callback) {
+            discoveryService.supports(name, callback);
+        };
+
+        /**
+         * Returns the connection manager used by the services. It allows the
+         * auth agents to send requests outside of the services (e.g. to an
+         * OAuth2 token endpoint).
+         *
+         * @method getConnectionManager
+         * @return {ConnectionManager}
+         */
+        this.getConnectionManager = function () {
+            return connectionManager;
+        };
 
         /**
          * Checks that the CAPI instance is logged in
@@ -119,6 +348,7 @@ define(['authAgents/SessionAuthAgent', 'authAgents/HttpBasicAuthAgent', 'Connect
                     discoveryService,
                     mergedOptions.rootPath
                 );
+                bindRequestHandles(contentService);
             }
             return contentService;
         };
@@ -139,8 +369,10 @@ define(['authAgents/SessionAuthAgent', 'authAgents/HttpBasicAuthAgent', 'Connect
             if (!contentTypeService) {
                 contentTypeService = new ContentTypeService(
                     connectionManager,
-                    discoveryService
+                    discoveryService,
+                    this.getFieldTypeRegistry()
                 );
+                bindRequestHandles(contentTypeService);
             }
             return contentTypeService;
         };
@@ -163,9 +395,79 @@ define(['authAgents/SessionAuthAgent', 'authAgents/HttpBasicAuthAgent', 'Connect
                     discoveryService,
                     mergedOptions.rootPath
                 );
+                bindRequestHandles(userService);
             }
             return userService;
         };
+
+        /**
+         * Get instance of Navigation Service. Use NavigationService to load
+         * the resources by following the links of the REST API resources.
+         *
+         * @method getNavigationService
+         * @return {NavigationService}
+         * @example
+         *      var navigationService = jsCAPI.getNavigationService();
+         *      navigationService.follow(
+         *          locationResponse,
+         *          "Children",
+         *          callback
+         *      );
+         */
+        this.getNavigationService = function () {
+            if (!navigationService) {
+                navigationService = new NavigationService(
+                    connectionManager,
+                    discoveryService
+                );
+                bindRequestHandles(navigationService);
+            }
+            return navigationService;
+        };
+
+        /**
+         * Get instance of Search Service. Use SearchService to run queries
+         * and to walk their results page by page.
+         *
+         * @method getSearchService
+         * @return {SearchService}
+         * @example
+         *      var searchService = jsCAPI.getSearchService();
+         *      searchService.search(
+         *          new eZ.QueryBuilder().where(eZ.QueryBuilder.fullText("ez")),
+         *          callback
+         *      );
+         */
+        this.getSearchService = function () {
+            if (!searchService) {
+                searchService = new SearchService(
+                    connectionManager,
+                    discoveryService
+                );
+                bindRequestHandles(searchService);
+            }
+            return searchService;
+        };
+
+        /**
+         * Loads the resource linked to the given resource by the relation.
+         * Shortcut to {{#crossLink "NavigationService/follow:method"}}NavigationService.follow{{/crossLink}}
+         *
+         * @method follow
+         * @param resourceOrResponse {Object|Response|null} the resource, the response containing the
+         * resource or null to follow a link of the Root resource
+         * @param relation {String} the name of the link
+         * @param [params] {Object} the parameters of the URI template or of the query string
+         * @param callback {Function} callback executed after performing the request
+         * @return {RequestHandle}
+         * @example
+         *      jsCAPI.follow(null, "contentByRemoteId", {remoteId: remoteId}, callback);
+         */
+        this.follow = function () {
+            var service = this.getNavigationService();
+
+            return service.follow.apply(service, arguments);
+        };
     };
 
     return CAPI;
@@ -1,6 +1,10 @@
 /* global define */
-define(["structures/Response", "structures/Request", "structures/CAPIError"],
-    function (Response, Request, CAPIError) {
+define(["structures/Response", "structures/Request", "structures/CAPIError",
+        "structures/RequestHandle", "structures/RequestAbortedError", "structures/RequestTimeoutError",
+        "middlewares/logRequests"],
+    function (Response, Request, CAPIError,
+              RequestHandle, RequestAbortedError, RequestTimeoutError,
+              logRequests) {
     "use strict";
 
     /**
@@ -20,7 +24,83 @@ define(["structures/Response", "structures/Request", "structures/CAPIError"],
         this._requestsQueue = [];
         this._authInProgress = false;
 
+        /**
+         * Incremented each time the authentication is invalidated because a
+         * request received a 401 response
+         *
+         * @property _sessionGeneration
+         * @type {Number}
+         * @default 0
+         * @protected
+         */
+        this._sessionGeneration = 0;
+
+        /**
+         * Function called when a request is rejected with a 401 response
+         * because the session expired. It receives the UnauthorizedError and a
+         * callback to call once the user is logged in again (e.g. after asking
+         * the credentials to the user), the failed requests are then replayed.
+         * If the callback receives an error, the failed requests are given this
+         * error. When null, the session is re-created by the authentication
+         * agent from the stored credentials.
+         *
+         * @property onSessionExpired
+         * @type {Function|null}
+         * @default null
+         */
+        this.onSessionExpired = null;
+
+        /**
+         * The handle the requests are bound to while running a call or the
+         * callbacks of its requests
+         *
+         * @property _activeHandle
+         * @type {RequestHandle|null}
+         * @default null
+         * @protected
+         */
+        this._activeHandle = null;
+
+        /**
+         * The middlewares registered with the use method
+         *
+         * @property _middlewares
+         * @type {Array}
+         * @protected
+         */
+        this._middlewares = [];
+
+        /**
+         * Whether each request should be logged to the js console. When true,
+         * the {{#crossLink "logRequests"}}logRequests{{/crossLink}}
+         * middleware runs before the registered middlewares.
+         *
+         * @property logRequests
+         * @type {Boolean}
+         * @default false
+         */
         this.logRequests = false;
+
+        /**
+         * Maximum duration of a request in milliseconds, 0 means no timeout.
+         * Past this delay, the request is aborted and its callback receives a
+         * {{#crossLink "RequestTimeoutError"}}RequestTimeoutError{{/crossLink}}.
+         *
+         * @property timeout
+         * @type {Number}
+         * @default 0
+         */
+        this.timeout = 0;
+
+        /**
+         * The retry policy applied to the failed requests, null means the
+         * requests are never retried.
+         *
+         * @property retryPolicy
+         * @type {RetryPolicy|null}
+         * @default null
+         */
+        this.retryPolicy = null;
     };
 
     /**
@@ -28,15 +108,15 @@ define(["structures/Response", "structures/Request", "structures/CAPIError"],
      *
      * @method request
      * @param [method="GET"] {String} request method ("POST", "GET" etc)
-     * @param [url="/"] {String} requested REST resource
+     * @param [url="/"] {String} requested REST resource, or an absolute url
      * @param [body=""] {String} a string which should be passed in request body to the REST service
      * @param [headers={}] {object} object literal describing request headers
      * @param callback {Function} function, which will be executed on request success
+     * @return {RequestHandle}
      */
     ConnectionManager.prototype.request = function (method, url, body, headers, callback) {
-        var that = this,
-            request,
-            nextRequest,
+        var request,
+            handle,
             defaultMethod = "GET",
             defaultUrl = "/",
             defaultBody = "",
@@ -71,62 +151,20 @@ define(["structures/Response", "structures/Request", "structures/CAPIError"],
 
         request = new Request({
             method : method,
-            url : this._endPointUrl + url,
+            url : this._buildUrl(url),
             body : body,
             headers : headers
         });
+        handle = this._activeHandle || new RequestHandle();
 
-        // Requests suspending workflow
-        // first, put any request in queue anyway (the queue will be emptied after ensuring authentication)
-        this._requestsQueue.push(request);
-
-        // if our request is the first one, or authorization is not in progress, go on
-        if (!this._authInProgress || (this._requestsQueue.length === 1)) {
-            // queue all other requests, until this one is authenticated
-            this._authInProgress = true;
+        if (handle.aborted) {
+            callback(new RequestAbortedError("The request has been aborted.", {request: request}), false);
+            return handle;
+        }
 
-            // check if we are already authenticated, make it happen if not
-            this._authenticationAgent.ensureAuthentication(
-                function (error, success) {
-                    if (error) {
-                        that._authInProgress = false;
-                        callback(error, false);
-                        return;
-                    }
+        this._enqueue({request: request, callback: callback, handle: handle});
 
-                    that._authInProgress = false;
-
-                    // emptying requests Queue
-                    /*jshint boss:true */
-                    /*jshint -W083 */
-                    while (nextRequest = that._requestsQueue.shift()) {
-                        that._authenticationAgent.authenticateRequest(
-                            nextRequest,
-                            function (error, authenticatedRequest) {
-                                if (error) {
-                                    callback(
-                                        new CAPIError(
-                                            "An error occurred during request authentication.",
-                                            {request: nextRequest}
-                                        ),
-                                        false
-                                    );
-                                    return;
-                                }
-
-                                if (that.logRequests) {
-                                    console.dir(request);
-                                }
-                                // Main goal
-                                that._connectionFactory.createConnection().execute(authenticatedRequest, callback);
-                            }
-                        );
-                    } // while
-                    /*jshint +W083 */
-                    /*jshint boss:false */
-                }
-            );
-        }
+        return handle;
     };
 
     /**
@@ -135,13 +173,14 @@ define(["structures/Response", "structures/Request", "structures/CAPIError"],
      *
      * @method notAuthorizedRequest
      * @param [method="GET"] {String} request method ("POST", "GET" etc)
-     * @param [url="/"] {String} requested REST resource
+     * @param [url="/"] {String} requested REST resource, or an absolute url
      * @param [body=""] {String} a string which should be passed in request body to the REST service
      * @param [headers={}] {object} object literal describing request headers
      * @param callback {Function} function, which will be executed on request success
+     * @return {RequestHandle}
      */
     ConnectionManager.prototype.notAuthorizedRequest = function (method, url, body, headers, callback) {
-        var request, that = this,
+        var request, handle, that = this,
             defaultMethod = "GET",
             defaultUrl = "/",
             defaultBody = "",
@@ -176,18 +215,411 @@ define(["structures/Response", "structures/Request", "structures/CAPIError"],
 
         request = new Request({
             method: method,
-            url: this._endPointUrl + url,
+            url: this._buildUrl(url),
             body: body,
             headers: headers
         });
+        handle = this._activeHandle || new RequestHandle();
 
-        if (this.logRequests) {
-            console.dir(request);
+        if (handle.aborted) {
+            callback(new RequestAbortedError("The request has been aborted.", {request: request}), false);
+            return handle;
         }
 
         this._authenticationAgent.authenticateRequest(request, function (err, request) {
-            that._connectionFactory.createConnection().execute(request, callback);
+            that._process(request, callback, handle);
         });
+
+        return handle;
+    };
+
+    /**
+     * Registers a middleware. The middlewares are called in the registration
+     * order with the authenticated request before it is sent. A middleware
+     * receives the request, a `next` function to call with the (possibly
+     * changed) request and a callback to pass the result to. To inspect or
+     * change the response, the middleware gives its own callback to `next`.
+     * A middleware can also answer without sending the request by calling the
+     * callback directly.
+     *
+     * @method use
+     * @param middleware {Function} function called with the request, the next function and the callback
+     * @example
+     *     connectionManager.use(function (request, next, callback) {
+     *         var start = Date.now();
+     *
+     *         request.headers["X-Correlation-Id"] = generateId();
+     *         next(request, function (error, response) {
+     *             metrics.timing(request.method, Date.now() - start);
+     *             callback(error, response);
+     *         });
+     *     });
+     */
+    ConnectionManager.prototype.use = function (middleware) {
+        this._middlewares.push(middleware);
+    };
+
+    /**
+     * Calls the given function so that all the requests it sends, directly or
+     * from the callbacks of those requests, are bound to the same
+     * {{#crossLink "RequestHandle"}}RequestHandle{{/crossLink}}. If the
+     * function is called while another handle is active, the requests are bound
+     * to that handle.
+     *
+     * @method runWithHandle
+     * @param fn {Function} the function to call, its last argument is expected to be the callback
+     * @param context {Object} the context of the call
+     * @param args {Array} the arguments of the call
+     * @return {RequestHandle}
+     */
+    ConnectionManager.prototype.runWithHandle = function (fn, context, args) {
+        var that = this,
+            handle = this._activeHandle,
+            callback = args[args.length - 1];
+
+        if (handle) {
+            fn.apply(context, args);
+            return handle;
+        }
+
+        handle = new RequestHandle();
+        args = Array.prototype.slice.call(args);
+        if (typeof callback === "function") {
+            // the callback of the call runs outside of the handle, so that
+            // the calls it makes get their own handle
+            args[args.length - 1] = function () {
+                var previousHandle = that._activeHandle;
+
+                handle._finish();
+                that._activeHandle = null;
+                try {
+                    callback.apply(this, arguments);
+                } finally {
+                    that._activeHandle = previousHandle;
+                }
+            };
+        }
+
+        this._activeHandle = handle;
+        try {
+            fn.apply(context, args);
+        } finally {
+            this._activeHandle = null;
+        }
+        return handle;
+    };
+
+    /**
+     * Returns a function calling the given one with the
+     * {{#crossLink "RequestHandle"}}RequestHandle{{/crossLink}} which is
+     * active now, so that a callback called later from another call (e.g. a
+     * discovery shared by several calls) still sends its requests with the
+     * handle of its own call.
+     *
+     * @method bindToActiveHandle
+     * @param fn {Function}
+     * @return {Function}
+     */
+    ConnectionManager.prototype.bindToActiveHandle = function (fn) {
+        var that = this,
+            handle = this._activeHandle;
+
+        return function () {
+            var previousHandle = that._activeHandle;
+
+            that._activeHandle = handle;
+            try {
+                return fn.apply(this, arguments);
+            } finally {
+                that._activeHandle = previousHandle;
+            }
+        };
+    };
+
+    /**
+     * Builds the url of the request. The relative urls are resolved against
+     * the end point url, the absolute ones (e.g. an OAuth2 token endpoint) are
+     * kept as is.
+     *
+     * @method _buildUrl
+     * @protected
+     * @param url {String}
+     * @return {String}
+     */
+    ConnectionManager.prototype._buildUrl = function (url) {
+        if (/^https?:\/\//.test(url)) {
+            return url;
+        }
+        return this._endPointUrl + url;
+    };
+
+    /**
+     * Requests suspending workflow: puts the request in the queue which is
+     * emptied once the authentication is ensured. The authentication cycle
+     * starts if it is not already in progress.
+     *
+     * @method _enqueue
+     * @protected
+     * @param queued {Object} the request, its callback and its handle
+     * @param [sessionExpired=false] {Boolean} whether the request is replayed because the session expired
+     */
+    ConnectionManager.prototype._enqueue = function (queued, sessionExpired) {
+        var that = this;
+
+        queued.unregister = queued.handle._register(function (ErrorConstructor, message) {
+            var index = that._requestsQueue.indexOf(queued);
+
+            if (index !== -1) {
+                that._requestsQueue.splice(index, 1);
+            }
+            queued.callback(new ErrorConstructor(message, {request: queued.request}), false);
+        });
+        this._requestsQueue.push(queued);
+
+        // if our request is the first one, or authorization is not in progress, go on
+        if (!this._authInProgress || (this._requestsQueue.length === 1)) {
+            // queue all other requests, until this one is authenticated
+            this._authInProgress = true;
+
+            if (sessionExpired && this.onSessionExpired) {
+                this.onSessionExpired(sessionExpired, function (error) {
+                    if (error) {
+                        that._flushQueue(error);
+                        return;
+                    }
+                    that._ensureAuthentication();
+                });
+            } else {
+                this._ensureAuthentication();
+            }
+        }
+    };
+
+    /**
+     * Checks if we are already authenticated, makes it happen if not and then
+     * empties the requests queue
+     *
+     * @method _ensureAuthentication
+     * @protected
+     */
+    ConnectionManager.prototype._ensureAuthentication = function () {
+        var that = this;
+
+        this._authenticationAgent.ensureAuthentication(
+            function (error, success) {
+                that._flushQueue(error);
+            }
+        );
+    };
+
+    /**
+     * Empties the requests queue. The queued requests are sent or, if the
+     * authentication failed, their callbacks receive the error.
+     *
+     * @method _flushQueue
+     * @protected
+     * @param error {CAPIError|false} the authentication error
+     */
+    ConnectionManager.prototype._flushQueue = function (error) {
+        var nextRequest;
+
+        this._authInProgress = false;
+
+        /*jshint boss:true */
+        while (nextRequest = this._requestsQueue.shift()) {
+            nextRequest.unregister();
+            if (error) {
+                nextRequest.callback(error, false);
+            } else {
+                this._authenticateAndSend(nextRequest);
+            }
+        }
+        /*jshint boss:false */
+    };
+
+    /**
+     * Authenticates the queued request and sends it
+     *
+     * @method _authenticateAndSend
+     * @protected
+     * @param queued {Object} the queued request, its callback and its handle
+     */
+    ConnectionManager.prototype._authenticateAndSend = function (queued) {
+        var that = this;
+
+        this._authenticationAgent.authenticateRequest(
+            queued.request,
+            function (error, authenticatedRequest) {
+                if (error) {
+                    queued.callback(
+                        new CAPIError(
+                            "An error occurred during request authentication.",
+                            {request: queued.request}
+                        ),
+                        false
+                    );
+                    return;
+                }
+
+                // Main goal
+                queued.sessionGeneration = that._sessionGeneration;
+                that._process(authenticatedRequest, function (error, response) {
+                    if (error && response && response.status === 401 && !queued.replayed) {
+                        that._handleUnauthorized(queued, error);
+                        return;
+                    }
+                    queued.callback(error, response);
+                }, queued.handle);
+            }
+        );
+    };
+
+    /**
+     * Handles the 401 response received for an authenticated request. If the
+     * authentication agent supports it, the stale authentication is
+     * invalidated and the request is queued again to be replayed once the
+     * authentication is ensured (the session is re-created from the stored
+     * credentials or by the `onSessionExpired` hook).
+     *
+     * @method _handleUnauthorized
+     * @protected
+     * @param queued {Object} the request, its callback and its handle
+     * @param error {UnauthorizedError}
+     */
+    ConnectionManager.prototype._handleUnauthorized = function (queued, error) {
+        var agent = this._authenticationAgent,
+            replay = true,
+            sessionExpired = false;
+
+        if (typeof agent.invalidateAuthentication !== "function") {
+            queued.callback(error, error.response || false);
+            return;
+        }
+
+        // several requests may fail with the same expired session, only the
+        // first one invalidates it
+        if (queued.sessionGeneration === this._sessionGeneration) {
+            this._sessionGeneration++;
+            replay = agent.invalidateAuthentication(queued.request);
+            sessionExpired = error;
+        }
+
+        if (!replay) {
+            queued.callback(error, error.response || false);
+            return;
+        }
+        queued.replayed = true;
+        this._enqueue(queued, sessionExpired);
+    };
+
+    /**
+     * Runs the middlewares and sends the request
+     *
+     * @method _process
+     * @protected
+     * @param request {Request}
+     * @param callback {Function}
+     * @param handle {RequestHandle}
+     */
+    ConnectionManager.prototype._process = function (request, callback, handle) {
+        var that = this,
+            middlewares = this.logRequests ? [logRequests].concat(this._middlewares) : this._middlewares.slice(0),
+            next = function (index, request, callback) {
+                if (index === middlewares.length) {
+                    that._send(request, callback, handle);
+                    return;
+                }
+                middlewares[index](request, function (request, callback) {
+                    next(index + 1, request, callback);
+                }, callback);
+            };
+
+        next(0, request, callback);
+    };
+
+    /**
+     * Sends the request with a new connection. The request is aborted if it
+     * does not complete before the timeout or if the handle is aborted. If it
+     * fails and the retry policy allows it, the request is sent again after a
+     * delay.
+     *
+     * @method _send
+     * @protected
+     * @param request {Request}
+     * @param callback {Function}
+     * @param handle {RequestHandle}
+     */
+    ConnectionManager.prototype._send = function (request, callback, handle) {
+        var that = this,
+            retryPolicy = this.retryPolicy,
+            connection = null,
+            attempt = 0,
+            finished = false,
+            timer = null,
+            unregister,
+            cancel,
+            done,
+            execute;
+
+        if (handle.aborted) {
+            // the handle was aborted while the request was authenticated or
+            // processed by the middlewares
+            callback(new RequestAbortedError("The request has been aborted.", {request: request}), false);
+            return;
+        }
+
+        done = function (error, response) {
+            var previousHandle = that._activeHandle;
+
+            if (finished) {
+                return;
+            }
+            finished = true;
+            clearTimeout(timer);
+            unregister();
+
+            that._activeHandle = handle;
+            try {
+                callback(error, response);
+            } finally {
+                that._activeHandle = previousHandle;
+            }
+        };
+
+        cancel = function (ErrorConstructor, message) {
+            done(new ErrorConstructor(message, {request: request}), false);
+            if (connection && connection.abort) {
+                connection.abort();
+            }
+        };
+
+        execute = function () {
+            var currentConnection = that._connectionFactory.createConnection();
+
+            connection = currentConnection;
+            attempt++;
+            if (that.timeout) {
+                timer = setTimeout(function () {
+                    cancel(RequestTimeoutError, "The request timed out after " + that.timeout + "ms.");
+                }, that.timeout);
+            }
+
+            currentConnection.execute(request, function (error, response) {
+                if (finished || currentConnection !== connection) {
+                    return;
+                }
+                clearTimeout(timer);
+                if (error && retryPolicy && retryPolicy.shouldRetry(request, response, attempt)) {
+                    connection = null;
+                    timer = setTimeout(execute, retryPolicy.getDelay(response, attempt));
+                    return;
+                }
+                done(error, response);
+            });
+        };
+
+        unregister = handle._register(cancel);
+        execute();
     };
 
     return ConnectionManager;
@@ -8,12 +8,15 @@ define(["CAPI", "services/PromiseService"], function (CAPI, PromiseService) {
      * @class PromiseCAPI
      * @constructor
      * @param originalCapi {CAPI} main REST client object
+     * @param [promiseLib=Promise] {Function|Object} the promise library used by the promise-based
+     * services, see {{#crossLink "PromiseService"}}PromiseService{{/crossLink}}
      */
-    var PromiseCAPI = function (originalCapi) {
+    var PromiseCAPI = function (originalCapi, promiseLib) {
         var key,
             _services,
             _generatePromiseServiceFactory,
-            _generateMappedFunction;
+            _generateMappedFunction,
+            _generateFollowFunction;
 
         // Documentation for dynamically created methods
 
@@ -24,7 +27,7 @@ define(["CAPI", "services/PromiseService"], function (CAPI, PromiseService) {
          * The only exception are structure constructors (new...Struct methods) which are not implemented in promise-based services.
          * These promise-based methods should be used without the callback parameter and according to promises approach.
          * Basic usage of a promise-based method is provided in the following example.
-         * Read more about promises at https://github.com/kriskowal/q
+         * Read more about promises at https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise
          *
          * @method getContentService
          * @return {PromiseService}
@@ -54,7 +57,7 @@ define(["CAPI", "services/PromiseService"], function (CAPI, PromiseService) {
          * The only exception are structure constructors (new...Struct methods) which are not implemented in promise-based services.
          * These promise-based methods should be used without the callback parameter and according to promises approach.
          * Basic usage of a promise-based method is provided in the following example.
-         * Read more about promises at https://github.com/kriskowal/q
+         * Read more about promises at https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise
          *
          * @method getContentTypeService
          * @return {PromiseService}
@@ -84,7 +87,7 @@ define(["CAPI", "services/PromiseService"], function (CAPI, PromiseService) {
          * The only exception are structure constructors (new...Struct methods) which are not implemented in promise-based services.
          * These promise-based methods should be used without the callback parameter and according to promises approach.
          * Basic usage of a promise-based method is provided in the following example.
-         * Read more about promises at https://github.com/kriskowal/q
+         * Read more about promises at https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise
          *
          * @method getUserService
          * @return {PromiseService}
@@ -131,7 +134,8 @@ define(["CAPI", "services/PromiseService"], function (CAPI, PromiseService) {
             return function () {
                 if (!_services[serviceFactoryName]) {
                     _services[serviceFactoryName] = new PromiseService(
-                        originalCapi[serviceFactoryName].call(originalCapi)
+                        originalCapi[serviceFactoryName].call(originalCapi),
+                        promiseLib
                     );
                 }
                 return _services[serviceFactoryName];
@@ -147,6 +151,22 @@ define(["CAPI", "services/PromiseService"], function (CAPI, PromiseService) {
             };
         };
 
+        /**
+         * Returns the promise-based version of the
+         * {{#crossLink "CAPI/follow:method"}}CAPI.follow{{/crossLink}} shortcut
+         *
+         * @method _generateFollowFunction
+         * @return {Function}
+         * @private
+         */
+        _generateFollowFunction = function () {
+            return function () {
+                var service = this.getNavigationService();
+
+                return service.follow.apply(service, arguments);
+            };
+        };
+
         // Auto-generating promise-based services based on every existing CAPI service
         // taking into account only functions with "get....Service" signature
         /* Disabling hasOwnProperty wrapper check here, as we explicitly WANT to copy
@@ -165,6 +185,10 @@ define(["CAPI", "services/PromiseService"], function (CAPI, PromiseService) {
                 // Wrap all services to return a PromiseService Wrapper
                 this[key] = _generatePromiseServiceFactory(key);
                 break;
+            case (key === "follow"):
+                // The link following shortcut returns a promise as well
+                this[key] = _generateFollowFunction();
+                break;
             default:
                 // Map all other functions by simply copying them, while
                 // retaining their calling context
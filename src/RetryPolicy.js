@@ -0,0 +1,128 @@
+/* global define */
+define(function () {
+    "use strict";
+
+    /**
+     * Creates an instance of RetryPolicy. The ConnectionManager uses the retry
+     * policy to decide whether a failed request should be sent again and how
+     * long to wait before doing so.
+     *
+     * By default, only the safe methods (GET, HEAD and OPTIONS) are retried
+     * and only when the connection failed or when the server answered with a
+     * 502, 503 or 504 status. The delay between two attempts grows
+     * exponentially, is randomized (jitter) and the `Retry-After` header is
+     * honoured. Unsafe methods (e.g. PUBLISH or COPY) are retried only if the
+     * `retryUnsafe` function allows it.
+     *
+     * @class RetryPolicy
+     * @constructor
+     * @param [options] {Object} object literal containing the retry options
+     * @param [options.maxAttempts=3] {Number} maximum number of attempts, including the first one
+     * @param [options.delay=200] {Number} delay in milliseconds before the first retry
+     * @param [options.maxDelay=10000] {Number} maximum delay in milliseconds between two attempts.
+     * If the `Retry-After` header asks for a longer delay, the request is not retried.
+     * @param [options.jitter=true] {Boolean} whether the delay should be randomized
+     * @param [options.methods=["GET", "HEAD", "OPTIONS"]] {Array} the methods which are safe to retry
+     * @param [options.statuses=[0, 502, 503, 504]] {Array} the response statuses which trigger a retry
+     * @param [options.retryUnsafe] {Function} function called with the request, the response
+     * and the attempt number to decide whether a request with an unsafe method should be retried
+     * @example
+     *     var capi = new CAPI('http://ez.git.local', authAgent, {
+     *         retry: {
+     *             maxAttempts: 5,
+     *             retryUnsafe: function (request, response, attempt) {
+     *                 // publishing twice the same draft is harmless
+     *                 return request.method === "PUBLISH";
+     *             }
+     *         }
+     *     });
+     */
+    var RetryPolicy = function (options) {
+        options = options || {};
+
+        this.maxAttempts = options.maxAttempts || 3;
+        this.delay = options.delay || 200;
+        this.maxDelay = options.maxDelay || 10000;
+        this.jitter = (options.jitter !== false);
+        this.methods = options.methods || ["GET", "HEAD", "OPTIONS"];
+        this.statuses = options.statuses || [0, 502, 503, 504];
+        this.retryUnsafe = options.retryUnsafe || null;
+    };
+
+    /**
+     * Checks whether the failed request should be sent again
+     *
+     * @method shouldRetry
+     * @param request {Request} the failed request
+     * @param response {Response|false} the response of the failed request (if any)
+     * @param attempt {Number} the number of attempts already made
+     * @return {Boolean}
+     */
+    RetryPolicy.prototype.shouldRetry = function (request, response, attempt) {
+        var status = response ? response.status : 0,
+            retryAfter = this._getRetryAfter(response);
+
+        if (attempt >= this.maxAttempts || this.statuses.indexOf(status) === -1) {
+            return false;
+        }
+        if (retryAfter !== null && retryAfter > this.maxDelay) {
+            return false;
+        }
+        if (this.methods.indexOf(request.method.toUpperCase()) !== -1) {
+            return true;
+        }
+        return !!(this.retryUnsafe && this.retryUnsafe(request, response, attempt));
+    };
+
+    /**
+     * Returns the delay in milliseconds to wait before the next attempt
+     *
+     * @method getDelay
+     * @param response {Response|false} the response of the failed request (if any)
+     * @param attempt {Number} the number of attempts already made
+     * @return {Number}
+     */
+    RetryPolicy.prototype.getDelay = function (response, attempt) {
+        var retryAfter = this._getRetryAfter(response),
+            delay;
+
+        if (retryAfter !== null) {
+            return retryAfter;
+        }
+
+        delay = Math.min(this.maxDelay, this.delay * Math.pow(2, attempt - 1));
+        if (this.jitter) {
+            delay = delay / 2 + Math.random() * delay / 2;
+        }
+        return Math.round(delay);
+    };
+
+    /**
+     * Returns the delay in milliseconds asked by the `Retry-After` header of
+     * the response
+     *
+     * @method _getRetryAfter
+     * @protected
+     * @param response {Response|false}
+     * @return {Number|null} the delay or null if the header is missing or invalid
+     */
+    RetryPolicy.prototype._getRetryAfter = function (response) {
+        var header = (response && response.getHeader) ? response.getHeader("Retry-After") : null,
+            date;
+
+        if (!header) {
+            return null;
+        }
+        if (/^\d+$/.test(header)) {
+            return parseInt(header, 10) * 1000;
+        }
+        date = Date.parse(header);
+        if (isNaN(date)) {
+            return null;
+        }
+        return Math.max(0, date - Date.now());
+    };
+
+    return RetryPolicy;
+
+});
@@ -0,0 +1,580 @@
+/* global define */
+/* jshint camelcase: false */ // the OAuth2 parameters are not camel cased
+define(["structures/CAPIError", "storages/LocalStorage", "storages/InMemoryStorage", "storages/CachedStorage"],
+    function (CAPIError, LocalStorage, InMemoryStorage, CachedStorage) {
+    "use strict";
+
+    /**
+     * Creates an instance of OAuth2AuthAgent object
+     *
+     * Auth agent handling the authentication with OAuth2 access tokens. The
+     * requests are sent with an `Authorization: Bearer <access token>` header.
+     * The tokens are kept in the storage and the access token is refreshed
+     * with the refresh token shortly before it expires.
+     *
+     * By default, the tokens are requested from the `tokenEndpoint` with the
+     * `password` and `refresh_token` grants. Another way to get the tokens can
+     * be provided with the `fetchToken` option:
+     *
+     *     new OAuth2AuthAgent({
+     *         fetchToken: function (params, callback) {
+     *             // params.grant_type is "password" or "refresh_token"
+     *             mySsoClient.token(params, function (error, token) {
+     *                 // token is an object literal with the `access_token`,
+     *                 // `refresh_token` and `expires_in` properties
+     *                 callback(error, token);
+     *             });
+     *         }
+     *     });
+     *
+     * @class OAuth2AuthAgent
+     * @constructor
+     * @param options {Object} object literal containing the agent options
+     * @param [options.tokenEndpoint] {String} url of the token endpoint, absolute or relative to the end point url
+     * @param [options.clientId] {String} the client id sent to the token endpoint
+     * @param [options.clientSecret] {String} the client secret sent to the token endpoint
+     * @param [options.scope] {String} the requested scope
+     * @param [options.login] {String} user login
+     * @param [options.password] {String} user password
+     * @param [options.fetchToken] {Function} function called with the token request parameters and a
+     * callback to get the tokens, by default the tokens are requested from the token endpoint
+     * @param [options.refreshMargin=60] {Number} delay in seconds before the expiry of the access token
+     * from which the access token is refreshed
+     * @param [options.namespace] {String|false} namespace of the storage keys (see setNamespace), by
+     * default the end point url of the CAPI. `false` disables the namespacing.
+     * @param storage {StorageAbstraction|AsyncStorageAbstraction?} storage to be used. By default a LocalStorage
+     * will be utilized or an InMemoryStorage if the LocalStorage is not available (e.g. in Node.js). An
+     * asynchronous storage (e.g. an IndexedDbStorage) is wrapped in a CachedStorage.
+     */
+    var OAuth2AuthAgent = function (options, storage) {
+        options = options || {};
+
+        /**
+         * The CAPI instance. It is set by the call to setCAPI() done while
+         * instantiating the CAPI.
+         *
+         * @property _CAPI
+         * @type CAPI
+         * @protected
+         */
+        this._CAPI = null;
+
+        /**
+         * The login
+         *
+         * @property _login
+         * @type {String}
+         * @default ""
+         * @protected
+         */
+        this._login = '';
+
+        /**
+         * The password
+         *
+         * @property _password
+         * @type {String}
+         * @default ""
+         * @protected
+         */
+        this._password = '';
+
+        /**
+         * The agent options
+         *
+         * @property _options
+         * @type {Object}
+         * @protected
+         */
+        this._options = options;
+
+        /**
+         * Delay in milliseconds before the expiry of the access token from
+         * which the access token is refreshed
+         *
+         * @property _refreshMargin
+         * @type {Number}
+         * @protected
+         */
+        this._refreshMargin = (options.refreshMargin !== undefined ? options.refreshMargin : 60) * 1000;
+
+        /**
+         * The function used to get the tokens
+         *
+         * @property _fetchToken
+         * @type {Function}
+         * @protected
+         */
+        this._fetchToken = options.fetchToken || this._requestToken;
+
+        if ( !storage ) {
+            storage = LocalStorage.isCompatible() ? new LocalStorage() : new InMemoryStorage();
+        } else if ( storage.async ) {
+            storage = new CachedStorage(storage);
+        }
+
+        /**
+         * The storage to use to store the tokens.
+         *
+         * @property _storage
+         * @type {StorageAbstraction}
+         * @default LocalStorage
+         * @protected
+         */
+        this._storage = storage;
+
+        /**
+         * The namespace of the storage keys
+         *
+         * @property _namespace
+         * @type {String}
+         * @default ""
+         * @protected
+         */
+        this._namespace = '';
+
+        /**
+         * Whether the namespace should be derived from the end point url of
+         * the CAPI
+         *
+         * @property _autoNamespace
+         * @type {Boolean}
+         * @protected
+         */
+        this._autoNamespace = (options.namespace === undefined);
+
+        if ( options.namespace ) {
+            this.setNamespace(options.namespace);
+        }
+
+        if ( options.login && options.password ) {
+            this.setCredentials(options);
+        }
+    };
+
+    /**
+     * Constant to be used as storage key for the access token
+     *
+     * @static
+     * @const
+     * @type {string}
+     */
+    OAuth2AuthAgent.KEY_ACCESS_TOKEN = 'ezpRestClient.accessToken';
+
+    /**
+     * Constant to be used as storage key for the refresh token
+     *
+     * @static
+     * @const
+     * @type {string}
+     */
+    OAuth2AuthAgent.KEY_REFRESH_TOKEN = 'ezpRestClient.refreshToken';
+
+    /**
+     * Constant to be used as storage key for the expiry date (timestamp in
+     * milliseconds) of the access token
+     *
+     * @static
+     * @const
+     * @type {string}
+     */
+    OAuth2AuthAgent.KEY_EXPIRES_AT = 'ezpRestClient.accessTokenExpiresAt';
+
+    /**
+     * The storage keys used by the agent
+     *
+     * @static
+     * @const
+     * @type {Array}
+     */
+    OAuth2AuthAgent.STORAGE_KEYS = [
+        OAuth2AuthAgent.KEY_ACCESS_TOKEN,
+        OAuth2AuthAgent.KEY_REFRESH_TOKEN,
+        OAuth2AuthAgent.KEY_EXPIRES_AT
+    ];
+
+    /**
+     * Called every time a new request cycle is started, to ensure those
+     * requests are correctly authenticated. If the access token is missing or
+     * about to expire, it is refreshed with the refresh token or, if that
+     * fails, a new one is requested with the credentials.
+     *
+     * @method ensureAuthentication
+     * @param done {Function} Callback function, which is to be called by the implementation
+     * to signal the authentication has been completed.
+     */
+    OAuth2AuthAgent.prototype.ensureAuthentication = function (done) {
+        var that = this,
+            refreshToken = this._storage.getItem(this._getStorageKey(OAuth2AuthAgent.KEY_REFRESH_TOKEN));
+
+        if ( this._waitForStorage(this.ensureAuthentication, arguments) ) {
+            return;
+        }
+
+        if ( this._hasValidAccessToken() ) {
+            done(false, true);
+            return;
+        }
+
+        if ( refreshToken === null ) {
+            this._passwordGrant(done);
+            return;
+        }
+
+        this._getToken({grant_type: "refresh_token", refresh_token: refreshToken}, function (error, result) {
+            if ( error && that._login && that._password ) {
+                that._passwordGrant(done);
+                return;
+            }
+            done(error, result);
+        });
+    };
+
+    /**
+     * Hook to allow the modification of any request, for authentication purposes, before
+     * sending it out to the backend. The access token is added in the
+     * `Authorization` header, except for the requests to the token endpoint.
+     *
+     * @method authenticateRequest
+     * @param request {Request}
+     * @param done {Function}
+     */
+    OAuth2AuthAgent.prototype.authenticateRequest = function (request, done) {
+        var token = this._storage.getItem(this._getStorageKey(OAuth2AuthAgent.KEY_ACCESS_TOKEN)),
+            tokenEndpoint = this._options.tokenEndpoint;
+
+        if ( this._waitForStorage(this.authenticateRequest, arguments) ) {
+            return;
+        }
+
+        if ( token !== null && !(tokenEndpoint && request.url.indexOf(tokenEndpoint) !== -1) ) {
+            request.headers.Authorization = "Bearer " + token;
+        }
+
+        done(false, request);
+    };
+
+    /**
+     * Logs in by requesting new tokens with the credentials
+     *
+     * @method logIn
+     * @param {Function} callback
+     */
+    OAuth2AuthAgent.prototype.logIn = function (callback) {
+        if ( this._waitForStorage(this.logIn, arguments) ) {
+            return;
+        }
+
+        this._resetStorage();
+        this._passwordGrant(callback);
+    };
+
+    /**
+     * Log out. The tokens are removed from the storage.
+     *
+     * @method logOut
+     * @param done {Function}
+     */
+    OAuth2AuthAgent.prototype.logOut = function (done) {
+        if ( this._waitForStorage(this.logOut, arguments) ) {
+            return;
+        }
+
+        this._resetStorage();
+        done(false, true);
+    };
+
+    /**
+     * Checks whether the user is logged in. If the storage does not contain
+     * any token, the callback is called with `true` as its first argument,
+     * otherwise it tries to load the root resource with the access token.
+     *
+     * @method isLoggedIn
+     * @param {Function} done
+     */
+    OAuth2AuthAgent.prototype.isLoggedIn = function (done) {
+        if ( this._waitForStorage(this.isLoggedIn, arguments) ) {
+            return;
+        }
+
+        if ( this._storage.getItem(this._getStorageKey(OAuth2AuthAgent.KEY_ACCESS_TOKEN)) === null &&
+                this._storage.getItem(this._getStorageKey(OAuth2AuthAgent.KEY_REFRESH_TOKEN)) === null ) {
+            done(true, false);
+            return;
+        }
+        this._CAPI.getContentService().loadRoot(done);
+    };
+
+    /**
+     * Called by the ConnectionManager when an authenticated request is
+     * rejected with a 401 response. The access token is removed so that the
+     * next call to ensureAuthentication gets a new one.
+     *
+     * @method invalidateAuthentication
+     * @param request {Request} the rejected request
+     * @return {Boolean} whether the request can be replayed
+     */
+    OAuth2AuthAgent.prototype.invalidateAuthentication = function (request) {
+        this._storage.removeItem(this._getStorageKey(OAuth2AuthAgent.KEY_ACCESS_TOKEN));
+        this._storage.removeItem(this._getStorageKey(OAuth2AuthAgent.KEY_EXPIRES_AT));
+        return true;
+    };
+
+    /**
+     * Set the instance of the CAPI to be used by the agent
+     *
+     * @method setCAPI
+     * @param CAPI {CAPI} current instance of the CAPI object
+     */
+    OAuth2AuthAgent.prototype.setCAPI = function (CAPI) {
+        this._CAPI = CAPI;
+        if ( this._autoNamespace ) {
+            this.setNamespace(CAPI.getEndPointUrl().replace(/\/+$/, ''));
+        }
+    };
+
+    /**
+     * Sets the namespace of the storage keys, so that several CAPI instances
+     * pointing at different end points do not share the same tokens. The
+     * tokens stored under the previous keys (by default the keys without
+     * namespace) are moved under the new ones, unless some tokens are already
+     * stored there.
+     *
+     * @method setNamespace
+     * @param namespace {String} the namespace, an empty string disables the namespacing
+     */
+    OAuth2AuthAgent.prototype.setNamespace = function (namespace) {
+        var storage = this._storage,
+            previousKeys = this._getStorageKeys(this._namespace),
+            hasTokens;
+
+        if ( this._waitForStorage(this.setNamespace, arguments, previousKeys.concat(this._getStorageKeys(namespace))) ) {
+            return;
+        }
+
+        if ( namespace === this._namespace ) {
+            return;
+        }
+        this._namespace = namespace;
+        hasTokens = (
+            storage.getItem(this._getStorageKey(OAuth2AuthAgent.KEY_ACCESS_TOKEN)) !== null ||
+            storage.getItem(this._getStorageKey(OAuth2AuthAgent.KEY_REFRESH_TOKEN)) !== null
+        );
+
+        OAuth2AuthAgent.STORAGE_KEYS.forEach(function (key, i) {
+            var value = storage.getItem(previousKeys[i]);
+
+            if ( value !== null && !hasTokens ) {
+                storage.setItem(this._getStorageKey(key), value);
+            }
+            storage.removeItem(previousKeys[i]);
+        }, this);
+    };
+
+    /**
+     * Set the credentials
+     *
+     * @method setCredentials
+     * @param {Object} credentials
+     * @param {String} credentials.login
+     * @param {String} credentials.password
+     */
+    OAuth2AuthAgent.prototype.setCredentials = function (credentials) {
+        this._login = credentials.login;
+        this._password = credentials.password;
+    };
+
+    /**
+     * Checks whether the storage is an asynchronous storage in which the
+     * keys of the agent are not loaded yet. In this case, the method is
+     * called again with the given arguments once the keys are loaded.
+     *
+     * @method _waitForStorage
+     * @protected
+     * @param method {Function}
+     * @param args {Arguments}
+     * @param [keys] {Array} the keys to load, by default the keys in the current namespace
+     * @return {Boolean} true if the call has to wait for the storage
+     */
+    OAuth2AuthAgent.prototype._waitForStorage = function (method, args, keys) {
+        var that = this;
+
+        keys = keys || this._getStorageKeys(this._namespace);
+        if ( !(this._storage instanceof CachedStorage) || this._storage.isLoaded(keys) ) {
+            return false;
+        }
+        this._storage.load(keys, function () {
+            method.apply(that, args);
+        });
+        return true;
+    };
+
+    /**
+     * Returns the storage key in the namespace of the agent
+     *
+     * @method _getStorageKey
+     * @protected
+     * @param key {String} one of the KEY_* constants
+     * @return {String}
+     */
+    OAuth2AuthAgent.prototype._getStorageKey = function (key) {
+        return this._namespace ? this._namespace + '|' + key : key;
+    };
+
+    /**
+     * Returns all the storage keys of the agent in the given namespace
+     *
+     * @method _getStorageKeys
+     * @protected
+     * @param namespace {String}
+     * @return {Array}
+     */
+    OAuth2AuthAgent.prototype._getStorageKeys = function (namespace) {
+        return OAuth2AuthAgent.STORAGE_KEYS.map(function (key) {
+            return namespace ? namespace + '|' + key : key;
+        });
+    };
+
+    /**
+     * Checks whether the storage contains an access token which does not
+     * expire within the refresh margin
+     *
+     * @method _hasValidAccessToken
+     * @protected
+     * @return {Boolean}
+     */
+    OAuth2AuthAgent.prototype._hasValidAccessToken = function () {
+        var expiresAt = this._storage.getItem(this._getStorageKey(OAuth2AuthAgent.KEY_EXPIRES_AT));
+
+        if ( this._storage.getItem(this._getStorageKey(OAuth2AuthAgent.KEY_ACCESS_TOKEN)) === null ) {
+            return false;
+        }
+        return expiresAt === null || expiresAt - this._refreshMargin > Date.now();
+    };
+
+    /**
+     * Requests new tokens with the credentials
+     *
+     * @method _passwordGrant
+     * @protected
+     * @param done {Function}
+     */
+    OAuth2AuthAgent.prototype._passwordGrant = function (done) {
+        if ( !this._login || !this._password ) {
+            done(new CAPIError("No credentials to get an OAuth2 access token."), false);
+            return;
+        }
+        this._getToken({grant_type: "password", username: this._login, password: this._password}, done);
+    };
+
+    /**
+     * Gets new tokens with the fetch token function and stores them
+     *
+     * @method _getToken
+     * @protected
+     * @param params {Object} the token request parameters
+     * @param done {Function}
+     */
+    OAuth2AuthAgent.prototype._getToken = function (params, done) {
+        var that = this,
+            options = this._options;
+
+        if ( options.clientId ) {
+            params.client_id = options.clientId;
+        }
+        if ( options.clientSecret ) {
+            params.client_secret = options.clientSecret;
+        }
+        if ( options.scope ) {
+            params.scope = options.scope;
+        }
+
+        this._fetchToken.call(this, params, function (error, token) {
+            if ( error || !token || !token.access_token ) {
+                that._resetStorage();
+                done(error || new CAPIError("Invalid OAuth2 token response.", {token: token}), false);
+                return;
+            }
+            that._storeToken(token);
+            done(false, token);
+        });
+    };
+
+    /**
+     * Default fetch token function, it sends the parameters to the token
+     * endpoint as a form
+     *
+     * @method _requestToken
+     * @protected
+     * @param params {Object} the token request parameters
+     * @param callback {Function}
+     */
+    OAuth2AuthAgent.prototype._requestToken = function (params, callback) {
+        var body = [],
+            key;
+
+        if ( !this._options.tokenEndpoint ) {
+            callback(new CAPIError("The OAuth2 token endpoint is not configured."), false);
+            return;
+        }
+
+        for (key in params) {
+            if (params.hasOwnProperty(key)) {
+                body.push(encodeURIComponent(key) + "=" + encodeURIComponent(params[key]));
+            }
+        }
+
+        this._CAPI.getConnectionManager().notAuthorizedRequest(
+            "POST",
+            this._options.tokenEndpoint,
+            body.join("&"),
+            {
+                "Content-Type": "application/x-www-form-urlencoded",
+                "Accept": "application/json"
+            },
+            function (error, response) {
+                if ( error ) {
+                    callback(error, false);
+                    return;
+                }
+                callback(false, response.document);
+            }
+        );
+    };
+
+    /**
+     * Stores the tokens in the storage
+     *
+     * @method _storeToken
+     * @protected
+     * @param token {Object} the token response
+     * @param token.access_token {String}
+     * @param [token.refresh_token] {String}
+     * @param [token.expires_in] {Number} lifetime of the access token in seconds
+     */
+    OAuth2AuthAgent.prototype._storeToken = function (token) {
+        this._storage.setItem(this._getStorageKey(OAuth2AuthAgent.KEY_ACCESS_TOKEN), token.access_token);
+        if ( token.refresh_token ) {
+            this._storage.setItem(this._getStorageKey(OAuth2AuthAgent.KEY_REFRESH_TOKEN), token.refresh_token);
+        }
+        if ( token.expires_in ) {
+            this._storage.setItem(this._getStorageKey(OAuth2AuthAgent.KEY_EXPIRES_AT), Date.now() + token.expires_in * 1000);
+        } else {
+            this._storage.removeItem(this._getStorageKey(OAuth2AuthAgent.KEY_EXPIRES_AT));
+        }
+    };
+
+    /**
+     * Resets the storage associated with this auth agent
+     *
+     * @method _resetStorage
+     * @protected
+     */
+    OAuth2AuthAgent.prototype._resetStorage = function () {
+        this._storage.removeItem(this._getStorageKey(OAuth2AuthAgent.KEY_ACCESS_TOKEN));
+        this._storage.removeItem(this._getStorageKey(OAuth2AuthAgent.KEY_REFRESH_TOKEN));
+        this._storage.removeItem(this._getStorageKey(OAuth2AuthAgent.KEY_EXPIRES_AT));
+    };
+
+    return OAuth2AuthAgent;
+});
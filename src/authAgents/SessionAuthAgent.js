@@ -1,5 +1,8 @@
 /* global define */
-define(["structures/CAPIError", "storages/LocalStorage"], function (CAPIError, LocalStorage) {
+define(["structures/CAPIError", "storages/LocalStorage", "storages/InMemoryStorage", "storages/CachedStorage",
+        "utils/EventEmitter", "utils/extend"],
+    function (CAPIError, LocalStorage, InMemoryStorage, CachedStorage,
+              EventEmitter, extend) {
     "use strict";
 
     /**
@@ -21,7 +24,20 @@ define(["structures/CAPIError", "storages/LocalStorage"], function (CAPIError, L
      *            csrfToken: "longCsrfToken",
      *        });
      *
+     * In a browser, the session is synchronised between the tabs: when the
+     * user logs in or out in a tab, the agents of the other tabs update their
+     * state. The agent emits the `login`, `logout` and `sessionChanged` events
+     * when the session starts, ends or is replaced, either in the current tab
+     * or in another one:
+     *
+     *     authAgent.on('logout', function (e) {
+     *         if ( e.remote ) {
+     *             // the user logged out in another tab
+     *         }
+     *     });
+     *
      * @class SessionAuthAgent
+     * @uses EventEmitter
      * @constructor
      * @param authInfo {Object} object literal containg the credentials (`login`
      * and `password`) or the session info of an already existing one (`name`,
@@ -32,9 +48,19 @@ define(["structures/CAPIError", "storages/LocalStorage"], function (CAPIError, L
      * @param authInfo.identifier {String} identifier of the session
      * @param authInfo.href {String} refresh resource URI for the session
      * @param authInfo.csrfToken {String} CSRF Token
-     * @param storage {StorageAbstraction?} storage to be used. By default a LocalStorage will be utilized
+     * @param storage {StorageAbstraction|AsyncStorageAbstraction?} storage to be used. By default a LocalStorage
+     * will be utilized or an InMemoryStorage if the LocalStorage is not available (e.g. in Node.js). An
+     * asynchronous storage (e.g. an IndexedDbStorage) is wrapped in a CachedStorage.
+     * @param [options] {Object} object literal containing the agent options
+     * @param [options.syncTabs] {Boolean} whether the session should be synchronised between the
+     * browser tabs, true by default in a browser
+     * @param [options.namespace] {String|false} namespace of the storage keys (see setNamespace), by
+     * default the end point url of the CAPI. `false` disables the namespacing.
      */
-    var SessionAuthAgent = function (authInfo, storage) {
+    var SessionAuthAgent = function (authInfo, storage, options) {
+            EventEmitter.call(this);
+            options = options || {};
+
             /**
              * The CAPI instance. It is set by the call to setCAPI() done while
              * instantiating the CAPI.
@@ -65,6 +91,12 @@ define(["structures/CAPIError", "storages/LocalStorage"], function (CAPIError, L
              */
             this._password = '';
 
+            if ( !storage ) {
+                storage = LocalStorage.isCompatible() ? new LocalStorage() : new InMemoryStorage();
+            } else if ( storage.async ) {
+                storage = new CachedStorage(storage);
+            }
+
             /**
              * The storage to use to store the session info.
              *
@@ -73,7 +105,61 @@ define(["structures/CAPIError", "storages/LocalStorage"], function (CAPIError, L
              * @default LocalStorage
              * @protected
              */
-            this._storage = storage || new LocalStorage();
+            this._storage = storage;
+
+            /**
+             * The namespace of the storage keys
+             *
+             * @property _namespace
+             * @type {String}
+             * @default ""
+             * @protected
+             */
+            this._namespace = '';
+
+            /**
+             * Whether the namespace should be derived from the end point url
+             * of the CAPI
+             *
+             * @property _autoNamespace
+             * @type {Boolean}
+             * @protected
+             */
+            this._autoNamespace = (options.namespace === undefined);
+
+            if ( options.namespace ) {
+                this.setNamespace(options.namespace);
+            }
+
+            /**
+             * The identifier of the current session, as last seen by the
+             * agent. It allows to detect the changes made by the other tabs.
+             *
+             * @property _sessionId
+             * @type {String|null}
+             * @protected
+             */
+            this._sessionId = null;
+
+            /**
+             * The channel used to notify the other tabs
+             *
+             * @property _channel
+             * @type {BroadcastChannel|null}
+             * @default null
+             * @protected
+             */
+            this._channel = null;
+
+            /**
+             * The storage event listener
+             *
+             * @property _storageListener
+             * @type {Function|null}
+             * @default null
+             * @protected
+             */
+            this._storageListener = null;
 
             if ( authInfo ) {
                 if ( authInfo.login && authInfo.password ) {
@@ -84,9 +170,25 @@ define(["structures/CAPIError", "storages/LocalStorage"], function (CAPIError, L
                     throw new CAPIError("Invalid authInfo parameter");
                 }
             }
+            this._refreshSessionId();
+
+            if ( options.syncTabs !== undefined ? options.syncTabs : typeof window !== "undefined" ) {
+                this.startTabSync();
+            }
         },
         SAFE_METHODS = {'GET': 1, 'HEAD': 1, 'OPTIONS': 1, 'TRACE': 1};
 
+    extend(SessionAuthAgent.prototype, EventEmitter.prototype);
+
+    /**
+     * Name of the BroadcastChannel used to synchronise the tabs
+     *
+     * @static
+     * @const
+     * @type {string}
+     */
+    SessionAuthAgent.SYNC_CHANNEL_NAME = 'ezpRestClient.session';
+
     /**
      * Constant to be used as storage key for the sessionName
      *
@@ -123,6 +225,20 @@ define(["structures/CAPIError", "storages/LocalStorage"], function (CAPIError, L
      */
     SessionAuthAgent.KEY_CSRF_TOKEN = 'ezpRestClient.csrfToken';
 
+    /**
+     * The storage keys used by the agent
+     *
+     * @static
+     * @const
+     * @type {Array}
+     */
+    SessionAuthAgent.STORAGE_KEYS = [
+        SessionAuthAgent.KEY_SESSION_NAME,
+        SessionAuthAgent.KEY_SESSION_ID,
+        SessionAuthAgent.KEY_SESSION_HREF,
+        SessionAuthAgent.KEY_CSRF_TOKEN
+    ];
+
     /**
      * Checks that the current user is still logged in. To be considered as
      * logged in, the storage should have a session id and the refresh calls
@@ -138,7 +254,11 @@ define(["structures/CAPIError", "storages/LocalStorage"], function (CAPIError, L
     SessionAuthAgent.prototype.isLoggedIn = function (callback) {
         var that = this,
             userService = this._CAPI.getUserService(),
-            sessionId = this._storage.getItem(SessionAuthAgent.KEY_SESSION_ID);
+            sessionId = this._storage.getItem(this._getStorageKey(SessionAuthAgent.KEY_SESSION_ID));
+
+        if ( this._waitForStorage(this.isLoggedIn, arguments) ) {
+            return;
+        }
 
         if ( sessionId === null) {
             callback(true, false);
@@ -162,7 +282,11 @@ define(["structures/CAPIError", "storages/LocalStorage"], function (CAPIError, L
      * @param done {Function} Callback function, which is to be called by the implementation to signal the authentication has been completed.
      */
     SessionAuthAgent.prototype.ensureAuthentication = function (done) {
-        if (this._storage.getItem(SessionAuthAgent.KEY_SESSION_ID) !== null) {
+        if ( this._waitForStorage(this.ensureAuthentication, arguments) ) {
+            return;
+        }
+
+        if (this._storage.getItem(this._getStorageKey(SessionAuthAgent.KEY_SESSION_ID)) !== null) {
             done(false, true);
             return;
         }
@@ -207,7 +331,11 @@ define(["structures/CAPIError", "storages/LocalStorage"], function (CAPIError, L
     SessionAuthAgent.prototype.logIn = function (callback) {
         var that = this;
 
-        if ( this._storage.getItem(SessionAuthAgent.KEY_SESSION_ID) !== null ) {
+        if ( this._waitForStorage(this.logIn, arguments) ) {
+            return;
+        }
+
+        if ( this._storage.getItem(this._getStorageKey(SessionAuthAgent.KEY_SESSION_ID)) !== null ) {
             this.logOut(function (error, result) {
                 that.ensureAuthentication(callback);
             });
@@ -225,7 +353,11 @@ define(["structures/CAPIError", "storages/LocalStorage"], function (CAPIError, L
      * @param done {Function}
      */
     SessionAuthAgent.prototype.authenticateRequest = function (request, done) {
-        var token = this._storage.getItem(SessionAuthAgent.KEY_CSRF_TOKEN);
+        var token = this._storage.getItem(this._getStorageKey(SessionAuthAgent.KEY_CSRF_TOKEN));
+
+        if ( this._waitForStorage(this.authenticateRequest, arguments) ) {
+            return;
+        }
 
         if ( SAFE_METHODS[request.method.toUpperCase()] !== 1 && token !== null ) {
             request.headers["X-CSRF-Token"] = token;
@@ -234,6 +366,25 @@ define(["structures/CAPIError", "storages/LocalStorage"], function (CAPIError, L
         done(false, request);
     };
 
+    /**
+     * Called by the ConnectionManager when an authenticated request is
+     * rejected with a 401 response, meaning the session expired on the server
+     * side. The stale session info is removed from the storage so that the
+     * next call to ensureAuthentication creates a new session.
+     *
+     * @method invalidateAuthentication
+     * @param request {Request} the rejected request
+     * @return {Boolean} whether the request can be replayed once the session
+     * is re-created. A request on the expired session resource itself (e.g.
+     * the refresh session request) can not be replayed.
+     */
+    SessionAuthAgent.prototype.invalidateAuthentication = function (request) {
+        var sessionHref = this._storage.getItem(this._getStorageKey(SessionAuthAgent.KEY_SESSION_HREF));
+
+        this._resetStorage();
+        return !(sessionHref && request.url.indexOf(sessionHref) !== -1);
+    };
+
     /**
      * Log out. If the client did not logged in yet, the callback is called with
      * `false` and `true` as arguments, otherwise the callback is called with the
@@ -245,9 +396,13 @@ define(["structures/CAPIError", "storages/LocalStorage"], function (CAPIError, L
      */
     SessionAuthAgent.prototype.logOut = function (done) {
         var userService = this._CAPI.getUserService(),
-            sessionHref = this._storage.getItem(SessionAuthAgent.KEY_SESSION_HREF),
+            sessionHref = this._storage.getItem(this._getStorageKey(SessionAuthAgent.KEY_SESSION_HREF)),
             that = this;
 
+        if ( this._waitForStorage(this.logOut, arguments) ) {
+            return;
+        }
+
         if ( sessionHref === null ) {
             done(false, true);
             return;
@@ -272,6 +427,45 @@ define(["structures/CAPIError", "storages/LocalStorage"], function (CAPIError, L
      */
     SessionAuthAgent.prototype.setCAPI = function (CAPI) {
         this._CAPI = CAPI;
+        if ( this._autoNamespace ) {
+            this.setNamespace(CAPI.getEndPointUrl().replace(/\/+$/, ''));
+        }
+    };
+
+    /**
+     * Sets the namespace of the storage keys, so that several CAPI instances
+     * pointing at different end points do not share the same session. The
+     * session info stored under the previous keys (by default the keys
+     * without namespace used by the previous versions) is moved under the
+     * new ones, unless a session is already stored there.
+     *
+     * @method setNamespace
+     * @param namespace {String} the namespace, an empty string disables the namespacing
+     */
+    SessionAuthAgent.prototype.setNamespace = function (namespace) {
+        var storage = this._storage,
+            previousKeys = this._getStorageKeys(this._namespace),
+            hasSession;
+
+        if ( this._waitForStorage(this.setNamespace, arguments, previousKeys.concat(this._getStorageKeys(namespace))) ) {
+            return;
+        }
+
+        if ( namespace === this._namespace ) {
+            return;
+        }
+        this._namespace = namespace;
+        hasSession = (storage.getItem(this._getStorageKey(SessionAuthAgent.KEY_SESSION_ID)) !== null);
+
+        SessionAuthAgent.STORAGE_KEYS.forEach(function (key, i) {
+            var value = storage.getItem(previousKeys[i]);
+
+            if ( value !== null && !hasSession ) {
+                storage.setItem(this._getStorageKey(key), value);
+            }
+            storage.removeItem(previousKeys[i]);
+        }, this);
+        this._refreshSessionId();
     };
 
     /**
@@ -287,6 +481,198 @@ define(["structures/CAPIError", "storages/LocalStorage"], function (CAPIError, L
         this._password = credentials.password;
     };
 
+    /**
+     * Starts the synchronisation of the session between the browser tabs. The
+     * agent listens to the `storage` events and, if available, to the messages
+     * of a BroadcastChannel. It does nothing outside of a browser.
+     *
+     * @method startTabSync
+     */
+    SessionAuthAgent.prototype.startTabSync = function () {
+        var that = this;
+
+        if ( typeof window === "undefined" || this._storageListener ) {
+            return;
+        }
+
+        this._storageListener = function (e) {
+            if ( e.key === null || e.key === that._getStorageKey(SessionAuthAgent.KEY_SESSION_ID) ) {
+                that._syncSession(that._storage.getItem(that._getStorageKey(SessionAuthAgent.KEY_SESSION_ID)), true);
+            }
+        };
+        window.addEventListener("storage", this._storageListener);
+
+        if ( window.BroadcastChannel ) {
+            this._channel = new window.BroadcastChannel(SessionAuthAgent.SYNC_CHANNEL_NAME);
+            this._channel.onmessage = function (e) {
+                that._handleSyncMessage(e.data);
+            };
+        }
+    };
+
+    /**
+     * Stops the synchronisation of the session between the browser tabs
+     *
+     * @method stopTabSync
+     */
+    SessionAuthAgent.prototype.stopTabSync = function () {
+        if ( this._storageListener ) {
+            window.removeEventListener("storage", this._storageListener);
+            this._storageListener = null;
+        }
+        if ( this._channel ) {
+            this._channel.close();
+            this._channel = null;
+        }
+    };
+
+    /**
+     * Handles the message sent by the agent of another tab. The message only
+     * tells whether the session changed or ended, the session info is read
+     * from the storage. After a log out, the session info is also removed
+     * from a storage which is not shared (e.g. an InMemoryStorage).
+     *
+     * @method _handleSyncMessage
+     * @protected
+     * @param message {Object}
+     * @param message.namespace {String} the namespace of the agent which sent the message
+     * @param message.loggedIn {Boolean} false after a log out
+     */
+    SessionAuthAgent.prototype._handleSyncMessage = function (message) {
+        var that = this;
+
+        if ( this._waitForStorage(this._handleSyncMessage, arguments) ) {
+            return;
+        }
+
+        if ( !message || message.namespace !== this._namespace ) {
+            return;
+        }
+        if ( message.loggedIn && this._storage instanceof CachedStorage ) {
+            // the cache of this tab does not contain the new session yet
+            this._storage.reload(this._getStorageKeys(this._namespace), function () {
+                that._syncSession(that._storage.getItem(that._getStorageKey(SessionAuthAgent.KEY_SESSION_ID)), true);
+            });
+        } else if ( message.loggedIn ) {
+            this._syncSession(this._storage.getItem(this._getStorageKey(SessionAuthAgent.KEY_SESSION_ID)), true);
+        } else {
+            this._removeSessionInfo();
+            this._syncSession(null, true);
+        }
+    };
+
+    /**
+     * Updates the known session identifier and emits the matching event
+     * (`login`, `logout` or `sessionChanged`) if it changed. The changes made
+     * in the current tab are signaled to the other tabs, which read the session
+     * info from their own storage.
+     *
+     * @method _syncSession
+     * @protected
+     * @param sessionId {String|null} the current session identifier
+     * @param remote {Boolean} whether the change was made in another tab
+     */
+    SessionAuthAgent.prototype._syncSession = function (sessionId, remote) {
+        var previousSessionId = this._sessionId,
+            type;
+
+        if ( previousSessionId === sessionId ) {
+            return;
+        }
+        this._sessionId = sessionId;
+
+        if ( sessionId === null ) {
+            type = "logout";
+        } else if ( previousSessionId === null ) {
+            type = "login";
+        } else {
+            type = "sessionChanged";
+        }
+
+        if ( !remote && this._channel ) {
+            this._channel.postMessage({namespace: this._namespace, loggedIn: sessionId !== null});
+        }
+
+        /**
+         * Fired when a session starts, `login`, ends, `logout`, or is replaced
+         * by another one, `sessionChanged`
+         *
+         * @event login|logout|sessionChanged
+         * @param sessionId {String|null} the identifier of the current session
+         * @param previousSessionId {String|null} the identifier of the previous session
+         * @param remote {Boolean} whether the change was made in another tab
+         */
+        this.emit(type, {
+            sessionId: sessionId,
+            previousSessionId: previousSessionId,
+            remote: remote
+        });
+    };
+
+    /**
+     * Checks whether the storage is an asynchronous storage in which the
+     * keys of the agent are not loaded yet. In this case, the method is
+     * called again with the given arguments once the keys are loaded.
+     *
+     * @method _waitForStorage
+     * @protected
+     * @param method {Function}
+     * @param args {Arguments}
+     * @param [keys] {Array} the keys to load, by default the keys in the current namespace
+     * @return {Boolean} true if the call has to wait for the storage
+     */
+    SessionAuthAgent.prototype._waitForStorage = function (method, args, keys) {
+        var that = this;
+
+        keys = keys || this._getStorageKeys(this._namespace);
+        if ( !(this._storage instanceof CachedStorage) || this._storage.isLoaded(keys) ) {
+            return false;
+        }
+        this._storage.load(keys, function () {
+            method.apply(that, args);
+        });
+        return true;
+    };
+
+    /**
+     * Reads the identifier of the current session from the storage
+     *
+     * @method _refreshSessionId
+     * @protected
+     */
+    SessionAuthAgent.prototype._refreshSessionId = function () {
+        if ( this._waitForStorage(this._refreshSessionId, arguments) ) {
+            return;
+        }
+        this._sessionId = this._storage.getItem(this._getStorageKey(SessionAuthAgent.KEY_SESSION_ID));
+    };
+
+    /**
+     * Returns the storage key in the namespace of the agent
+     *
+     * @method _getStorageKey
+     * @protected
+     * @param key {String} one of the KEY_* constants
+     * @return {String}
+     */
+    SessionAuthAgent.prototype._getStorageKey = function (key) {
+        return this._namespace ? this._namespace + '|' + key : key;
+    };
+
+    /**
+     * Returns all the storage keys of the agent in the given namespace
+     *
+     * @method _getStorageKeys
+     * @protected
+     * @param namespace {String}
+     * @return {Array}
+     */
+    SessionAuthAgent.prototype._getStorageKeys = function (namespace) {
+        return SessionAuthAgent.STORAGE_KEYS.map(function (key) {
+            return namespace ? namespace + '|' + key : key;
+        });
+    };
+
     /**
      * Resets the storage associated with this auth agent
      *
@@ -294,10 +680,21 @@ define(["structures/CAPIError", "storages/LocalStorage"], function (CAPIError, L
      * @protected
      */
     SessionAuthAgent.prototype._resetStorage = function () {
-        this._storage.removeItem(SessionAuthAgent.KEY_SESSION_NAME);
-        this._storage.removeItem(SessionAuthAgent.KEY_SESSION_ID);
-        this._storage.removeItem(SessionAuthAgent.KEY_SESSION_HREF);
-        this._storage.removeItem(SessionAuthAgent.KEY_CSRF_TOKEN);
+        this._removeSessionInfo();
+        this._syncSession(null, false);
+    };
+
+    /**
+     * Removes the session information from the storage
+     *
+     * @method _removeSessionInfo
+     * @protected
+     */
+    SessionAuthAgent.prototype._removeSessionInfo = function () {
+        this._storage.removeItem(this._getStorageKey(SessionAuthAgent.KEY_SESSION_NAME));
+        this._storage.removeItem(this._getStorageKey(SessionAuthAgent.KEY_SESSION_ID));
+        this._storage.removeItem(this._getStorageKey(SessionAuthAgent.KEY_SESSION_HREF));
+        this._storage.removeItem(this._getStorageKey(SessionAuthAgent.KEY_CSRF_TOKEN));
     };
 
     /**
@@ -313,10 +710,15 @@ define(["structures/CAPIError", "storages/LocalStorage"], function (CAPIError, L
      * @protected
      */
     SessionAuthAgent.prototype._storeSessionInfo = function (session) {
-        this._storage.setItem(SessionAuthAgent.KEY_SESSION_NAME, session.name);
-        this._storage.setItem(SessionAuthAgent.KEY_SESSION_HREF, session.href);
-        this._storage.setItem(SessionAuthAgent.KEY_SESSION_ID, session.identifier);
-        this._storage.setItem(SessionAuthAgent.KEY_CSRF_TOKEN, session.csrfToken);
+        if ( this._waitForStorage(this._storeSessionInfo, arguments) ) {
+            return;
+        }
+
+        this._storage.setItem(this._getStorageKey(SessionAuthAgent.KEY_SESSION_NAME), session.name);
+        this._storage.setItem(this._getStorageKey(SessionAuthAgent.KEY_SESSION_HREF), session.href);
+        this._storage.setItem(this._getStorageKey(SessionAuthAgent.KEY_SESSION_ID), session.identifier);
+        this._storage.setItem(this._getStorageKey(SessionAuthAgent.KEY_CSRF_TOKEN), session.csrfToken);
+        this._syncSession(session.identifier, false);
     };
 
     return SessionAuthAgent;
@@ -0,0 +1,227 @@
+/* global define, fetch, AbortController, TextDecoder, btoa, unescape */
+define(["structures/Response", "structures/CAPIError", "utils/createResponseError"],
+    function (Response, CAPIError, createResponseError) {
+    "use strict";
+
+    /**
+     * Creates an instance of FetchConnection object
+     * This connection class handles low-level implementation of a connection based on the Fetch API.
+     * It does not rely on `window` and can be used in environments without XHR (e.g. service workers).
+     *
+     * @class FetchConnection
+     * @constructor
+     * @param [options] {Object} object literal containing the connection options
+     * @param [options.credentials="same-origin"] {String} the fetch credentials mode ("omit", "same-origin" or "include")
+     * @param [options.onChunk] {Function} function called each time a chunk of the response body is received.
+     * It receives the decoded chunk, the number of bytes received so far and the request.
+     * @example
+     *     connectionStack: [
+     *         {
+     *             connection: FetchConnection,
+     *             factory: function (Connection) {
+     *                 return new Connection({credentials: "include"});
+     *             }
+     *         }
+     *     ]
+     */
+    var FetchConnection = function (options) {
+        options = options || {};
+
+        /**
+         * The fetch credentials mode
+         *
+         * @property _credentials
+         * @type {String}
+         * @default "same-origin"
+         * @protected
+         */
+        this._credentials = options.credentials || "same-origin";
+
+        /**
+         * Function called for each chunk of the response body
+         *
+         * @property _onChunk
+         * @type {Function|null}
+         * @default null
+         * @protected
+         */
+        this._onChunk = options.onChunk || null;
+
+        /**
+         * The AbortController of the request in progress
+         *
+         * @property _abortController
+         * @type {AbortController|null}
+         * @default null
+         * @protected
+         */
+        this._abortController = null;
+    };
+
+    /**
+     * Basic request implemented via the Fetch API
+     *
+     * @method execute
+     * @param request {Request} structure containing all needed params and data
+     * @param callback {Function} function, which will be executed on request success
+     */
+    FetchConnection.prototype.execute = function (request, callback) {
+        var that = this,
+            init = {
+                method: request.method,
+                headers: {},
+                credentials: this._credentials
+            },
+            headerType;
+
+        for (headerType in request.headers) {
+            if (request.headers.hasOwnProperty(headerType)) {
+                init.headers[headerType] = request.headers[headerType];
+            }
+        }
+
+        if (request.httpBasicAuth) {
+            init.headers.Authorization = "Basic " + FetchConnection._encodeBase64(request.login + ":" + request.password);
+        }
+
+        if (request.body && request.method !== "GET" && request.method !== "HEAD") {
+            init.body = request.body;
+        }
+
+        if (typeof AbortController !== "undefined") {
+            this._abortController = new AbortController();
+            init.signal = this._abortController.signal;
+        }
+
+        fetch(request.url, init).then(function (fetchResponse) {
+            return that._readBody(fetchResponse, request).then(function (body) {
+                return {
+                    status: fetchResponse.status,
+                    headers: FetchConnection._serializeHeaders(fetchResponse.headers),
+                    body: body
+                };
+            });
+        }).then(function (result) {
+            var response = new Response(result);
+
+            that._abortController = null;
+            if (result.status >= 400 || !result.status) {
+                callback(createResponseError(request, response), response);
+                return;
+            }
+            callback(false, response);
+        }, function (error) {
+            var message = "Connection error : 0.";
+
+            that._abortController = null;
+            if (error && error.name === "AbortError") {
+                message = "Connection aborted.";
+            }
+            callback(
+                new CAPIError(message, {request: request}),
+                new Response({status: 0})
+            );
+        });
+    };
+
+    /**
+     * Aborts the request in progress (if any)
+     *
+     * @method abort
+     */
+    FetchConnection.prototype.abort = function () {
+        if (this._abortController) {
+            this._abortController.abort();
+        }
+    };
+
+    /**
+     * Reads the body of the fetch response. When the body is exposed as a
+     * stream, it is read chunk by chunk and each chunk is passed to the
+     * `onChunk` function (if any).
+     *
+     * @method _readBody
+     * @protected
+     * @param fetchResponse {Object} the fetch Response object
+     * @param request {Request}
+     * @return {Promise} promise resolved with the body as a string
+     */
+    FetchConnection.prototype._readBody = function (fetchResponse, request) {
+        var that = this,
+            reader, decoder,
+            body = "",
+            received = 0,
+            readChunk;
+
+        if (!fetchResponse.body || !fetchResponse.body.getReader || typeof TextDecoder === "undefined") {
+            return fetchResponse.text();
+        }
+
+        reader = fetchResponse.body.getReader();
+        decoder = new TextDecoder();
+        readChunk = function () {
+            return reader.read().then(function (result) {
+                var chunk;
+
+                if (result.done) {
+                    return body + decoder.decode();
+                }
+                chunk = decoder.decode(result.value, {stream: true});
+                received += result.value.length;
+                body += chunk;
+                if (that._onChunk) {
+                    that._onChunk(chunk, received, request);
+                }
+                return readChunk();
+            });
+        };
+        return readChunk();
+    };
+
+    /**
+     * Converts fetch Headers into the raw format returned by
+     * XMLHttpRequest.getAllResponseHeaders()
+     *
+     * @method _serializeHeaders
+     * @static
+     * @protected
+     * @param headers {Headers}
+     * @return {String}
+     */
+    FetchConnection._serializeHeaders = function (headers) {
+        var raw = "";
+
+        if (headers && headers.forEach) {
+            headers.forEach(function (value, name) {
+                raw += name + ": " + value + "\r\n";
+            });
+        }
+        return raw;
+    };
+
+    /**
+     * Base64 encodes the given string
+     *
+     * @method _encodeBase64
+     * @static
+     * @protected
+     * @param value {String}
+     * @return {String}
+     */
+    FetchConnection._encodeBase64 = function (value) {
+        return btoa(unescape(encodeURIComponent(value)));
+    };
+
+    /**
+     * Connection checks itself for compatibility with running environment
+     *
+     * @method isCompatible
+     * @static
+     * @return {Boolean} whether the connection is compatible with current environment
+     */
+    FetchConnection.isCompatible = function () {
+        return typeof fetch === "function";
+    };
+
+    return FetchConnection;
+});
@@ -1,6 +1,6 @@
 /* global define */
 /* global ActiveXObject */
-define(["structures/Response", "structures/CAPIError"], function (Response, CAPIError) {
+define(["structures/Response", "utils/createResponseError"], function (Response, createResponseError) {
     "use strict";
 
     /**
@@ -39,10 +39,7 @@ define(["structures/Response", "structures/CAPIError"], function (Response, CAPI
             });
 
             if (XHR.status >= 400 || !XHR.status) {
-                callback(
-                    new CAPIError("Connection error : " + XHR.status + ".", {request: request}),
-                    response
-                );
+                callback(createResponseError(request, response), response);
                 return;
             }
             callback(false, response);
@@ -65,6 +62,15 @@ define(["structures/Response", "structures/CAPIError"], function (Response, CAPI
         XHR.send(request.body);
     };
 
+    /**
+     * Aborts the request in progress (if any)
+     *
+     * @method abort
+     */
+    MicrosoftXmlHttpRequestConnection.prototype.abort = function () {
+        this._xhr.abort();
+    };
+
     /**
      * Connection checks itself for compatibility with running environment
      *
@@ -73,7 +79,7 @@ define(["structures/Response", "structures/CAPIError"], function (Response, CAPI
      * @return {Boolean} whether the connection is compatible with current environment
      */
     MicrosoftXmlHttpRequestConnection.isCompatible = function () {
-        return !!window.ActiveXObject;
+        return typeof window !== "undefined" && !!window.ActiveXObject;
     };
 
     return MicrosoftXmlHttpRequestConnection;
@@ -0,0 +1,340 @@
+/* global define, unescape */
+define(["structures/Response", "structures/CAPIError", "utils/CookieJar", "utils/createResponseError"],
+    function (Response, CAPIError, CookieJar, createResponseError) {
+    "use strict";
+
+    /**
+     * Creates an instance of NodeHttpConnection object
+     * This connection class handles low-level implementation of a connection
+     * based on the Node.js core `http` and `https` modules. Since there's no
+     * browser to handle the cookies, they are kept in a
+     * {{#crossLink "CookieJar"}}CookieJar{{/crossLink}}. The connections
+     * created by a CAPI share the cookie jar of this CAPI, so that the session
+     * created by its SessionAuthAgent is reused while the sessions of the
+     * other CAPI instances (e.g. other users of a server) are not sent.
+     *
+     * The `http` and `https` modules are set on the NodeHttpConnection class by
+     * the CommonJS build (`dist/CAPI.node.js`), they can also be provided in
+     * the options.
+     *
+     * @class NodeHttpConnection
+     * @constructor
+     * @param [options] {Object} object literal containing the connection options
+     * @param [options.http] {Object} the `http` module
+     * @param [options.https] {Object} the `https` module
+     * @param [options.cookieJar] {CookieJar} the cookie jar to use, by default the connection
+     * has its own cookie jar
+     * @param [options.onProgress] {Function} function called while the request body is uploaded.
+     * It receives the number of bytes sent, the total number of bytes and the request.
+     * @example
+     *     var eZ = require('ez-js-rest-client'),
+     *         capi = new eZ.CAPI(
+     *             'http://ez.git.local',
+     *             new eZ.SessionAuthAgent({login: "admin", password: "publish"})
+     *         );
+     */
+    var NodeHttpConnection = function (options) {
+        options = options || {};
+
+        /**
+         * The `http` module
+         *
+         * @property _http
+         * @type {Object}
+         * @protected
+         */
+        this._http = options.http || NodeHttpConnection.http;
+
+        /**
+         * The `https` module
+         *
+         * @property _https
+         * @type {Object}
+         * @protected
+         */
+        this._https = options.https || NodeHttpConnection.https;
+
+        /**
+         * The cookie jar
+         *
+         * @property _cookieJar
+         * @type {CookieJar}
+         * @protected
+         */
+        this._cookieJar = options.cookieJar || new CookieJar();
+
+        /**
+         * Function called while the request body is uploaded, the body is then
+         * written by chunks of
+         * {{#crossLink "NodeHttpConnection/UPLOAD_CHUNK_SIZE:property"}}UPLOAD_CHUNK_SIZE{{/crossLink}}
+         * characters
+         *
+         * @property _onProgress
+         * @type {Function|null}
+         * @default null
+         * @protected
+         */
+        this._onProgress = options.onProgress || null;
+
+        /**
+         * The request in progress
+         *
+         * @property _request
+         * @type {http.ClientRequest|null}
+         * @default null
+         * @protected
+         */
+        this._request = null;
+    };
+
+    /**
+     * The `http` module used by default
+     *
+     * @property http
+     * @static
+     * @type {Object}
+     * @default null
+     */
+    NodeHttpConnection.http = null;
+
+    /**
+     * The `https` module used by default
+     *
+     * @property https
+     * @static
+     * @type {Object}
+     * @default null
+     */
+    NodeHttpConnection.https = null;
+
+    /**
+     * The number of characters of the body written at once when the upload
+     * progress is reported
+     *
+     * @property UPLOAD_CHUNK_SIZE
+     * @static
+     * @type {Number}
+     */
+    NodeHttpConnection.UPLOAD_CHUNK_SIZE = 64 * 1024;
+
+    /**
+     * Basic request implemented via the `http`/`https` modules
+     *
+     * @method execute
+     * @param request {Request} structure containing all needed params and data
+     * @param callback {Function} function, which will be executed on request success
+     */
+    NodeHttpConnection.prototype.execute = function (request, callback) {
+        var that = this,
+            url = NodeHttpConnection._parseUrl(request.url),
+            transport = (url.protocol === "https") ? this._https : this._http,
+            options = {
+                method: request.method,
+                hostname: url.hostname,
+                port: url.port,
+                path: url.path,
+                headers: {}
+            },
+            cookie = this._cookieJar.getCookieHeader(url.hostname, url.path),
+            connectionError = function (error) {
+                callback(
+                    new CAPIError("Connection error : 0.", {request: request, error: error}),
+                    new Response({status: 0})
+                );
+            },
+            headerType;
+
+        for (headerType in request.headers) {
+            if (request.headers.hasOwnProperty(headerType)) {
+                options.headers[headerType] = request.headers[headerType];
+            }
+        }
+
+        if (cookie) {
+            options.headers.Cookie = cookie;
+        }
+
+        if (request.httpBasicAuth) {
+            options.auth = request.login + ":" + request.password;
+        }
+
+        if (request.body) {
+            options.headers["Content-Length"] = NodeHttpConnection._byteLength(request.body);
+        }
+
+        // e.g. an invalid header value makes the http module throw
+        try {
+            this._request = transport.request(options, function (res) {
+                var body = "";
+
+                res.setEncoding("utf8");
+                res.on("data", function (chunk) {
+                    body += chunk;
+                });
+                res.on("end", function () {
+                    var response;
+
+                    that._request = null;
+                    that._cookieJar.setCookies(url.hostname, res.headers["set-cookie"]);
+                    response = new Response({
+                        status: res.statusCode,
+                        headers: NodeHttpConnection._serializeHeaders(res.headers),
+                        body: body
+                    });
+
+                    if (res.statusCode >= 400 || !res.statusCode) {
+                        callback(createResponseError(request, response), response);
+                        return;
+                    }
+                    callback(false, response);
+                });
+            });
+        } catch (error) {
+            this._request = null;
+            connectionError(error);
+            return;
+        }
+
+        this._request.on("error", function (error) {
+            that._request = null;
+            connectionError(error);
+        });
+
+        if (request.body && this._onProgress) {
+            this._writeBody(this._request, request, options.headers["Content-Length"]);
+        } else {
+            this._request.end(request.body || undefined);
+        }
+    };
+
+    /**
+     * Writes the body chunk by chunk, the upload progress is reported once
+     * each chunk is written
+     *
+     * @method _writeBody
+     * @protected
+     * @param clientRequest {http.ClientRequest}
+     * @param request {Request}
+     * @param total {Number} the length in bytes of the body
+     */
+    NodeHttpConnection.prototype._writeBody = function (clientRequest, request, total) {
+        var that = this,
+            body = request.body,
+            position = 0,
+            loaded = 0,
+            writeChunk = function () {
+                var end = Math.min(position + NodeHttpConnection.UPLOAD_CHUNK_SIZE, body.length),
+                    chunk;
+
+                if (position >= body.length) {
+                    clientRequest.end();
+                    return;
+                }
+                // a surrogate pair is not split between two chunks
+                if (end < body.length && (/[\uD800-\uDBFF]/).test(body.charAt(end - 1))) {
+                    end++;
+                }
+                chunk = body.substring(position, end);
+                position = end;
+                clientRequest.write(chunk, function (error) {
+                    if (error) {
+                        return;
+                    }
+                    loaded += NodeHttpConnection._byteLength(chunk);
+                    that._onProgress(loaded, total, request);
+                    writeChunk();
+                });
+            };
+
+        writeChunk();
+    };
+
+    /**
+     * Aborts the request in progress (if any)
+     *
+     * @method abort
+     */
+    NodeHttpConnection.prototype.abort = function () {
+        if (this._request) {
+            this._request.abort();
+        }
+    };
+
+    /**
+     * Returns the length in bytes of the UTF-8 encoded string
+     *
+     * @method _byteLength
+     * @static
+     * @protected
+     * @param string {String}
+     * @return {Number}
+     */
+    NodeHttpConnection._byteLength = function (string) {
+        return unescape(encodeURIComponent(string)).length;
+    };
+
+    /**
+     * Splits the given absolute url
+     *
+     * @method _parseUrl
+     * @static
+     * @protected
+     * @param url {String}
+     * @return {Object} object literal with the `protocol`, `hostname`, `port`
+     * and `path` properties
+     */
+    NodeHttpConnection._parseUrl = function (url) {
+        var matches = url.match(/^(https?):\/\/([^\/:?#]+)(?::(\d+))?([^#]*)/);
+
+        if (!matches) {
+            throw new CAPIError("NodeHttpConnection can only request absolute http(s) urls.", {url: url});
+        }
+
+        return {
+            protocol: matches[1],
+            hostname: matches[2],
+            port: matches[3] ? parseInt(matches[3], 10) : (matches[1] === "https" ? 443 : 80),
+            path: matches[4] || "/"
+        };
+    };
+
+    /**
+     * Converts the headers of a Node.js response into the raw format returned
+     * by XMLHttpRequest.getAllResponseHeaders()
+     *
+     * @method _serializeHeaders
+     * @static
+     * @protected
+     * @param headers {Object}
+     * @return {String}
+     */
+    NodeHttpConnection._serializeHeaders = function (headers) {
+        var raw = "",
+            values,
+            name,
+            i;
+
+        for (name in headers) {
+            if (headers.hasOwnProperty(name)) {
+                values = [].concat(headers[name]);
+                for (i = 0; i < values.length; ++i) {
+                    raw += name + ": " + values[i] + "\r\n";
+                }
+            }
+        }
+        return raw;
+    };
+
+    /**
+     * Connection checks itself for compatibility with running environment
+     *
+     * @method isCompatible
+     * @static
+     * @return {Boolean} whether the connection is compatible with current environment
+     */
+    NodeHttpConnection.isCompatible = function () {
+        return !!(NodeHttpConnection.http && NodeHttpConnection.https);
+    };
+
+    return NodeHttpConnection;
+});
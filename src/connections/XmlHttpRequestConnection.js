@@ -1,5 +1,5 @@
 /* global define */
-define(["structures/Response", "structures/CAPIError"], function (Response, CAPIError) {
+define(["structures/Response", "utils/createResponseError"], function (Response, createResponseError) {
     "use strict";
 
     /**
@@ -8,9 +8,35 @@ define(["structures/Response", "structures/CAPIError"], function (Response, CAPI
      *
      * @class XmlHttpRequestConnection
      * @constructor
+     * @param [options] {Object} object literal containing the connection options
+     * @param [options.onProgress] {Function} function called while the request body is uploaded.
+     * It receives the number of bytes sent, the total number of bytes (null if unknown) and the request.
+     * @example
+     *     connectionStack: [
+     *         {
+     *             connection: XmlHttpRequestConnection,
+     *             factory: function (Connection) {
+     *                 return new Connection({onProgress: function (loaded, total, request) {
+     *                     progressBar.value = loaded / total;
+     *                 }});
+     *             }
+     *         }
+     *     ]
      */
-    var XmlHttpRequestConnection = function () {
+    var XmlHttpRequestConnection = function (options) {
+        options = options || {};
+
         this._xhr = new XMLHttpRequest();
+
+        /**
+         * Function called while the request body is uploaded
+         *
+         * @property _onProgress
+         * @type {Function|null}
+         * @default null
+         * @protected
+         */
+        this._onProgress = options.onProgress || null;
     };
 
     /**
@@ -22,6 +48,7 @@ define(["structures/Response", "structures/CAPIError"], function (Response, CAPI
      */
     XmlHttpRequestConnection.prototype.execute = function (request, callback) {
         var XHR = this._xhr,
+            onProgress = this._onProgress,
             headerType;
 
         // Create the state change handler:
@@ -37,10 +64,7 @@ define(["structures/Response", "structures/CAPIError"], function (Response, CAPI
                 xhr: XHR,
             });
             if (XHR.status >= 400 || !XHR.status) {
-                callback(
-                    new CAPIError("Connection error : " + XHR.status + ".", {request: request}),
-                    response
-                );
+                callback(createResponseError(request, response), response);
                 return;
             }
             callback(false, response);
@@ -60,9 +84,23 @@ define(["structures/Response", "structures/CAPIError"], function (Response, CAPI
                 );
             }
         }
+        if (onProgress && request.body && XHR.upload) {
+            XHR.upload.onprogress = function (event) {
+                onProgress(event.loaded, event.lengthComputable ? event.total : null, request);
+            };
+        }
         XHR.send(request.body);
     };
 
+    /**
+     * Aborts the request in progress (if any)
+     *
+     * @method abort
+     */
+    XmlHttpRequestConnection.prototype.abort = function () {
+        this._xhr.abort();
+    };
+
     /**
      * Connection checks itself for compatibility with running environment
      *
@@ -71,7 +109,7 @@ define(["structures/Response", "structures/CAPIError"], function (Response, CAPI
      * @return {Boolean} whether the connection is compatible with current environment
      */
     XmlHttpRequestConnection.isCompatible = function () {
-        return !!window.XMLHttpRequest;
+        return typeof window !== "undefined" && !!window.XMLHttpRequest;
     };
 
     return XmlHttpRequestConnection;
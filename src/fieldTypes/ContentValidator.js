@@ -0,0 +1,375 @@
+/* global define */
+define(["structures/CAPIError"], function (CAPIError) {
+    "use strict";
+
+    /**
+     * Creates an instance of ContentValidator. The validator checks the
+     * fields of a {{#crossLink "ContentCreateStruct"}}ContentCreateStruct{{/crossLink}}
+     * or of a {{#crossLink "ContentUpdateStruct"}}ContentUpdateStruct{{/crossLink}}
+     * against the field definitions of the Content Type before the struct is
+     * sent, so that the errors are known without a round trip to the server.
+     * The loaded Content Types are kept by the validator.
+     *
+     * The following checks are made:
+     *
+     *  - the required fields are filled (in the main language for a create struct,
+     *  an update struct only changes the given fields)
+     *  - the fields exist in the Content Type
+     *  - the non translatable fields are only given in the main language
+     *  - the validator configuration of the ezstring, ezinteger, ezfloat, ezimage,
+     *  ezbinaryfile and ezmedia fields and the options of the ezselection fields
+     *
+     * @class ContentValidator
+     * @constructor
+     * @param contentTypeService {ContentTypeService} the service used to load the Content Types
+     * @example
+     *     var validator = jsCAPI.getContentValidator();
+     *
+     *     validator.validate(contentCreateStruct, function (error, result) {
+     *         if ( !error && !result.valid ) {
+     *             // result.errors.title[0].code === "required"
+     *             return;
+     *         }
+     *         contentService.createContent(contentCreateStruct, callback);
+     *     });
+     */
+    var ContentValidator = function (contentTypeService) {
+        this._contentTypeService = contentTypeService;
+        this._contentTypes = {};
+    };
+
+    /**
+     * Number of bytes in a megabyte, the maximum file sizes are configured
+     * in megabytes
+     *
+     * @property MEGABYTE
+     * @static
+     * @type {Number}
+     */
+    ContentValidator.MEGABYTE = 1024 * 1024;
+
+    /**
+     * Checks whether a flag of a field definition is set, the flags are
+     * either booleans or strings
+     *
+     * @method _isSet
+     * @static
+     * @protected
+     * @param flag {Boolean|String}
+     * @return {Boolean}
+     */
+    ContentValidator._isSet = function (flag) {
+        return flag === true || flag === "true";
+    };
+
+    /**
+     * Checks whether a field value is empty
+     *
+     * @method _isEmpty
+     * @static
+     * @protected
+     * @param fieldValue {Mixed}
+     * @return {Boolean}
+     */
+    ContentValidator._isEmpty = function (fieldValue) {
+        if (fieldValue === null || fieldValue === undefined || fieldValue === "") {
+            return true;
+        }
+        if (Array.isArray(fieldValue)) {
+            return fieldValue.length === 0;
+        }
+        if (typeof fieldValue === "object") {
+            if (fieldValue.hasOwnProperty("destinationContentIds")) {
+                return ContentValidator._isEmpty(fieldValue.destinationContentIds);
+            }
+            if (fieldValue.hasOwnProperty("destinationContentId")) {
+                return ContentValidator._isEmpty(fieldValue.destinationContentId);
+            }
+            return Object.keys(fieldValue).length === 0;
+        }
+        return false;
+    };
+
+    /**
+     * Returns the size in bytes of the file of a field value, computed from
+     * the base64 data or read from the `fileSize` property
+     *
+     * @method _getFileSize
+     * @static
+     * @protected
+     * @param fieldValue {Object}
+     * @return {Number|null} null if the size is unknown
+     */
+    ContentValidator._getFileSize = function (fieldValue) {
+        var data = fieldValue.data;
+
+        if (typeof data === "string" && data !== "") {
+            data = data.replace(/\s/g, "");
+            return Math.floor(data.length * 3 / 4) - (data.match(/=*$/)[0].length);
+        }
+        return (typeof fieldValue.fileSize === "number") ? fieldValue.fileSize : null;
+    };
+
+    /**
+     * The checks of the field values by field type, each check receives the
+     * field value and the field definition and returns an array of errors
+     * without the `languageCode`
+     *
+     * @property _fieldTypeChecks
+     * @static
+     * @protected
+     * @type {Object}
+     */
+    ContentValidator._fieldTypeChecks = (function () {
+        var range = function (validatorName, minName, maxName, integer) {
+                return function (fieldValue, fieldDefinition) {
+                    var settings = (fieldDefinition.validatorConfiguration || {})[validatorName] || {},
+                        min = settings[minName],
+                        max = settings[maxName];
+
+                    if (typeof fieldValue !== "number" || (integer && fieldValue % 1 !== 0)) {
+                        return [{
+                            code: "invalidValue",
+                            message: (integer ? "An integer" : "A number") + " is expected."
+                        }];
+                    }
+                    if (typeof min === "number" && fieldValue < min) {
+                        return [{code: "tooSmall", message: "The value must be at least " + min + ".", limit: min}];
+                    }
+                    if (typeof max === "number" && fieldValue > max) {
+                        return [{code: "tooLarge", message: "The value must be at most " + max + ".", limit: max}];
+                    }
+                    return [];
+                };
+            },
+
+            fileSize = function (fieldValue, fieldDefinition) {
+                var settings = (fieldDefinition.validatorConfiguration || {}).FileSizeValidator || {},
+                    maxFileSize = settings.maxFileSize,
+                    size = ContentValidator._getFileSize(fieldValue);
+
+                if (maxFileSize && size !== null && size > maxFileSize * ContentValidator.MEGABYTE) {
+                    return [{
+                        code: "fileTooLarge",
+                        message: "The file must not be larger than " + maxFileSize + " MB.",
+                        limit: maxFileSize
+                    }];
+                }
+                return [];
+            };
+
+        return {
+            ezstring: function (fieldValue, fieldDefinition) {
+                var settings = (fieldDefinition.validatorConfiguration || {}).StringLengthValidator || {},
+                    min = settings.minStringLength,
+                    max = settings.maxStringLength;
+
+                if (typeof fieldValue !== "string") {
+                    return [{code: "invalidValue", message: "A string is expected."}];
+                }
+                if (min && fieldValue.length < min) {
+                    return [{code: "tooShort", message: "The text must be at least " + min + " characters long.", limit: min}];
+                }
+                if (max && fieldValue.length > max) {
+                    return [{code: "tooLong", message: "The text must be at most " + max + " characters long.", limit: max}];
+                }
+                return [];
+            },
+
+            ezinteger: range("IntegerValueValidator", "minIntegerValue", "maxIntegerValue", true),
+            ezfloat: range("FloatValueValidator", "minFloatValue", "maxFloatValue", false),
+
+            ezselection: function (fieldValue, fieldDefinition) {
+                var settings = fieldDefinition.fieldSettings || {},
+                    options = settings.options || [],
+                    selection = [].concat(fieldValue),
+                    errors = [];
+
+                selection.forEach(function (index) {
+                    if (typeof index !== "number" || !options.hasOwnProperty(index)) {
+                        errors.push({code: "invalidOption", message: "The option " + index + " does not exist.", option: index});
+                    }
+                });
+                if (!ContentValidator._isSet(settings.isMultiple) && selection.length > 1) {
+                    errors.push({code: "multipleOptions", message: "Only one option can be selected."});
+                }
+                return errors;
+            },
+
+            ezimage: fileSize,
+            ezbinaryfile: fileSize,
+            ezmedia: fileSize
+        };
+    }());
+
+    /**
+     * Validates the fields of a create or an update struct. The callback
+     * receives an error (or false) and the result, an object with:
+     *
+     *  - `valid`: whether the struct is valid
+     *  - `errors`: the errors indexed by field definition identifier, each
+     *  error has a `code` ("required", "unknown", "notTranslatable",
+     *  "invalidValue", "tooShort", "tooLong", "tooSmall", "tooLarge",
+     *  "invalidOption", "multipleOptions" or "fileTooLarge"), a `message`
+     *  and the `languageCode` of the field
+     *
+     * The error is only given when the validation can not be made (e.g. the
+     * Content Type can not be loaded), then the second argument is the
+     * Response if any.
+     *
+     * @method validate
+     * @param struct {ContentCreateStruct|ContentUpdateStruct}
+     * @param [options] {Object}
+     * @param [options.contentTypeId] {String} the Content Type id, required for an update struct
+     * @param [options.mainLanguageCode] {String} the main language of the Content, used to check
+     * the non translatable fields of an update struct
+     * @param callback {Function} callback receiving an error (or false) and the result
+     */
+    ContentValidator.prototype.validate = function (struct, options, callback) {
+        var that = this,
+            body = (struct && struct.body) || {},
+            contentTypeId,
+            isCreate = !!body.ContentCreate;
+
+        if (typeof options === "function") {
+            callback = options;
+            options = {};
+        }
+        options = options || {};
+
+        if (!isCreate && !body.VersionUpdate) {
+            callback(new CAPIError("The struct is neither a ContentCreateStruct nor a ContentUpdateStruct."), false);
+            return;
+        }
+        contentTypeId = options.contentTypeId || (isCreate && body.ContentCreate.ContentType._href);
+        if (!contentTypeId) {
+            callback(new CAPIError("The Content Type id is required to validate the struct."), false);
+            return;
+        }
+
+        this._loadContentType(contentTypeId, function (error, contentType) {
+            if (error) {
+                callback(error, contentType);
+                return;
+            }
+            if (isCreate) {
+                callback(false, that.validateFields(
+                    contentType, body.ContentCreate.fields.field, body.ContentCreate.mainLanguageCode, true
+                ));
+            } else {
+                callback(false, that.validateFields(
+                    contentType, body.VersionUpdate.fields.field, options.mainLanguageCode, false, body.VersionUpdate.initialLanguageCode
+                ));
+            }
+        });
+    };
+
+    /**
+     * Validates the fields against an already loaded Content Type. See
+     * {{#crossLink "ContentValidator/validate:method"}}validate{{/crossLink}}
+     * for the result.
+     *
+     * @method validateFields
+     * @param contentType {Object} the ContentType (e.g. `response.document.ContentType`)
+     * @param fields {Array} the fields of the struct
+     * @param [mainLanguageCode] {String} the main language, the non translatable fields are only
+     * checked if it is given
+     * @param [checkRequired=false] {Boolean} whether all the required fields must be given (create)
+     * @param [defaultLanguageCode] {String} the language of the fields without a languageCode, by
+     * default the main language
+     * @return {Object} the result
+     */
+    ContentValidator.prototype.validateFields = function (contentType, fields, mainLanguageCode, checkRequired, defaultLanguageCode) {
+        var fieldDefinitions = {},
+            filled = {},
+            missing = {},
+            errors = {},
+            addError = function (identifier, languageCode, error) {
+                error.languageCode = languageCode;
+                errors[identifier] = errors[identifier] || [];
+                errors[identifier].push(error);
+            };
+
+        defaultLanguageCode = defaultLanguageCode || mainLanguageCode;
+        ((contentType.FieldDefinitions || {}).FieldDefinition || []).forEach(function (fieldDefinition) {
+            fieldDefinitions[fieldDefinition.identifier] = fieldDefinition;
+        });
+
+        fields.forEach(function (field) {
+            var identifier = field.fieldDefinitionIdentifier,
+                fieldDefinition = fieldDefinitions[identifier],
+                languageCode = field.languageCode || defaultLanguageCode,
+                check;
+
+            if (!fieldDefinition) {
+                addError(identifier, languageCode, {
+                    code: "unknown",
+                    message: "The field does not exist in the Content Type " + contentType.identifier + "."
+                });
+                return;
+            }
+            if (mainLanguageCode && languageCode !== mainLanguageCode && !ContentValidator._isSet(fieldDefinition.isTranslatable)) {
+                addError(identifier, languageCode, {
+                    code: "notTranslatable",
+                    message: "The field is not translatable, it can only be given in " + mainLanguageCode + "."
+                });
+            }
+            if (ContentValidator._isEmpty(field.fieldValue)) {
+                if (ContentValidator._isSet(fieldDefinition.isRequired)) {
+                    if (languageCode === mainLanguageCode) {
+                        missing[identifier] = true;
+                    }
+                    addError(identifier, languageCode, {code: "required", message: "The field is required."});
+                }
+                return;
+            }
+            if (languageCode === mainLanguageCode) {
+                filled[identifier] = true;
+            }
+            check = ContentValidator._fieldTypeChecks[fieldDefinition.fieldType];
+            if (check) {
+                check(field.fieldValue, fieldDefinition).forEach(function (error) {
+                    addError(identifier, languageCode, error);
+                });
+            }
+        });
+
+        if (checkRequired) {
+            Object.keys(fieldDefinitions).forEach(function (identifier) {
+                if (ContentValidator._isSet(fieldDefinitions[identifier].isRequired) && !filled[identifier] && !missing[identifier]) {
+                    addError(identifier, mainLanguageCode, {code: "required", message: "The field is required."});
+                }
+            });
+        }
+
+        return {valid: Object.keys(errors).length === 0, errors: errors};
+    };
+
+    /**
+     * Loads the Content Type, a Content Type is loaded only once
+     *
+     * @method _loadContentType
+     * @protected
+     * @param contentTypeId {String}
+     * @param callback {Function} callback receiving an error (or false) and the ContentType,
+     * the Response if an error occurred
+     */
+    ContentValidator.prototype._loadContentType = function (contentTypeId, callback) {
+        var that = this;
+
+        if (this._contentTypes.hasOwnProperty(contentTypeId)) {
+            callback(false, this._contentTypes[contentTypeId]);
+            return;
+        }
+        this._contentTypeService.loadContentType(contentTypeId, function (error, response) {
+            if (error) {
+                callback(error, response);
+                return;
+            }
+            that._contentTypes[contentTypeId] = response.document.ContentType;
+            callback(false, that._contentTypes[contentTypeId]);
+        });
+    };
+
+    return ContentValidator;
+});
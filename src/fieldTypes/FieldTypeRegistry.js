@@ -0,0 +1,130 @@
+/* global define */
+define(["fieldTypes/standardFieldTypes", "structures/CAPIError"], function (standardFieldTypes, CAPIError) {
+    "use strict";
+
+    /**
+     * Creates an instance of FieldTypeRegistry. The registry knows how to
+     * build the `fieldValue` of a create or update struct for a field type
+     * (serialize) and how to read the `fieldValue` of a response (parse).
+     * The standard eZ field types are registered by default (see
+     * {{#crossLink "standardFieldTypes"}}standardFieldTypes{{/crossLink}}),
+     * the values of the other field types are used as is.
+     *
+     * @class FieldTypeRegistry
+     * @constructor
+     * @example
+     *     var registry = jsCAPI.getFieldTypeRegistry();
+     *
+     *     contentCreateStruct.addField("publish_date", registry.serialize("ezdate", new Date()));
+     *     registry.register("mytags", {
+     *         serialize: function (tags) { return {tags: tags}; },
+     *         parse: function (fieldValue) { return fieldValue.tags; }
+     *     });
+     */
+    var FieldTypeRegistry = function () {
+        var fieldType;
+
+        this._fieldTypes = {};
+        for (fieldType in standardFieldTypes) {
+            if (standardFieldTypes.hasOwnProperty(fieldType)) {
+                this.register(fieldType, standardFieldTypes[fieldType]);
+            }
+        }
+    };
+
+    /**
+     * Registers (or replaces) the definition of a field type
+     *
+     * @method register
+     * @param fieldType {String} the field type identifier (e.g. "ezstring")
+     * @param definition {Object}
+     * @param definition.serialize {Function} function receiving the JS value and returning the `fieldValue`
+     * @param definition.parse {Function} function receiving the `fieldValue` and returning the JS value
+     * @return {FieldTypeRegistry}
+     */
+    FieldTypeRegistry.prototype.register = function (fieldType, definition) {
+        if (!definition || typeof definition.serialize !== "function" || typeof definition.parse !== "function") {
+            throw new CAPIError("A field type definition needs a serialize and a parse function.", {fieldType: fieldType});
+        }
+        this._fieldTypes[fieldType] = definition;
+        return this;
+    };
+
+    /**
+     * Checks whether the field type is registered
+     *
+     * @method has
+     * @param fieldType {String} the field type identifier
+     * @return {Boolean}
+     */
+    FieldTypeRegistry.prototype.has = function (fieldType) {
+        return this._fieldTypes.hasOwnProperty(fieldType);
+    };
+
+    /**
+     * Builds the `fieldValue` of a struct from the JS value. An invalid value
+     * throws a CAPIError.
+     *
+     * @method serialize
+     * @param fieldType {String} the field type identifier
+     * @param value {Mixed} the JS value (e.g. a Date for an ezdate field)
+     * @return {Mixed} the field value
+     */
+    FieldTypeRegistry.prototype.serialize = function (fieldType, value) {
+        return this.has(fieldType) ? this._fieldTypes[fieldType].serialize(value) : value;
+    };
+
+    /**
+     * Builds the JS value from the `fieldValue` of a response
+     *
+     * @method parse
+     * @param fieldType {String} the field type identifier
+     * @param fieldValue {Mixed} the field value
+     * @return {Mixed} the JS value (e.g. a Date for an ezdate field)
+     */
+    FieldTypeRegistry.prototype.parse = function (fieldType, fieldValue) {
+        return this.has(fieldType) ? this._fieldTypes[fieldType].parse(fieldValue) : fieldValue;
+    };
+
+    /**
+     * Parses the fields of a Version (or of a Content with its current
+     * version) and returns the JS values indexed by field definition
+     * identifier. The field type of a field is read from the field or from
+     * the field definitions of the Content Type.
+     *
+     * @method parseFields
+     * @param fields {Array} the fields (e.g. `version.Fields.field`)
+     * @param [fieldDefinitions] {Array} the field definitions of the Content Type
+     * (e.g. `contentType.FieldDefinitions.FieldDefinition`)
+     * @param [languageCode] {String} the language of the fields to parse, by default all the
+     * fields are parsed, the last one wins
+     * @return {Object}
+     * @example
+     *     var values = registry.parseFields(
+     *         versionResponse.document.Version.Fields.field,
+     *         contentTypeResponse.document.ContentType.FieldDefinitions.FieldDefinition
+     *     );
+     *
+     *     values.publish_date.getFullYear();
+     */
+    FieldTypeRegistry.prototype.parseFields = function (fields, fieldDefinitions, languageCode) {
+        var that = this,
+            fieldTypes = {},
+            values = {};
+
+        (fieldDefinitions || []).forEach(function (fieldDefinition) {
+            fieldTypes[fieldDefinition.identifier] = fieldDefinition.fieldType;
+        });
+        fields.forEach(function (field) {
+            var identifier = field.fieldDefinitionIdentifier;
+
+            if (languageCode && field.languageCode !== languageCode) {
+                return;
+            }
+            values[identifier] = that.parse(field.fieldTypeIdentifier || fieldTypes[identifier], field.fieldValue);
+        });
+        return values;
+    };
+
+    return FieldTypeRegistry;
+});
@@ -0,0 +1,280 @@
+/* global define */
+define(["structures/CAPIError"], function (CAPIError) {
+    "use strict";
+
+    /**
+     * Creates an instance of ImageVariationLoader. The loader resolves the
+     * variations (e.g. "medium") of the ezimage field values, the variations
+     * are loaded with a bounded number of simultaneous requests and the
+     * result is kept for each version of the image, so that a listing can
+     * load the thumbnails of many images at once and render them afterwards.
+     *
+     * @class ImageVariationLoader
+     * @constructor
+     * @param contentService {ContentService} the service used to load the variations
+     * @param [options] {Object}
+     * @param [options.concurrency=4] {Number} the maximum number of variations loaded at the same time
+     * @example
+     *     var loader = jsCAPI.getImageVariationLoader();
+     *
+     *     loader.loadVariations(imageFields, "small", function (error) {
+     *         imageFields.forEach(function (field) {
+     *             renderThumbnail(loader.getVariationUrl(field, "small"));
+     *         });
+     *     });
+     */
+    var ImageVariationLoader = function (contentService, options) {
+        options = options || {};
+
+        this._contentService = contentService;
+
+        /**
+         * The maximum number of variations loaded at the same time
+         *
+         * @property concurrency
+         * @type {Number}
+         */
+        this.concurrency = Math.max(1, options.concurrency || ImageVariationLoader.DEFAULT_CONCURRENCY);
+
+        /**
+         * The loaded variations indexed by cache key
+         *
+         * @property _variations
+         * @type {Object}
+         * @protected
+         */
+        this._variations = {};
+
+        /**
+         * The callbacks waiting for a variation being loaded, indexed by cache key
+         *
+         * @property _pending
+         * @type {Object}
+         * @protected
+         */
+        this._pending = {};
+
+        this._queue = [];
+        this._running = 0;
+    };
+
+    /**
+     * The default maximum number of variations loaded at the same time
+     *
+     * @property DEFAULT_CONCURRENCY
+     * @static
+     * @type {Number}
+     */
+    ImageVariationLoader.DEFAULT_CONCURRENCY = 4;
+
+    /**
+     * Returns the ezimage field value of a field, the field value can also be
+     * given directly
+     *
+     * @method _getFieldValue
+     * @static
+     * @protected
+     * @param field {Object} the field (e.g. an item of `version.Fields.field`) or its field value
+     * @return {Object|null}
+     */
+    ImageVariationLoader._getFieldValue = function (field) {
+        if (field && field.fieldValue !== undefined) {
+            return field.fieldValue;
+        }
+        return field || null;
+    };
+
+    /**
+     * Returns the href of the variation and the key under which it is
+     * cached. The key contains the image id of the field value which changes
+     * with each version of the image.
+     *
+     * @method _resolve
+     * @static
+     * @protected
+     * @param fieldValue {Object} the ezimage field value
+     * @param variationName {String} the variation alias (e.g. "medium")
+     * @return {Object} object with the `href` and the `key`
+     */
+    ImageVariationLoader._resolve = function (fieldValue, variationName) {
+        var variation = (fieldValue.variations || {})[variationName];
+
+        if (!variation || !variation.href) {
+            throw new CAPIError(
+                "The image does not have the variation " + variationName + ".",
+                {variation: variationName, fieldValue: fieldValue}
+            );
+        }
+        return {
+            href: variation.href,
+            key: variation.href + "|" + (fieldValue.id || fieldValue.uri || "")
+        };
+    };
+
+    /**
+     * Gives the variation of an image. The callback receives an error (or
+     * false) and an object literal with the `uri`, the `width`, the
+     * `height`, the `fileSize` and the `contentType` of the variation, null
+     * if the field is empty. If the variation can not be loaded, the
+     * callback receives the Response.
+     *
+     * @method getVariation
+     * @param field {Object} the ezimage field or its field value
+     * @param variationName {String} the variation alias (e.g. "medium")
+     * @param callback {Function} callback receiving an error (or false) and the variation
+     */
+    ImageVariationLoader.prototype.getVariation = function (field, variationName, callback) {
+        var fieldValue = ImageVariationLoader._getFieldValue(field),
+            resolved;
+
+        if (!fieldValue) {
+            callback(false, null);
+            return;
+        }
+        try {
+            resolved = ImageVariationLoader._resolve(fieldValue, variationName);
+        } catch (error) {
+            callback(error, null);
+            return;
+        }
+
+        if (this._variations.hasOwnProperty(resolved.key)) {
+            callback(false, this._variations[resolved.key]);
+            return;
+        }
+        if (this._pending[resolved.key]) {
+            this._pending[resolved.key].push(callback);
+            return;
+        }
+        this._pending[resolved.key] = [callback];
+        this._queue.push(resolved);
+        this._next();
+    };
+
+    /**
+     * Returns the URI of the variation of an image. Without a callback, the
+     * URI is returned if the variation is already loaded (see
+     * {{#crossLink "ImageVariationLoader/loadVariations:method"}}loadVariations{{/crossLink}}),
+     * otherwise null is returned. With a callback, the variation is loaded
+     * if needed and the callback receives an error (or false) and the URI.
+     *
+     * @method getVariationUrl
+     * @param field {Object} the ezimage field or its field value
+     * @param variationName {String} the variation alias (e.g. "medium")
+     * @param [callback] {Function} callback receiving an error (or false) and the URI
+     * @return {String|null} the URI of an already loaded variation
+     */
+    ImageVariationLoader.prototype.getVariationUrl = function (field, variationName, callback) {
+        var fieldValue = ImageVariationLoader._getFieldValue(field),
+            key;
+
+        if (callback) {
+            this.getVariation(field, variationName, function (error, variation) {
+                callback(error, (!error && variation) ? variation.uri : null);
+            });
+        }
+        try {
+            key = fieldValue && ImageVariationLoader._resolve(fieldValue, variationName).key;
+        } catch (error) {
+            return null;
+        }
+        return (key && this._variations.hasOwnProperty(key)) ? this._variations[key].uri : null;
+    };
+
+    /**
+     * Loads the variation of several images, at most
+     * {{#crossLink "ImageVariationLoader/concurrency:property"}}concurrency{{/crossLink}}
+     * variations are loaded at the same time. The callback receives the
+     * first error (or false) and the variations in the order of the fields,
+     * null for an empty field or a variation which can not be loaded.
+     *
+     * @method loadVariations
+     * @param fields {Array} the ezimage fields or their field values
+     * @param variationName {String} the variation alias (e.g. "small")
+     * @param callback {Function} callback receiving an error (or false) and the variations
+     */
+    ImageVariationLoader.prototype.loadVariations = function (fields, variationName, callback) {
+        var that = this,
+            variations = [],
+            firstError = false,
+            remaining = fields.length;
+
+        if (!remaining) {
+            callback(false, variations);
+            return;
+        }
+        fields.forEach(function (field, index) {
+            that.getVariation(field, variationName, function (error, variation) {
+                firstError = firstError || error;
+                variations[index] = error ? null : variation;
+                remaining--;
+                if (!remaining) {
+                    callback(firstError, variations);
+                }
+            });
+        });
+    };
+
+    /**
+     * Forgets the loaded variations
+     *
+     * @method clearCache
+     */
+    ImageVariationLoader.prototype.clearCache = function () {
+        this._variations = {};
+    };
+
+    /**
+     * Loads the queued variations while the concurrency allows it
+     *
+     * @method _next
+     * @protected
+     */
+    ImageVariationLoader.prototype._next = function () {
+        var resolved;
+
+        while (this._running < this.concurrency && this._queue.length) {
+            resolved = this._queue.shift();
+            this._running++;
+            this._load(resolved);
+        }
+    };
+
+    /**
+     * Loads a variation and calls the callbacks waiting for it
+     *
+     * @method _load
+     * @protected
+     * @param resolved {Object} object with the `href` and the cache `key` of the variation
+     */
+    ImageVariationLoader.prototype._load = function (resolved) {
+        var that = this;
+
+        this._contentService.loadImageVariation(resolved.href, function (error, response) {
+            var callbacks = that._pending[resolved.key],
+                variation = null,
+                document;
+
+            delete that._pending[resolved.key];
+            that._running--;
+            if (!error) {
+                document = response.document.ContentImageVariation;
+                variation = {
+                    uri: document.uri,
+                    width: document.width,
+                    height: document.height,
+                    fileSize: document.fileSize,
+                    contentType: document.contentType
+                };
+                that._variations[resolved.key] = variation;
+            }
+            // the queue goes on even if a callback throws
+            that._next();
+            callbacks.forEach(function (callback) {
+                callback(error, error ? response : variation);
+            });
+        });
+    };
+
+    return ImageVariationLoader;
+});
@@ -0,0 +1,286 @@
+/* global define */
+define(["structures/CAPIError"], function (CAPIError) {
+    "use strict";
+
+    /**
+     * Provides the definitions of the standard eZ field types, registered by
+     * default in the {{#crossLink "FieldTypeRegistry"}}FieldTypeRegistry{{/crossLink}}.
+     * Each definition has a `serialize` function building the `fieldValue` of
+     * a create or update struct from a JS value and a `parse` function
+     * building the JS value from the `fieldValue` of a response.
+     *
+     * @class standardFieldTypes
+     * @static
+     */
+    var identity = function (value) {
+            return value;
+        },
+
+        invalid = function (fieldType, value, expected) {
+            return new CAPIError(
+                "Invalid value for the " + fieldType + " field type, " + expected + " expected.",
+                {fieldType: fieldType, value: value}
+            );
+        },
+
+        // accepts a content id or a content REST id (e.g. "/api/ezp/v2/content/objects/42")
+        toContentId = function (fieldType, id) {
+            var match = (/\/content\/objects\/(\d+)\/?$/).exec(id);
+
+            if (match) {
+                return parseInt(match[1], 10);
+            }
+            if (typeof id === "number" || (typeof id === "string" && (/^\d+$/).test(id))) {
+                return parseInt(id, 10);
+            }
+            throw invalid(fieldType, id, "a content id");
+        },
+
+        scalar = function (fieldType, type) {
+            return {
+                serialize: function (value) {
+                    if (value !== null && typeof value !== type) {
+                        throw invalid(fieldType, value, "a " + type);
+                    }
+                    return value;
+                },
+                parse: identity
+            };
+        },
+
+        // the ezdate and ezdatetime field values are timestamps in seconds
+        date = function (fieldType) {
+            return {
+                serialize: function (value) {
+                    if (value === null) {
+                        return null;
+                    }
+                    if (value instanceof Date) {
+                        return {timestamp: Math.floor(value.getTime() / 1000)};
+                    }
+                    if (typeof value === "number") {
+                        return {timestamp: value};
+                    }
+                    throw invalid(fieldType, value, "a Date or a timestamp");
+                },
+                parse: function (fieldValue) {
+                    if (!fieldValue || fieldValue.timestamp === undefined || fieldValue.timestamp === null) {
+                        return null;
+                    }
+                    return new Date(fieldValue.timestamp * 1000);
+                }
+            };
+        },
+
+        // the ezxmltext and ezrichtext field values hold the XML document
+        xml = function (fieldType) {
+            return {
+                serialize: function (value) {
+                    if (typeof value !== "string") {
+                        throw invalid(fieldType, value, "an XML string");
+                    }
+                    return {xml: value};
+                },
+                parse: function (fieldValue) {
+                    return fieldValue ? fieldValue.xml : null;
+                }
+            };
+        },
+
+        // ezimage, ezbinaryfile and ezmedia, the file content is base64 encoded in data
+        file = function (fieldType, properties) {
+            return {
+                serialize: function (value) {
+                    var fieldValue = {};
+
+                    if (value === null) {
+                        return null;
+                    }
+                    if (!value || typeof value.fileName !== "string" || (!value.data && !value.inputUri && !value.id)) {
+                        throw invalid(fieldType, value, "an object with a fileName and the base64 data");
+                    }
+                    ["fileName", "data", "fileSize", "inputUri", "id"].concat(properties).forEach(function (name) {
+                        if (value[name] !== undefined) {
+                            fieldValue[name] = value[name];
+                        }
+                    });
+                    return fieldValue;
+                },
+                parse: identity
+            };
+        },
+
+        list = function (fieldType, itemType) {
+            return {
+                serialize: function (value) {
+                    value = (value === null || value === undefined) ? [] : [].concat(value);
+                    value.forEach(function (item) {
+                        if (typeof item !== itemType) {
+                            throw invalid(fieldType, item, "a " + itemType + " or an array of " + itemType + "s");
+                        }
+                    });
+                    return value;
+                },
+                parse: function (fieldValue) {
+                    return fieldValue || [];
+                }
+            };
+        };
+
+    return {
+        ezstring: scalar("ezstring", "string"),
+        eztext: scalar("eztext", "string"),
+        ezemail: scalar("ezemail", "string"),
+        ezisbn: scalar("ezisbn", "string"),
+        ezinteger: scalar("ezinteger", "number"),
+        ezfloat: scalar("ezfloat", "number"),
+        ezboolean: scalar("ezboolean", "boolean"),
+
+        ezdate: date("ezdate"),
+        ezdatetime: date("ezdatetime"),
+
+        eztime: {
+            // seconds since midnight
+            serialize: function (value) {
+                if (value instanceof Date) {
+                    return value.getHours() * 3600 + value.getMinutes() * 60 + value.getSeconds();
+                }
+                if (value !== null && typeof value !== "number") {
+                    throw invalid("eztime", value, "a Date or a number of seconds");
+                }
+                return value;
+            },
+            parse: identity
+        },
+
+        ezxmltext: xml("ezxmltext"),
+        ezrichtext: xml("ezrichtext"),
+
+        ezimage: file("ezimage", ["alternativeText"]),
+        ezbinaryfile: file("ezbinaryfile", ["mimeType"]),
+        ezmedia: file("ezmedia", ["mimeType", "width", "height", "hasController", "autoplay", "loop"]),
+
+        ezselection: list("ezselection", "number"),
+        ezkeyword: {
+            serialize: function (value) {
+                if (typeof value === "string") {
+                    value = value.split(",").map(function (keyword) {
+                        return keyword.trim();
+                    }).filter(function (keyword) {
+                        return keyword !== "";
+                    });
+                }
+                return list("ezkeyword", "string").serialize(value);
+            },
+            parse: list("ezkeyword", "string").parse
+        },
+        ezcountry: {
+            serialize: list("ezcountry", "string").serialize,
+            // the countries are given as an array or as an object indexed by alpha2 code
+            parse: function (fieldValue) {
+                if (!fieldValue) {
+                    return [];
+                }
+                if (Array.isArray(fieldValue)) {
+                    return fieldValue.map(function (country) {
+                        return (typeof country === "string") ? country : country.Alpha2;
+                    });
+                }
+                return Object.keys(fieldValue);
+            }
+        },
+
+        ezobjectrelation: {
+            serialize: function (value) {
+                return {destinationContentId: (value === null) ? null : toContentId("ezobjectrelation", value)};
+            },
+            parse: function (fieldValue) {
+                return (fieldValue && fieldValue.destinationContentId) || null;
+            }
+        },
+        ezobjectrelationlist: {
+            serialize: function (value) {
+                value = (value === null || value === undefined) ? [] : [].concat(value);
+                return {
+                    destinationContentIds: value.map(function (id) {
+                        return toContentId("ezobjectrelationlist", id);
+                    })
+                };
+            },
+            parse: function (fieldValue) {
+                return (fieldValue && fieldValue.destinationContentIds) || [];
+            }
+        },
+
+        ezurl: {
+            serialize: function (value) {
+                if (typeof value === "string") {
+                    return {link: value, text: ""};
+                }
+                if (!value || typeof value.link !== "string") {
+                    throw invalid("ezurl", value, "an url or an object with a link");
+                }
+                return {link: value.link, text: value.text || ""};
+            },
+            parse: identity
+        },
+
+        ezgmaplocation: {
+            serialize: function (value) {
+                if (value === null) {
+                    return null;
+                }
+                if (!value || typeof value.latitude !== "number" || typeof value.longitude !== "number") {
+                    throw invalid("ezgmaplocation", value, "an object with a latitude and a longitude");
+                }
+                return {latitude: value.latitude, longitude: value.longitude, address: value.address || ""};
+            },
+            parse: identity
+        },
+
+        ezuser: {
+            serialize: function (value) {
+                if (!value || typeof value.login !== "string" || typeof value.email !== "string") {
+                    throw invalid("ezuser", value, "an object with a login and an email");
+                }
+                return {
+                    login: value.login,
+                    email: value.email,
+                    password: value.password,
+                    enabled: (value.enabled !== false)
+                };
+            },
+            parse: identity
+        },
+
+        ezprice: {
+            serialize: function (value) {
+                if (typeof value === "number") {
+                    return {price: value};
+                }
+                if (!value || typeof value.price !== "number") {
+                    throw invalid("ezprice", value, "a number or an object with a price");
+                }
+                return value;
+            },
+            parse: function (fieldValue) {
+                return fieldValue ? fieldValue.price : null;
+            }
+        },
+
+        ezauthor: {
+            serialize: function (value) {
+                value = (value === null || value === undefined) ? [] : [].concat(value);
+                return value.map(function (author, index) {
+                    if (!author || typeof author.name !== "string") {
+                        throw invalid("ezauthor", author, "an object with a name");
+                    }
+                    return {id: (author.id !== undefined) ? author.id : index + 1, name: author.name, email: author.email || ""};
+                });
+            },
+            parse: function (fieldValue) {
+                return fieldValue || [];
+            }
+        }
+    };
+});
@@ -0,0 +1,29 @@
+/* global define */
+define(function () {
+    "use strict";
+
+    /**
+     * Provides only the `logRequests` middleware.
+     *
+     * @class logRequests
+     * @static
+     */
+
+    /**
+     * Middleware logging each request to the js console before it is sent.
+     * It is used by the ConnectionManager when its `logRequests` property is
+     * true.
+     *
+     * @method logRequests
+     * @static
+     * @param request {Request}
+     * @param next {Function}
+     * @param callback {Function}
+     */
+    var logRequests = function (request, next, callback) {
+        console.dir(request);
+        next(request, callback);
+    };
+
+    return logRequests;
+});
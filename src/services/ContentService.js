@@ -3,12 +3,12 @@ define(["structures/ContentCreateStruct", "structures/ContentUpdateStruct", "str
         "structures/LocationCreateStruct", "structures/LocationUpdateStruct", "structures/ContentMetadataUpdateStruct",
         "structures/ObjectStateGroupCreateStruct", "structures/ObjectStateGroupUpdateStruct", "structures/ObjectStateCreateStruct",
         "structures/ObjectStateUpdateStruct", "structures/ViewCreateStruct", "structures/UrlAliasCreateStruct",
-        "structures/UrlWildcardCreateStruct", "structures/RelationCreateStruct", "utils/uriparse"],
+        "structures/UrlWildcardCreateStruct", "structures/RelationCreateStruct", "utils/uriparse", "utils/Pager"],
     function (ContentCreateStruct, ContentUpdateStruct, SectionInputStruct,
               LocationCreateStruct, LocationUpdateStruct, ContentMetadataUpdateStruct,
               ObjectStateGroupCreateStruct, ObjectStateGroupUpdateStruct, ObjectStateCreateStruct,
               ObjectStateUpdateStruct, ViewCreateStruct, UrlAliasCreateStruct,
-              UrlWildcardCreateStruct, RelationCreateStruct, parseUriTemplate) {
+              UrlWildcardCreateStruct, RelationCreateStruct, parseUriTemplate, Pager) {
     "use strict";
 
     /**
@@ -142,10 +142,16 @@ define(["structures/ContentCreateStruct", "structures/ContentUpdateStruct", "str
      *
      * @method newViewCreateStruct
      * @param identifier {String} unique view identifier (e.g. "my-new-view")
+     * @param [queryBuilder] {QueryBuilder} the query of the view
      * @return {ViewCreateStruct}
      */
-    ContentService.prototype.newViewCreateStruct = function (identifier) {
-        return new ViewCreateStruct(identifier);
+    ContentService.prototype.newViewCreateStruct = function (identifier, queryBuilder) {
+        var viewCreateStruct = new ViewCreateStruct(identifier);
+
+        if (queryBuilder) {
+            queryBuilder.applyTo(viewCreateStruct);
+        }
+        return viewCreateStruct;
     };
 
     /**
@@ -978,6 +984,32 @@ define(["structures/ContentCreateStruct", "structures/ContentUpdateStruct", "str
         );
     };
 
+    /**
+     * Returns a {{#crossLink "Pager"}}Pager{{/crossLink}} walking the children
+     * of the target location page by page (see
+     * {{#crossLink "ContentService/loadLocationChildren:method"}}loadLocationChildren{{/crossLink}})
+     *
+     * @method newLocationChildrenPager
+     * @param locationId {String} target location identifier (e.g. "/api/ezp/v2/content/locations/1/2/102")
+     * @param [options] {Object} the options of the Pager (e.g. `pageSize`)
+     * @return {Pager}
+     * @example
+     *      contentService.newLocationChildrenPager("/api/ezp/v2/content/locations/1/2", {pageSize: 50}).forEach(
+     *          function (location, index, done) {
+     *              renderLocation(location);
+     *              done();
+     *          },
+     *          callback
+     *      );
+     */
+    ContentService.prototype.newLocationChildrenPager = function (locationId, options) {
+        var that = this;
+
+        return new Pager(function (limit, offset, callback) {
+            that.loadLocationChildren(locationId, limit, offset, callback);
+        }, options);
+    };
+
     /**
      *  Copies the subtree starting from "subtree" as a new subtree of "targetLocation"
      *
@@ -1069,10 +1101,10 @@ define(["structures/ContentCreateStruct", "structures/ContentUpdateStruct", "str
      * @param callback {Function} callback executed after performing the request (see
      *  {{#crossLink "ContentService"}}Note on the callbacks usage{{/crossLink}} for more info)
      * @example
-     *     var viewCreateStruct = contentService.newViewCreateStruct('some-test-id');
-     *     viewCreateStruct.body.ViewInput.Query.Criteria = {
-     *         FullTextCriterion : "title"
-     *     };
+     *     var viewCreateStruct = contentService.newViewCreateStruct(
+     *         'some-test-id',
+     *         new eZ.QueryBuilder().where(eZ.QueryBuilder.fullText("title"))
+     *     );
      *     contentService.createView(
      *         viewCreateStruct,
      *         callback
@@ -1100,6 +1132,130 @@ define(["structures/ContentCreateStruct", "structures/ContentUpdateStruct", "str
         );
     };
 
+    /**
+     * Loads the stored views
+     *
+     * @method loadViews
+     * @param [limit=-1] {Number} the number of results returned
+     * @param [offset=0] {Number} the offset of the result set
+     * @param callback {Function} callback executed after performing the request (see
+     *  {{#crossLink "ContentService"}}Note on the callbacks usage{{/crossLink}} for more info)
+     * @example
+     *      //See loadLocationChildren for example of "offset" and "limit" arguments usage
+     */
+    ContentService.prototype.loadViews = function (limit, offset, callback) {
+        var that = this,
+            defaultLimit = -1,
+            defaultOffset = 0;
+
+        // default values for omitted parameters (if any)
+        if (arguments.length < 3) {
+            if (typeof limit == "function") {
+                // no optional params are passed
+                callback = limit;
+                limit = defaultLimit;
+                offset = defaultOffset;
+            } else {
+                // only limit is passed
+                callback = offset;
+                offset = defaultOffset;
+            }
+        }
+
+        this._discoveryService.getInfoObject(
+            "views",
+            function (error, views) {
+                if (error) {
+                    callback(error, views);
+                    return;
+                }
+
+                that._connectionManager.request(
+                    "GET",
+                    views._href + '?offset=' + offset + '&limit=' + limit,
+                    "",
+                    {"Accept": "application/vnd.ez.api.RefList+json"},
+                    callback
+                );
+            }
+        );
+    };
+
+    /**
+     * Loads the target view
+     *
+     * @method loadView
+     * @param viewId {String} target view identifier (e.g. "/api/ezp/v2/content/views/my-view")
+     * @param callback {Function} callback executed after performing the request (see
+     *  {{#crossLink "ContentService"}}Note on the callbacks usage{{/crossLink}} for more info)
+     */
+    ContentService.prototype.loadView = function (viewId, callback) {
+        this._connectionManager.request(
+            "GET",
+            viewId,
+            "",
+            {"Accept": "application/vnd.ez.api.View+json"},
+            callback
+        );
+    };
+
+    /**
+     * Loads the results of the target view
+     *
+     * @method loadViewResults
+     * @param viewId {String} target view identifier (e.g. "/api/ezp/v2/content/views/my-view")
+     * @param [limit=-1] {Number} the number of results returned
+     * @param [offset=0] {Number} the offset of the result set
+     * @param callback {Function} callback executed after performing the request (see
+     *  {{#crossLink "ContentService"}}Note on the callbacks usage{{/crossLink}} for more info)
+     * @example
+     *      //See loadLocationChildren for example of "offset" and "limit" arguments usage
+     */
+    ContentService.prototype.loadViewResults = function (viewId, limit, offset, callback) {
+        var defaultLimit = -1,
+            defaultOffset = 0;
+
+        // default values for omitted parameters (if any)
+        if (arguments.length < 4) {
+            if (typeof limit == "function") {
+                // no optional params are passed
+                callback = limit;
+                limit = defaultLimit;
+                offset = defaultOffset;
+            } else {
+                // only limit is passed
+                callback = offset;
+                offset = defaultOffset;
+            }
+        }
+
+        this._connectionManager.request(
+            "GET",
+            viewId + '/results?offset=' + offset + '&limit=' + limit,
+            "",
+            {"Accept": "application/vnd.ez.api.View+json"},
+            callback
+        );
+    };
+
+    /**
+     * Deletes the target view
+     *
+     * @method deleteView
+     * @param viewId {String} target view identifier (e.g. "/api/ezp/v2/content/views/my-view")
+     * @param callback {Function} callback executed after performing the request (see
+     *  {{#crossLink "ContentService"}}Note on the callbacks usage{{/crossLink}} for more info)
+     */
+    ContentService.prototype.deleteView = function (viewId, callback) {
+        this._connectionManager.request(
+            "DELETE",
+            viewId,
+            "",
+            {},
+            callback
+        );
+    };
+
 // ******************************
 // Relations management
 // ******************************
@@ -1158,6 +1314,24 @@ define(["structures/ContentCreateStruct", "structures/ContentUpdateStruct", "str
         );
     };
 
+    /**
+     * Returns a {{#crossLink "Pager"}}Pager{{/crossLink}} walking the relations
+     * of the target version page by page (see
+     * {{#crossLink "ContentService/loadRelations:method"}}loadRelations{{/crossLink}})
+     *
+     * @method newRelationsPager
+     * @param versionedContentId {String} target version identifier (e.g. "/api/ezp/v2/content/objects/108/versions/2")
+     * @param [options] {Object} the options of the Pager (e.g. `pageSize`)
+     * @return {Pager}
+     */
+    ContentService.prototype.newRelationsPager = function (versionedContentId, options) {
+        var that = this;
+
+        return new Pager(function (limit, offset, callback) {
+            that.loadRelations(versionedContentId, limit, offset, callback);
+        }, options);
+    };
+
     /**
      *  Loads the relations of the target content's current version
      *
@@ -1342,6 +1516,23 @@ define(["structures/ContentCreateStruct", "structures/ContentUpdateStruct", "str
         );
     };
 
+    /**
+     * Returns a {{#crossLink "Pager"}}Pager{{/crossLink}} walking the trash can
+     * items page by page (see
+     * {{#crossLink "ContentService/loadTrashItems:method"}}loadTrashItems{{/crossLink}})
+     *
+     * @method newTrashItemsPager
+     * @param [options] {Object} the options of the Pager (e.g. `pageSize`)
+     * @return {Pager}
+     */
+    ContentService.prototype.newTrashItemsPager = function (options) {
+        var that = this;
+
+        return new Pager(function (limit, offset, callback) {
+            that.loadTrashItems(limit, offset, callback);
+        }, options);
+    };
+
     /**
      *  Loads target thrash can item
      *
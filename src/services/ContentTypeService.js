@@ -1,8 +1,10 @@
 /* global define */
 define(["structures/ContentTypeGroupInputStruct", "structures/ContentTypeCreateStruct", "structures/ContentTypeUpdateStruct",
-        "structures/FieldDefinitionCreateStruct", "structures/FieldDefinitionUpdateStruct", "utils/uriparse"],
+        "structures/FieldDefinitionCreateStruct", "structures/FieldDefinitionUpdateStruct", "structures/ContentCreateStruct",
+        "structures/LocationCreateStruct", "structures/CAPIError", "utils/uriparse"],
     function (ContentTypeGroupInputStruct, ContentTypeCreateStruct, ContentTypeUpdateStruct,
-              FieldDefinitionCreateStruct, FieldDefinitionUpdateStruct, parseUriTemplate) {
+              FieldDefinitionCreateStruct, FieldDefinitionUpdateStruct, ContentCreateStruct,
+              LocationCreateStruct, CAPIError, parseUriTemplate) {
     "use strict";
 
     /**
@@ -37,12 +39,14 @@ define(["structures/ContentTypeGroupInputStruct", "structures/ContentTypeCreateS
      * @constructor
      * @param connectionManager {ConnectionManager} connection manager that will be used to send requests to REST service
      * @param discoveryService {DiscoveryService} discovery service is used for urls auto-discovery automation
+     * @param [fieldTypeRegistry] {FieldTypeRegistry} the registry used by the structs built from a content type
      * @example
      *     var contentTypeService = jsCAPI.getContentTypeService();
      */
-    var ContentTypeService = function (connectionManager, discoveryService) {
+    var ContentTypeService = function (connectionManager, discoveryService, fieldTypeRegistry) {
         this._connectionManager = connectionManager;
         this._discoveryService = discoveryService;
+        this._fieldTypeRegistry = fieldTypeRegistry;
     };
 
 // ******************************
@@ -408,6 +412,86 @@ define(["structures/ContentTypeGroupInputStruct", "structures/ContentTypeCreateS
         );
     };
 
+    /**
+     * Builds a {{#crossLink "ContentCreateStruct"}}ContentCreateStruct{{/crossLink}}
+     * from a content type: the content type is loaded and every field
+     * definition is added to the struct with its default value (see
+     * {{#crossLink "ContentCreateStruct/fromContentType:method"}}ContentCreateStruct.fromContentType{{/crossLink}}).
+     * The callback receives an error (or false) and the struct, the Response
+     * if an error occurred. The REST id of a numeric id (e.g. 18 or "18") is
+     * built from the content types resource of the Root.
+     *
+     * @method prepareContentCreateStruct
+     * @param contentType {String|Number} the content type REST id (e.g. "/api/ezp/v2/content/types/18"), numeric
+     * id (e.g. 18) or identifier (e.g. "blog")
+     * @param parentLocationId {String} the parent Location of the new Content (e.g. "/api/ezp/v2/content/locations/1/2")
+     * @param languageCode {String} the main language of the new Content (e.g. "eng-GB")
+     * @param callback {Function} callback receiving an error (or false) and the ContentCreateStruct
+     * @example
+     *     contentTypeService.prepareContentCreateStruct(
+     *         "blog_post", "/api/ezp/v2/content/locations/1/2", "eng-GB",
+     *         function (error, contentCreateStruct) {
+     *             contentCreateStruct
+     *                 .setField("title", "News")
+     *                 .setField("publication_date", new Date());
+     *             contentService.createContent(contentCreateStruct, callback);
+     *         }
+     *     );
+     */
+    ContentTypeService.prototype.prepareContentCreateStruct = function (contentType, parentLocationId, languageCode, callback) {
+        var that = this,
+            buildStruct = function (error, response) {
+                if (error) {
+                    callback(error, response);
+                    return;
+                }
+                callback(false, ContentCreateStruct.fromContentType(
+                    response.document.ContentType,
+                    new LocationCreateStruct(parentLocationId),
+                    languageCode,
+                    that._fieldTypeRegistry
+                ));
+            };
+
+        if ( typeof contentType === "number" || (/^\d+$/).test(contentType) ) {
+            this._discoveryService.getInfoObject("contentTypes", function (error, contentTypes) {
+                if (error) {
+                    callback(error, contentTypes);
+                    return;
+                }
+                that.loadContentType(contentTypes._href + "/" + contentType, buildStruct);
+            });
+            return;
+        }
+        if ( typeof contentType !== "string" ) {
+            callback(
+                new CAPIError("The content type should be given by its id or its identifier.", {contentType: contentType}),
+                false
+            );
+            return;
+        }
+        if ( contentType.charAt(0) === "/" ) {
+            this.loadContentType(contentType, buildStruct);
+            return;
+        }
+
+        // the ContentTypeInfoList does not contain the field definitions
+        this.loadContentTypeByIdentifier(contentType, function (error, response) {
+            var contentTypes;
+
+            if (error) {
+                callback(error, response);
+                return;
+            }
+            contentTypes = response.document.ContentTypeInfoList.ContentType || [];
+            if (!contentTypes.length) {
+                callback(new CAPIError("No content type with the identifier " + contentType, {identifier: contentType}), response);
+                return;
+            }
+            that.loadContentType(contentTypes[0]._href, buildStruct);
+        });
+    };
+
     /**
      * Delete the target content type
      *
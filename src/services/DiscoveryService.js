@@ -1,5 +1,7 @@
 /* global define */
-define(["structures/CAPIError"], function (CAPIError) {
+define(["structures/CAPIError", "structures/RequestAbortedError", "structures/RequestTimeoutError",
+        "structures/UnsupportedResourceError"],
+    function (CAPIError, RequestAbortedError, RequestTimeoutError, UnsupportedResourceError) {
     "use strict";
 
     /**
@@ -7,17 +9,78 @@ define(["structures/CAPIError"], function (CAPIError) {
      * internally to discover resources URI and media type provided in the root
      * resource.
      *
+     * The Root resource is kept in memory once discovered. It can also be
+     * persisted in a storage (e.g. a LocalStorage), so that the next page
+     * loads do not need to request it. The persisted Root is used as is
+     * during its time to live, after that, it is revalidated with its ETag.
+     * The concurrent calls made before the Root is known share the same
+     * request.
+     *
      * @class DiscoveryService
      * @constructor
      * @param rootPath {String} path to Root resource
      * @param connectionManager {ConnectionManager}
+     * @param [options] {Object} object literal containing the cache options
+     * @param [options.storage] {StorageAbstraction|AsyncStorageAbstraction} storage in which the Root
+     * is persisted, by default the Root is only kept in memory
+     * @param [options.ttl=3600000] {Number} time to live in milliseconds of the persisted Root, 0 means
+     * that the Root is revalidated on each page load
+     * @param [options.namespace] {String} namespace of the storage key (e.g. the end point url)
      */
-    var DiscoveryService = function (rootPath, connectionManager) {
+    var DiscoveryService = function (rootPath, connectionManager, options) {
+        options = options || {};
+
         this._connectionManager = connectionManager;
         this._rootPath = rootPath;
         this._cacheObject = {};
+
+        /**
+         * The storage in which the Root is persisted
+         *
+         * @property _storage
+         * @type {StorageAbstraction|AsyncStorageAbstraction|null}
+         * @protected
+         */
+        this._storage = options.storage || null;
+
+        /**
+         * Time to live in milliseconds of the persisted Root
+         *
+         * @property _ttl
+         * @type {Number}
+         * @protected
+         */
+        this._ttl = (options.ttl !== undefined) ? options.ttl : 3600000;
+
+        /**
+         * The storage key of the persisted Root
+         *
+         * @property _storageKey
+         * @type {String}
+         * @protected
+         */
+        this._storageKey = options.namespace ? options.namespace + '|' + DiscoveryService.KEY_ROOT : DiscoveryService.KEY_ROOT;
+
+        /**
+         * The calls waiting for the Root discovery in progress, null if
+         * no discovery is in progress
+         *
+         * @property _waiting
+         * @type {Array|null}
+         * @protected
+         */
+        this._waiting = null;
     };
 
+    /**
+     * Constant to be used as storage key for the Root resource
+     *
+     * @static
+     * @const
+     * @type {string}
+     */
+    DiscoveryService.KEY_ROOT = 'ezpRestClient.root';
+
     /**
      * Get the information for given name. The information is provided as the
      * second argument of the callback unless there's a network issue while
@@ -29,7 +92,8 @@ define(["structures/CAPIError"], function (CAPIError) {
      * @param name {String} name of the target object (e.g. "Trash")
      * @param callback {Function}
      * @param callback.error {Boolean|CAPIError} false or CAPIError object if an
-     * error occurred
+     * error occurred, an UnsupportedResourceError if the name does not match
+     * any object
      * @param callback.response {Object|Response|Boolean} the target object if
      * it was found, the Response object if an error occured while loading the
      * REST root or false if the name does not match any object.
@@ -40,7 +104,7 @@ define(["structures/CAPIError"], function (CAPIError) {
         // Discovering root, if not yet discovered
         // on discovery running the request for same 'name' again
         if (!this._cacheObject.Root) {
-            this._discoverRoot(this._rootPath, function (error, response) {
+            this._loadRoot(false, function (error, response) {
                 if (error) {
                     callback(error, response);
                     return;
@@ -54,7 +118,7 @@ define(["structures/CAPIError"], function (CAPIError) {
             callback(false, this._cacheObject.Root[name]);
         } else {
             callback(
-                new CAPIError(
+                new UnsupportedResourceError(
                     "Discover service failed to find cached object with name '" + name + "'.",
                     {name: name}
                 ),
@@ -63,6 +127,189 @@ define(["structures/CAPIError"], function (CAPIError) {
         }
     };
 
+    /**
+     * Checks whether the Root resource provides the resource with the given
+     * name
+     *
+     * @method supports
+     * @param name {String} name of the resource (e.g. "views" or "trash")
+     * @param callback {Function}
+     * @param callback.error {Boolean|CAPIError} false or CAPIError object if an
+     * error occurred while loading the REST root
+     * @param callback.supported {Boolean|Response} whether the resource is
+     * provided, the Response object if an error occurred
+     */
+    DiscoveryService.prototype.supports = function (name, callback) {
+        this.getInfoObject(name, function (error, response) {
+            if (error instanceof UnsupportedResourceError) {
+                callback(false, false);
+                return;
+            }
+            callback(error, error ? response : true);
+        });
+    };
+
+    /**
+     * Describes the server from its Root resource. The server info object
+     * has the following properties:
+     *
+     *  * `version`: the version of the REST API, detected from the media type
+     *    or from the path of the Root resource, null if it is unknown
+     *  * `mediaType`: the media type of the Root resource
+     *  * `resources`: the names of the resources provided by the Root resource
+     *
+     * @method getServerInfo
+     * @param callback {Function}
+     * @param callback.error {Boolean|CAPIError} false or CAPIError object if an
+     * error occurred while loading the REST root
+     * @param callback.serverInfo {Object|Response} the server info object, the
+     * Response object if an error occurred
+     */
+    DiscoveryService.prototype.getServerInfo = function (callback) {
+        var that = this;
+
+        if (!this._cacheObject.Root) {
+            this._loadRoot(false, function (error, response) {
+                if (error) {
+                    callback(error, response);
+                    return;
+                }
+                that.getServerInfo(callback);
+            });
+            return;
+        }
+
+        callback(false, DiscoveryService._describeRoot(this._cacheObject.Root, this._rootPath));
+    };
+
+    /**
+     * Discovers the Root resource again, even if it is cached. The ETag of the
+     * cached Root (if any) is used to revalidate it.
+     *
+     * @method refresh
+     * @param callback {Function}
+     * @param callback.error {Boolean|CAPIError} false or CAPIError object if an
+     * error occurred
+     * @param callback.response {Boolean|Response} true if the root was
+     * successfully loaded, the Response otherwise
+     */
+    DiscoveryService.prototype.refresh = function (callback) {
+        this._loadRoot(true, callback);
+    };
+
+    /**
+     * Removes the Root resource from the cache, including from the storage
+     *
+     * @method clearCache
+     */
+    DiscoveryService.prototype.clearCache = function () {
+        this._cacheObject = {};
+        if (this._storage) {
+            this._storage.removeItem(this._storageKey, function () {});
+        }
+    };
+
+    /**
+     * Loads the Root resource from the storage or from the REST API. The
+     * concurrent calls share the same discovery. If the discovery is aborted
+     * by the call which started it, the discovery is restarted for the other
+     * calls. Each call gets the result with its own request handle.
+     *
+     * @method _loadRoot
+     * @protected
+     * @param force {Boolean} whether the persisted Root should be revalidated even if it is fresh
+     * @param callback {Function}
+     */
+    DiscoveryService.prototype._loadRoot = function (force, callback) {
+        var that = this,
+            connectionManager = this._connectionManager,
+            waiter = {
+                callback: connectionManager.bindToActiveHandle(callback),
+                restart: connectionManager.bindToActiveHandle(function () {
+                    that._loadRoot(force, callback);
+                })
+            };
+
+        if (this._waiting) {
+            this._waiting.push(waiter);
+            return;
+        }
+        this._waiting = [waiter];
+
+        this._readStorage(function (entry) {
+            var done = function (error, response) {
+                    var waiting = that._waiting;
+
+                    that._waiting = null;
+                    waiting[0].callback(error, response);
+                    if (error instanceof RequestAbortedError || error instanceof RequestTimeoutError) {
+                        // restarted once the callback of the aborted request
+                        // has returned, each call with its own handle
+                        setTimeout(function () {
+                            waiting.slice(1).forEach(function (otherWaiter) {
+                                otherWaiter.restart();
+                            });
+                        }, 0);
+                        return;
+                    }
+                    waiting.slice(1).forEach(function (otherWaiter) {
+                        otherWaiter.callback(error, response);
+                    });
+                };
+
+            if (entry && !force && Date.now() - entry.storedAt < that._ttl) {
+                that._copyToCache(entry.document);
+                done(false, true);
+                return;
+            }
+            that._discoverRoot(that._rootPath, done, entry);
+        });
+    };
+
+    /**
+     * Reads the persisted Root resource
+     *
+     * @method _readStorage
+     * @protected
+     * @param callback {Function} called with the stored entry or null
+     */
+    DiscoveryService.prototype._readStorage = function (callback) {
+        var rootPath = this._rootPath,
+            check = function (entry) {
+                callback((entry && entry.rootPath === rootPath && entry.document) ? entry : null);
+            };
+
+        if (!this._storage) {
+            callback(null);
+        } else if (this._storage.async) {
+            this._storage.getItem(this._storageKey, function (error, entry) {
+                check(error ? null : entry);
+            });
+        } else {
+            check(this._storage.getItem(this._storageKey));
+        }
+    };
+
+    /**
+     * Persists the Root resource
+     *
+     * @method _writeStorage
+     * @protected
+     * @param document {Object} the Root resource document
+     * @param etag {String|null} the ETag of the Root resource
+     */
+    DiscoveryService.prototype._writeStorage = function (document, etag) {
+        if (!this._storage) {
+            return;
+        }
+        this._storage.setItem(this._storageKey, {
+            rootPath: this._rootPath,
+            document: document,
+            etag: etag,
+            storedAt: Date.now()
+        }, function () {});
+    };
+
     /**
      * Load the REST root resource
      *
@@ -75,27 +322,66 @@ define(["structures/CAPIError"], function (CAPIError) {
      * error occurred
      * @param callback.response {Boolean|Response} true if the root was
      * successfully loaded, the Response otherwise
+     * @param [entry] {Object} the persisted Root to revalidate
      */
-    DiscoveryService.prototype._discoverRoot = function (rootPath, callback) {
-        var that = this;
+    DiscoveryService.prototype._discoverRoot = function (rootPath, callback, entry) {
+        var that = this,
+            headers = {"Accept": "application/vnd.ez.api.Root+json"};
+
+        if (entry && entry.etag) {
+            headers["If-None-Match"] = entry.etag;
+        }
 
         this._connectionManager.request(
             "GET",
             rootPath,
             "",
-            {"Accept": "application/vnd.ez.api.Root+json"},
+            headers,
             function (error, response) {
+                var document,
+                    etag;
+
                 if (error) {
                     callback(error, response);
                     return;
                 }
 
-                that._copyToCache(response.document);
+                document = response.document;
+                etag = response.getHeader ? response.getHeader("ETag") : null;
+                if (entry && response.status === 304) {
+                    document = entry.document;
+                    etag = etag || entry.etag;
+                }
+                that._writeStorage(document, etag);
+                that._copyToCache(document);
                 callback(false, true);
             }
         );
     };
 
+    /**
+     * Builds the server info object from the Root resource
+     *
+     * @method _describeRoot
+     * @static
+     * @protected
+     * @param root {Object} the Root resource
+     * @param rootPath {String} path to Root resource
+     * @return {Object}
+     */
+    DiscoveryService._describeRoot = function (root, rootPath) {
+        var mediaType = root["_media-type"] || "",
+            version = (/version=([\d.]+)/).exec(mediaType) || (/\/v(\d+(?:\.\d+)*)(\/|$)/).exec(root._href || rootPath);
+
+        return {
+            version: version ? version[1] : null,
+            mediaType: mediaType,
+            resources: Object.keys(root).filter(function (name) {
+                return name.charAt(0) !== "_";
+            })
+        };
+    };
+
     /**
      * Copy all the properties of the target object into the cache
      *
@@ -0,0 +1,155 @@
+/* global define */
+define(["structures/CAPIError", "utils/uriparse"], function (CAPIError, parseUriTemplate) {
+    "use strict";
+
+    /**
+     * Creates an instance of Navigation Service object. Use NavigationService
+     * to walk the REST API resources by following their links, without
+     * building the urls.
+     *
+     * The callbacks of the service methods take the same arguments as the
+     * ones of the other services: `false` or a CAPIError and the
+     * {{#crossLink "Response"}}Response{{/crossLink}} object.
+     *
+     * @class NavigationService
+     * @constructor
+     * @param connectionManager {ConnectionManager} connection manager that will be used to send requests to REST service
+     * @param discoveryService {DiscoveryService} is handling REST paths auto-discovery
+     * @example
+     *     var navigationService = jsCAPI.getNavigationService();
+     */
+    var NavigationService = function (connectionManager, discoveryService) {
+        this._connectionManager = connectionManager;
+        this._discoveryService = discoveryService;
+    };
+
+    /**
+     * Loads the resource linked to the given resource (or to the resource of
+     * the given response) by the relation. Without resource, the relation is
+     * looked up in the Root resource.
+     *
+     * If the link is an URI template (e.g. the `contentByRemoteId` Root
+     * entry), it is expanded with the parameters, otherwise the parameters
+     * are added to the query string. The `Accept` header is the media type of
+     * the link.
+     *
+     * @method follow
+     * @param resourceOrResponse {Object|Response|null} the resource, the response containing the
+     * resource or null to follow a link of the Root resource
+     * @param relation {String} the name of the link (e.g. "Children" or "contentByRemoteId")
+     * @param [params] {Object} the parameters of the URI template or of the query string
+     * @param callback {Function} callback executed after performing the request
+     * @example
+     *     navigationService.follow(locationResponse, "Children", {offset: 0, limit: 10}, function (error, response) {
+     *         navigationService.follow(response.document.LocationList.Location[0], "ContentInfo", callback);
+     *     });
+     *
+     *     navigationService.follow(null, "contentByRemoteId", {remoteId: "f5c88a2209584891056f987fd965b0ba"}, callback);
+     */
+    NavigationService.prototype.follow = function (resourceOrResponse, relation, params, callback) {
+        var that = this,
+            resource;
+
+        if (typeof params === "function") {
+            callback = params;
+            params = {};
+        }
+        params = params || {};
+
+        if (!resourceOrResponse) {
+            this._discoveryService.getInfoObject(relation, function (error, link) {
+                if (error) {
+                    callback(error, link);
+                    return;
+                }
+                that._load(link, params, callback);
+            });
+            return;
+        }
+
+        resource = NavigationService._getResource(resourceOrResponse, relation);
+        if (!resource[relation] || !resource[relation]._href) {
+            callback(
+                new CAPIError(
+                    "The resource does not have any link named '" + relation + "'.",
+                    {resource: resource, relation: relation}
+                ),
+                false
+            );
+            return;
+        }
+        this._load(resource[relation], params, callback);
+    };
+
+    /**
+     * Loads the linked resource
+     *
+     * @method _load
+     * @protected
+     * @param link {Object} the link, an object with the `_href` and `_media-type` properties
+     * @param params {Object}
+     * @param callback {Function}
+     */
+    NavigationService.prototype._load = function (link, params, callback) {
+        this._connectionManager.request(
+            "GET",
+            NavigationService._buildUrl(link._href, params),
+            "",
+            {"Accept": link["_media-type"] || "application/json"},
+            callback
+        );
+    };
+
+    /**
+     * Returns the resource holding the links. In a response or in a resource
+     * wrapped in an object literal (e.g. `{"Location": {...}}`), the resource
+     * is the only property of the document.
+     *
+     * @method _getResource
+     * @static
+     * @protected
+     * @param resourceOrResponse {Object|Response}
+     * @param relation {String}
+     * @return {Object}
+     */
+    NavigationService._getResource = function (resourceOrResponse, relation) {
+        var resource = resourceOrResponse.document || resourceOrResponse,
+            keys = Object.keys(resource);
+
+        if (!resource[relation] && keys.length === 1 && typeof resource[keys[0]] === "object") {
+            return resource[keys[0]];
+        }
+        return resource;
+    };
+
+    /**
+     * Builds the url of the link with the given parameters
+     *
+     * @method _buildUrl
+     * @static
+     * @protected
+     * @param href {String} the url or the URI template
+     * @param params {Object}
+     * @return {String}
+     */
+    NavigationService._buildUrl = function (href, params) {
+        var query = [],
+            name;
+
+        if (href.indexOf("{") !== -1) {
+            return parseUriTemplate(href, params);
+        }
+
+        for (name in params) {
+            if (params.hasOwnProperty(name)) {
+                query.push(encodeURIComponent(name) + "=" + encodeURIComponent(params[name]));
+            }
+        }
+        if (!query.length) {
+            return href;
+        }
+        return href + (href.indexOf("?") === -1 ? "?" : "&") + query.join("&");
+    };
+
+    return NavigationService;
+});
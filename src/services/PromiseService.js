@@ -1,18 +1,33 @@
-/* global define */
-define(["q", "structures/CAPIError"], function (q, CAPIError) {
+/* global define, Promise */
+define(["structures/CAPIError"], function (CAPIError) {
     "use strict";
 
     /**
      * Creates an instance of promise-based service object based on original service
      *
+     * The promise-based methods take the same arguments as the original ones,
+     * without the callback. The optional arguments can be omitted as with the
+     * original methods.
+     *
+     * By default, the methods return native Promises. Another promise library
+     * can be provided, either a Promise constructor (e.g. Bluebird) or a
+     * library providing a `defer` function (e.g. Q).
+     *
      * @class PromiseService
      * @constructor
      * @param originalService {object} the service which should be converted into promise-based version (e.g. ContentService)
+     * @param [promiseLib=Promise] {Function|Object} the promise library
      */
-    var PromiseService = function (originalService) {
+    var PromiseService = function (originalService, promiseLib) {
         var key,
             _generateMappedFunction,
-            _generatePromiseFunction;
+            _generatePromiseFunction,
+            _createPromise;
+
+        promiseLib = promiseLib || (typeof Promise !== "undefined" ? Promise : null);
+        if (!promiseLib) {
+            throw new CAPIError("PromiseService can not be used: no promise library is available.");
+        }
 
         /**
          * Generate a new function, that if called assured `this` is mapped to
@@ -26,15 +41,46 @@ define(["q", "structures/CAPIError"], function (q, CAPIError) {
          */
         _generateMappedFunction = function (originalFunction) {
             return function () {
-                return originalFunction.apply(originalService, Array.prototype.slice(arguments));
+                return originalFunction.apply(originalService, arguments);
             };
         };
 
+        /**
+         * Creates a promise with the promise library
+         *
+         * @method _createPromise
+         * @private
+         *
+         * @param {Function} executor function receiving the resolve and the reject functions
+         * @return {Object} the promise
+         */
+        _createPromise = function (executor) {
+            var deferred,
+                PromiseLib = promiseLib;
+
+            if (typeof PromiseLib.defer !== "function") {
+                return new PromiseLib(executor);
+            }
+
+            deferred = PromiseLib.defer();
+            try {
+                executor(function (result) {
+                    deferred.resolve(result);
+                }, function (error) {
+                    deferred.reject(error);
+                });
+            } catch (error) {
+                deferred.reject(error);
+            }
+            return deferred.promise;
+        };
+
         /**
          * Generate a promise version of the given function
          *
          * The execution is mapped to the originalService in order to preserve all
-         * internal state manipulations.
+         * internal state manipulations. The callback is added after the given
+         * arguments, so that the optional arguments can be omitted.
          *
          * @method _generatePromiseFunction
          * @private
@@ -44,30 +90,24 @@ define(["q", "structures/CAPIError"], function (q, CAPIError) {
          */
         _generatePromiseFunction = function (originalFunction) {
             return function () {
-                var toBeCalledArguments = Array.prototype.slice.call(arguments),
-                    deferred = q.defer();
-
-                if (originalFunction.length - 1 !== arguments.length) {
-                    throw new CAPIError("Wrong number of arguments provided for promise-based function.");
-                }
+                var toBeCalledArguments = Array.prototype.slice.call(arguments);
 
-                toBeCalledArguments.push(function (error, result) {
-                    if (error) {
-                        deferred.reject(error);
-                    } else {
-                        deferred.resolve(result);
-                    }
+                return _createPromise(function (resolve, reject) {
+                    toBeCalledArguments.push(function (error, result) {
+                        if (error) {
+                            reject(error);
+                        } else {
+                            resolve(result);
+                        }
+                    });
 
+                    originalFunction.apply(originalService, toBeCalledArguments);
                 });
-
-                originalFunction.apply(originalService, toBeCalledArguments);
-
-                return deferred.promise;
             };
         };
 
         // Auto-generating promise-based functions based on every existing service function
-        // taking into account all the functions with signature different from "new....Struct"
+        // taking into account all the functions with signature different from "new....Struct" and "new....Pager"
         /* Disabling hasOwnProperty wrapper check here, as we explicitly WANT to copy
          * over potentially inherited functions */
         /* jshint -W089 */
@@ -80,8 +120,8 @@ define(["q", "structures/CAPIError"], function (q, CAPIError) {
             case (/^_/).test(key):
                 // Skip all private methods
                 break;
-            case (/^(new[^\s(]+Struct)/).test(key):
-                // Simply cover over newXXXStruct functions, as they are synchronous.
+            case (/^(new[^\s(]+(Struct|Pager))/).test(key):
+                // Simply cover over newXXXStruct and newXXXPager functions, as they are synchronous.
                 // Still make sure the method is called on the original service ;)
                 this[key] = _generateMappedFunction(originalService[key]);
                 break;
@@ -0,0 +1,168 @@
+/* global define */
+define(["structures/ViewCreateStruct", "structures/QueryBuilder", "structures/SearchResult"],
+    function (ViewCreateStruct, QueryBuilder, SearchResult) {
+    "use strict";
+
+    /**
+     * Creates an instance of Search Service object. Use SearchService to run
+     * queries and to walk their results page by page. The queries are run
+     * as Views, with the "views" resource of the Root resource.
+     *
+     * The callbacks of the service methods receive `false` or a CAPIError and,
+     * in case of success, a {{#crossLink "SearchResult"}}SearchResult{{/crossLink}},
+     * otherwise the {{#crossLink "Response"}}Response{{/crossLink}} object.
+     *
+     * @class SearchService
+     * @constructor
+     * @param connectionManager {ConnectionManager} connection manager that will be used to send requests to REST service
+     * @param discoveryService {DiscoveryService} is handling REST paths auto-discovery
+     * @example
+     *     var searchService = jsCAPI.getSearchService();
+     */
+    var SearchService = function (connectionManager, discoveryService) {
+        this._connectionManager = connectionManager;
+        this._discoveryService = discoveryService;
+        this._searchCount = 0;
+    };
+
+    /**
+     * The number of hits of a page when the query does not set a limit
+     *
+     * @property DEFAULT_LIMIT
+     * @static
+     * @type {Number}
+     */
+    SearchService.DEFAULT_LIMIT = 25;
+
+    /**
+     * Runs the query and gives the first page of the results (or the page
+     * at the offset of the query).
+     *
+     * @method search
+     * @param query {QueryBuilder|ViewCreateStruct} the query
+     * @param callback {Function} callback receiving an error (or false) and the SearchResult
+     * @example
+     *     var Q = eZ.QueryBuilder;
+     *
+     *     searchService.search(
+     *         new Q().where(Q.contentTypeIdentifier("article")).limit(10),
+     *         function (error, result) {
+     *             console.log(result.totalCount, result.hits);
+     *             if (result.hasNext()) {
+     *                 result.next(callback);
+     *             }
+     *         }
+     *     );
+     */
+    SearchService.prototype.search = function (query, callback) {
+        var that = this,
+            viewCreateStruct = this._getViewCreateStruct(query);
+
+        this._discoveryService.getInfoObject(
+            "views",
+            function (error, views) {
+                if (error) {
+                    callback(error, views);
+                    return;
+                }
+
+                that._connectionManager.request(
+                    "POST",
+                    views._href,
+                    JSON.stringify(viewCreateStruct.body),
+                    viewCreateStruct.headers,
+                    function (error, response) {
+                        if (error) {
+                            callback(error, response);
+                            return;
+                        }
+                        callback(false, new SearchResult(that, viewCreateStruct, response));
+                    }
+                );
+            }
+        );
+    };
+
+    /**
+     * Runs the query and walks all the results page by page, only one page
+     * is kept in memory. The walk stops if `onHit` returns `false`.
+     *
+     * @method stream
+     * @param query {QueryBuilder|ViewCreateStruct} the query
+     * @param onHit {Function} function called with each hit (see
+     * {{#crossLink "SearchResult/hits:property"}}SearchResult.hits{{/crossLink}}) and its index
+     * @param callback {Function} callback receiving an error (or false) and the total
+     * number of results, the Response object if an error occurred
+     * @example
+     *     searchService.stream(query, function (hit) {
+     *         console.log(hit.value.Name);
+     *     }, function (error, totalCount) {
+     *         console.log("Done", totalCount);
+     *     });
+     */
+    SearchService.prototype.stream = function (query, onHit, callback) {
+        var index = 0,
+            walk = function (error, result) {
+                var i;
+
+                if (error) {
+                    callback(error, result);
+                    return;
+                }
+                for (i = 0; i < result.hits.length; ++i) {
+                    if (onHit(result.hits[i], index++) === false) {
+                        callback(false, result.totalCount);
+                        return;
+                    }
+                }
+                if (!result.hasNext()) {
+                    callback(false, result.totalCount);
+                    return;
+                }
+                result.next(walk);
+            };
+
+        this.search(query, walk);
+    };
+
+    /**
+     * Returns the ViewCreateStruct of the query, with a limit
+     *
+     * @method _getViewCreateStruct
+     * @protected
+     * @param query {QueryBuilder|ViewCreateStruct}
+     * @return {ViewCreateStruct}
+     */
+    SearchService.prototype._getViewCreateStruct = function (query) {
+        var viewCreateStruct = query;
+
+        if (query instanceof QueryBuilder) {
+            viewCreateStruct = query.build("search-" + Date.now() + "-" + (++this._searchCount));
+        }
+        if (!viewCreateStruct.body.ViewInput.Query.limit) {
+            viewCreateStruct = this._getPage(viewCreateStruct, viewCreateStruct.body.ViewInput.Query.offset || 0);
+            viewCreateStruct.body.ViewInput.Query.limit = SearchService.DEFAULT_LIMIT;
+        }
+        return viewCreateStruct;
+    };
+
+    /**
+     * Returns a copy of the ViewCreateStruct for the page at the given offset
+     *
+     * @method _getPage
+     * @protected
+     * @param viewCreateStruct {ViewCreateStruct}
+     * @param offset {Number}
+     * @return {ViewCreateStruct}
+     */
+    SearchService.prototype._getPage = function (viewCreateStruct, offset) {
+        var page = new ViewCreateStruct(viewCreateStruct.body.ViewInput.identifier);
+
+        page.body = JSON.parse(JSON.stringify(viewCreateStruct.body));
+        page.headers = viewCreateStruct.headers;
+        page.body.ViewInput.Query.offset = offset;
+        return page;
+    };
+
+    return SearchService;
+});
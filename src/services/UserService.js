@@ -2,11 +2,11 @@
 define(['structures/SessionCreateStruct', 'structures/UserCreateStruct', 'structures/UserUpdateStruct',
         'structures/UserGroupCreateStruct', 'structures/UserGroupUpdateStruct', 'structures/PolicyCreateStruct',
         'structures/PolicyUpdateStruct', 'structures/RoleInputStruct', 'structures/RoleAssignInputStruct',
-        "utils/uriparse"],
+        "utils/uriparse", "utils/Pager"],
     function (SessionCreateStruct, UserCreateStruct, UserUpdateStruct,
               UserGroupCreateStruct, UserGroupUpdateStruct, PolicyCreateStruct,
               PolicyUpdateStruct, RoleInputStruct, RoleAssignInputStruct,
-              parseUriTemplate) {
+              parseUriTemplate, Pager) {
     "use strict";
 
     /**
@@ -735,6 +735,28 @@ define(['structures/SessionCreateStruct', 'structures/UserCreateStruct', 'struct
         );
     };
 
+    /**
+     * Returns a {{#crossLink "Pager"}}Pager{{/crossLink}} walking the roles
+     * page by page (see
+     * {{#crossLink "UserService/loadRoles:method"}}loadRoles{{/crossLink}})
+     *
+     * @method newRolesPager
+     * @param [identifier] {String} string identifier of the roles to search (e.g. "admin")
+     * @param [options] {Object} the options of the Pager (e.g. `pageSize`)
+     * @return {Pager}
+     */
+    UserService.prototype.newRolesPager = function (identifier, options) {
+        var that = this;
+
+        if (typeof identifier === "object") {
+            options = identifier;
+            identifier = "";
+        }
+        return new Pager(function (limit, offset, callback) {
+            that.loadRoles(identifier || "", limit, offset, callback);
+        }, options);
+    };
+
     /**
      * Update the target role
      *
@@ -0,0 +1,192 @@
+/* global define */
+define(function () {
+    /**
+     * Synchronous storage in front of an asynchronous one (e.g. an
+     * IndexedDbStorage or an EncryptedStorage). The items are loaded in
+     * memory by the `load` method, then they are read from the memory while
+     * the changes are also written to the asynchronous storage.
+     *
+     * The auth agents wrap the asynchronous storages they receive in a
+     * CachedStorage and wait for the keys they need to be loaded before using
+     * it.
+     *
+     * An item which can not be read is considered as missing. The errors
+     * while writing are ignored, the cache stays the reference for the
+     * current page.
+     *
+     * @class CachedStorage
+     * @extends {StorageAbstraction}
+     * @constructor
+     * @param storage {AsyncStorageAbstraction} the asynchronous storage
+     */
+    var CachedStorage = function (storage) {
+        /**
+         * The asynchronous storage
+         *
+         * @property _storage
+         * @type {AsyncStorageAbstraction}
+         * @private
+         */
+        this._storage = storage;
+
+        /**
+         * The items JSON encoded and indexed by key
+         *
+         * @property _items
+         * @type {Object}
+         * @private
+         */
+        this._items = {};
+
+        /**
+         * The state of the keys, `true` once loaded, `false` while loading
+         *
+         * @property _keys
+         * @type {Object}
+         * @private
+         */
+        this._keys = {};
+
+        /**
+         * The calls of the load method waiting for their keys
+         *
+         * @property _waiting
+         * @type {Array}
+         * @private
+         */
+        this._waiting = [];
+    };
+
+    /**
+     * Checks whether the given keys are loaded
+     *
+     * @method isLoaded
+     * @param {Array} keys
+     * @return {Boolean}
+     */
+    CachedStorage.prototype.isLoaded = function (keys) {
+        var that = this;
+
+        return keys.every(function (key) {
+            return that._keys[key] === true;
+        });
+    };
+
+    /**
+     * Loads the given keys (once) from the asynchronous storage and calls the
+     * callback when they can be read from the cache. The callbacks are called
+     * in the order of the calls.
+     *
+     * @method load
+     * @param {Array} keys
+     * @param {Function} callback
+     */
+    CachedStorage.prototype.load = function (keys, callback) {
+        var that = this;
+
+        this._waiting.push({keys: keys, callback: callback});
+        keys.forEach(function (key) {
+            if (that._keys[key] !== undefined) {
+                return;
+            }
+            that._keys[key] = false;
+            that._storage.getItem(key, function (error, value) {
+                if (that._keys[key] === false) {
+                    if (!error && value !== null && value !== undefined) {
+                        that._items[key] = JSON.stringify(value);
+                    }
+                    that._keys[key] = true;
+                }
+                that._flush();
+            });
+        });
+        this._flush();
+    };
+
+    /**
+     * Forgets the given keys and loads them again from the asynchronous
+     * storage, for instance after they were changed by another page.
+     *
+     * @method reload
+     * @param {Array} keys
+     * @param {Function} callback
+     */
+    CachedStorage.prototype.reload = function (keys, callback) {
+        var that = this;
+
+        keys.forEach(function (key) {
+            delete that._keys[key];
+            delete that._items[key];
+        });
+        this.load(keys, callback);
+    };
+
+    /**
+     * Calls the callbacks of the load calls until one of them still waits for
+     * a key
+     *
+     * @method _flush
+     * @private
+     */
+    CachedStorage.prototype._flush = function () {
+        var waiting;
+
+        while (this._waiting.length && this.isLoaded(this._waiting[0].keys)) {
+            waiting = this._waiting.shift();
+            waiting.callback();
+        }
+    };
+
+    /**
+     * Retrieve an item from the storage
+     *
+     * @method getItem
+     * @param {string} key
+     * @return {*}
+     */
+    CachedStorage.prototype.getItem = function(key) {
+        if (this._items[key] === undefined) {
+            return null;
+        }
+        return JSON.parse(this._items[key]);
+    };
+
+    /**
+     * Store an item in storage
+     *
+     * @method setItem
+     * @param {string} key
+     * @param {*} value
+     */
+    CachedStorage.prototype.setItem = function(key, value) {
+        this._items[key] = JSON.stringify(value);
+        this._keys[key] = true;
+        this._storage.setItem(key, value, function () {});
+    };
+
+    /**
+     * Remove an item from storage
+     *
+     * @method removeItem
+     * @param {string} key
+     */
+    CachedStorage.prototype.removeItem = function(key) {
+        delete this._items[key];
+        this._keys[key] = true;
+        this._storage.removeItem(key, function () {});
+    };
+
+    /**
+     * The CachedStorage is always compatible, as long as the asynchronous
+     * storage is.
+     *
+     * @method isCompatible
+     * @static
+     * @return {Boolean}
+     */
+    CachedStorage.isCompatible = function () {
+        return true;
+    };
+
+    return CachedStorage;
+});
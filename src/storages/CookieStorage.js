@@ -0,0 +1,125 @@
+/* global define */
+define(["structures/CAPIError"], function(CAPIError) {
+    /**
+     * Implementation of the storage abstraction utilizing the cookies
+     *
+     * By default, the cookies are session cookies, they are removed when the
+     * browser is closed. Keep in mind that the cookies are sent to the server
+     * with every request made to the domain.
+     *
+     * If the cookies are not available an error is thrown during construction
+     *
+     * Usability of this storage can be checked using the static isCompatible method.
+     *
+     * @class CookieStorage
+     * @extends {StorageAbstraction}
+     * @constructor
+     * @param [options] {Object} object literal containing the cookies attributes
+     * @param [options.path="/"] {String} the path of the cookies
+     * @param [options.domain] {String} the domain of the cookies, by default the current host
+     * @param [options.secure=false] {Boolean} whether the cookies should only be sent over https
+     * @param [options.sameSite="Strict"] {String} the SameSite attribute of the cookies
+     * @param [options.maxAge] {Number} lifetime of the cookies in seconds, by default the cookies
+     * are removed when the browser is closed
+     */
+    var CookieStorage = function (options) {
+        if (!CookieStorage.isCompatible()) {
+            throw new CAPIError("CookieStorage abstraction can not be used: the cookies are not available.");
+        }
+
+        options = options || {};
+
+        /**
+         * The attributes added to every cookie
+         *
+         * @property _attributes
+         * @type {String}
+         * @private
+         */
+        this._attributes = "; path=" + (options.path || "/") +
+            (options.domain ? "; domain=" + options.domain : "") +
+            (options.secure ? "; secure" : "") +
+            "; samesite=" + (options.sameSite || "Strict");
+
+        /**
+         * Lifetime of the cookies in seconds
+         *
+         * @property _maxAge
+         * @type {Number|null}
+         * @private
+         */
+        this._maxAge = options.maxAge || null;
+    };
+
+    /**
+     * Retrieve an item from the storage, a cookie which was not written by
+     * the storage (i.e. which is not JSON encoded) is ignored
+     *
+     * @method getItem
+     * @param {string} key
+     * @return {*}
+     */
+    CookieStorage.prototype.getItem = function(key) {
+        var name = encodeURIComponent(key) + "=",
+            cookies = document.cookie ? document.cookie.split(/;\s*/) : [],
+            i;
+
+        for (i = 0; i < cookies.length; ++i) {
+            if (cookies[i].indexOf(name) === 0) {
+                try {
+                    return JSON.parse(decodeURIComponent(cookies[i].substring(name.length)));
+                } catch (e) {
+                    return null;
+                }
+            }
+        }
+        return null;
+    };
+
+    /**
+     * Store an item in storage
+     *
+     * @method setItem
+     * @param {string} key
+     * @param {*} value
+     */
+    CookieStorage.prototype.setItem = function(key, value) {
+        document.cookie = encodeURIComponent(key) + "=" + encodeURIComponent(JSON.stringify(value)) +
+            this._attributes + (this._maxAge ? "; max-age=" + this._maxAge : "");
+    };
+
+    /**
+     * Remove an item from storage
+     *
+     * @method removeItem
+     * @param {string} key
+     */
+    CookieStorage.prototype.removeItem = function(key) {
+        document.cookie = encodeURIComponent(key) + "=" + this._attributes +
+            "; expires=Thu, 01 Jan 1970 00:00:00 GMT";
+    };
+
+    /**
+     * Check whether this storage implementation is compatible with the current environment.
+     *
+     * @method isCompatible
+     * @static
+     * @return {Boolean}
+     */
+    CookieStorage.isCompatible = function () {
+        var t = "__featuredetection__",
+            enabled;
+
+        if (typeof document === "undefined" || typeof document.cookie !== "string") {
+            return false;
+        }
+
+        // the cookies can be disabled by the user
+        document.cookie = t + "=1; path=/";
+        enabled = (document.cookie.indexOf(t + "=1") !== -1);
+        document.cookie = t + "=; path=/; expires=Thu, 01 Jan 1970 00:00:00 GMT";
+        return enabled;
+    };
+
+    return CookieStorage;
+});
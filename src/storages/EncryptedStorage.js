@@ -0,0 +1,361 @@
+/* global define, crypto, btoa, atob, unescape, escape */
+define(["structures/CAPIError"], function(CAPIError) {
+    /**
+     * Asynchronous storage encrypting the items before writing them in
+     * another storage (e.g. a LocalStorage, an InMemoryStorage or an
+     * IndexedDbStorage). The items are encrypted with AES-GCM, using a key
+     * derived (PBKDF2) from a secret provided by the application. The key of
+     * the item is bound to the encrypted value, so that the values can not
+     * be swapped.
+     *
+     * An item which has been tampered with or which can not be decrypted
+     * (e.g. the secret changed) is considered as missing, so the auth agents
+     * handle it as a missing session.
+     *
+     * As the WebCrypto API is asynchronous, the auth agents use this storage
+     * through a {{#crossLink "CachedStorage"}}CachedStorage{{/crossLink}}.
+     *
+     * If the WebCrypto API is not available and no implementation is given in
+     * the options, an error is thrown during construction
+     *
+     * Usability of this storage can be checked using the static isCompatible method.
+     *
+     * @class EncryptedStorage
+     * @extends {AsyncStorageAbstraction}
+     * @constructor
+     * @param storage {StorageAbstraction|AsyncStorageAbstraction} the storage in which the
+     * encrypted items are written
+     * @param options {Object} object literal containing the encryption options
+     * @param options.secret {String} the secret from which the encryption key is derived
+     * @param [options.salt="ezpRestClient"] {String} the salt used to derive the key
+     * @param [options.iterations=100000] {Number} the number of PBKDF2 iterations
+     * @param [options.crypto] {Crypto} the WebCrypto implementation, by default the one
+     * of the environment
+     * @example
+     *     var authAgent = new SessionAuthAgent(
+     *         {login: "admin", password: "publish"},
+     *         new EncryptedStorage(new LocalStorage(), {secret: appSecret})
+     *     );
+     */
+    var EncryptedStorage = function (storage, options) {
+        if (!(options && options.crypto) && !EncryptedStorage.isCompatible()) {
+            throw new CAPIError("EncryptedStorage abstraction can not be used: the WebCrypto API is not available.");
+        }
+        if (!options || !options.secret) {
+            throw new CAPIError("EncryptedStorage needs a secret to derive the encryption key.");
+        }
+
+        /**
+         * The storage in which the encrypted items are written
+         *
+         * @property _storage
+         * @type {StorageAbstraction|AsyncStorageAbstraction}
+         * @private
+         */
+        this._storage = storage;
+
+        /**
+         * The encryption options
+         *
+         * @property _options
+         * @type {Object}
+         * @private
+         */
+        this._options = options;
+
+        /**
+         * The WebCrypto implementation
+         *
+         * @property _crypto
+         * @type {Crypto}
+         * @private
+         */
+        this._crypto = options.crypto || crypto;
+
+        /**
+         * The promise of the derived key
+         *
+         * @property _key
+         * @type {Promise|null}
+         * @private
+         */
+        this._key = null;
+
+        /**
+         * The promise of the last write, the writes are chained on it
+         *
+         * @property _queue
+         * @type {Promise|null}
+         * @private
+         */
+        this._queue = null;
+    };
+
+    /**
+     * Flag of the asynchronous storages
+     *
+     * @property async
+     * @type {Boolean}
+     * @default true
+     */
+    EncryptedStorage.prototype.async = true;
+
+    /**
+     * Retrieve and decrypt an item from the storage
+     *
+     * @method getItem
+     * @param {string} key
+     * @param {Function} callback called with an error (or false) and the item, null if it
+     * does not exist or can not be decrypted
+     */
+    EncryptedStorage.prototype.getItem = function(key, callback) {
+        var that = this;
+
+        this._read(key, function (error, encrypted) {
+            var parts = (typeof encrypted === "string") ? encrypted.split(".") : [];
+
+            if (error || parts.length !== 2) {
+                callback(error, null);
+                return;
+            }
+
+            that._getKey().then(function (cryptoKey) {
+                return that._crypto.subtle.decrypt(
+                    {name: "AES-GCM", iv: EncryptedStorage._decodeBase64(parts[0]), additionalData: EncryptedStorage._encode(key)},
+                    cryptoKey,
+                    EncryptedStorage._decodeBase64(parts[1])
+                );
+            }).then(function (decrypted) {
+                return JSON.parse(EncryptedStorage._decode(new Uint8Array(decrypted)));
+            }).then(function (value) {
+                callback(false, value);
+            }, function () {
+                callback(false, null);
+            });
+        });
+    };
+
+    /**
+     * Encrypt and store an item in storage
+     *
+     * @method setItem
+     * @param {string} key
+     * @param {*} value
+     * @param {Function} [callback] called with an error (or false)
+     */
+    EncryptedStorage.prototype.setItem = function(key, value, callback) {
+        var that = this,
+            iv = this._crypto.getRandomValues(new Uint8Array(12));
+
+        callback = callback || function () {};
+        this._enqueue(function () {
+            return that._getKey().then(function (cryptoKey) {
+                return that._crypto.subtle.encrypt(
+                    {name: "AES-GCM", iv: iv, additionalData: EncryptedStorage._encode(key)},
+                    cryptoKey,
+                    EncryptedStorage._encode(JSON.stringify(value))
+                );
+            }).then(function (encrypted) {
+                return that._write(
+                    "setItem",
+                    [key, EncryptedStorage._encodeBase64(iv) + "." + EncryptedStorage._encodeBase64(new Uint8Array(encrypted))],
+                    callback
+                );
+            }, function (error) {
+                callback(new CAPIError("Unable to encrypt the item.", {key: key, error: error}));
+            });
+        });
+    };
+
+    /**
+     * Remove an item from storage
+     *
+     * @method removeItem
+     * @param {string} key
+     * @param {Function} [callback] called with an error (or false)
+     */
+    EncryptedStorage.prototype.removeItem = function(key, callback) {
+        var that = this;
+
+        this._enqueue(function () {
+            return that._write("removeItem", [key], callback || function () {});
+        });
+    };
+
+    /**
+     * Runs the write after the previous ones, so that the writes reach the
+     * wrapped storage in the order of the calls even if the encryption of an
+     * item takes longer.
+     *
+     * @method _enqueue
+     * @private
+     * @param {Function} task returning a promise resolved once the write is done
+     */
+    EncryptedStorage.prototype._enqueue = function (task) {
+        var run = function () {
+                return task();
+            };
+
+        this._queue = (this._queue || this._getKey()).then(run, run);
+    };
+
+    /**
+     * Reads an item from the wrapped storage, whether it is asynchronous or
+     * not
+     *
+     * @method _read
+     * @private
+     * @param {string} key
+     * @param {Function} callback called with an error (or false) and the item
+     */
+    EncryptedStorage.prototype._read = function (key, callback) {
+        if (this._storage.async) {
+            this._storage.getItem(key, callback);
+            return;
+        }
+        callback(false, this._storage.getItem(key));
+    };
+
+    /**
+     * Writes in the wrapped storage, whether it is asynchronous or not. The
+     * write starts when the returned thenable is resolved by a promise, which
+     * does not depend on a Promise implementation.
+     *
+     * @method _write
+     * @private
+     * @param {String} method `setItem` or `removeItem`
+     * @param {Array} args the arguments of the method
+     * @param {Function} callback called with an error (or false)
+     * @return {Object} thenable fulfilled once the write is done
+     */
+    EncryptedStorage.prototype._write = function (method, args, callback) {
+        var storage = this._storage;
+
+        return {
+            then: function (resolve) {
+                var done = function (error) {
+                        resolve();
+                        callback(error);
+                    };
+
+                if (storage.async) {
+                    storage[method].apply(storage, args.concat([done]));
+                    return;
+                }
+                storage[method].apply(storage, args);
+                done(false);
+            }
+        };
+    };
+
+    /**
+     * Derives (once) the encryption key from the secret
+     *
+     * @method _getKey
+     * @private
+     * @return {Promise} the promise of the CryptoKey
+     */
+    EncryptedStorage.prototype._getKey = function () {
+        var options = this._options,
+            subtle = this._crypto.subtle;
+
+        if (!this._key) {
+            this._key = subtle.importKey(
+                "raw", EncryptedStorage._encode(options.secret), "PBKDF2", false, ["deriveKey"]
+            ).then(function (baseKey) {
+                return subtle.deriveKey(
+                    {
+                        name: "PBKDF2",
+                        salt: EncryptedStorage._encode(options.salt || "ezpRestClient"),
+                        iterations: options.iterations || 100000,
+                        hash: "SHA-256"
+                    },
+                    baseKey,
+                    {name: "AES-GCM", length: 256},
+                    false,
+                    ["encrypt", "decrypt"]
+                );
+            });
+        }
+        return this._key;
+    };
+
+    /**
+     * Encodes the string in UTF-8
+     *
+     * @method _encode
+     * @static
+     * @private
+     * @param {String} string
+     * @return {Uint8Array}
+     */
+    EncryptedStorage._encode = function (string) {
+        var binary = unescape(encodeURIComponent(string)),
+            bytes = new Uint8Array(binary.length),
+            i;
+
+        for (i = 0; i < binary.length; ++i) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    };
+
+    /**
+     * Decodes the UTF-8 bytes
+     *
+     * @method _decode
+     * @static
+     * @private
+     * @param {Uint8Array} bytes
+     * @return {String}
+     */
+    EncryptedStorage._decode = function (bytes) {
+        return decodeURIComponent(escape(String.fromCharCode.apply(null, bytes)));
+    };
+
+    /**
+     * Encodes the bytes in base64
+     *
+     * @method _encodeBase64
+     * @static
+     * @private
+     * @param {Uint8Array} bytes
+     * @return {String}
+     */
+    EncryptedStorage._encodeBase64 = function (bytes) {
+        return btoa(String.fromCharCode.apply(null, bytes));
+    };
+
+    /**
+     * Decodes the base64 string
+     *
+     * @method _decodeBase64
+     * @static
+     * @private
+     * @param {String} string
+     * @return {Uint8Array}
+     */
+    EncryptedStorage._decodeBase64 = function (string) {
+        var binary = atob(string),
+            bytes = new Uint8Array(binary.length),
+            i;
+
+        for (i = 0; i < binary.length; ++i) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    };
+
+    /**
+     * Check whether this storage implementation is compatible with the current environment.
+     *
+     * @method isCompatible
+     * @static
+     * @return {Boolean}
+     */
+    EncryptedStorage.isCompatible = function () {
+        return (typeof crypto !== "undefined" && !!crypto.subtle && typeof crypto.getRandomValues === "function");
+    };
+
+    return EncryptedStorage;
+});
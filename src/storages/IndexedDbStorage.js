@@ -0,0 +1,203 @@
+/* global define */
+define(["structures/CAPIError"], function(CAPIError) {
+    /**
+     * Implementation of the asynchronous storage abstraction utilizing an
+     * IndexedDB database
+     *
+     * Unlike the synchronous storages, the methods of an asynchronous storage
+     * take a callback which receives an error (or false) as first argument
+     * and the result as second argument. The auth agents use an asynchronous
+     * storage through a {{#crossLink "CachedStorage"}}CachedStorage{{/crossLink}}.
+     *
+     * If the IndexedDB is not available an error is thrown during construction
+     *
+     * Usability of this storage can be checked using the static isCompatible method.
+     *
+     * @class IndexedDbStorage
+     * @extends {AsyncStorageAbstraction}
+     * @constructor
+     * @param [options] {Object} object literal containing the database options
+     * @param [options.dbName="ezpRestClient"] {String} name of the database
+     * @param [options.storeName="storage"] {String} name of the object store
+     */
+    var IndexedDbStorage = function (options) {
+        if (!IndexedDbStorage.isCompatible()) {
+            throw new CAPIError("IndexedDbStorage abstraction can not be used: window.indexedDB is not available.");
+        }
+
+        options = options || {};
+
+        /**
+         * Name of the database
+         *
+         * @property _dbName
+         * @type {String}
+         * @private
+         */
+        this._dbName = options.dbName || "ezpRestClient";
+
+        /**
+         * Name of the object store
+         *
+         * @property _storeName
+         * @type {String}
+         * @private
+         */
+        this._storeName = options.storeName || "storage";
+
+        /**
+         * The opened database
+         *
+         * @property _db
+         * @type {IDBDatabase|null}
+         * @private
+         */
+        this._db = null;
+
+        /**
+         * Callbacks waiting for the database to be opened
+         *
+         * @property _openCallbacks
+         * @type {Array|null}
+         * @private
+         */
+        this._openCallbacks = null;
+    };
+
+    /**
+     * Flag of the asynchronous storages
+     *
+     * @property async
+     * @type {Boolean}
+     * @default true
+     */
+    IndexedDbStorage.prototype.async = true;
+
+    /**
+     * Retrieve an item from the storage
+     *
+     * @method getItem
+     * @param {string} key
+     * @param {Function} callback called with an error (or false) and the item (null if it does not exist)
+     */
+    IndexedDbStorage.prototype.getItem = function(key, callback) {
+        this._run("readonly", function (store) {
+            return store.get(key);
+        }, function (error, value) {
+            callback(error, value === undefined ? null : value);
+        });
+    };
+
+    /**
+     * Store an item in storage
+     *
+     * @method setItem
+     * @param {string} key
+     * @param {*} value
+     * @param {Function} [callback] called with an error (or false)
+     */
+    IndexedDbStorage.prototype.setItem = function(key, value, callback) {
+        this._run("readwrite", function (store) {
+            return store.put(value, key);
+        }, callback);
+    };
+
+    /**
+     * Remove an item from storage
+     *
+     * @method removeItem
+     * @param {string} key
+     * @param {Function} [callback] called with an error (or false)
+     */
+    IndexedDbStorage.prototype.removeItem = function(key, callback) {
+        this._run("readwrite", function (store) {
+            return store.delete(key);
+        }, callback);
+    };
+
+    /**
+     * Runs a request on the object store
+     *
+     * @method _run
+     * @private
+     * @param {String} mode the transaction mode
+     * @param {Function} operation function receiving the object store and returning the request
+     * @param {Function} [callback] called with an error (or false) and the result of the request
+     */
+    IndexedDbStorage.prototype._run = function (mode, operation, callback) {
+        callback = callback || function () {};
+
+        this._open(function (error, db) {
+            var request;
+
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            request = operation(db.transaction(this._storeName, mode).objectStore(this._storeName));
+            request.onsuccess = function () {
+                callback(false, request.result);
+            };
+            request.onerror = function () {
+                callback(new CAPIError("The IndexedDB request failed.", {error: request.error}));
+            };
+        });
+    };
+
+    /**
+     * Opens the database (once) and creates the object store if needed
+     *
+     * @method _open
+     * @private
+     * @param {Function} callback called, in the context of the storage, with an error (or false)
+     * and the database
+     */
+    IndexedDbStorage.prototype._open = function (callback) {
+        var that = this,
+            request,
+            flush = function (error) {
+                var callbacks = that._openCallbacks;
+
+                that._openCallbacks = null;
+                callbacks.forEach(function (cb) {
+                    cb.call(that, error, that._db);
+                });
+            };
+
+        if (this._db) {
+            callback.call(this, false, this._db);
+            return;
+        }
+        if (this._openCallbacks) {
+            this._openCallbacks.push(callback);
+            return;
+        }
+        this._openCallbacks = [callback];
+
+        request = window.indexedDB.open(this._dbName, 1);
+        request.onupgradeneeded = function () {
+            request.result.createObjectStore(that._storeName);
+        };
+        request.onsuccess = function () {
+            that._db = request.result;
+            flush(false);
+        };
+        request.onerror = function () {
+            flush(new CAPIError("Unable to open the IndexedDB database.", {error: request.error}));
+        };
+    };
+
+    /**
+     * Check whether this storage implementation is compatible with the current environment.
+     *
+     * @method isCompatible
+     * @static
+     * @return {Boolean}
+     */
+    IndexedDbStorage.isCompatible = function () {
+        return (typeof window !== "undefined" && !!window.indexedDB);
+    };
+
+    return IndexedDbStorage;
+});
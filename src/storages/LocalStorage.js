@@ -71,7 +71,7 @@ define(["structures/CAPIError"], function(CAPIError) {
     LocalStorage.isCompatible = function () {
         var t = "__featuredetection__";
 
-        if (!window.localStorage || !window.localStorage.setItem) {
+        if (typeof window === "undefined" || !window.localStorage || !window.localStorage.setItem) {
             return false;
         }
 
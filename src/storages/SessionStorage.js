@@ -0,0 +1,89 @@
+/* global define */
+define(["structures/CAPIError"], function(CAPIError) {
+    /**
+     * Implementation of the storage abstraction utilizing a window.sessionStorage
+     *
+     * Unlike the LocalStorage, the stored data is bound to the browser tab and
+     * is removed when the tab or the browser is closed.
+     *
+     * If the sessionStorage is not available an error is thrown during construction
+     *
+     * Usability of this storage can be checked using the static isCompatible method.
+     *
+     * @class SessionStorage
+     * @extends {StorageAbstraction}
+     * @constructor
+     */
+    var SessionStorage = function () {
+        if (!SessionStorage.isCompatible()) {
+            throw new CAPIError("SessionStorage abstraction can not be used: window.sessionStorage is not available.");
+        }
+
+        /**
+         * Session storage which is internally used to store and retrieve data
+         *
+         * @property _storage
+         * @type {Storage}
+         * @private
+         */
+        this._storage = window.sessionStorage;
+    };
+
+    /**
+     * Retrieve an item from the storage
+     *
+     * @method getItem
+     * @param {string} key
+     * @return {*}
+     */
+    SessionStorage.prototype.getItem = function(key) {
+        return JSON.parse(this._storage.getItem(key));
+    };
+
+    /**
+     * Store an item in storage
+     *
+     * @method setItem
+     * @param {string} key
+     * @param {*} value
+     */
+    SessionStorage.prototype.setItem = function(key, value) {
+        this._storage.setItem(key, JSON.stringify(value));
+    };
+
+    /**
+     * Remove an item from storage
+     *
+     * @method removeItem
+     * @param {string} key
+     */
+    SessionStorage.prototype.removeItem = function(key) {
+        this._storage.removeItem(key);
+    };
+
+    /**
+     * Check whether this storage implementation is compatible with the current environment.
+     *
+     * @method isCompatible
+     * @static
+     * @return {Boolean}
+     */
+    SessionStorage.isCompatible = function () {
+        var t = "__featuredetection__";
+
+        if (typeof window === "undefined" || !window.sessionStorage || !window.sessionStorage.setItem) {
+            return false;
+        }
+
+        // the sessionStorage throws when it is full or disabled (e.g. private browsing in some browsers)
+        try {
+            window.sessionStorage.setItem(t, t);
+            window.sessionStorage.removeItem(t);
+            return true;
+        } catch(e) {
+            return false;
+        }
+    };
+
+    return SessionStorage;
+});
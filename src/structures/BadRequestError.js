@@ -0,0 +1,25 @@
+/* global define */
+define(["structures/ResponseError"], function (ResponseError) {
+    "use strict";
+
+    /**
+     * Error given to the callback when the REST service answers with a 400 Bad
+     * Request status
+     *
+     * @class BadRequestError
+     * @extends ResponseError
+     * @constructor
+     * @param message {String} error message
+     * @param details {Object} object literal containing any additional error properties
+     */
+    var BadRequestError = function (message, details) {
+        ResponseError.call(this, message, details);
+        this.name = "BadRequestError";
+    };
+
+    BadRequestError.prototype = new ResponseError();
+
+    BadRequestError.prototype.constructor = BadRequestError;
+
+    return BadRequestError;
+});
@@ -0,0 +1,25 @@
+/* global define */
+define(["structures/ResponseError"], function (ResponseError) {
+    "use strict";
+
+    /**
+     * Error given to the callback when the REST service answers with a 409
+     * Conflict status
+     *
+     * @class ConflictError
+     * @extends ResponseError
+     * @constructor
+     * @param message {String} error message
+     * @param details {Object} object literal containing any additional error properties
+     */
+    var ConflictError = function (message, details) {
+        ResponseError.call(this, message, details);
+        this.name = "ConflictError";
+    };
+
+    ConflictError.prototype = new ResponseError();
+
+    ConflictError.prototype.constructor = ConflictError;
+
+    return ConflictError;
+});
@@ -1,5 +1,6 @@
 /* global define */
-define(function () {
+define(["fieldTypes/FieldTypeRegistry", "structures/CAPIError", "utils/encodeFileField"],
+    function (FieldTypeRegistry, CAPIError, encodeFileField) {
     "use strict";
 
     /**
@@ -37,9 +38,64 @@ define(function () {
             "Content-Type": "application/vnd.ez.api.ContentCreate+json"
         };
 
+        /**
+         * The ContentType the struct is built from, see
+         * {{#crossLink "ContentCreateStruct/fromContentType:method"}}fromContentType{{/crossLink}}
+         *
+         * @property contentType
+         * @type {Object|null}
+         */
+        this.contentType = null;
+
+        /**
+         * The field types indexed by field definition identifier, null if the
+         * struct is not built from a ContentType
+         *
+         * @property _fieldTypes
+         * @type {Object|null}
+         * @protected
+         */
+        this._fieldTypes = null;
+        this._fieldTypeRegistry = null;
+
         return this;
     };
 
+    /**
+     * Builds a ContentCreateStruct from a ContentType, every field definition
+     * of the ContentType is added to the struct with its default value. The
+     * fields can then be set with
+     * {{#crossLink "ContentCreateStruct/setField:method"}}setField{{/crossLink}}
+     * which builds the field value according to the field type.
+     *
+     * @method fromContentType
+     * @static
+     * @param contentType {Object} the ContentType (e.g. `response.document.ContentType`)
+     * @param locationCreateStruct {LocationCreateStruct} create structure for a Location object, where the new Content object will be situated
+     * @param languageCode {String} The language code (e.g. "eng-GB")
+     * @param [fieldTypeRegistry] {FieldTypeRegistry} the registry building the field values
+     * @return {ContentCreateStruct}
+     * @example
+     *     var struct = ContentCreateStruct.fromContentType(contentType, locationCreateStruct, "eng-GB");
+     *
+     *     struct.setField("title", "News").setField("publish_date", new Date());
+     */
+    ContentCreateStruct.fromContentType = function (contentType, locationCreateStruct, languageCode, fieldTypeRegistry) {
+        var struct = new ContentCreateStruct(contentType._href, locationCreateStruct, languageCode);
+
+        struct.contentType = contentType;
+        struct._fieldTypes = {};
+        struct._fieldTypeRegistry = fieldTypeRegistry || new FieldTypeRegistry();
+        ((contentType.FieldDefinitions || {}).FieldDefinition || []).forEach(function (fieldDefinition) {
+            struct._fieldTypes[fieldDefinition.identifier] = fieldDefinition.fieldType;
+            struct.addField(
+                fieldDefinition.identifier,
+                (fieldDefinition.defaultValue === undefined) ? null : fieldDefinition.defaultValue
+            );
+        });
+        return struct;
+    };
+
     /**
      * Adds a new field and its value into the structure
      *
@@ -59,5 +115,123 @@ define(function () {
         return this;
     };
 
+    /**
+     * Returns the field of the given identifier and language
+     *
+     * @method _findField
+     * @protected
+     * @param fieldIdentifier {String} field identifier
+     * @param languageCode {String}
+     * @return {Object|undefined}
+     */
+    ContentCreateStruct.prototype._findField = function (fieldIdentifier, languageCode) {
+        var mainLanguageCode = this.body.ContentCreate.mainLanguageCode,
+            found;
+
+        this.body.ContentCreate.fields.field.some(function (field) {
+            if (field.fieldDefinitionIdentifier === fieldIdentifier && (field.languageCode || mainLanguageCode) === languageCode) {
+                found = field;
+                return true;
+            }
+            return false;
+        });
+        return found;
+    };
+
+    /**
+     * Sets the value of a field, the field is added if it is not in the
+     * structure yet. If the struct is built from a ContentType (see
+     * {{#crossLink "ContentCreateStruct/fromContentType:method"}}fromContentType{{/crossLink}}),
+     * the value is built by the field type registry (e.g. a Date for an ezdate
+     * field, see {{#crossLink "FieldTypeRegistry/serialize:method"}}FieldTypeRegistry.serialize{{/crossLink}})
+     * and an unknown field throws a CAPIError.
+     *
+     * @method setField
+     * @param fieldIdentifer {String} field identifier
+     * @param value {Mixed} the value
+     * @param [languageCode] {String} the language of the field, by default the main language
+     *
+     * @return {ContentCreateStruct}
+     */
+    ContentCreateStruct.prototype.setField = function (fieldIdentifer, value, languageCode) {
+        var field;
+
+        if (this._fieldTypes) {
+            if (!this._fieldTypes.hasOwnProperty(fieldIdentifer)) {
+                throw new CAPIError(
+                    "The field " + fieldIdentifer + " does not exist in the Content Type.",
+                    {fieldDefinitionIdentifier: fieldIdentifer}
+                );
+            }
+            value = this._fieldTypeRegistry.serialize(this._fieldTypes[fieldIdentifer], value);
+        }
+
+        field = this._findField(fieldIdentifer, languageCode || this.body.ContentCreate.mainLanguageCode);
+        if (field) {
+            field.fieldValue = value;
+        } else if (languageCode) {
+            this.body.ContentCreate.fields.field.push({
+                fieldDefinitionIdentifier: fieldIdentifer,
+                languageCode: languageCode,
+                fieldValue: value
+            });
+        } else {
+            this.addField(fieldIdentifer, value);
+        }
+
+        return this;
+    };
+
+    /**
+     * Sets the value of an ezimage, an ezbinaryfile or an ezmedia field from
+     * a file, the file is base64 encoded by chunks (see
+     * {{#crossLink "encodeFile/encodeFile:method"}}encodeFile{{/crossLink}}).
+     * The callback receives an error (or false) and the structure.
+     *
+     * @method setFile
+     * @param fieldIdentifer {String} field identifier
+     * @param file {File|Blob|Buffer|stream.Readable} the file
+     * @param [options] {Object} the options of {{#crossLink "encodeFile/encodeFile:method"}}encodeFile{{/crossLink}}
+     * (`fileName`, `mimeType`, `maxSize` and `chunkSize`)
+     * @param [options.alternativeText] {String} the alternative text of an image
+     * @param [options.fieldType] {String} the field type, the mime type is not part of an "ezimage" field value.
+     * By default, the field type of the Content Type if the struct is built from it.
+     * @param [options.languageCode] {String} the language of the field, by default the main language
+     * @param callback {Function} callback receiving an error (or false) and the structure
+     * @example
+     *     contentCreateStruct.setFile("image", input.files[0], {alternativeText: "eZ", maxSize: 1048576}, function (error) {
+     *         contentService.createContent(contentCreateStruct, callback);
+     *     });
+     */
+    ContentCreateStruct.prototype.setFile = function (fieldIdentifer, file, options, callback) {
+        var that = this;
+
+        if (typeof options === "function") {
+            callback = options;
+            options = {};
+        }
+        options = options || {};
+
+        encodeFileField(file, options.fieldType || (this._fieldTypes && this._fieldTypes[fieldIdentifer]), options, function (fieldValue) {
+            that.setField(fieldIdentifer, fieldValue, options.languageCode);
+        }, function (error) {
+            callback(error, that);
+        });
+    };
+
+    /**
+     * Returns the value of a field
+     *
+     * @method getFieldValue
+     * @param fieldIdentifer {String} field identifier
+     * @param [languageCode] {String} the language of the field, by default the main language
+     * @return {Mixed} the field value, undefined if the field is not in the structure
+     */
+    ContentCreateStruct.prototype.getFieldValue = function (fieldIdentifer, languageCode) {
+        var field = this._findField(fieldIdentifer, languageCode || this.body.ContentCreate.mainLanguageCode);
+
+        return field ? field.fieldValue : undefined;
+    };
+
     return ContentCreateStruct;
 });
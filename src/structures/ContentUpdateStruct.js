@@ -1,5 +1,5 @@
 /* global define */
-define(function () {
+define(["utils/encodeFileField"], function (encodeFileField) {
     "use strict";
 
     /**
@@ -30,6 +30,94 @@ define(function () {
         return this;
     };
 
+    /**
+     * Adds a field and its value into the structure
+     *
+     * @method addField
+     * @param fieldIdentifer {String} field identifier
+     * @param fieldValue {Mixed} field value
+     * @param [languageCode] {String} the language of the field, by default the initial language
+     *
+     * @return {ContentUpdateStruct}
+     */
+    ContentUpdateStruct.prototype.addField = function (fieldIdentifer, fieldValue, languageCode) {
+        this.body.VersionUpdate.fields.field.push({
+            fieldDefinitionIdentifier: fieldIdentifer,
+            languageCode: languageCode || this.body.VersionUpdate.initialLanguageCode,
+            fieldValue: fieldValue
+        });
+
+        return this;
+    };
+
+    /**
+     * Finds the field with the given identifier in the given language
+     *
+     * @method _findField
+     * @protected
+     * @param fieldIdentifier {String} field identifier
+     * @param languageCode {String}
+     * @return {Object|undefined}
+     */
+    ContentUpdateStruct.prototype._findField = function (fieldIdentifier, languageCode) {
+        var found;
+
+        this.body.VersionUpdate.fields.field.some(function (field) {
+            if (field.fieldDefinitionIdentifier === fieldIdentifier && field.languageCode === languageCode) {
+                found = field;
+                return true;
+            }
+            return false;
+        });
+        return found;
+    };
+
+    /**
+     * Sets an ezimage, an ezbinaryfile or an ezmedia field built from a file,
+     * like {{#crossLink "ContentCreateStruct/setFile:method"}}ContentCreateStruct.setFile{{/crossLink}}.
+     * The field is added if it is not in the structure yet, otherwise its
+     * value is replaced. The file is base64 encoded by chunks (see
+     * {{#crossLink "encodeFile/encodeFile:method"}}encodeFile{{/crossLink}}).
+     * The callback receives an error (or false) and the structure.
+     *
+     * @method setFile
+     * @param fieldIdentifer {String} field identifier
+     * @param file {File|Blob|Buffer|stream.Readable} the file
+     * @param [options] {Object} the options of {{#crossLink "encodeFile/encodeFile:method"}}encodeFile{{/crossLink}}
+     * (`fileName`, `mimeType`, `maxSize` and `chunkSize`)
+     * @param [options.alternativeText] {String} the alternative text of an image
+     * @param [options.fieldType] {String} the field type, the mime type is not part of an "ezimage" field value
+     * @param [options.languageCode] {String} the language of the field, by default the initial language
+     * @param callback {Function} callback receiving an error (or false) and the structure
+     * @example
+     *     contentUpdateStruct.setFile("file", fs.createReadStream("report.pdf"), function (error) {
+     *         contentService.updateContent(versionId, contentUpdateStruct, callback);
+     *     });
+     */
+    ContentUpdateStruct.prototype.setFile = function (fieldIdentifer, file, options, callback) {
+        var that = this;
+
+        if (typeof options === "function") {
+            callback = options;
+            options = {};
+        }
+        options = options || {};
+
+        encodeFileField(file, options.fieldType, options, function (fieldValue) {
+            var field = that._findField(
+                    fieldIdentifer, options.languageCode || that.body.VersionUpdate.initialLanguageCode
+                );
+
+            if (field) {
+                field.fieldValue = fieldValue;
+            } else {
+                that.addField(fieldIdentifer, fieldValue, options.languageCode);
+            }
+        }, function (error) {
+            callback(error, that);
+        });
+    };
+
     return ContentUpdateStruct;
 
 });
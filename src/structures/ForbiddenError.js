@@ -0,0 +1,25 @@
+/* global define */
+define(["structures/ResponseError"], function (ResponseError) {
+    "use strict";
+
+    /**
+     * Error given to the callback when the REST service answers with a 403
+     * Forbidden status
+     *
+     * @class ForbiddenError
+     * @extends ResponseError
+     * @constructor
+     * @param message {String} error message
+     * @param details {Object} object literal containing any additional error properties
+     */
+    var ForbiddenError = function (message, details) {
+        ResponseError.call(this, message, details);
+        this.name = "ForbiddenError";
+    };
+
+    ForbiddenError.prototype = new ResponseError();
+
+    ForbiddenError.prototype.constructor = ForbiddenError;
+
+    return ForbiddenError;
+});
@@ -0,0 +1,25 @@
+/* global define */
+define(["structures/ResponseError"], function (ResponseError) {
+    "use strict";
+
+    /**
+     * Error given to the callback when the REST service answers with a 404 Not
+     * Found status
+     *
+     * @class NotFoundError
+     * @extends ResponseError
+     * @constructor
+     * @param message {String} error message
+     * @param details {Object} object literal containing any additional error properties
+     */
+    var NotFoundError = function (message, details) {
+        ResponseError.call(this, message, details);
+        this.name = "NotFoundError";
+    };
+
+    NotFoundError.prototype = new ResponseError();
+
+    NotFoundError.prototype.constructor = NotFoundError;
+
+    return NotFoundError;
+});
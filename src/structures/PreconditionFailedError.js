@@ -0,0 +1,25 @@
+/* global define */
+define(["structures/ResponseError"], function (ResponseError) {
+    "use strict";
+
+    /**
+     * Error given to the callback when the REST service answers with a 412
+     * Precondition Failed status (e.g. the given ETag does not match)
+     *
+     * @class PreconditionFailedError
+     * @extends ResponseError
+     * @constructor
+     * @param message {String} error message
+     * @param details {Object} object literal containing any additional error properties
+     */
+    var PreconditionFailedError = function (message, details) {
+        ResponseError.call(this, message, details);
+        this.name = "PreconditionFailedError";
+    };
+
+    PreconditionFailedError.prototype = new ResponseError();
+
+    PreconditionFailedError.prototype.constructor = PreconditionFailedError;
+
+    return PreconditionFailedError;
+});
@@ -0,0 +1,490 @@
+/* global define */
+define(["structures/ViewCreateStruct", "structures/CAPIError"], function (ViewCreateStruct, CAPIError) {
+    "use strict";
+
+    /**
+     * Builds the query of a View. The criteria are created with the static
+     * methods of the QueryBuilder (e.g. `QueryBuilder.subtree`), they can be
+     * combined with `QueryBuilder.and`, `QueryBuilder.or` and
+     * `QueryBuilder.not`. The criteria, the sort clauses and the facet
+     * builders are validated when they are added, an invalid one throws a
+     * CAPIError.
+     *
+     * @class QueryBuilder
+     * @constructor
+     * @example
+     *     var Q = eZ.QueryBuilder,
+     *         query = new Q()
+     *             .where(Q.contentTypeIdentifier(["article", "blog_post"]))
+     *             .where(Q.subtree("/1/2/"))
+     *             .where(Q.not(Q.visibility("HIDDEN")))
+     *             .sortBy("DatePublished", "descending")
+     *             .facet("ContentType", {name: "types", limit: 10})
+     *             .limit(10);
+     *
+     *     contentService.createView(query.build("latest-articles"), callback);
+     */
+    var QueryBuilder = function () {
+        this._criteria = [];
+        this._sortClauses = {};
+        this._facetBuilders = {};
+        this._limit = null;
+        this._offset = 0;
+    };
+
+    /**
+     * The operators of the Field criterion
+     *
+     * @property FIELD_OPERATORS
+     * @static
+     * @type {Array}
+     */
+    QueryBuilder.FIELD_OPERATORS = ["EQ", "IN", "LT", "LTE", "GT", "GTE", "BETWEEN", "LIKE", "CONTAINS"];
+
+    /**
+     * The operators of the DateMetadata criterion
+     *
+     * @property DATE_OPERATORS
+     * @static
+     * @type {Array}
+     */
+    QueryBuilder.DATE_OPERATORS = ["EQ", "IN", "LT", "LTE", "GT", "GTE", "BETWEEN"];
+
+    /**
+     * The supported sort clauses
+     *
+     * @property SORT_CLAUSES
+     * @static
+     * @type {Array}
+     */
+    QueryBuilder.SORT_CLAUSES = [
+        "ContentId", "ContentName", "DateModified", "DatePublished", "LocationDepth",
+        "LocationPath", "LocationPriority", "SectionIdentifier", "SectionName"
+    ];
+
+    /**
+     * The supported facet builders
+     *
+     * @property FACET_BUILDERS
+     * @static
+     * @type {Array}
+     */
+    QueryBuilder.FACET_BUILDERS = ["ContentType", "Criterion", "DateRange", "Field", "Location", "Section", "User"];
+
+    /**
+     * Adds a criterion to the query. The criteria added by several calls are
+     * combined with a logical AND.
+     *
+     * @method where
+     * @param criterion {Object} a criterion created by one of the static methods
+     * @return {QueryBuilder}
+     */
+    QueryBuilder.prototype.where = function (criterion) {
+        QueryBuilder._checkCriterion(criterion);
+        this._criteria.push(criterion);
+        return this;
+    };
+
+    /**
+     * Adds a sort clause to the query
+     *
+     * @method sortBy
+     * @param clause {String} one of the QueryBuilder.SORT_CLAUSES (e.g. "DatePublished")
+     * @param [direction="ascending"] {String} "ascending" or "descending"
+     * @return {QueryBuilder}
+     */
+    QueryBuilder.prototype.sortBy = function (clause, direction) {
+        direction = direction || "ascending";
+        if (QueryBuilder.SORT_CLAUSES.indexOf(clause) === -1) {
+            throw new CAPIError("Unknown sort clause '" + clause + "'.", {clause: clause});
+        }
+        if (direction !== "ascending" && direction !== "descending") {
+            throw new CAPIError("Invalid sort direction '" + direction + "'.", {clause: clause, direction: direction});
+        }
+        this._sortClauses[clause] = direction;
+        return this;
+    };
+
+    /**
+     * Adds a facet builder to the query
+     *
+     * @method facet
+     * @param type {String} one of the QueryBuilder.FACET_BUILDERS (e.g. "ContentType")
+     * @param [options] {Object} the options of the facet builder (e.g. `name`, `limit`, `minCount`)
+     * @return {QueryBuilder}
+     */
+    QueryBuilder.prototype.facet = function (type, options) {
+        if (QueryBuilder.FACET_BUILDERS.indexOf(type) === -1) {
+            throw new CAPIError("Unknown facet builder '" + type + "'.", {type: type});
+        }
+        this._facetBuilders[type + "FacetBuilder"] = options || {};
+        return this;
+    };
+
+    /**
+     * Sets the maximum number of results
+     *
+     * @method limit
+     * @param limit {Number}
+     * @return {QueryBuilder}
+     */
+    QueryBuilder.prototype.limit = function (limit) {
+        this._limit = QueryBuilder._checkInteger("limit", limit);
+        return this;
+    };
+
+    /**
+     * Sets the offset of the results
+     *
+     * @method offset
+     * @param offset {Number}
+     * @return {QueryBuilder}
+     */
+    QueryBuilder.prototype.offset = function (offset) {
+        this._offset = QueryBuilder._checkInteger("offset", offset);
+        return this;
+    };
+
+    /**
+     * Returns the criteria of the query, as expected in the `Criteria`
+     * property of the query
+     *
+     * @method getCriteria
+     * @return {Object}
+     */
+    QueryBuilder.prototype.getCriteria = function () {
+        if (this._criteria.length === 1) {
+            return this._criteria[0];
+        }
+        if (this._criteria.length > 1) {
+            return QueryBuilder.and.apply(null, this._criteria);
+        }
+        return {};
+    };
+
+    /**
+     * Writes the query in the given ViewCreateStruct
+     *
+     * @method applyTo
+     * @param viewCreateStruct {ViewCreateStruct}
+     * @return {ViewCreateStruct}
+     */
+    QueryBuilder.prototype.applyTo = function (viewCreateStruct) {
+        var query = viewCreateStruct.body.ViewInput.Query;
+
+        query.Criteria = this.getCriteria();
+        query.SortClauses = JSON.parse(JSON.stringify(this._sortClauses));
+        query.FacetBuilders = JSON.parse(JSON.stringify(this._facetBuilders));
+        query.offset = this._offset;
+        if (this._limit !== null) {
+            query.limit = this._limit;
+        }
+        return viewCreateStruct;
+    };
+
+    /**
+     * Builds the ViewCreateStruct to give to
+     * {{#crossLink "ContentService/createView"}}ContentService.createView{{/crossLink}}
+     *
+     * @method build
+     * @param identifier {String} unique view identifier
+     * @return {ViewCreateStruct}
+     */
+    QueryBuilder.prototype.build = function (identifier) {
+        return this.applyTo(new ViewCreateStruct(identifier));
+    };
+
+    /**
+     * Matches the content of the given content type(s)
+     *
+     * @method contentTypeIdentifier
+     * @static
+     * @param identifier {String|Array} the content type identifier(s) (e.g. "folder")
+     * @return {Object} the criterion
+     */
+    QueryBuilder.contentTypeIdentifier = function (identifier) {
+        return QueryBuilder._valueCriterion("ContentTypeIdentifier", identifier);
+    };
+
+    /**
+     * Matches the content located under the given parent location(s)
+     *
+     * @method parentLocationId
+     * @static
+     * @param id {Number|Array} the parent location id(s)
+     * @return {Object} the criterion
+     */
+    QueryBuilder.parentLocationId = function (id) {
+        return QueryBuilder._valueCriterion("ParentLocationId", id);
+    };
+
+    /**
+     * Matches the content located in the given subtree(s)
+     *
+     * @method subtree
+     * @static
+     * @param pathString {String|Array} the path string(s) of the subtree (e.g. "/1/2/")
+     * @return {Object} the criterion
+     */
+    QueryBuilder.subtree = function (pathString) {
+        [].concat(pathString).forEach(function (path) {
+            if (typeof path !== "string" || !(/^\/(\d+\/)+$/).test(path)) {
+                throw new CAPIError("Invalid subtree path string '" + path + "'.", {pathString: path});
+            }
+        });
+        return QueryBuilder._valueCriterion("Subtree", pathString);
+    };
+
+    /**
+     * Matches the content by the value of one of its fields
+     *
+     * @method field
+     * @static
+     * @param identifier {String} the field definition identifier
+     * @param operator {String} one of the QueryBuilder.FIELD_OPERATORS
+     * @param value {*} the value, an array for IN and a [from, to] array for BETWEEN
+     * @return {Object} the criterion
+     */
+    QueryBuilder.field = function (identifier, operator, value) {
+        QueryBuilder._checkOperator("Field", QueryBuilder.FIELD_OPERATORS, operator, value);
+        return {
+            "FieldCriterion": {
+                "target": identifier,
+                "operator": operator,
+                "value": value
+            }
+        };
+    };
+
+    /**
+     * Matches the content containing the given text
+     *
+     * @method fullText
+     * @static
+     * @param text {String}
+     * @return {Object} the criterion
+     */
+    QueryBuilder.fullText = function (text) {
+        if (typeof text !== "string" || !text) {
+            throw new CAPIError("The FullText criterion needs a text.", {text: text});
+        }
+        return {"FullTextCriterion": text};
+    };
+
+    /**
+     * Matches the content by its creation or modification date
+     *
+     * @method dateMetadata
+     * @static
+     * @param target {String} "created" or "modified"
+     * @param operator {String} one of the QueryBuilder.DATE_OPERATORS
+     * @param value {Number|Array} the timestamp(s)
+     * @return {Object} the criterion
+     */
+    QueryBuilder.dateMetadata = function (target, operator, value) {
+        if (target !== "created" && target !== "modified") {
+            throw new CAPIError("Invalid DateMetadata target '" + target + "'.", {target: target});
+        }
+        QueryBuilder._checkOperator("DateMetadata", QueryBuilder.DATE_OPERATORS, operator, value);
+        return {
+            "DateMetadataCriterion": {
+                "Target": target,
+                "Operator": operator,
+                "Value": value
+            }
+        };
+    };
+
+    /**
+     * Matches the content in the given section(s)
+     *
+     * @method sectionId
+     * @static
+     * @param id {Number|Array} the section id(s)
+     * @return {Object} the criterion
+     */
+    QueryBuilder.sectionId = function (id) {
+        return QueryBuilder._valueCriterion("SectionId", id);
+    };
+
+    /**
+     * Matches the content in the given object state(s)
+     *
+     * @method objectStateId
+     * @static
+     * @param id {Number|Array} the object state id(s)
+     * @return {Object} the criterion
+     */
+    QueryBuilder.objectStateId = function (id) {
+        return QueryBuilder._valueCriterion("ObjectStateId", id);
+    };
+
+    /**
+     * Matches the content translated in the given language(s)
+     *
+     * @method languageCode
+     * @static
+     * @param languageCode {String|Array} the language code(s) (e.g. "eng-GB")
+     * @return {Object} the criterion
+     */
+    QueryBuilder.languageCode = function (languageCode) {
+        return QueryBuilder._valueCriterion("LanguageCode", languageCode);
+    };
+
+    /**
+     * Matches the visible or the hidden content
+     *
+     * @method visibility
+     * @static
+     * @param visibility {String} "VISIBLE" or "HIDDEN"
+     * @return {Object} the criterion
+     */
+    QueryBuilder.visibility = function (visibility) {
+        if (visibility !== "VISIBLE" && visibility !== "HIDDEN") {
+            throw new CAPIError("Invalid Visibility '" + visibility + "'.", {visibility: visibility});
+        }
+        return {"VisibilityCriterion": visibility};
+    };
+
+    /**
+     * Matches the content matching all the given criteria
+     *
+     * @method and
+     * @static
+     * @param criterion* {Object} the criteria
+     * @return {Object} the criterion
+     */
+    QueryBuilder.and = function () {
+        return QueryBuilder._logicalCriterion("AND", Array.prototype.slice.call(arguments));
+    };
+
+    /**
+     * Matches the content matching at least one of the given criteria
+     *
+     * @method or
+     * @static
+     * @param criterion* {Object} the criteria
+     * @return {Object} the criterion
+     */
+    QueryBuilder.or = function () {
+        return QueryBuilder._logicalCriterion("OR", Array.prototype.slice.call(arguments));
+    };
+
+    /**
+     * Matches the content not matching the given criterion
+     *
+     * @method not
+     * @static
+     * @param criterion {Object}
+     * @return {Object} the criterion
+     */
+    QueryBuilder.not = function (criterion) {
+        QueryBuilder._checkCriterion(criterion);
+        return {"NOT": criterion};
+    };
+
+    /**
+     * Creates a criterion matching one or several values
+     *
+     * @method _valueCriterion
+     * @static
+     * @protected
+     * @param name {String} the name of the criterion
+     * @param value {String|Number|Array}
+     * @return {Object}
+     */
+    QueryBuilder._valueCriterion = function (name, value) {
+        var criterion = {},
+            values = [].concat(value);
+
+        if (!values.length || values.some(function (v) { return v === undefined || v === null || v === ""; })) {
+            throw new CAPIError("The " + name + " criterion needs a value.", {criterion: name, value: value});
+        }
+        criterion[name + "Criterion"] = value;
+        return criterion;
+    };
+
+    /**
+     * Creates a logical criterion
+     *
+     * @method _logicalCriterion
+     * @static
+     * @protected
+     * @param operator {String} "AND" or "OR"
+     * @param criteria {Array}
+     * @return {Object}
+     */
+    QueryBuilder._logicalCriterion = function (operator, criteria) {
+        var criterion = {};
+
+        if (criteria.length < 2) {
+            throw new CAPIError("The " + operator + " criterion needs at least two criteria.", {criteria: criteria});
+        }
+        criteria.forEach(QueryBuilder._checkCriterion);
+        criterion[operator] = criteria;
+        return criterion;
+    };
+
+    /**
+     * Checks that the given object is a criterion
+     *
+     * @method _checkCriterion
+     * @static
+     * @protected
+     * @param criterion {Object}
+     */
+    QueryBuilder._checkCriterion = function (criterion) {
+        var keys = (criterion && typeof criterion === "object") ? Object.keys(criterion) : [];
+
+        if (keys.length !== 1 || !(/(Criterion|^AND|^OR|^NOT)$/).test(keys[0])) {
+            throw new CAPIError("Invalid criterion.", {criterion: criterion});
+        }
+    };
+
+    /**
+     * Checks the operator of a criterion and its value
+     *
+     * @method _checkOperator
+     * @static
+     * @protected
+     * @param name {String} the name of the criterion
+     * @param operators {Array} the operators of the criterion
+     * @param operator {String}
+     * @param value {*}
+     */
+    QueryBuilder._checkOperator = function (name, operators, operator, value) {
+        var details = {criterion: name, operator: operator, value: value};
+
+        if (operators.indexOf(operator) === -1) {
+            throw new CAPIError("Invalid operator '" + operator + "' for the " + name + " criterion.", details);
+        }
+        if (operator === "IN" && (!Array.isArray(value) || !value.length)) {
+            throw new CAPIError("The IN operator needs a non empty array.", details);
+        }
+        if (operator === "BETWEEN" && (!Array.isArray(value) || value.length !== 2)) {
+            throw new CAPIError("The BETWEEN operator needs an array of two values.", details);
+        }
+        if (operator !== "IN" && operator !== "BETWEEN" && (Array.isArray(value) || value === undefined || value === null)) {
+            throw new CAPIError("The " + operator + " operator needs a single value.", details);
+        }
+    };
+
+    /**
+     * Checks that the value is a positive integer
+     *
+     * @method _checkInteger
+     * @static
+     * @protected
+     * @param name {String}
+     * @param value {Number}
+     * @return {Number}
+     */
+    QueryBuilder._checkInteger = function (name, value) {
+        if (typeof value !== "number" || value < 0 || Math.floor(value) !== value) {
+            throw new CAPIError("The " + name + " should be a positive integer.", {value: value});
+        }
+        return value;
+    };
+
+    return QueryBuilder;
+});
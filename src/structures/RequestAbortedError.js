@@ -0,0 +1,25 @@
+/* global define */
+define(["structures/CAPIError"], function (CAPIError) {
+    "use strict";
+
+    /**
+     * Error given to the callback of a request which has been aborted with
+     * {{#crossLink "RequestHandle/abort:method"}}RequestHandle.abort{{/crossLink}}
+     *
+     * @class RequestAbortedError
+     * @extends CAPIError
+     * @constructor
+     * @param message {String} error message
+     * @param details {Object} object literal containing any additional error properties
+     */
+    var RequestAbortedError = function (message, details) {
+        CAPIError.call(this, message, details);
+        this.name = "RequestAbortedError";
+    };
+
+    RequestAbortedError.prototype = new CAPIError();
+
+    RequestAbortedError.prototype.constructor = RequestAbortedError;
+
+    return RequestAbortedError;
+});
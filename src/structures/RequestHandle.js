@@ -0,0 +1,142 @@
+/* global define */
+define(["structures/RequestAbortedError", "structures/RequestTimeoutError"], function (RequestAbortedError, RequestTimeoutError) {
+    "use strict";
+
+    /**
+     * Handle returned by every service call. It allows to abort the requests
+     * sent by the call, including the requests which are still waiting in the
+     * queue of the ConnectionManager. When a call needs several requests (for
+     * instance to discover a resource before loading it), all of them are bound
+     * to the same handle.
+     *
+     * The callback of an aborted call receives a
+     * {{#crossLink "RequestAbortedError"}}RequestAbortedError{{/crossLink}} or
+     * a {{#crossLink "RequestTimeoutError"}}RequestTimeoutError{{/crossLink}}.
+     *
+     * @class RequestHandle
+     * @constructor
+     * @example
+     *     var handle = contentService.loadLocationChildren(locationId, callback);
+     *
+     *     handle.timeout(5000);
+     *     cancelButton.on('click', function () {
+     *         handle.abort();
+     *     });
+     */
+    var RequestHandle = function () {
+        /**
+         * Whether the handle has been aborted (or timed out)
+         *
+         * @property aborted
+         * @type {Boolean}
+         * @default false
+         */
+        this.aborted = false;
+
+        /**
+         * Functions to call to cancel the pending requests
+         *
+         * @property _pending
+         * @type {Array}
+         * @protected
+         */
+        this._pending = [];
+
+        /**
+         * The timer set by the timeout method
+         *
+         * @property _timer
+         * @type {Number|null}
+         * @default null
+         * @protected
+         */
+        this._timer = null;
+    };
+
+    /**
+     * Aborts the pending requests. Their callbacks receive a
+     * RequestAbortedError.
+     *
+     * @method abort
+     */
+    RequestHandle.prototype.abort = function () {
+        this._abort(RequestAbortedError, "The request has been aborted.");
+    };
+
+    /**
+     * Sets the maximum duration of the call. Past this delay, the pending
+     * requests are aborted and their callbacks receive a RequestTimeoutError.
+     *
+     * @method timeout
+     * @param timeout {Number} delay in milliseconds
+     * @return {RequestHandle}
+     */
+    RequestHandle.prototype.timeout = function (timeout) {
+        var that = this;
+
+        clearTimeout(this._timer);
+        this._timer = setTimeout(function () {
+            that._abort(RequestTimeoutError, "The request timed out after " + timeout + "ms.");
+        }, timeout);
+
+        return this;
+    };
+
+    /**
+     * Registers a function to call to cancel a pending request. The function
+     * receives the error constructor and the error message.
+     *
+     * @method _register
+     * @protected
+     * @param cancel {Function}
+     * @return {Function} function to call to unregister the cancel function
+     */
+    RequestHandle.prototype._register = function (cancel) {
+        var pending = this._pending;
+
+        pending.push(cancel);
+        return function () {
+            var index = pending.indexOf(cancel);
+
+            if (index !== -1) {
+                pending.splice(index, 1);
+            }
+        };
+    };
+
+    /**
+     * Marks the call as finished, the timeout (if any) is cleared.
+     *
+     * @method _finish
+     * @protected
+     */
+    RequestHandle.prototype._finish = function () {
+        clearTimeout(this._timer);
+        this._timer = null;
+    };
+
+    /**
+     * Cancels all the pending requests
+     *
+     * @method _abort
+     * @protected
+     * @param ErrorConstructor {Function} the constructor of the error to give to the callbacks
+     * @param message {String} the error message
+     */
+    RequestHandle.prototype._abort = function (ErrorConstructor, message) {
+        var pending = this._pending;
+
+        if (this.aborted) {
+            return;
+        }
+        this.aborted = true;
+        this._finish();
+        this._pending = [];
+        // a cancelled request unregisters itself from the array
+        pending.slice().forEach(function (cancel) {
+            cancel(ErrorConstructor, message);
+        });
+    };
+
+    return RequestHandle;
+});
@@ -0,0 +1,25 @@
+/* global define */
+define(["structures/CAPIError"], function (CAPIError) {
+    "use strict";
+
+    /**
+     * Error given to the callback of a request which did not complete in the
+     * configured time
+     *
+     * @class RequestTimeoutError
+     * @extends CAPIError
+     * @constructor
+     * @param message {String} error message
+     * @param details {Object} object literal containing any additional error properties
+     */
+    var RequestTimeoutError = function (message, details) {
+        CAPIError.call(this, message, details);
+        this.name = "RequestTimeoutError";
+    };
+
+    RequestTimeoutError.prototype = new CAPIError();
+
+    RequestTimeoutError.prototype.constructor = RequestTimeoutError;
+
+    return RequestTimeoutError;
+});
@@ -26,6 +26,16 @@ define(function () {
          */
         this.body = "";
 
+        /**
+         * Raw response headers, one "Name: value" pair per line as returned by
+         * XMLHttpRequest.getAllResponseHeaders()
+         *
+         * @property headers
+         * @type {String}
+         * @default ""
+         */
+        this.headers = "";
+
         /**
          * Document represents "body" property of the response parsed into structured object
          *
@@ -52,8 +62,31 @@ define(function () {
         return this;
     };
 
+    /**
+     * Returns the value of the given response header. If the response was not
+     * received through an XMLHttpRequest object, the value is looked up in the
+     * raw `headers` string.
+     *
+     * @method getHeader
+     * @param header {String} name of the header (case insensitive)
+     * @return {String|null} the header value or null if it is not present
+     */
     Response.prototype.getHeader = function (header) {
-        return this.xhr.getResponseHeader(header);
+        var lines, i, separator;
+
+        if (this.xhr) {
+            return this.xhr.getResponseHeader(header);
+        }
+
+        lines = (this.headers || "").split(/\r?\n/);
+        header = header.toLowerCase();
+        for (i = 0; i < lines.length; ++i) {
+            separator = lines[i].indexOf(":");
+            if (separator > 0 && lines[i].substring(0, separator).toLowerCase() === header) {
+                return lines[i].substring(separator + 1).replace(/^\s+|\s+$/g, "");
+            }
+        }
+        return null;
     };
 
     return Response;
@@ -0,0 +1,64 @@
+/* global define */
+define(["structures/CAPIError"], function (CAPIError) {
+    "use strict";
+
+    /**
+     * Error given to the callback when the REST service answers with an error
+     * status. It is the parent class of the errors dedicated to a status (e.g.
+     * NotFoundError). When the response body is an eZ ErrorMessage, it is
+     * parsed and available in the `errorMessage` property.
+     *
+     * @class ResponseError
+     * @extends CAPIError
+     * @constructor
+     * @param message {String} error message
+     * @param details {Object} object literal containing any additional error properties
+     * @param details.request {Request} the request which failed
+     * @param details.response {Response} the response of the REST service
+     */
+    var ResponseError = function (message, details) {
+        details = details || {};
+        CAPIError.call(this, message, details);
+        this.name = "ResponseError";
+
+        /**
+         * The request which failed
+         *
+         * @property request
+         * @type {Request}
+         */
+        this.request = details.request || null;
+
+        /**
+         * The response of the REST service
+         *
+         * @property response
+         * @type {Response}
+         */
+        this.response = details.response || null;
+
+        /**
+         * The HTTP status of the response
+         *
+         * @property status
+         * @type {Number}
+         */
+        this.status = this.response ? this.response.status : 0;
+
+        /**
+         * The parsed eZ ErrorMessage, an object literal with the `errorCode`,
+         * `errorMessage` and `errorDescription` properties, or null if the
+         * response body is not an ErrorMessage
+         *
+         * @property errorMessage
+         * @type {Object|null}
+         */
+        this.errorMessage = (this.response && this.response.document && this.response.document.ErrorMessage) || null;
+    };
+
+    ResponseError.prototype = new CAPIError();
+
+    ResponseError.prototype.constructor = ResponseError;
+
+    return ResponseError;
+});
@@ -0,0 +1,170 @@
+/* global define, Symbol, Promise */
+define(function () {
+    "use strict";
+
+    /**
+     * A page of the results of a search made with
+     * {{#crossLink "SearchService/search:method"}}SearchService.search{{/crossLink}}.
+     *
+     * Where the async iteration is supported, the search result is an async
+     * iterable walking the hits of this page and of the next ones, the pages
+     * are loaded one by one while iterating:
+     *
+     *     for await (const hit of searchResult) {
+     *         console.log(hit.type, hit.value);
+     *     }
+     *
+     * @class SearchResult
+     * @constructor
+     * @param searchService {SearchService} the service which made the search
+     * @param viewCreateStruct {ViewCreateStruct} the query of the search
+     * @param response {Response} the View response
+     */
+    var SearchResult = function (searchService, viewCreateStruct, response) {
+        var query = viewCreateStruct.body.ViewInput.Query,
+            result = (response.document.View && response.document.View.Result) || {},
+            hits = (result.searchHits && result.searchHits.searchHit) || [];
+
+        this._searchService = searchService;
+        this._viewCreateStruct = viewCreateStruct;
+
+        /**
+         * The View response
+         *
+         * @property response
+         * @type {Response}
+         */
+        this.response = response;
+
+        /**
+         * The total number of results matching the query
+         *
+         * @property totalCount
+         * @type {Number}
+         */
+        this.totalCount = result.count || 0;
+
+        /**
+         * The offset of this page
+         *
+         * @property offset
+         * @type {Number}
+         */
+        this.offset = query.offset || 0;
+
+        /**
+         * The maximum number of hits of a page
+         *
+         * @property limit
+         * @type {Number}
+         */
+        this.limit = query.limit;
+
+        /**
+         * The hits of this page. A hit has the following properties:
+         *
+         *  * `type`: the type of the value (e.g. "Content" or "Location")
+         *  * `value`: the Content or the Location
+         *  * `score`: the score of the hit
+         *
+         * @property hits
+         * @type {Array}
+         */
+        this.hits = hits.map(SearchResult._parseHit);
+
+        /**
+         * The facets of the search
+         *
+         * @property facets
+         * @type {Object}
+         */
+        this.facets = result.facets || {};
+    };
+
+    /**
+     * Checks whether there are results after this page
+     *
+     * @method hasNext
+     * @return {Boolean}
+     */
+    SearchResult.prototype.hasNext = function () {
+        return this.hits.length > 0 && this.offset + this.hits.length < this.totalCount;
+    };
+
+    /**
+     * Loads the next page
+     *
+     * @method next
+     * @param callback {Function} callback receiving an error (or false) and
+     * the SearchResult of the next page
+     * @return {RequestHandle} when the search service is provided by the CAPI
+     */
+    SearchResult.prototype.next = function (callback) {
+        return this._searchService.search(
+            this._searchService._getPage(this._viewCreateStruct, this.offset + this.hits.length),
+            callback
+        );
+    };
+
+    if (typeof Symbol !== "undefined" && Symbol.asyncIterator) {
+        /**
+         * Returns an async iterator walking the hits of this page and of the
+         * next ones
+         *
+         * @method [Symbol.asyncIterator]
+         * @return {Object}
+         */
+        SearchResult.prototype[Symbol.asyncIterator] = function () {
+            var page = this,
+                index = 0,
+                iterator = {};
+
+            iterator.next = function () {
+                return new Promise(function (resolve, reject) {
+                    if (index < page.hits.length) {
+                        resolve({value: page.hits[index++], done: false});
+                        return;
+                    }
+                    if (!page.hasNext()) {
+                        resolve({value: undefined, done: true});
+                        return;
+                    }
+                    page.next(function (error, nextPage) {
+                        if (error) {
+                            reject(error);
+                            return;
+                        }
+                        page = nextPage;
+                        index = 0;
+                        resolve(iterator.next());
+                    });
+                });
+            };
+            return iterator;
+        };
+    }
+
+    /**
+     * Parses a search hit of the View response
+     *
+     * @method _parseHit
+     * @static
+     * @protected
+     * @param searchHit {Object}
+     * @return {Object}
+     */
+    SearchResult._parseHit = function (searchHit) {
+        var value = searchHit.value || {},
+            type = Object.keys(value).filter(function (key) {
+                return key.charAt(0) !== "_";
+            })[0];
+
+        return {
+            type: type || null,
+            value: type ? value[type] : null,
+            score: searchHit._score
+        };
+    };
+
+    return SearchResult;
+});
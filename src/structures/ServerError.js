@@ -0,0 +1,25 @@
+/* global define */
+define(["structures/ResponseError"], function (ResponseError) {
+    "use strict";
+
+    /**
+     * Error given to the callback when the REST service answers with a 5xx
+     * status
+     *
+     * @class ServerError
+     * @extends ResponseError
+     * @constructor
+     * @param message {String} error message
+     * @param details {Object} object literal containing any additional error properties
+     */
+    var ServerError = function (message, details) {
+        ResponseError.call(this, message, details);
+        this.name = "ServerError";
+    };
+
+    ServerError.prototype = new ResponseError();
+
+    ServerError.prototype.constructor = ServerError;
+
+    return ServerError;
+});
@@ -0,0 +1,25 @@
+/* global define */
+define(["structures/ResponseError"], function (ResponseError) {
+    "use strict";
+
+    /**
+     * Error given to the callback when the REST service answers with a 401
+     * Unauthorized status
+     *
+     * @class UnauthorizedError
+     * @extends ResponseError
+     * @constructor
+     * @param message {String} error message
+     * @param details {Object} object literal containing any additional error properties
+     */
+    var UnauthorizedError = function (message, details) {
+        ResponseError.call(this, message, details);
+        this.name = "UnauthorizedError";
+    };
+
+    UnauthorizedError.prototype = new ResponseError();
+
+    UnauthorizedError.prototype.constructor = UnauthorizedError;
+
+    return UnauthorizedError;
+});
@@ -0,0 +1,27 @@
+/* global define */
+define(["structures/CAPIError"], function (CAPIError) {
+    "use strict";
+
+    /**
+     * Error given to the callback of a method which needs a resource the
+     * server does not provide in its Root resource (e.g. a resource added in
+     * a later version of the REST API). No request is sent to the resource.
+     * See {{#crossLink "CAPI/supports:method"}}CAPI.supports{{/crossLink}}
+     *
+     * @class UnsupportedResourceError
+     * @extends CAPIError
+     * @constructor
+     * @param message {String} error message
+     * @param details {Object} object literal containing any additional error properties
+     */
+    var UnsupportedResourceError = function (message, details) {
+        CAPIError.call(this, message, details);
+        this.name = "UnsupportedResourceError";
+    };
+
+    UnsupportedResourceError.prototype = new CAPIError();
+
+    UnsupportedResourceError.prototype.constructor = UnsupportedResourceError;
+
+    return UnsupportedResourceError;
+});
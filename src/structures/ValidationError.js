@@ -0,0 +1,26 @@
+/* global define */
+define(["structures/BadRequestError"], function (BadRequestError) {
+    "use strict";
+
+    /**
+     * Error given to the callback when the REST service rejects the given data
+     * because it does not validate (e.g. a field value is invalid). The
+     * reasons are described in the `errorMessage` property.
+     *
+     * @class ValidationError
+     * @extends BadRequestError
+     * @constructor
+     * @param message {String} error message
+     * @param details {Object} object literal containing any additional error properties
+     */
+    var ValidationError = function (message, details) {
+        BadRequestError.call(this, message, details);
+        this.name = "ValidationError";
+    };
+
+    ValidationError.prototype = new BadRequestError();
+
+    ValidationError.prototype.constructor = ValidationError;
+
+    return ValidationError;
+});
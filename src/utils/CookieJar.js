@@ -0,0 +1,131 @@
+/* global define */
+define(function () {
+    "use strict";
+
+    /**
+     * Creates an instance of CookieJar. The cookie jar keeps the cookies
+     * received in the `Set-Cookie` headers and provides the `Cookie` header
+     * to send back. It is used by connections which, unlike a browser, do not
+     * handle cookies on their own (e.g. NodeHttpConnection).
+     *
+     * Only the `Path`, `Expires` and `Max-Age` attributes are taken into
+     * account, cookies are always bound to the host which sent them.
+     *
+     * @class CookieJar
+     * @constructor
+     */
+    var CookieJar = function () {
+            /**
+             * The cookies indexed by host and by name
+             *
+             * @property _cookies
+             * @type {Object}
+             * @protected
+             */
+            this._cookies = {};
+        },
+        trim = function (value) {
+            return value.replace(/^\s+|\s+$/g, "");
+        };
+
+    /**
+     * Stores the cookies described by the given `Set-Cookie` header(s)
+     *
+     * @method setCookies
+     * @param host {String} the host which sent the cookies
+     * @param setCookieHeaders {String|Array} value(s) of the `Set-Cookie` header
+     */
+    CookieJar.prototype.setCookies = function (host, setCookieHeaders) {
+        var that = this;
+
+        if (!setCookieHeaders) {
+            return;
+        }
+        if (typeof setCookieHeaders === "string") {
+            setCookieHeaders = [setCookieHeaders];
+        }
+
+        setCookieHeaders.forEach(function (header) {
+            var parts = header.split(";"),
+                pair = parts.shift(),
+                separator = pair.indexOf("="),
+                cookie;
+
+            if (separator <= 0) {
+                return;
+            }
+
+            cookie = {
+                name: trim(pair.substring(0, separator)),
+                value: trim(pair.substring(separator + 1)),
+                path: "/",
+                expires: null
+            };
+
+            parts.forEach(function (attribute) {
+                var attrSeparator = attribute.indexOf("="),
+                    name = trim(attrSeparator > 0 ? attribute.substring(0, attrSeparator) : attribute).toLowerCase(),
+                    value = attrSeparator > 0 ? trim(attribute.substring(attrSeparator + 1)) : "";
+
+                if (name === "path" && value) {
+                    cookie.path = value;
+                } else if (name === "max-age") {
+                    cookie.expires = Date.now() + parseInt(value, 10) * 1000;
+                } else if (name === "expires" && cookie.expires === null) {
+                    cookie.expires = Date.parse(value);
+                }
+            });
+
+            that._cookies[host] = that._cookies[host] || {};
+            if (cookie.expires !== null && cookie.expires <= Date.now()) {
+                delete that._cookies[host][cookie.name];
+            } else {
+                that._cookies[host][cookie.name] = cookie;
+            }
+        });
+    };
+
+    /**
+     * Returns the value of the `Cookie` header to send to the given host and
+     * path
+     *
+     * @method getCookieHeader
+     * @param host {String}
+     * @param path {String}
+     * @return {String} the header value, an empty string if there's no cookie
+     * to send
+     */
+    CookieJar.prototype.getCookieHeader = function (host, path) {
+        var cookies = this._cookies[host] || {},
+            now = Date.now(),
+            pairs = [],
+            name;
+
+        for (name in cookies) {
+            if (cookies.hasOwnProperty(name)) {
+                if (cookies[name].expires !== null && cookies[name].expires <= now) {
+                    delete cookies[name];
+                } else if (path.indexOf(cookies[name].path) === 0) {
+                    pairs.push(name + "=" + cookies[name].value);
+                }
+            }
+        }
+        return pairs.join("; ");
+    };
+
+    /**
+     * Removes all the cookies, or only the cookies of the given host
+     *
+     * @method clear
+     * @param [host] {String}
+     */
+    CookieJar.prototype.clear = function (host) {
+        if (host) {
+            delete this._cookies[host];
+        } else {
+            this._cookies = {};
+        }
+    };
+
+    return CookieJar;
+});
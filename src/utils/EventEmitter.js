@@ -0,0 +1,73 @@
+/* global define */
+define(function () {
+    "use strict";
+
+    /**
+     * Minimal event emitter. It is meant to be mixed into the classes which
+     * need to notify the application, for instance:
+     *
+     *     var MyClass = function () {
+     *         EventEmitter.call(this);
+     *     };
+     *
+     *     extend(MyClass.prototype, EventEmitter.prototype);
+     *
+     * @class EventEmitter
+     * @constructor
+     */
+    var EventEmitter = function () {
+        /**
+         * The listeners indexed by event name
+         *
+         * @property _listeners
+         * @type {Object}
+         * @protected
+         */
+        this._listeners = {};
+    };
+
+    /**
+     * Registers a listener for the given event
+     *
+     * @method on
+     * @param event {String} the event name
+     * @param listener {Function} function called with the event facade
+     */
+    EventEmitter.prototype.on = function (event, listener) {
+        this._listeners[event] = this._listeners[event] || [];
+        this._listeners[event].push(listener);
+    };
+
+    /**
+     * Unregisters a listener of the given event
+     *
+     * @method off
+     * @param event {String} the event name
+     * @param listener {Function}
+     */
+    EventEmitter.prototype.off = function (event, listener) {
+        var listeners = this._listeners[event] || [],
+            index = listeners.indexOf(listener);
+
+        if (index !== -1) {
+            listeners.splice(index, 1);
+        }
+    };
+
+    /**
+     * Calls the listeners of the given event
+     *
+     * @method emit
+     * @param event {String} the event name
+     * @param facade {Object} object literal describing the event, it is given to the listeners
+     */
+    EventEmitter.prototype.emit = function (event, facade) {
+        var listeners = (this._listeners[event] || []).slice(0);
+
+        listeners.forEach(function (listener) {
+            listener(facade);
+        });
+    };
+
+    return EventEmitter;
+});
@@ -0,0 +1,344 @@
+/* global define, Symbol, Promise */
+define(function () {
+    "use strict";
+
+    /**
+     * Walks the results of a list method taking `limit` and `offset`
+     * arguments (e.g. `ContentService.loadLocationChildren`,
+     * `ContentService.loadTrashItems` or `UserService.loadRoles`) page by
+     * page. Only the page being walked is kept in memory.
+     *
+     * The services return a pager for those methods (e.g.
+     * {{#crossLink "ContentService/newLocationChildrenPager:method"}}ContentService.newLocationChildrenPager{{/crossLink}}):
+     *
+     *     var pager = contentService.newLocationChildrenPager("/api/ezp/v2/content/locations/1/2", {pageSize: 50});
+     *
+     *     pager.forEach(function (location, index, done) {
+     *         renderLocation(location);
+     *         done();
+     *     }, function (error, result) {
+     *         console.log(result.count + " locations");
+     *     });
+     *
+     * A pager can also be created with the function loading a page, it
+     * receives the limit, the offset and the callback, so the other
+     * arguments of the list method are bound beforehand:
+     *
+     *     var pager = new eZ.Pager(
+     *         contentService.loadCurrentRelations.bind(contentService, "/api/ezp/v2/content/objects/102"),
+     *         {pageSize: 50}
+     *     );
+     *
+     * Where the async iteration is supported, the pager is also an async
+     * iterable walking all the items:
+     *
+     *     for await (const location of pager) {
+     *         renderLocation(location);
+     *     }
+     *
+     * @class Pager
+     * @constructor
+     * @param loadPage {Function} function loading a page, called with the limit, the offset and
+     * a callback receiving an error (or false) and the Response
+     * @param [options] {Object}
+     * @param [options.pageSize=25] {Number} the number of items of a page
+     * @param [options.extract] {Function} function receiving the Response of a page and returning
+     * an object with the `items` of the page and the `totalCount` (null if unknown), by default
+     * {{#crossLink "Pager/extractList:method"}}Pager.extractList{{/crossLink}}
+     */
+    var Pager = function (loadPage, options) {
+        options = options || {};
+
+        this._loadPage = loadPage;
+        this._extract = options.extract || Pager.extractList;
+
+        /**
+         * The number of items of a page
+         *
+         * @property pageSize
+         * @type {Number}
+         */
+        this.pageSize = options.pageSize || Pager.DEFAULT_PAGE_SIZE;
+
+        /**
+         * The total number of items, null until it is known
+         *
+         * @property totalCount
+         * @type {Number|null}
+         */
+        this.totalCount = null;
+
+        /**
+         * The offset of the page loaded by the next call to
+         * {{#crossLink "Pager/next:method"}}next{{/crossLink}}, null once
+         * the last page is loaded
+         *
+         * @property _offset
+         * @type {Number|null}
+         * @protected
+         */
+        this._offset = 0;
+    };
+
+    /**
+     * The default number of items of a page
+     *
+     * @property DEFAULT_PAGE_SIZE
+     * @static
+     * @type {Number}
+     */
+    Pager.DEFAULT_PAGE_SIZE = 25;
+
+    /**
+     * Extracts the items of a list response (e.g. the Location array of a
+     * LocationList or the TrashItem array of a Trash). The total count is
+     * read from the `count` property of the list, if any.
+     *
+     * @method extractList
+     * @static
+     * @param response {Response}
+     * @return {Object} object with the `items` and the `totalCount` (null if unknown)
+     */
+    Pager.extractList = function (response) {
+        var document = response.document || {},
+            list = document[Object.keys(document)[0]] || {},
+            items = [];
+
+        Object.keys(list).some(function (key) {
+            if (Array.isArray(list[key])) {
+                items = list[key];
+                return true;
+            }
+            return false;
+        });
+        return {items: items, totalCount: (typeof list.count === "number") ? list.count : null};
+    };
+
+    /**
+     * Checks whether there is a page to load with
+     * {{#crossLink "Pager/next:method"}}next{{/crossLink}}
+     *
+     * @method hasNext
+     * @return {Boolean}
+     */
+    Pager.prototype.hasNext = function () {
+        return this._offset !== null;
+    };
+
+    /**
+     * Loads the next page
+     *
+     * @method next
+     * @param callback {Function} callback receiving an error (or false) and the items of the page,
+     * the Response if the page can not be loaded
+     */
+    Pager.prototype.next = function (callback) {
+        var that = this;
+
+        if (!this.hasNext()) {
+            callback(false, []);
+            return;
+        }
+        this._load(this._offset, function (error, page) {
+            if (error) {
+                callback(error, page);
+                return;
+            }
+            that._offset = page.last ? null : page.offset + page.items.length;
+            callback(false, page.items);
+        });
+    };
+
+    /**
+     * Restarts the pages loaded by {{#crossLink "Pager/next:method"}}next{{/crossLink}}
+     * from the first one
+     *
+     * @method reset
+     */
+    Pager.prototype.reset = function () {
+        this._offset = 0;
+    };
+
+    /**
+     * Gives the total number of items. If the list does not provide it, it
+     * is known once the last page is loaded, until then it is null.
+     *
+     * @method getTotalCount
+     * @param callback {Function} callback receiving an error (or false) and the total count
+     */
+    Pager.prototype.getTotalCount = function (callback) {
+        var that = this;
+
+        if (this.totalCount !== null) {
+            callback(false, this.totalCount);
+            return;
+        }
+        this._load(0, function (error, page) {
+            callback(error, error ? page : that.totalCount);
+        });
+    };
+
+    /**
+     * Calls the iteratee with each item, the pages are loaded one after the
+     * other when the items of the previous one are processed. The iteratee
+     * receives the item, its index and a `done` function to call once the
+     * item is processed, with an error (or false) and `true` to stop the
+     * walk.
+     *
+     * @method forEach
+     * @param iteratee {Function}
+     * @param [options] {Object}
+     * @param [options.concurrency=1] {Number} the maximum number of items processed at the same time
+     * @param callback {Function} callback receiving an error (or false) and an object with the `count`
+     * of processed items and the `totalCount`, the Response if a page can not be loaded
+     */
+    Pager.prototype.forEach = function (iteratee, options, callback) {
+        var that = this,
+            concurrency,
+            queue = [],
+            index = 0,
+            running = 0,
+            offset = 0,
+            loading = false,
+            ended = false,
+            stopped = false,
+            finished = false,
+            finish = function (error, result) {
+                if (!finished) {
+                    finished = true;
+                    callback(error, result || {count: index, totalCount: that.totalCount});
+                }
+            },
+            process = function (item) {
+                var called = false;
+
+                running++;
+                iteratee(item, index++, function (error, stop) {
+                    if (called) {
+                        return;
+                    }
+                    called = true;
+                    running--;
+                    if (error) {
+                        finish(error);
+                        return;
+                    }
+                    stopped = stopped || !!stop;
+                    pump();
+                });
+            },
+            pump = function () {
+                if (finished) {
+                    return;
+                }
+                while (!finished && !stopped && running < concurrency && queue.length) {
+                    process(queue.shift());
+                }
+                if (finished) {
+                    return;
+                }
+                if ((stopped || (ended && !queue.length)) && !running) {
+                    finish(false);
+                } else if (!stopped && !ended && !loading && !queue.length) {
+                    load();
+                }
+            },
+            load = function () {
+                loading = true;
+                that._load(offset, function (error, page) {
+                    loading = false;
+                    if (error) {
+                        finish(error, page);
+                        return;
+                    }
+                    queue = page.items.slice();
+                    offset += page.items.length;
+                    ended = page.last;
+                    pump();
+                });
+            };
+
+        if (typeof options === "function") {
+            callback = options;
+            options = {};
+        }
+        concurrency = Math.max(1, (options && options.concurrency) || 1);
+        pump();
+    };
+
+    if (typeof Symbol !== "undefined" && Symbol.asyncIterator) {
+        /**
+         * Returns an async iterator walking all the items, the pages are
+         * loaded one by one while iterating
+         *
+         * @method [Symbol.asyncIterator]
+         * @return {Object}
+         */
+        Pager.prototype[Symbol.asyncIterator] = function () {
+            var that = this,
+                items = [],
+                offset = 0,
+                ended = false,
+                iterator = {};
+
+            iterator.next = function () {
+                return new Promise(function (resolve, reject) {
+                    if (items.length) {
+                        resolve({value: items.shift(), done: false});
+                        return;
+                    }
+                    if (ended) {
+                        resolve({value: undefined, done: true});
+                        return;
+                    }
+                    that._load(offset, function (error, page) {
+                        if (error) {
+                            reject(error);
+                            return;
+                        }
+                        items = page.items.slice();
+                        offset += page.items.length;
+                        ended = page.last;
+                        resolve(iterator.next());
+                    });
+                });
+            };
+            return iterator;
+        };
+    }
+
+    /**
+     * Loads the page at the given offset. The page is the last one if it
+     * is not full or if it reaches the total count.
+     *
+     * @method _load
+     * @protected
+     * @param offset {Number}
+     * @param callback {Function} callback receiving an error (or false) and an object with the `items`,
+     * the `offset` and whether it is the `last` page, the Response if an error occurred
+     */
+    Pager.prototype._load = function (offset, callback) {
+        var that = this;
+
+        this._loadPage(this.pageSize, offset, function (error, response) {
+            var page;
+
+            if (error) {
+                callback(error, response);
+                return;
+            }
+            page = that._extract(response);
+            page.offset = offset;
+            page.last = page.items.length < that.pageSize ||
+                (page.totalCount !== null && offset + page.items.length >= page.totalCount);
+            if (page.totalCount !== null) {
+                that.totalCount = page.totalCount;
+            } else if (page.last) {
+                that.totalCount = offset + page.items.length;
+            }
+            callback(false, page);
+        });
+    };
+
+    return Pager;
+});
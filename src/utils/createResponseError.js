@@ -0,0 +1,74 @@
+/* global define */
+define(["structures/CAPIError", "structures/ResponseError", "structures/BadRequestError",
+        "structures/ValidationError", "structures/UnauthorizedError", "structures/ForbiddenError",
+        "structures/NotFoundError", "structures/ConflictError", "structures/PreconditionFailedError",
+        "structures/ServerError"],
+    function (CAPIError, ResponseError, BadRequestError,
+              ValidationError, UnauthorizedError, ForbiddenError,
+              NotFoundError, ConflictError, PreconditionFailedError,
+              ServerError) {
+    "use strict";
+
+    /**
+     * Provides only the `createResponseError` function.
+     *
+     * @class createResponseError
+     * @static
+     */
+
+    var errorsByStatus = {
+            400: BadRequestError,
+            401: UnauthorizedError,
+            403: ForbiddenError,
+            404: NotFoundError,
+            409: ConflictError,
+            412: PreconditionFailedError
+        },
+
+        /**
+         * Checks whether the ErrorMessage describes a validation failure
+         *
+         * @method isValidationError
+         * @private
+         * @param errorMessage {Object|null}
+         * @return {Boolean}
+         */
+        isValidationError = function (errorMessage) {
+            if (!errorMessage) {
+                return false;
+            }
+            return !!errorMessage.errorDetails || (/validat/i).test(errorMessage.errorDescription || "");
+        },
+
+        /**
+         * Creates the error matching the status of the given failed response.
+         * A connection failure (status 0) gives a generic CAPIError.
+         *
+         * @method createResponseError
+         * @static
+         * @param request {Request} the request which failed
+         * @param response {Response} the response of the REST service
+         * @return {CAPIError}
+         */
+        createResponseError = function (request, response) {
+            var message = "Connection error : " + response.status + ".",
+                details = {request: request, response: response},
+                ErrorConstructor = errorsByStatus[response.status] || ResponseError,
+                error;
+
+            if (!response.status) {
+                return new CAPIError(message, {request: request});
+            }
+            if (response.status >= 500) {
+                ErrorConstructor = ServerError;
+            }
+
+            error = new ErrorConstructor(message, details);
+            if (ErrorConstructor === BadRequestError && isValidationError(error.errorMessage)) {
+                error = new ValidationError(message, details);
+            }
+            return error;
+        };
+
+    return createResponseError;
+});
@@ -0,0 +1,273 @@
+/* global define */
+define(["structures/CAPIError"], function (CAPIError) {
+    "use strict";
+
+    /**
+     * Provides only the `encodeFile` function.
+     *
+     * @class encodeFile
+     * @static
+     */
+
+    var defer = (typeof setImmediate === "function") ? setImmediate : function (fn) {
+            setTimeout(fn, 0);
+        },
+
+        isBlob = function (file) {
+            return typeof Blob !== "undefined" && file instanceof Blob;
+        },
+
+        isBuffer = function (file) {
+            return typeof Buffer !== "undefined" && Buffer.isBuffer(file);
+        },
+
+        isStream = function (file) {
+            return !!file && typeof file.on === "function" && typeof file.pipe === "function";
+        },
+
+        // base64 of the bytes of an Uint8Array, built by slices to not exceed the arguments limit
+        bytesToBase64 = function (bytes) {
+            var binary = "",
+                i;
+
+            for (i = 0; i < bytes.length; i += 0x8000) {
+                binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+            }
+            return btoa(binary);
+        },
+
+        tooLarge = function (fileName, fileSize, maxSize) {
+            return new CAPIError(
+                "The file " + fileName + " is larger than " + maxSize + " bytes.",
+                {fileName: fileName, fileSize: fileSize, maxSize: maxSize}
+            );
+        },
+
+        // reads the Blob slice by slice, the FileReader being asynchronous
+        // the UI thread is released between each chunk. Without FileReader
+        // (e.g. with Node.js), the slices are read with Blob#arrayBuffer.
+        encodeBlob = function (blob, options, done) {
+            var data = "",
+                offset = 0,
+                readError = function (error) {
+                    done(new CAPIError("The file can not be read.", {fileName: options.fileName, error: error}));
+                },
+                readChunk = function () {
+                    var reader,
+                        slice,
+                        encodeSlice = function (buffer) {
+                            data += bytesToBase64(new Uint8Array(buffer));
+                            readChunk();
+                        };
+
+                    if (offset >= blob.size) {
+                        done(false, data, blob.size);
+                        return;
+                    }
+                    slice = blob.slice(offset, offset + options.chunkSize);
+                    offset += options.chunkSize;
+                    if (typeof FileReader !== "undefined") {
+                        reader = new FileReader();
+                        reader.onload = function () {
+                            encodeSlice(reader.result);
+                        };
+                        reader.onerror = function () {
+                            readError(reader.error);
+                        };
+                        reader.readAsArrayBuffer(slice);
+                    } else if (typeof slice.arrayBuffer === "function") {
+                        slice.arrayBuffer().then(encodeSlice, readError);
+                    } else {
+                        readError(null);
+                    }
+                };
+
+            readChunk();
+        },
+
+        encodeBuffer = function (buffer, options, done) {
+            var data = "",
+                offset = 0,
+                encodeChunk = function () {
+                    if (offset >= buffer.length) {
+                        done(false, data, buffer.length);
+                        return;
+                    }
+                    data += buffer.slice(offset, offset + options.chunkSize).toString("base64");
+                    offset += options.chunkSize;
+                    defer(encodeChunk);
+                };
+
+            encodeChunk();
+        },
+
+        // the bytes which do not fill a group of 3 are kept for the next chunk
+        // so that the concatenated base64 strings are valid
+        encodeStream = function (stream, options, done) {
+            var data = "",
+                rest = Buffer.alloc(0),
+                fileSize = 0,
+                finished = false,
+                finish = function (error) {
+                    if (!finished) {
+                        finished = true;
+                        done(error, data, fileSize);
+                    }
+                };
+
+            stream.on("data", function (chunk) {
+                var length;
+
+                if (finished) {
+                    return;
+                }
+                chunk = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+                fileSize += chunk.length;
+                if (options.maxSize && fileSize > options.maxSize) {
+                    if (typeof stream.destroy === "function") {
+                        stream.destroy();
+                    }
+                    finish(tooLarge(options.fileName, fileSize, options.maxSize));
+                    return;
+                }
+                chunk = Buffer.concat([rest, chunk]);
+                length = chunk.length - (chunk.length % 3);
+                data += chunk.slice(0, length).toString("base64");
+                rest = chunk.slice(length);
+            });
+            stream.on("end", function () {
+                data += rest.toString("base64");
+                finish(false);
+            });
+            stream.on("error", function (error) {
+                finish(new CAPIError("The file can not be read.", {fileName: options.fileName, error: error}));
+            });
+        },
+
+        /**
+         * Builds the value of an ezimage or an ezbinaryfile field from a file,
+         * the file content is base64 encoded chunk by chunk so that encoding a
+         * large file does not block the UI thread. The file is either a
+         * browser File or Blob, or with Node.js a Buffer or a readable stream.
+         *
+         * The callback receives an error (or false) and an object literal with
+         * the `fileName`, the `fileSize` in bytes, the `mimeType` and the
+         * base64 `data`.
+         *
+         * @method encodeFile
+         * @static
+         * @param file {File|Blob|Buffer|stream.Readable} the file to encode
+         * @param [options] {Object}
+         * @param [options.fileName] {String} the file name, by default the name of the File or the
+         * base name of the path of the stream
+         * @param [options.mimeType] {String} the mime type, by default the type of the Blob or the
+         * type matching the extension of the file name
+         * @param [options.maxSize] {Number} the maximum size of the file in bytes, a larger file is
+         * rejected with a CAPIError
+         * @param [options.chunkSize=786432] {Number} the size of the chunks in bytes, rounded down to
+         * a multiple of 3
+         * @param callback {Function} callback receiving an error (or false) and the file value
+         * @example
+         *     input.addEventListener("change", function () {
+         *         eZ.encodeFile(input.files[0], {maxSize: 2 * 1024 * 1024}, function (error, file) {
+         *             contentCreateStruct.setField("image", file);
+         *         });
+         *     });
+         */
+        encodeFile = function (file, options, callback) {
+            var fileSize = null,
+                encode;
+
+            if (typeof options === "function") {
+                callback = options;
+                options = {};
+            }
+            options = options || {};
+
+            if (isBlob(file)) {
+                encode = encodeBlob;
+                fileSize = file.size;
+            } else if (isBuffer(file)) {
+                encode = encodeBuffer;
+                fileSize = file.length;
+            } else if (isStream(file)) {
+                encode = encodeStream;
+            } else {
+                callback(new CAPIError("The file should be a File, a Blob, a Buffer or a readable stream.", {file: file}));
+                return;
+            }
+            options = {
+                fileName: options.fileName || file.name || (typeof file.path === "string" && file.path.split(/[\\\/]/).pop()) || "",
+                mimeType: options.mimeType || (isBlob(file) && file.type) || null,
+                maxSize: options.maxSize,
+                chunkSize: options.chunkSize ? Math.max(3, options.chunkSize - (options.chunkSize % 3)) : encodeFile.CHUNK_SIZE
+            };
+
+            if (options.maxSize && fileSize !== null && fileSize > options.maxSize) {
+                callback(tooLarge(options.fileName, fileSize, options.maxSize));
+                return;
+            }
+
+            encode(file, options, function (error, data, size) {
+                if (error) {
+                    callback(error);
+                    return;
+                }
+                callback(false, {
+                    fileName: options.fileName,
+                    fileSize: size,
+                    mimeType: options.mimeType || encodeFile.getMimeType(options.fileName),
+                    data: data
+                });
+            });
+        };
+
+    /**
+     * The default size of the chunks in bytes
+     *
+     * @property CHUNK_SIZE
+     * @static
+     * @type {Number}
+     */
+    encodeFile.CHUNK_SIZE = 3 * 256 * 1024;
+
+    /**
+     * The mime types indexed by file extension
+     *
+     * @property MIME_TYPES
+     * @static
+     * @type {Object}
+     */
+    encodeFile.MIME_TYPES = {
+        "gif": "image/gif",
+        "jpeg": "image/jpeg",
+        "jpg": "image/jpeg",
+        "png": "image/png",
+        "svg": "image/svg+xml",
+        "webp": "image/webp",
+        "pdf": "application/pdf",
+        "zip": "application/zip",
+        "json": "application/json",
+        "txt": "text/plain",
+        "csv": "text/csv",
+        "mp3": "audio/mpeg",
+        "mp4": "video/mp4"
+    };
+
+    /**
+     * Returns the mime type matching the extension of the file name
+     *
+     * @method getMimeType
+     * @static
+     * @param fileName {String}
+     * @return {String} the mime type, "application/octet-stream" if the extension is unknown
+     */
+    encodeFile.getMimeType = function (fileName) {
+        var extension = (/\.([^.]+)$/).exec(fileName || "");
+
+        extension = extension && extension[1].toLowerCase();
+        return encodeFile.MIME_TYPES.hasOwnProperty(extension) ? encodeFile.MIME_TYPES[extension] : "application/octet-stream";
+    };
+
+    return encodeFile;
+});
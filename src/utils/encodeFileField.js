@@ -0,0 +1,52 @@
+/* global define */
+define(["utils/encodeFile"], function (encodeFile) {
+    "use strict";
+
+    /**
+     * Provides only the `encodeFileField` function.
+     *
+     * @class encodeFileField
+     * @static
+     */
+
+    /**
+     * Encodes a file (see {{#crossLink "encodeFile/encodeFile:method"}}encodeFile{{/crossLink}})
+     * and gives the resulting field value to the `fill` function, which sets
+     * it in a create or an update struct. The `alternativeText` option is
+     * added to the field value and the mime type is removed from the value of
+     * an ezimage field. The callback receives the error of the encoding or
+     * the error thrown by `fill` (or false).
+     *
+     * @method encodeFileField
+     * @static
+     * @param file {File|Blob|Buffer|stream.Readable} the file
+     * @param fieldType {String|undefined} the field type (e.g. "ezimage"), if it is known
+     * @param options {Object} the options of {{#crossLink "encodeFile/encodeFile:method"}}encodeFile{{/crossLink}}
+     * and the `alternativeText`
+     * @param fill {Function} function receiving the field value
+     * @param callback {Function} callback receiving an error (or false)
+     */
+    var encodeFileField = function (file, fieldType, options, fill, callback) {
+        encodeFile(file, options, function (error, fieldValue) {
+            if (error) {
+                callback(error);
+                return;
+            }
+            if (options.alternativeText !== undefined) {
+                fieldValue.alternativeText = options.alternativeText;
+            }
+            if (fieldType === "ezimage") {
+                delete fieldValue.mimeType;
+            }
+            try {
+                fill(fieldValue);
+            } catch (e) {
+                callback(e);
+                return;
+            }
+            callback(false);
+        });
+    };
+
+    return encodeFileField;
+});
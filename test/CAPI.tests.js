@@ -1,10 +1,19 @@
-/* global define, describe, it, expect, beforeEach, spyOn */
+/* global define, describe, it, expect, beforeEach, spyOn, jasmine */
 define(function (require) {
 
     var CAPI = require("CAPI"),
         ContentService = require("services/ContentService"),
         ContentTypeService = require("services/ContentTypeService"),
-        UserService = require("services/UserService");
+        UserService = require("services/UserService"),
+        NodeHttpConnection = require("connections/NodeHttpConnection"),
+        CookieJar = require("utils/CookieJar"),
+        NavigationService = require("services/NavigationService"),
+        SearchService = require("services/SearchService"),
+        FieldTypeRegistry = require("fieldTypes/FieldTypeRegistry"),
+        ContentValidator = require("fieldTypes/ContentValidator"),
+        ImageVariationLoader = require("fieldTypes/ImageVariationLoader"),
+        RequestHandle = require("structures/RequestHandle"),
+        RetryPolicy = require("RetryPolicy");
 
     describe("CAPI", function () {
 
@@ -35,6 +44,8 @@ define(function (require) {
             this.logIn = function (callback) { };
 
             this.setCredentials = function (credentials) { };
+
+            this.ensureAuthentication = function (done) { };
         };
 
         beforeEach(function () {
@@ -79,6 +90,114 @@ define(function (require) {
                 expect(userService).toBeDefined();
                 expect(userService instanceof UserService).toBeTruthy();
             });
+
+            it("should provide NavigationService", function () {
+                var navigationService = capi.getNavigationService();
+
+                expect(navigationService).toBeDefined();
+                expect(navigationService instanceof NavigationService).toBeTruthy();
+            });
+
+            it("should provide SearchService", function () {
+                var searchService = capi.getSearchService();
+
+                expect(searchService).toBeDefined();
+                expect(searchService instanceof SearchService).toBeTruthy();
+            });
+        });
+
+        describe("follow", function () {
+            it("should follow the link with the NavigationService", function () {
+                var navigationService = capi.getNavigationService(),
+                    resource = {},
+                    params = {},
+                    callback = function () {},
+                    handle = {};
+
+                spyOn(navigationService, 'follow').andReturn(handle);
+
+                expect(capi.follow(resource, "Children", params, callback)).toBe(handle);
+                expect(navigationService.follow).toHaveBeenCalledWith(resource, "Children", params, callback);
+            });
+        });
+
+        describe("Middlewares", function () {
+            it("should register the middlewares of the options", function () {
+                var middleware = function () {};
+
+                testOptions.middlewares = [middleware];
+                capi = new CAPI(endPointUrl, mockAuthenticationAgent, testOptions);
+
+                expect(capi.getContentService()._connectionManager._middlewares).toEqual([middleware]);
+            });
+
+            it("should register a middleware with use", function () {
+                var middleware = function () {};
+
+                expect(capi.use(middleware)).toBe(capi);
+                expect(capi.getContentService()._connectionManager._middlewares).toEqual([middleware]);
+            });
+        });
+
+        describe("Session expiration", function () {
+            it("should pass the onSessionExpired hook to the connection manager", function () {
+                var onSessionExpired = function () {};
+
+                testOptions.onSessionExpired = onSessionExpired;
+                capi = new CAPI(endPointUrl, mockAuthenticationAgent, testOptions);
+
+                expect(capi.getContentService()._connectionManager.onSessionExpired).toBe(onSessionExpired);
+            });
+        });
+
+        describe("Retry policy", function () {
+            it("should not retry the requests by default", function () {
+                var connectionManager = capi.getContentService()._connectionManager;
+
+                expect(connectionManager.retryPolicy).toBe(null);
+            });
+
+            it("should create the retry policy from the options", function () {
+                var retryPolicy;
+
+                testOptions.retry = {maxAttempts: 5};
+                capi = new CAPI(endPointUrl, mockAuthenticationAgent, testOptions);
+                retryPolicy = capi.getContentService()._connectionManager.retryPolicy;
+
+                expect(retryPolicy).toEqual(jasmine.any(RetryPolicy));
+                expect(retryPolicy.maxAttempts).toEqual(5);
+            });
+
+            it("should accept a RetryPolicy instance", function () {
+                var retryPolicy = new RetryPolicy();
+
+                testOptions.retry = retryPolicy;
+                capi = new CAPI(endPointUrl, mockAuthenticationAgent, testOptions);
+
+                expect(capi.getContentService()._connectionManager.retryPolicy).toBe(retryPolicy);
+            });
+        });
+
+        describe("Request handles", function () {
+            it("should return a RequestHandle from the service methods", function () {
+                var handle = capi.getContentService().loadRoot(function () {});
+
+                expect(handle).toEqual(jasmine.any(RequestHandle));
+            });
+
+            it("should not change the struct constructors", function () {
+                var struct = capi.getContentService().newLocationCreateStruct("/api/ezp/v2/content/locations/1/2");
+
+                expect(struct).not.toEqual(jasmine.any(RequestHandle));
+                expect(struct.body).toBeDefined();
+            });
+
+            it("should not change the pager constructors", function () {
+                var pager = capi.getContentService().newTrashItemsPager({pageSize: 10});
+
+                expect(pager).not.toEqual(jasmine.any(RequestHandle));
+                expect(pager.pageSize).toEqual(10);
+            });
         });
 
         describe("Singleton Behaviour", function () {
@@ -111,6 +230,117 @@ define(function (require) {
 
                 expect(anotherUserService).toBe(userService);
             });
+
+            it("should only create one NavigationService", function () {
+                expect(capi.getNavigationService()).toBe(capi.getNavigationService());
+            });
+
+            it("should only create one SearchService", function () {
+                expect(capi.getSearchService()).toBe(capi.getSearchService());
+            });
+        });
+
+        describe("Cookie jar", function () {
+            var createConnection = function (capi) {
+                    return capi.getContentService()._connectionManager._connectionFactory.createConnection();
+                };
+
+            beforeEach(function () {
+                spyOn(NodeHttpConnection, "isCompatible").andReturn(true);
+                testOptions.connectionStack = [{connection: NodeHttpConnection}];
+            });
+
+            it("should share the cookie jar between the connections of a CAPI", function () {
+                capi = new CAPI(endPointUrl, mockAuthenticationAgent, testOptions);
+
+                expect(createConnection(capi)._cookieJar).toBe(createConnection(capi)._cookieJar);
+            });
+
+            it("should not share the cookie jar between the CAPI instances", function () {
+                var otherCAPI = new CAPI(endPointUrl, new MockAuthenticationAgent(), testOptions);
+
+                capi = new CAPI(endPointUrl, mockAuthenticationAgent, testOptions);
+
+                expect(createConnection(capi)._cookieJar).not.toBe(createConnection(otherCAPI)._cookieJar);
+            });
+
+            it("should use the given cookie jar", function () {
+                var cookieJar = new CookieJar();
+
+                testOptions.cookieJar = cookieJar;
+                capi = new CAPI(endPointUrl, mockAuthenticationAgent, testOptions);
+
+                expect(createConnection(capi)._cookieJar).toBe(cookieJar);
+            });
+        });
+
+        describe("getDiscoveryService", function () {
+            it("should return the discovery service of the services", function () {
+                expect(capi.getDiscoveryService()).toBe(capi.getContentService()._discoveryService);
+            });
+
+            it("should configure the persistence of the Root resource", function () {
+                var storage = {};
+
+                capi = new CAPI(endPointUrl + "/", mockAuthenticationAgent, {rootCache: {storage: storage, ttl: 60000}});
+
+                expect(capi.getDiscoveryService()._storage).toBe(storage);
+                expect(capi.getDiscoveryService()._ttl).toEqual(60000);
+                expect(capi.getDiscoveryService()._storageKey).toEqual(endPointUrl + "|ezpRestClient.root");
+            });
+        });
+
+        describe("getFieldTypeRegistry", function () {
+            it("should return a shared field type registry", function () {
+                expect(capi.getFieldTypeRegistry()).toEqual(jasmine.any(FieldTypeRegistry));
+                expect(capi.getFieldTypeRegistry()).toBe(capi.getFieldTypeRegistry());
+            });
+        });
+
+        describe("getContentValidator", function () {
+            it("should return a shared content validator", function () {
+                expect(capi.getContentValidator()).toEqual(jasmine.any(ContentValidator));
+                expect(capi.getContentValidator()).toBe(capi.getContentValidator());
+            });
+        });
+
+        describe("getImageVariationLoader", function () {
+            it("should return a shared image variation loader", function () {
+                expect(capi.getImageVariationLoader()).toEqual(jasmine.any(ImageVariationLoader));
+                expect(capi.getImageVariationLoader()).toBe(capi.getImageVariationLoader());
+            });
+        });
+
+        describe("Server capabilities", function () {
+            it("should get the server info from the discovery service", function () {
+                var callback = function () {};
+
+                spyOn(capi.getDiscoveryService(), 'getServerInfo');
+                capi.getServerInfo(callback);
+
+                expect(capi.getDiscoveryService().getServerInfo).toHaveBeenCalledWith(callback);
+            });
+
+            it("should check the resource with the discovery service", function () {
+                var callback = function () {};
+
+                spyOn(capi.getDiscoveryService(), 'supports');
+                capi.supports("views", callback);
+
+                expect(capi.getDiscoveryService().supports).toHaveBeenCalledWith("views", callback);
+            });
+        });
+
+        describe("getEndPointUrl", function () {
+            it("should return the end point url", function () {
+                expect(capi.getEndPointUrl()).toEqual(endPointUrl);
+            });
+        });
+
+        describe("getConnectionManager", function () {
+            it("should return the connection manager of the services", function () {
+                expect(capi.getConnectionManager()).toBe(capi.getContentService()._connectionManager);
+            });
         });
 
         describe("isLoggedIn", function () {
@@ -0,0 +1,134 @@
+/* global define, describe, it, expect, beforeEach, jasmine */
+define(["storages/CachedStorage"], function (CachedStorage) {
+    describe("CachedStorage", function () {
+        var asyncStorage,
+            readCallbacks,
+            storage;
+
+        beforeEach(function () {
+            readCallbacks = {};
+            asyncStorage = {
+                async: true,
+                getItem: jasmine.createSpy('getItem').andCallFake(function (key, callback) {
+                    readCallbacks[key] = callback;
+                }),
+                setItem: jasmine.createSpy('setItem'),
+                removeItem: jasmine.createSpy('removeItem')
+            };
+            storage = new CachedStorage(asyncStorage);
+        });
+
+        it("should always be compatible", function () {
+            expect(CachedStorage.isCompatible()).toBeTruthy();
+        });
+
+        describe("load", function () {
+            it("should load the keys once", function () {
+                var callback1 = jasmine.createSpy('callback1'),
+                    callback2 = jasmine.createSpy('callback2');
+
+                storage.load(["someKey", "otherKey"], callback1);
+                storage.load(["someKey"], callback2);
+
+                expect(asyncStorage.getItem.callCount).toEqual(2);
+                expect(storage.isLoaded(["someKey"])).toBe(false);
+
+                readCallbacks.someKey(false, "someValue");
+
+                expect(storage.isLoaded(["someKey"])).toBe(true);
+                expect(callback1).not.toHaveBeenCalled();
+                // the callbacks are called in the order of the calls
+                expect(callback2).not.toHaveBeenCalled();
+
+                readCallbacks.otherKey(false, null);
+
+                expect(callback1).toHaveBeenCalled();
+                expect(callback2).toHaveBeenCalled();
+                expect(storage.getItem("someKey")).toEqual("someValue");
+                expect(storage.getItem("otherKey")).toBeNull();
+            });
+
+            it("should call the callback right away if the keys are loaded", function () {
+                var callback = jasmine.createSpy('callback');
+
+                storage.load(["someKey"], function () {});
+                readCallbacks.someKey(false, "someValue");
+                storage.load(["someKey"], callback);
+
+                expect(callback).toHaveBeenCalled();
+                expect(asyncStorage.getItem.callCount).toEqual(1);
+            });
+
+            it("should consider the items which can not be read as missing", function () {
+                var callback = jasmine.createSpy('callback');
+
+                storage.load(["someKey"], callback);
+                readCallbacks.someKey(new Error("Unable to read"));
+
+                expect(callback).toHaveBeenCalled();
+                expect(storage.getItem("someKey")).toBeNull();
+            });
+
+            it("should not overwrite the items written while loading", function () {
+                storage.load(["someKey"], function () {});
+                storage.setItem("someKey", "newValue");
+                readCallbacks.someKey(false, "oldValue");
+
+                expect(storage.getItem("someKey")).toEqual("newValue");
+            });
+        });
+
+        describe("reload", function () {
+            it("should load the keys again", function () {
+                var callback = jasmine.createSpy('callback');
+
+                storage.load(["someKey"], function () {});
+                readCallbacks.someKey(false, "oldValue");
+                storage.reload(["someKey"], callback);
+
+                expect(asyncStorage.getItem.callCount).toEqual(2);
+                expect(storage.isLoaded(["someKey"])).toBe(false);
+                expect(storage.getItem("someKey")).toBeNull();
+
+                readCallbacks.someKey(false, "newValue");
+
+                expect(callback).toHaveBeenCalled();
+                expect(storage.getItem("someKey")).toEqual("newValue");
+            });
+        });
+
+        describe("Storage API", function () {
+            beforeEach(function () {
+                storage.load(["someKey"], function () {});
+                readCallbacks.someKey(false, {some: "value"});
+            });
+
+            it("should read the items from the memory", function () {
+                var item = storage.getItem("someKey");
+
+                item.some = "changed";
+
+                expect(storage.getItem("someKey")).toEqual({some: "value"});
+            });
+
+            it("should return null if requested key does not exist", function () {
+                expect(storage.getItem("nonExistantKey")).toBeNull();
+            });
+
+            it("should write the items in the memory and in the asynchronous storage", function () {
+                storage.setItem("otherKey", "otherValue");
+
+                expect(storage.getItem("otherKey")).toEqual("otherValue");
+                expect(storage.isLoaded(["otherKey"])).toBe(true);
+                expect(asyncStorage.setItem).toHaveBeenCalledWith("otherKey", "otherValue", jasmine.any(Function));
+            });
+
+            it("should remove the items from the memory and from the asynchronous storage", function () {
+                storage.removeItem("someKey");
+
+                expect(storage.getItem("someKey")).toBeNull();
+                expect(asyncStorage.removeItem).toHaveBeenCalledWith("someKey", jasmine.any(Function));
+            });
+        });
+    });
+});
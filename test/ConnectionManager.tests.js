@@ -1,9 +1,15 @@
-/* global define, describe, it, expect, beforeEach, jasmine, spyOn, eZ */
+/* global define, describe, it, expect, beforeEach, afterEach, jasmine, spyOn, eZ */
 define(function (require) {
 
     var ConnectionManager = require("ConnectionManager"),
         Request = require("structures/Request"),
-        CAPIError = require("structures/CAPIError");
+        CAPIError = require("structures/CAPIError"),
+        RequestHandle = require("structures/RequestHandle"),
+        RequestAbortedError = require("structures/RequestAbortedError"),
+        RequestTimeoutError = require("structures/RequestTimeoutError"),
+        RetryPolicy = require("RetryPolicy"),
+        Response = require("structures/Response"),
+        UnauthorizedError = require("structures/UnauthorizedError");
 
     require("jasmineCAPIMatchers");
 
@@ -40,7 +46,7 @@ define(function (require) {
             spyOn(mockAuthenticationAgent, 'authenticateRequest').andCallThrough();
             spyOn(mockAuthenticationAgent, 'logOut').andCallThrough();
 
-            mockConnection = jasmine.createSpyObj('mockConnection', ['execute']);
+            mockConnection = jasmine.createSpyObj('mockConnection', ['execute', 'abort']);
             mockConnectionFactory = {
                 createConnection : function (){
                     return mockConnection;
@@ -87,7 +93,7 @@ define(function (require) {
                 expect(mockConnectionFactory.createConnection).toHaveBeenCalled();
                 expect(mockConnection.execute).toHaveBeenCalledWith(
                     jasmine.any(Request),
-                    mockCallback
+                    jasmine.any(Function)
                 );
 
                 expect(mockConnection.execute).toHaveBeenCalledWithObject({
@@ -96,6 +102,15 @@ define(function (require) {
                     body: "",
                     headers: {}
                 });
+
+                mockConnection.execute.mostRecentCall.args[1](false, "response");
+                expect(mockCallback).toHaveBeenCalledWith(false, "response");
+            });
+
+            it("request (returning a RequestHandle)", function (){
+                var handle = connectionManager.request(mockCallback);
+
+                expect(handle).toEqual(jasmine.any(RequestHandle));
             });
 
             it("request (with calls logging and minimum arguments set)", function (){
@@ -116,7 +131,7 @@ define(function (require) {
                 );
                 expect(mockConnection.execute).toHaveBeenCalledWith(
                     jasmine.any(Request),
-                    mockCallback
+                    jasmine.any(Function)
                 );
                 expect(console.dir).toHaveBeenCalledWith(jasmine.any(Request));
 
@@ -142,7 +157,7 @@ define(function (require) {
                 );
                 expect(mockConnection.execute).toHaveBeenCalledWith(
                     jasmine.any(Request),
-                    mockCallback
+                    jasmine.any(Function)
                 );
 
                 expect(mockConnection.execute).toHaveBeenCalledWithObject({
@@ -168,7 +183,7 @@ define(function (require) {
                 );
                 expect(mockConnection.execute).toHaveBeenCalledWith(
                     jasmine.any(Request),
-                    mockCallback
+                    jasmine.any(Function)
                 );
 
                 expect(mockConnection.execute).toHaveBeenCalledWithObject({
@@ -195,7 +210,7 @@ define(function (require) {
                 );
                 expect(mockConnection.execute).toHaveBeenCalledWith(
                     jasmine.any(Request),
-                    mockCallback
+                    jasmine.any(Function)
                 );
 
                 expect(mockConnection.execute).toHaveBeenCalledWithObject({
@@ -242,8 +257,25 @@ define(function (require) {
                 expect(mockConnectionFactory.createConnection).toHaveBeenCalled();
                 expect(mockConnection.execute).toHaveBeenCalledWith(
                     jasmine.any(Request),
+                    jasmine.any(Function)
+                );
+            });
+
+            it("notAuthorizedRequest (with an absolute url)", function (){
+                connectionManager.notAuthorizedRequest(
+                    "POST",
+                    "https://sso.example.com/oauth/token",
+                    "",
+                    {},
                     mockCallback
                 );
+
+                expect(mockConnection.execute).toHaveBeenCalledWithObject({
+                    method: "POST",
+                    url: "https://sso.example.com/oauth/token",
+                    body: "",
+                    headers: {}
+                });
             });
 
             it("notAuthorizedRequest (with calls logging and minimum arguments set)", function (){
@@ -261,7 +293,7 @@ define(function (require) {
                 expect(mockAuthenticationAgent.authenticateRequest).toHaveBeenCalled();
                 expect(mockConnection.execute).toHaveBeenCalledWith(
                     jasmine.any(Request),
-                    mockCallback
+                    jasmine.any(Function)
                 );
                 expect(console.dir).toHaveBeenCalledWith(jasmine.any(Request));
             });
@@ -277,7 +309,7 @@ define(function (require) {
                 expect(mockAuthenticationAgent.authenticateRequest).toHaveBeenCalled();
                 expect(mockConnection.execute).toHaveBeenCalledWith(
                     jasmine.any(Request),
-                    mockCallback
+                    jasmine.any(Function)
                 );
 
                 expect(mockConnection.execute).toHaveBeenCalledWithObject({
@@ -300,7 +332,7 @@ define(function (require) {
                 expect(mockAuthenticationAgent.authenticateRequest).toHaveBeenCalled();
                 expect(mockConnection.execute).toHaveBeenCalledWith(
                     jasmine.any(Request),
-                    mockCallback
+                    jasmine.any(Function)
                 );
 
                 expect(mockConnection.execute).toHaveBeenCalledWithObject({
@@ -324,7 +356,7 @@ define(function (require) {
                 expect(mockAuthenticationAgent.authenticateRequest).toHaveBeenCalled();
                 expect(mockConnection.execute).toHaveBeenCalledWith(
                     jasmine.any(Request),
-                    mockCallback
+                    jasmine.any(Function)
                 );
 
                 expect(mockConnection.execute).toHaveBeenCalledWithObject({
@@ -336,6 +368,488 @@ define(function (require) {
             });
         });
 
+    // ******************************
+    // Timeouts and cancellation
+    // ******************************
+        describe("is handling the timeouts and the cancellation", function () {
+
+            beforeEach(function (){
+                connectionManager = new ConnectionManager(
+                    endPointUrl,
+                    mockAuthenticationAgent,
+                    mockConnectionFactory
+                );
+            });
+
+            it("by aborting the request in progress", function (){
+                var handle = connectionManager.request("GET", rootId, mockCallback);
+
+                handle.abort();
+
+                expect(mockConnection.abort).toHaveBeenCalled();
+                expect(mockCallback).toHaveBeenCalledWith(jasmine.any(RequestAbortedError), false);
+                expect(mockCallback.mostRecentCall.args[0].details.request).toEqual(jasmine.any(Request));
+                expect(handle.aborted).toBe(true);
+            });
+
+            it("by ignoring the response of an aborted request", function (){
+                var handle = connectionManager.request("GET", rootId, mockCallback);
+
+                handle.abort();
+                mockConnection.execute.mostRecentCall.args[1](false, "response");
+
+                expect(mockCallback.callCount).toEqual(1);
+            });
+
+            it("by removing the aborted requests from the queue", function (){
+                var handle;
+
+                connectionManager._authInProgress = true;
+                connectionManager._requestsQueue.push("dummyRequest");
+                handle = connectionManager.request("GET", rootId, mockCallback);
+
+                handle.abort();
+
+                expect(connectionManager._requestsQueue.length).toEqual(1);
+                expect(mockCallback).toHaveBeenCalledWith(jasmine.any(RequestAbortedError), false);
+                expect(mockConnectionFactory.createConnection).not.toHaveBeenCalled();
+            });
+
+            it("by binding the requests sent by the callbacks to the same handle", function (){
+                var handle, innerHandle;
+
+                handle = connectionManager.request("GET", rootId, function () {
+                    innerHandle = connectionManager.request("GET", rootId, mockCallback);
+                });
+                mockConnection.execute.mostRecentCall.args[1](false, "response");
+
+                expect(innerHandle).toBe(handle);
+            });
+
+            it("by calling back with an error when the handle is already aborted", function (){
+                var handle = connectionManager.request("GET", rootId, function () {
+                    handle.abort();
+                    connectionManager.request("GET", rootId, mockCallback);
+                });
+                mockConnection.execute.mostRecentCall.args[1](false, "response");
+
+                expect(mockConnectionFactory.createConnection.callCount).toEqual(1);
+                expect(mockCallback).toHaveBeenCalledWith(jasmine.any(RequestAbortedError), false);
+            });
+
+            describe("with timers", function () {
+                beforeEach(function () {
+                    jasmine.Clock.useMock();
+                });
+
+                afterEach(function () {
+                    jasmine.Clock.reset();
+                });
+
+                it("by aborting the requests after the global timeout", function (){
+                    connectionManager.timeout = 1000;
+                    connectionManager.request("GET", rootId, mockCallback);
+
+                    jasmine.Clock.tick(999);
+                    expect(mockCallback).not.toHaveBeenCalled();
+
+                    jasmine.Clock.tick(1);
+                    expect(mockConnection.abort).toHaveBeenCalled();
+                    expect(mockCallback).toHaveBeenCalledWith(jasmine.any(RequestTimeoutError), false);
+                });
+
+                it("by clearing the global timeout when the request is done", function (){
+                    connectionManager.timeout = 1000;
+                    connectionManager.request("GET", rootId, mockCallback);
+                    mockConnection.execute.mostRecentCall.args[1](false, "response");
+
+                    jasmine.Clock.tick(1000);
+                    expect(mockConnection.abort).not.toHaveBeenCalled();
+                    expect(mockCallback.callCount).toEqual(1);
+                });
+
+                it("by aborting the requests after the timeout of the handle", function (){
+                    connectionManager.request("GET", rootId, mockCallback).timeout(500);
+
+                    jasmine.Clock.tick(500);
+                    expect(mockConnection.abort).toHaveBeenCalled();
+                    expect(mockCallback).toHaveBeenCalledWith(jasmine.any(RequestTimeoutError), false);
+                });
+            });
+
+            describe("runWithHandle", function () {
+                var service;
+
+                beforeEach(function () {
+                    service = {
+                        load: function (callback) {
+                            connectionManager.request("GET", rootId, function (error, response) {
+                                if (error) {
+                                    callback(error, response);
+                                    return;
+                                }
+                                connectionManager.request("GET", rootId + "next", callback);
+                            });
+                        }
+                    };
+                });
+
+                it("should bind all the requests of the call to the returned handle", function (){
+                    var handle = connectionManager.runWithHandle(service.load, service, [mockCallback]);
+
+                    expect(handle).toEqual(jasmine.any(RequestHandle));
+                    mockConnection.execute.mostRecentCall.args[1](false, "response");
+                    handle.abort();
+
+                    expect(mockConnectionFactory.createConnection.callCount).toEqual(2);
+                    expect(mockCallback).toHaveBeenCalledWith(jasmine.any(RequestAbortedError), false);
+                });
+
+                it("should abort all the requests in progress of the call", function (){
+                    var otherCallback = jasmine.createSpy('otherCallback'),
+                        handle = connectionManager.runWithHandle(function () {
+                            connectionManager.request("GET", rootId, mockCallback);
+                            connectionManager.request("GET", rootId + "other", otherCallback);
+                        }, service, []);
+
+                    handle.abort();
+
+                    expect(mockConnection.abort.callCount).toEqual(2);
+                    expect(mockCallback).toHaveBeenCalledWith(jasmine.any(RequestAbortedError), false);
+                    expect(otherCallback).toHaveBeenCalledWith(jasmine.any(RequestAbortedError), false);
+                });
+
+                it("should run the callback of the call outside of the handle", function (){
+                    var handle, innerHandle;
+
+                    handle = connectionManager.runWithHandle(service.load, service, [function () {
+                        innerHandle = connectionManager.request("GET", rootId, mockCallback);
+                    }]);
+                    mockConnection.execute.mostRecentCall.args[1](false, "response");
+                    mockConnection.execute.mostRecentCall.args[1](false, "response");
+
+                    expect(innerHandle).toEqual(jasmine.any(RequestHandle));
+                    expect(innerHandle).not.toBe(handle);
+                });
+
+                it("should reuse the active handle", function (){
+                    var handle, innerHandle;
+
+                    handle = connectionManager.request("GET", rootId, function () {
+                        innerHandle = connectionManager.runWithHandle(service.load, service, [mockCallback]);
+                    });
+                    mockConnection.execute.mostRecentCall.args[1](false, "response");
+
+                    expect(innerHandle).toBe(handle);
+                });
+            });
+
+            describe("bindToActiveHandle", function () {
+                it("should run the function with the handle active when it was bound", function (){
+                    var bound, handle, innerHandle;
+
+                    handle = connectionManager.runWithHandle(function () {
+                        bound = connectionManager.bindToActiveHandle(function () {
+                            innerHandle = connectionManager.request("GET", rootId, mockCallback);
+                        });
+                    }, null, []);
+                    bound();
+
+                    expect(innerHandle).toBe(handle);
+                    expect(connectionManager._activeHandle).toBe(null);
+                });
+            });
+        });
+
+    // ******************************
+    // Middlewares
+    // ******************************
+        describe("is running the middlewares", function () {
+
+            beforeEach(function (){
+                connectionManager = new ConnectionManager(
+                    endPointUrl,
+                    mockAuthenticationAgent,
+                    mockConnectionFactory
+                );
+            });
+
+            it("in the registration order before sending the request", function (){
+                var calls = [];
+
+                connectionManager.use(function (request, next, callback) {
+                    calls.push("first");
+                    request.headers["X-Correlation-Id"] = "42";
+                    next(request, callback);
+                });
+                connectionManager.use(function (request, next, callback) {
+                    calls.push("second");
+                    expect(mockConnection.execute).not.toHaveBeenCalled();
+                    next(request, callback);
+                });
+
+                connectionManager.request("GET", rootId, mockCallback);
+
+                expect(calls).toEqual(["first", "second"]);
+                expect(mockConnection.execute.mostRecentCall.args[0].headers["X-Correlation-Id"]).toEqual("42");
+                mockConnection.execute.mostRecentCall.args[1](false, "response");
+                expect(mockCallback).toHaveBeenCalledWith(false, "response");
+            });
+
+            it("allowing to replace the request", function (){
+                var otherRequest = new Request({method: "GET", url: endPointUrl + "/other", headers: {}});
+
+                connectionManager.use(function (request, next, callback) {
+                    next(otherRequest, callback);
+                });
+
+                connectionManager.notAuthorizedRequest("GET", rootId, mockCallback);
+
+                expect(mockConnection.execute.mostRecentCall.args[0]).toBe(otherRequest);
+            });
+
+            it("allowing to change the response", function (){
+                connectionManager.use(function (request, next, callback) {
+                    next(request, function (error, response) {
+                        callback(error, response + " rewritten");
+                    });
+                });
+
+                connectionManager.request("GET", rootId, mockCallback);
+                mockConnection.execute.mostRecentCall.args[1](false, "response");
+
+                expect(mockCallback).toHaveBeenCalledWith(false, "response rewritten");
+            });
+
+            it("allowing to answer without sending the request", function (){
+                connectionManager.use(function (request, next, callback) {
+                    callback(false, "cached response");
+                });
+
+                connectionManager.request("GET", rootId, mockCallback);
+
+                expect(mockConnectionFactory.createConnection).not.toHaveBeenCalled();
+                expect(mockCallback).toHaveBeenCalledWith(false, "cached response");
+            });
+
+            it("and not send the request if the handle was aborted meanwhile", function (){
+                var handle,
+                    pending;
+
+                connectionManager.use(function (request, next, callback) {
+                    pending = function () {
+                        next(request, callback);
+                    };
+                });
+
+                handle = connectionManager.request("GET", rootId, mockCallback);
+                handle.abort();
+                pending();
+
+                expect(mockConnectionFactory.createConnection).not.toHaveBeenCalled();
+                expect(mockCallback).toHaveBeenCalledWith(jasmine.any(RequestAbortedError), false);
+            });
+        });
+
+    // ******************************
+    // Retries
+    // ******************************
+        describe("is retrying the failed requests", function () {
+            var failedResponse;
+
+            beforeEach(function (){
+                jasmine.Clock.useMock();
+                failedResponse = new Response({status: 503});
+                connectionManager = new ConnectionManager(
+                    endPointUrl,
+                    mockAuthenticationAgent,
+                    mockConnectionFactory
+                );
+                connectionManager.retryPolicy = new RetryPolicy({jitter: false});
+            });
+
+            afterEach(function () {
+                jasmine.Clock.reset();
+            });
+
+            it("after a delay", function (){
+                connectionManager.request("GET", rootId, mockCallback);
+                mockConnection.execute.mostRecentCall.args[1](new CAPIError("Connection error : 503."), failedResponse);
+
+                expect(mockCallback).not.toHaveBeenCalled();
+                expect(mockConnection.execute.callCount).toEqual(1);
+
+                jasmine.Clock.tick(200);
+                expect(mockConnection.execute.callCount).toEqual(2);
+
+                mockConnection.execute.mostRecentCall.args[1](false, "response");
+                expect(mockCallback).toHaveBeenCalledWith(false, "response");
+            });
+
+            it("until the maximum number of attempts is reached", function (){
+                connectionManager.request("GET", rootId, mockCallback);
+                mockConnection.execute.mostRecentCall.args[1](new CAPIError("Connection error : 503."), failedResponse);
+                jasmine.Clock.tick(200);
+                mockConnection.execute.mostRecentCall.args[1](new CAPIError("Connection error : 503."), failedResponse);
+                jasmine.Clock.tick(400);
+                mockConnection.execute.mostRecentCall.args[1](new CAPIError("Connection error : 503."), failedResponse);
+
+                expect(mockConnection.execute.callCount).toEqual(3);
+                expect(mockCallback).toHaveBeenCalledWith(jasmine.any(CAPIError), failedResponse);
+            });
+
+            it("only when the policy allows it", function (){
+                connectionManager.request("PUBLISH", rootId, mockCallback);
+                mockConnection.execute.mostRecentCall.args[1](new CAPIError("Connection error : 503."), failedResponse);
+
+                expect(mockCallback).toHaveBeenCalledWith(jasmine.any(CAPIError), failedResponse);
+                jasmine.Clock.tick(200);
+                expect(mockConnection.execute.callCount).toEqual(1);
+            });
+
+            it("unless the handle is aborted while waiting", function (){
+                var handle = connectionManager.request("GET", rootId, mockCallback);
+
+                mockConnection.execute.mostRecentCall.args[1](new CAPIError("Connection error : 503."), failedResponse);
+                handle.abort();
+                jasmine.Clock.tick(200);
+
+                expect(mockConnection.execute.callCount).toEqual(1);
+                expect(mockCallback).toHaveBeenCalledWith(jasmine.any(RequestAbortedError), false);
+            });
+        });
+
+    // ******************************
+    // Expired sessions
+    // ******************************
+        describe("is handling the expired sessions", function () {
+            var unauthorizedResponse,
+                unauthorizedError,
+                respondUnauthorized = function (call) {
+                    call.args[1](unauthorizedError, unauthorizedResponse);
+                };
+
+            beforeEach(function (){
+                unauthorizedResponse = new Response({status: 401});
+                unauthorizedError = new UnauthorizedError("Connection error : 401.", {response: unauthorizedResponse});
+                mockAuthenticationAgent.invalidateAuthentication = jasmine.createSpy('invalidateAuthentication').andReturn(true);
+
+                connectionManager = new ConnectionManager(
+                    endPointUrl,
+                    mockAuthenticationAgent,
+                    mockConnectionFactory
+                );
+            });
+
+            it("by re-authenticating and replaying the request", function (){
+                connectionManager.request("GET", rootId, mockCallback);
+                respondUnauthorized(mockConnection.execute.mostRecentCall);
+
+                expect(mockAuthenticationAgent.invalidateAuthentication).toHaveBeenCalledWith(jasmine.any(Request));
+                expect(mockAuthenticationAgent.ensureAuthentication.callCount).toEqual(2);
+                expect(mockConnection.execute.callCount).toEqual(2);
+                expect(mockCallback).not.toHaveBeenCalled();
+
+                mockConnection.execute.mostRecentCall.args[1](false, "response");
+                expect(mockCallback).toHaveBeenCalledWith(false, "response");
+            });
+
+            it("by replaying the request only once", function (){
+                connectionManager.request("GET", rootId, mockCallback);
+                respondUnauthorized(mockConnection.execute.mostRecentCall);
+                respondUnauthorized(mockConnection.execute.mostRecentCall);
+
+                expect(mockConnection.execute.callCount).toEqual(2);
+                expect(mockCallback).toHaveBeenCalledWith(unauthorizedError, unauthorizedResponse);
+            });
+
+            it("by invalidating the session only once for concurrent requests", function (){
+                var otherCallback = jasmine.createSpy('otherCallback');
+
+                connectionManager.request("GET", rootId, mockCallback);
+                connectionManager.request("GET", rootId, otherCallback);
+
+                respondUnauthorized(mockConnection.execute.calls[0]);
+                respondUnauthorized(mockConnection.execute.calls[1]);
+
+                expect(mockAuthenticationAgent.invalidateAuthentication.callCount).toEqual(1);
+                expect(mockConnection.execute.callCount).toEqual(4);
+            });
+
+            it("by not replaying the request when the agent does not allow it", function (){
+                mockAuthenticationAgent.invalidateAuthentication.andReturn(false);
+
+                connectionManager.request("POST", rootId, mockCallback);
+                respondUnauthorized(mockConnection.execute.mostRecentCall);
+
+                expect(mockConnection.execute.callCount).toEqual(1);
+                expect(mockCallback).toHaveBeenCalledWith(unauthorizedError, unauthorizedResponse);
+            });
+
+            it("by giving the error when the agent can not invalidate the authentication", function (){
+                delete mockAuthenticationAgent.invalidateAuthentication;
+
+                connectionManager.request("GET", rootId, mockCallback);
+                respondUnauthorized(mockConnection.execute.mostRecentCall);
+
+                expect(mockConnection.execute.callCount).toEqual(1);
+                expect(mockCallback).toHaveBeenCalledWith(unauthorizedError, unauthorizedResponse);
+            });
+
+            it("by not handling the not authorized requests", function (){
+                connectionManager.notAuthorizedRequest("GET", rootId, mockCallback);
+                respondUnauthorized(mockConnection.execute.mostRecentCall);
+
+                expect(mockAuthenticationAgent.invalidateAuthentication).not.toHaveBeenCalled();
+                expect(mockCallback).toHaveBeenCalledWith(unauthorizedError, unauthorizedResponse);
+            });
+
+            describe("with the onSessionExpired hook", function () {
+                var sessionExpiredDone;
+
+                beforeEach(function () {
+                    connectionManager.onSessionExpired = jasmine.createSpy('onSessionExpired').andCallFake(function (error, done) {
+                        sessionExpiredDone = done;
+                    });
+                });
+
+                it("should call the hook before replaying the request", function (){
+                    connectionManager.request("GET", rootId, mockCallback);
+                    respondUnauthorized(mockConnection.execute.mostRecentCall);
+
+                    expect(connectionManager.onSessionExpired).toHaveBeenCalledWith(unauthorizedError, jasmine.any(Function));
+                    expect(mockAuthenticationAgent.ensureAuthentication.callCount).toEqual(1);
+
+                    sessionExpiredDone(false);
+                    expect(mockAuthenticationAgent.ensureAuthentication.callCount).toEqual(2);
+                    expect(mockConnection.execute.callCount).toEqual(2);
+                });
+
+                it("should queue the other requests while the hook runs", function (){
+                    connectionManager.request("GET", rootId, mockCallback);
+                    respondUnauthorized(mockConnection.execute.mostRecentCall);
+                    connectionManager.request("GET", rootId, mockCallback);
+
+                    expect(mockConnection.execute.callCount).toEqual(1);
+                    expect(connectionManager._requestsQueue.length).toEqual(2);
+
+                    sessionExpiredDone(false);
+                    expect(mockConnection.execute.callCount).toEqual(3);
+                });
+
+                it("should give the error of the hook to the queued requests", function (){
+                    var hookError = new CAPIError("Log in canceled");
+
+                    connectionManager.request("GET", rootId, mockCallback);
+                    respondUnauthorized(mockConnection.execute.mostRecentCall);
+                    sessionExpiredDone(hookError);
+
+                    expect(mockCallback).toHaveBeenCalledWith(hookError, false);
+                    expect(connectionManager._authInProgress).toBe(false);
+                });
+            });
+        });
+
     // ******************************
     // Cases with errors
     // ******************************
@@ -374,6 +888,30 @@ define(function (require) {
                 );
             });
 
+            it("ensuring authentication with queued requests", function (){
+                var ensureDone, otherCallback = jasmine.createSpy('otherCallback');
+
+                mockFaultyAuthenticationAgent = {
+                    ensureAuthentication : function(done){
+                        ensureDone = done;
+                    }
+                };
+
+                connectionManager = new ConnectionManager(
+                    endPointUrl,
+                    mockFaultyAuthenticationAgent,
+                    mockConnectionFactory
+                );
+
+                connectionManager.request("GET", rootId, mockCallback);
+                connectionManager.request("GET", rootId, otherCallback);
+                ensureDone(new CAPIError("Error while ensuring authentication."), false);
+
+                expect(mockCallback).toHaveBeenCalledWith(jasmine.any(CAPIError), false);
+                expect(otherCallback).toHaveBeenCalledWith(jasmine.any(CAPIError), false);
+                expect(connectionManager._requestsQueue.length).toEqual(0);
+            });
+
             it("authenticating request", function (){
 
                 mockFaultyAuthenticationAgent = {
@@ -1,7 +1,9 @@
-/* global define, describe, it, expect, beforeEach */
+/* global define, describe, it, expect, beforeEach, afterEach, jasmine */
 define(function (require) {
     var ContentCreateStruct = require('structures/ContentCreateStruct'),
-        LocationCreateStruct = require("structures/LocationCreateStruct");
+        LocationCreateStruct = require("structures/LocationCreateStruct"),
+        CAPIError = require("structures/CAPIError"),
+        FakeBuffer = require("jasmineFakeBuffer");
 
     describe('ContentCreateStruct object creation', function () {
         var parentLocationId = '/api/ezp/v2/content/locations/1/2/118',
@@ -10,13 +12,20 @@ define(function (require) {
             fieldIdentifier = 'test',
             fieldValue = 'test value',
             locationStruct,
-            contentCreateStruct;
+            contentCreateStruct,
+            uninstallFakeBuffer;
 
         beforeEach(function () {
+            // the streams are encoded with the Node.js Buffers
+            uninstallFakeBuffer = FakeBuffer.install();
             locationStruct = new LocationCreateStruct(parentLocationId);
             contentCreateStruct = new ContentCreateStruct(contentTypeId, locationStruct, language);
         });
 
+        afterEach(function () {
+            uninstallFakeBuffer();
+        });
+
         it('should add a new field', function () {
             contentCreateStruct.addField(fieldIdentifier, fieldValue);
 
@@ -25,5 +34,117 @@ define(function (require) {
                 fieldValue: fieldValue,
             });
         });
+
+        it('should set the value of a field', function () {
+            contentCreateStruct.addField(fieldIdentifier, fieldValue);
+
+            expect(contentCreateStruct.setField(fieldIdentifier, 'new value')).toBe(contentCreateStruct);
+            contentCreateStruct.setField('other', 'other value');
+            contentCreateStruct.setField(fieldIdentifier, 'translated value', 'fre-FR');
+
+            expect(contentCreateStruct.body.ContentCreate.fields.field).toEqual([
+                {fieldDefinitionIdentifier: fieldIdentifier, fieldValue: 'new value'},
+                {fieldDefinitionIdentifier: 'other', fieldValue: 'other value'},
+                {fieldDefinitionIdentifier: fieldIdentifier, languageCode: 'fre-FR', fieldValue: 'translated value'}
+            ]);
+            expect(contentCreateStruct.getFieldValue(fieldIdentifier)).toEqual('new value');
+            expect(contentCreateStruct.getFieldValue(fieldIdentifier, 'fre-FR')).toEqual('translated value');
+            expect(contentCreateStruct.getFieldValue('unknown')).toBeUndefined();
+        });
+
+        describe('built from a content type', function () {
+            var contentType = {
+                    "_href": contentTypeId,
+                    "FieldDefinitions": {
+                        "FieldDefinition": [
+                            {"identifier": "title", "fieldType": "ezstring", "defaultValue": "Untitled"},
+                            {"identifier": "published", "fieldType": "ezdate"},
+                            {"identifier": "category", "fieldType": "ezselection", "defaultValue": [0]}
+                        ]
+                    }
+                };
+
+            beforeEach(function () {
+                contentCreateStruct = ContentCreateStruct.fromContentType(contentType, locationStruct, language);
+            });
+
+            it('should add every field with its default value', function () {
+                expect(contentCreateStruct.contentType).toBe(contentType);
+                expect(contentCreateStruct.body.ContentCreate.ContentType._href).toEqual(contentTypeId);
+                expect(contentCreateStruct.body.ContentCreate.fields.field).toEqual([
+                    {fieldDefinitionIdentifier: "title", fieldValue: "Untitled"},
+                    {fieldDefinitionIdentifier: "published", fieldValue: null},
+                    {fieldDefinitionIdentifier: "category", fieldValue: [0]}
+                ]);
+            });
+
+            it('should build the field values according to the field type', function () {
+                contentCreateStruct
+                    .setField("published", new Date(1400000000000))
+                    .setField("category", 2);
+
+                expect(contentCreateStruct.getFieldValue("published")).toEqual({timestamp: 1400000000});
+                expect(contentCreateStruct.getFieldValue("category")).toEqual([2]);
+                expect(contentCreateStruct.body.ContentCreate.fields.field.length).toEqual(3);
+            });
+
+            it('should reject the invalid values', function () {
+                expect(function () {
+                    contentCreateStruct.setField("published", "yesterday");
+                }).toThrow();
+            });
+
+            it('should set a file field', function () {
+                var callback = jasmine.createSpy('callback'),
+                    stream = {
+                        pipe: function () {},
+                        on: function (event, handler) {
+                            this[event] = handler;
+                        }
+                    };
+
+                contentType.FieldDefinitions.FieldDefinition.push({"identifier": "image", "fieldType": "ezimage"});
+                contentCreateStruct = ContentCreateStruct.fromContentType(contentType, locationStruct, language);
+                contentType.FieldDefinitions.FieldDefinition.pop();
+
+                contentCreateStruct.setFile("image", stream, {fileName: "ez.png", alternativeText: "eZ"}, callback);
+                stream.data("hello");
+                stream.end();
+
+                expect(callback).toHaveBeenCalledWith(false, contentCreateStruct);
+                // the mime type is not part of an image field value
+                expect(contentCreateStruct.getFieldValue("image")).toEqual(
+                    {fileName: "ez.png", data: "aGVsbG8=", fileSize: 5, alternativeText: "eZ"}
+                );
+            });
+
+            it('should give the error of a file field', function () {
+                var callback = jasmine.createSpy('callback'),
+                    stream = {
+                        pipe: function () {},
+                        on: function (event, handler) {
+                            this[event] = handler;
+                        }
+                    };
+
+                contentCreateStruct.setFile("unknown", stream, callback);
+                stream.end();
+
+                expect(callback).toHaveBeenCalledWith(jasmine.any(CAPIError), contentCreateStruct);
+            });
+
+            it('should reject the unknown fields', function () {
+                var error;
+
+                try {
+                    contentCreateStruct.setField("unknown", "value");
+                } catch (e) {
+                    error = e;
+                }
+
+                expect(error).toEqual(jasmine.any(CAPIError));
+                expect(error.details).toEqual({fieldDefinitionIdentifier: "unknown"});
+            });
+        });
     });
 });
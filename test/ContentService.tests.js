@@ -14,9 +14,11 @@ define(function (require) {
         ObjectStateGroupCreateStruct = require("structures/ObjectStateGroupCreateStruct"),
         ObjectStateGroupUpdateStruct = require("structures/ObjectStateGroupUpdateStruct"),
         ViewCreateStruct = require("structures/ViewCreateStruct"),
+        QueryBuilder = require("structures/QueryBuilder"),
         UrlAliasCreateStruct = require("structures/UrlAliasCreateStruct"),
         UrlWildcardCreateStruct = require("structures/UrlWildcardCreateStruct"),
-        RelationCreateStruct = require('structures/RelationCreateStruct');
+        RelationCreateStruct = require('structures/RelationCreateStruct'),
+        Pager = require("utils/Pager");
 
 
     describe("ContentService", function () {
@@ -42,6 +44,7 @@ define(function (require) {
             testVersionRelations = '/api/ezp/v2/content/objects/173/version/1/relations',
             testRelationId = '/api/ezp/v2/content/objects/102/versions/5/relations/1',
             testViews = '/api/ezp/v2/content/views',
+            testView = '/api/ezp/v2/content/views/some-test-id',
             testUrlAliases = '/api/ezp/v2/content/urlaliases',
             testUrlAlias = '/api/ezp/v2/content/urlaliases/0-a903c03b86eb2987889afa5fe17004eb',
             testUrlWildcards = '/api/ezp/v2/content/urlwildcards',
@@ -263,6 +266,130 @@ define(function (require) {
                 );
             });
 
+            it("loadViews", function () {
+                contentService.loadViews(
+                    testLimit,
+                    testOffset,
+                    mockCallback
+                );
+
+                expect(mockDiscoveryService.getInfoObject).toHaveBeenCalledWith("views", jasmine.any(Function));
+                expect(mockConnectionManager.request).toHaveBeenCalledWith(
+                    "GET",
+                    testViews + '?offset=' + testOffset + '&limit=' + testLimit,
+                    "",
+                    {"Accept": "application/vnd.ez.api.RefList+json"},
+                    mockCallback
+                );
+            });
+
+            it("loadViews with omitted params", function () {
+                contentService.loadViews(
+                    mockCallback
+                );
+
+                expect(mockConnectionManager.request).toHaveBeenCalledWith(
+                    "GET",
+                    testViews + '?offset=0&limit=-1',
+                    "",
+                    {"Accept": "application/vnd.ez.api.RefList+json"},
+                    mockCallback
+                );
+            });
+
+            it("loadViews with 1 optional parameter", function () {
+                contentService.loadViews(
+                    testLimit,
+                    mockCallback
+                );
+
+                expect(mockConnectionManager.request).toHaveBeenCalledWith(
+                    "GET",
+                    testViews + '?offset=0&limit=' + testLimit,
+                    "",
+                    {"Accept": "application/vnd.ez.api.RefList+json"},
+                    mockCallback
+                );
+            });
+
+            it("loadView", function () {
+                contentService.loadView(
+                    testView,
+                    mockCallback
+                );
+
+                expect(mockConnectionManager.request).toHaveBeenCalledWith(
+                    "GET",
+                    testView,
+                    "",
+                    {"Accept": "application/vnd.ez.api.View+json"},
+                    mockCallback
+                );
+            });
+
+            it("loadViewResults", function () {
+                contentService.loadViewResults(
+                    testView,
+                    testLimit,
+                    testOffset,
+                    mockCallback
+                );
+
+                expect(mockConnectionManager.request).toHaveBeenCalledWith(
+                    "GET",
+                    testView + '/results?offset=' + testOffset + '&limit=' + testLimit,
+                    "",
+                    {"Accept": "application/vnd.ez.api.View+json"},
+                    mockCallback
+                );
+            });
+
+            it("loadViewResults with omitted params", function () {
+                contentService.loadViewResults(
+                    testView,
+                    mockCallback
+                );
+
+                expect(mockConnectionManager.request).toHaveBeenCalledWith(
+                    "GET",
+                    testView + '/results?offset=0&limit=-1',
+                    "",
+                    {"Accept": "application/vnd.ez.api.View+json"},
+                    mockCallback
+                );
+            });
+
+            it("loadViewResults with 1 optional parameter", function () {
+                contentService.loadViewResults(
+                    testView,
+                    testLimit,
+                    mockCallback
+                );
+
+                expect(mockConnectionManager.request).toHaveBeenCalledWith(
+                    "GET",
+                    testView + '/results?offset=0&limit=' + testLimit,
+                    "",
+                    {"Accept": "application/vnd.ez.api.View+json"},
+                    mockCallback
+                );
+            });
+
+            it("deleteView", function () {
+                contentService.deleteView(
+                    testView,
+                    mockCallback
+                );
+
+                expect(mockConnectionManager.request).toHaveBeenCalledWith(
+                    "DELETE",
+                    testView,
+                    "",
+                    {},
+                    mockCallback
+                );
+            });
+
 
             // ******************************
             // Content management
@@ -1674,6 +1801,49 @@ define(function (require) {
             // ******************************
             // Structures
             // ******************************
+            describe("pagers creation", function () {
+
+                it("newLocationChildrenPager", function () {
+                    var pager;
+
+                    spyOn(contentService, 'loadLocationChildren');
+                    pager = contentService.newLocationChildrenPager(testLocation, {pageSize: testLimit});
+                    pager.next(mockCallback);
+
+                    expect(pager).toEqual(jasmine.any(Pager));
+                    expect(contentService.loadLocationChildren).toHaveBeenCalledWith(
+                        testLocation, testLimit, 0, jasmine.any(Function)
+                    );
+                });
+
+                it("newRelationsPager", function () {
+                    var pager;
+
+                    spyOn(contentService, 'loadRelations');
+                    pager = contentService.newRelationsPager(testVersionedContentId);
+                    pager.next(mockCallback);
+
+                    expect(pager).toEqual(jasmine.any(Pager));
+                    expect(contentService.loadRelations).toHaveBeenCalledWith(
+                        testVersionedContentId, Pager.DEFAULT_PAGE_SIZE, 0, jasmine.any(Function)
+                    );
+                });
+
+                it("newTrashItemsPager", function () {
+                    var pager;
+
+                    spyOn(contentService, 'loadTrashItems').andCallFake(function (limit, offset, callback) {
+                        callback(false, {document: {Trash: {TrashItem: ["item1", "item2"]}}});
+                    });
+                    pager = contentService.newTrashItemsPager({pageSize: testLimit});
+                    pager.next(mockCallback);
+
+                    expect(contentService.loadTrashItems).toHaveBeenCalledWith(testLimit, 0, jasmine.any(Function));
+                    expect(mockCallback).toHaveBeenCalledWith(false, ["item1", "item2"]);
+                    expect(pager.hasNext()).toBe(false);
+                });
+            });
+
             describe("structures creation", function () {
 
                 it("newContentUpdateStruct", function (){
@@ -1748,6 +1918,19 @@ define(function (require) {
                     expect(testStructure.body.ViewInput.identifier).toEqual(testIdentifier);
                 });
 
+                it("newViewCreateStruct with a query", function (){
+                    var query = new QueryBuilder().where(QueryBuilder.fullText("title")).limit(5);
+
+                    testStructure = contentService.newViewCreateStruct(
+                        testIdentifier,
+                        query
+                    );
+
+                    expect(testStructure).toEqual(jasmine.any(ViewCreateStruct));
+                    expect(testStructure.body.ViewInput.Query.Criteria).toEqual({FullTextCriterion: "title"});
+                    expect(testStructure.body.ViewInput.Query.limit).toEqual(5);
+                });
+
                 it("newRelationCreateStruct", function (){
 
                     testStructure = contentService.newRelationCreateStruct(
@@ -1937,6 +2120,17 @@ define(function (require) {
                 expect(mockCallback).toHaveBeenCalledWith(jasmine.any(CAPIError), errorResponse);
             });
 
+            it("loadViews", function () {
+                contentService.loadViews(
+                    testLimit,
+                    testOffset,
+                    mockCallback
+                );
+
+                expect(mockFaultyDiscoveryService.getInfoObject).toHaveBeenCalledWith("views", jasmine.any(Function));
+                expect(mockCallback).toHaveBeenCalledWith(jasmine.any(CAPIError), errorResponse);
+            });
+
             it("loadTrashItems", function () {
                 contentService.loadTrashItems(
                     testLimit,
@@ -10,7 +10,9 @@ define(function (require) {
         ContentTypeCreateStruct = require("structures/ContentTypeCreateStruct"),
         ContentTypeUpdateStruct = require("structures/ContentTypeUpdateStruct"),
         FieldDefinitionCreateStruct = require("structures/FieldDefinitionCreateStruct"),
-        FieldDefinitionUpdateStruct = require("structures/FieldDefinitionUpdateStruct");
+        FieldDefinitionUpdateStruct = require("structures/FieldDefinitionUpdateStruct"),
+        ContentCreateStruct = require("structures/ContentCreateStruct"),
+        FieldTypeRegistry = require("fieldTypes/FieldTypeRegistry");
 
     describe("ContentType Service", function () {
 
@@ -866,6 +868,133 @@ define(function (require) {
             });
         });
 
+        describe("prepareContentCreateStruct", function () {
+            var testParentLocationId = "/api/ezp/v2/content/locations/1/2",
+                testContentType = {
+                    "_href": testContentTypeId,
+                    "identifier": testContentTypeIdentifier,
+                    "FieldDefinitions": {
+                        "FieldDefinition": [
+                            {"identifier": "title", "fieldType": "ezstring", "defaultValue": "Untitled"},
+                            {"identifier": "publication_date", "fieldType": "ezdatetime", "defaultValue": null}
+                        ]
+                    }
+                },
+                contentTypesDiscoveryService;
+
+            beforeEach(function () {
+                contentTypesDiscoveryService = {
+                    getInfoObject: jasmine.createSpy('getInfoObject').andCallFake(function (name, callback) {
+                        callback(false, {"_href": "/api/ezp/v2/content/types"});
+                    })
+                };
+                contentTypeService = new ContentTypeService(mockConnectionManager, contentTypesDiscoveryService);
+                spyOn(contentTypeService, "loadContentType").andCallFake(function (contentTypeId, callback) {
+                    callback(false, {document: {"ContentType": testContentType}});
+                });
+                spyOn(contentTypeService, "loadContentTypeByIdentifier").andCallFake(function (identifier, callback) {
+                    callback(false, {document: {"ContentTypeInfoList": {"ContentType": [{"_href": testContentTypeId}]}}});
+                });
+            });
+
+            it("should build the struct from the content type id", function () {
+                var struct;
+
+                contentTypeService.prepareContentCreateStruct(testContentTypeId, testParentLocationId, testLanguage, mockCallback);
+
+                expect(contentTypeService.loadContentType).toHaveBeenCalledWith(testContentTypeId, jasmine.any(Function));
+                expect(contentTypeService.loadContentTypeByIdentifier).not.toHaveBeenCalled();
+                expect(mockCallback).toHaveBeenCalledWith(false, jasmine.any(ContentCreateStruct));
+
+                struct = mockCallback.mostRecentCall.args[1];
+                expect(struct.body.ContentCreate.ContentType._href).toEqual(testContentTypeId);
+                expect(struct.body.ContentCreate.LocationCreate.ParentLocation._href).toEqual(testParentLocationId);
+                expect(struct.body.ContentCreate.mainLanguageCode).toEqual(testLanguage);
+                expect(struct.body.ContentCreate.fields.field).toEqual([
+                    {fieldDefinitionIdentifier: "title", fieldValue: "Untitled"},
+                    {fieldDefinitionIdentifier: "publication_date", fieldValue: null}
+                ]);
+            });
+
+            it("should build the struct from the content type identifier", function () {
+                contentTypeService.prepareContentCreateStruct(testContentTypeIdentifier, testParentLocationId, testLanguage, mockCallback);
+
+                expect(contentTypeService.loadContentTypeByIdentifier).toHaveBeenCalledWith(
+                    testContentTypeIdentifier, jasmine.any(Function)
+                );
+                expect(contentTypeService.loadContentType).toHaveBeenCalledWith(testContentTypeId, jasmine.any(Function));
+                expect(mockCallback).toHaveBeenCalledWith(false, jasmine.any(ContentCreateStruct));
+            });
+
+            it("should use the field type registry", function () {
+                var registry = new FieldTypeRegistry();
+
+                spyOn(registry, "serialize").andCallThrough();
+                contentTypeService = new ContentTypeService(mockConnectionManager, {}, registry);
+                spyOn(contentTypeService, "loadContentType").andCallFake(function (contentTypeId, callback) {
+                    callback(false, {document: {"ContentType": testContentType}});
+                });
+                contentTypeService.prepareContentCreateStruct(testContentTypeId, testParentLocationId, testLanguage, mockCallback);
+                mockCallback.mostRecentCall.args[1].setField("publication_date", 1400000000);
+
+                expect(registry.serialize).toHaveBeenCalledWith("ezdatetime", 1400000000);
+            });
+
+            it("should give an error when no content type has the identifier", function () {
+                var response = {document: {"ContentTypeInfoList": {"ContentType": []}}};
+
+                contentTypeService.loadContentTypeByIdentifier.andCallFake(function (identifier, callback) {
+                    callback(false, response);
+                });
+                contentTypeService.prepareContentCreateStruct("unknown", testParentLocationId, testLanguage, mockCallback);
+
+                expect(mockCallback).toHaveBeenCalledWith(jasmine.any(CAPIError), response);
+                expect(contentTypeService.loadContentType).not.toHaveBeenCalled();
+            });
+
+            it("should build the struct from a numeric content type id", function () {
+                contentTypeService.prepareContentCreateStruct(18, testParentLocationId, testLanguage, mockCallback);
+                contentTypeService.prepareContentCreateStruct("18", testParentLocationId, testLanguage, mockCallback);
+
+                expect(contentTypesDiscoveryService.getInfoObject).toHaveBeenCalledWith("contentTypes", jasmine.any(Function));
+                expect(contentTypeService.loadContentType.callCount).toEqual(2);
+                expect(contentTypeService.loadContentType.calls[0].args[0]).toEqual(testContentTypeId);
+                expect(contentTypeService.loadContentType.calls[1].args[0]).toEqual(testContentTypeId);
+                expect(contentTypeService.loadContentTypeByIdentifier).not.toHaveBeenCalled();
+                expect(mockCallback).toHaveBeenCalledWith(false, jasmine.any(ContentCreateStruct));
+            });
+
+            it("should give the discovery error for a numeric content type id", function () {
+                var error = new CAPIError("Root discovery failed");
+
+                contentTypesDiscoveryService.getInfoObject.andCallFake(function (name, callback) {
+                    callback(error, {status: 500});
+                });
+                contentTypeService.prepareContentCreateStruct(18, testParentLocationId, testLanguage, mockCallback);
+
+                expect(mockCallback).toHaveBeenCalledWith(error, {status: 500});
+                expect(contentTypeService.loadContentType).not.toHaveBeenCalled();
+            });
+
+            it("should reject a content type which is neither an id nor an identifier", function () {
+                contentTypeService.prepareContentCreateStruct({id: 18}, testParentLocationId, testLanguage, mockCallback);
+
+                expect(mockCallback).toHaveBeenCalledWith(jasmine.any(CAPIError), false);
+                expect(mockCallback.mostRecentCall.args[0].details.contentType).toEqual({id: 18});
+                expect(contentTypeService.loadContentType).not.toHaveBeenCalled();
+                expect(contentTypeService.loadContentTypeByIdentifier).not.toHaveBeenCalled();
+            });
+
+            it("should give the error of the content type loading", function () {
+                contentTypeService.loadContentType.andCallFake(function (contentTypeId, callback) {
+                    callback(new CAPIError("not found"), {status: 404});
+                });
+                contentTypeService.prepareContentCreateStruct(testContentTypeId, testParentLocationId, testLanguage, mockCallback);
+
+                expect(mockCallback).toHaveBeenCalledWith(jasmine.any(CAPIError), {status: 404});
+            });
+        });
+
     });
 
 });
@@ -0,0 +1,113 @@
+/* global define, describe, it, expect, beforeEach, afterEach, jasmine */
+define(function (require) {
+    var ContentUpdateStruct = require('structures/ContentUpdateStruct'),
+        FakeBuffer = require('jasmineFakeBuffer');
+
+    describe('ContentUpdateStruct object creation', function () {
+        var language = 'eng-GB',
+            contentUpdateStruct,
+            uninstallFakeBuffer;
+
+        beforeEach(function () {
+            // the streams are encoded with the Node.js Buffers
+            uninstallFakeBuffer = FakeBuffer.install();
+            contentUpdateStruct = new ContentUpdateStruct(language);
+        });
+
+        afterEach(function () {
+            uninstallFakeBuffer();
+        });
+
+        it('should add a field in the initial language', function () {
+            expect(contentUpdateStruct.addField('title', 'Title')).toBe(contentUpdateStruct);
+
+            expect(contentUpdateStruct.body.VersionUpdate.fields.field[0]).toEqual({
+                fieldDefinitionIdentifier: 'title',
+                languageCode: language,
+                fieldValue: 'Title'
+            });
+        });
+
+        it('should add a field in another language', function () {
+            contentUpdateStruct.addField('title', 'Titre', 'fre-FR');
+
+            expect(contentUpdateStruct.body.VersionUpdate.fields.field[0].languageCode).toEqual('fre-FR');
+        });
+
+        it('should add a file field', function () {
+            var callback = jasmine.createSpy('callback'),
+                stream = {
+                    path: 'report.pdf',
+                    pipe: function () {},
+                    on: function (event, handler) {
+                        this[event] = handler;
+                    }
+                };
+
+            contentUpdateStruct.setFile('file', stream, {languageCode: 'fre-FR'}, callback);
+            stream.data('hello');
+            stream.end();
+
+            expect(callback).toHaveBeenCalledWith(false, contentUpdateStruct);
+            expect(contentUpdateStruct.body.VersionUpdate.fields.field[0]).toEqual({
+                fieldDefinitionIdentifier: 'file',
+                languageCode: 'fre-FR',
+                fieldValue: {fileName: 'report.pdf', fileSize: 5, mimeType: 'application/pdf', data: 'aGVsbG8='}
+            });
+        });
+
+        it('should add an image field', function () {
+            var callback = jasmine.createSpy('callback'),
+                stream = {
+                    pipe: function () {},
+                    on: function (event, handler) {
+                        this[event] = handler;
+                    }
+                };
+
+            contentUpdateStruct.setFile('image', stream, {fileName: 'ez.png', fieldType: 'ezimage', alternativeText: 'eZ'}, callback);
+            stream.data('hello');
+            stream.end();
+
+            expect(contentUpdateStruct.body.VersionUpdate.fields.field[0].fieldValue).toEqual(
+                {fileName: 'ez.png', fileSize: 5, alternativeText: 'eZ', data: 'aGVsbG8='}
+            );
+        });
+
+        it('should replace the file field in the same language', function () {
+            var callback = jasmine.createSpy('callback'),
+                stream = {
+                    path: 'report.pdf',
+                    pipe: function () {},
+                    on: function (event, handler) {
+                        this[event] = handler;
+                    }
+                };
+
+            contentUpdateStruct.addField('file', null).addField('file', null, 'fre-FR');
+            contentUpdateStruct.setFile('file', stream, callback);
+            stream.data('hello');
+            stream.end();
+
+            expect(callback).toHaveBeenCalledWith(false, contentUpdateStruct);
+            expect(contentUpdateStruct.body.VersionUpdate.fields.field).toEqual([{
+                fieldDefinitionIdentifier: 'file',
+                languageCode: language,
+                fieldValue: {fileName: 'report.pdf', fileSize: 5, mimeType: 'application/pdf', data: 'aGVsbG8='}
+            }, {
+                fieldDefinitionIdentifier: 'file',
+                languageCode: 'fre-FR',
+                fieldValue: null
+            }]);
+        });
+
+        it('should give the error of the file', function () {
+            var callback = jasmine.createSpy('callback');
+
+            contentUpdateStruct.setFile('file', 'not a file', callback);
+
+            expect(callback).toHaveBeenCalledWith(jasmine.any(Error), contentUpdateStruct);
+            expect(contentUpdateStruct.body.VersionUpdate.fields.field.length).toEqual(0);
+        });
+    });
+});
@@ -0,0 +1,236 @@
+/* global define, describe, it, expect, beforeEach, jasmine */
+define(function (require) {
+    var ContentValidator = require("fieldTypes/ContentValidator"),
+        ContentCreateStruct = require("structures/ContentCreateStruct"),
+        ContentUpdateStruct = require("structures/ContentUpdateStruct"),
+        CAPIError = require("structures/CAPIError");
+
+    describe("ContentValidator", function () {
+        var testContentTypeId = "/api/ezp/v2/content/types/18",
+            contentType,
+            contentTypeService,
+            validator,
+            callback,
+            newCreateStruct = function () {
+                return new ContentCreateStruct(testContentTypeId, {body: {LocationCreate: {}}}, "eng-GB");
+            },
+            getResult = function () {
+                expect(callback).toHaveBeenCalledWith(false, jasmine.any(Object));
+                return callback.mostRecentCall.args[1];
+            };
+
+        beforeEach(function () {
+            contentType = {
+                "_href": testContentTypeId,
+                "identifier": "article",
+                "FieldDefinitions": {
+                    "FieldDefinition": [{
+                        "identifier": "title",
+                        "fieldType": "ezstring",
+                        "isRequired": true,
+                        "isTranslatable": true,
+                        "validatorConfiguration": {"StringLengthValidator": {"minStringLength": 2, "maxStringLength": 10}}
+                    }, {
+                        "identifier": "rating",
+                        "fieldType": "ezinteger",
+                        "isRequired": false,
+                        "isTranslatable": false,
+                        "validatorConfiguration": {"IntegerValueValidator": {"minIntegerValue": 1, "maxIntegerValue": 5}}
+                    }, {
+                        "identifier": "price",
+                        "fieldType": "ezfloat",
+                        "isRequired": "false",
+                        "isTranslatable": "true",
+                        "validatorConfiguration": {"FloatValueValidator": {"minFloatValue": 0, "maxFloatValue": false}}
+                    }, {
+                        "identifier": "category",
+                        "fieldType": "ezselection",
+                        "isRequired": false,
+                        "isTranslatable": true,
+                        "fieldSettings": {"isMultiple": false, "options": ["News", "Blog"]}
+                    }, {
+                        "identifier": "image",
+                        "fieldType": "ezimage",
+                        "isRequired": false,
+                        "isTranslatable": true,
+                        "validatorConfiguration": {"FileSizeValidator": {"maxFileSize": 1}}
+                    }]
+                }
+            };
+            contentTypeService = jasmine.createSpyObj('contentTypeService', ['loadContentType']);
+            contentTypeService.loadContentType.andCallFake(function (contentTypeId, cb) {
+                cb(false, {document: {"ContentType": contentType}});
+            });
+            validator = new ContentValidator(contentTypeService);
+            callback = jasmine.createSpy('callback');
+        });
+
+        describe("validate", function () {
+            it("should validate a create struct", function () {
+                var struct = newCreateStruct()
+                        .addField("title", "News")
+                        .addField("rating", 3)
+                        .addField("category", [1]);
+
+                validator.validate(struct, callback);
+
+                expect(contentTypeService.loadContentType).toHaveBeenCalledWith(testContentTypeId, jasmine.any(Function));
+                expect(getResult()).toEqual({valid: true, errors: {}});
+            });
+
+            it("should load a Content Type only once", function () {
+                validator.validate(newCreateStruct().addField("title", "News"), callback);
+                validator.validate(newCreateStruct().addField("title", "Blog"), callback);
+
+                expect(contentTypeService.loadContentType.callCount).toEqual(1);
+            });
+
+            it("should report the missing required fields of a create struct", function () {
+                validator.validate(newCreateStruct().addField("rating", 3), callback);
+
+                expect(getResult()).toEqual({
+                    valid: false,
+                    errors: {title: [{code: "required", message: jasmine.any(String), languageCode: "eng-GB"}]}
+                });
+            });
+
+            it("should report the empty required fields", function () {
+                validator.validate(newCreateStruct().addField("title", ""), callback);
+
+                expect(getResult().errors.title.length).toEqual(1);
+                expect(getResult().errors.title[0].code).toEqual("required");
+            });
+
+            it("should report the missing required fields even if they are empty in another language", function () {
+                var struct = newCreateStruct().addField("rating", 3);
+
+                struct.body.ContentCreate.fields.field.push({
+                    fieldDefinitionIdentifier: "title",
+                    languageCode: "fre-FR",
+                    fieldValue: ""
+                });
+                validator.validate(struct, callback);
+
+                expect(getResult().errors.title).toEqual([
+                    {code: "required", message: jasmine.any(String), languageCode: "fre-FR"},
+                    {code: "required", message: jasmine.any(String), languageCode: "eng-GB"}
+                ]);
+            });
+
+            it("should report the unknown fields", function () {
+                validator.validate(newCreateStruct().addField("title", "News").addField("summary", "text"), callback);
+
+                expect(getResult().errors.summary[0].code).toEqual("unknown");
+            });
+
+            it("should report the non translatable fields given in another language", function () {
+                var struct = newCreateStruct().addField("title", "News");
+
+                struct.body.ContentCreate.fields.field.push({
+                    fieldDefinitionIdentifier: "rating",
+                    languageCode: "fre-FR",
+                    fieldValue: 3
+                });
+                validator.validate(struct, callback);
+
+                expect(getResult().errors.rating).toEqual([
+                    {code: "notTranslatable", message: jasmine.any(String), languageCode: "fre-FR"}
+                ]);
+            });
+
+            it("should validate an update struct", function () {
+                var struct = new ContentUpdateStruct("fre-FR")
+                        .addField("title", "Nouvelles")
+                        .addField("rating", 3);
+
+                validator.validate(struct, {contentTypeId: testContentTypeId, mainLanguageCode: "eng-GB"}, callback);
+
+                expect(getResult().valid).toBe(false);
+                expect(getResult().errors.title).toBeUndefined();
+                expect(getResult().errors.rating[0].code).toEqual("notTranslatable");
+            });
+
+            it("should not require the missing fields of an update struct", function () {
+                validator.validate(new ContentUpdateStruct("eng-GB").addField("rating", 3), {contentTypeId: testContentTypeId}, callback);
+
+                expect(getResult()).toEqual({valid: true, errors: {}});
+            });
+
+            it("should require the Content Type id of an update struct", function () {
+                validator.validate(new ContentUpdateStruct("eng-GB"), callback);
+
+                expect(callback).toHaveBeenCalledWith(jasmine.any(CAPIError), false);
+                expect(contentTypeService.loadContentType).not.toHaveBeenCalled();
+            });
+
+            it("should reject the other structs", function () {
+                validator.validate({body: {LocationCreate: {}}}, callback);
+
+                expect(callback).toHaveBeenCalledWith(jasmine.any(CAPIError), false);
+            });
+
+            it("should give the error of the Content Type loading", function () {
+                var response = {status: 404};
+
+                contentTypeService.loadContentType.andCallFake(function (contentTypeId, cb) {
+                    cb(new CAPIError("not found"), response);
+                });
+                validator.validate(newCreateStruct(), callback);
+
+                expect(callback).toHaveBeenCalledWith(jasmine.any(CAPIError), response);
+            });
+        });
+
+        describe("field type checks", function () {
+            var validate = function (identifier, fieldValue) {
+                    validator.validate(newCreateStruct().addField("title", "News").addField(identifier, fieldValue), callback);
+                    return getResult().errors[identifier];
+                },
+                codes = function (errors) {
+                    return (errors || []).map(function (error) {
+                        return error.code;
+                    });
+                };
+
+            it("should check the string length", function () {
+                expect(codes(validate("title", "N"))).toEqual(["tooShort"]);
+                expect(validate("title", "Breaking news")).toEqual([
+                    {code: "tooLong", message: jasmine.any(String), limit: 10, languageCode: "eng-GB"}
+                ]);
+                expect(codes(validate("title", 42))).toEqual(["invalidValue"]);
+            });
+
+            it("should check the integer range", function () {
+                expect(codes(validate("rating", 0))).toEqual(["tooSmall"]);
+                expect(codes(validate("rating", 6))).toEqual(["tooLarge"]);
+                expect(codes(validate("rating", 2.5))).toEqual(["invalidValue"]);
+                expect(validate("rating", 5)).toBeUndefined();
+            });
+
+            it("should check the float range", function () {
+                expect(codes(validate("price", -1))).toEqual(["tooSmall"]);
+                expect(validate("price", 1000.5)).toBeUndefined();
+            });
+
+            it("should check the selection options", function () {
+                expect(codes(validate("category", [2]))).toEqual(["invalidOption"]);
+                expect(codes(validate("category", [0, 1]))).toEqual(["multipleOptions"]);
+                expect(validate("category", 1)).toBeUndefined();
+            });
+
+            it("should check the file size", function () {
+                expect(codes(validate("image", {fileName: "big.png", fileSize: 2 * 1024 * 1024}))).toEqual(["fileTooLarge"]);
+                expect(validate("image", {fileName: "ez.png", data: "aGVsbG8="})).toBeUndefined();
+            });
+        });
+
+        describe("_getFileSize", function () {
+            it("should compute the size of the base64 data", function () {
+                expect(ContentValidator._getFileSize({data: "aGVsbG8="})).toEqual(5);
+                expect(ContentValidator._getFileSize({data: "aGVsbG8h"})).toEqual(6);
+                expect(ContentValidator._getFileSize({fileSize: 12})).toEqual(12);
+                expect(ContentValidator._getFileSize({inputUri: "/tmp/ez.png"})).toBe(null);
+            });
+        });
+    });
+});
@@ -0,0 +1,76 @@
+/* global define, describe, it, expect, beforeEach */
+define(function (require) {
+
+    var CookieJar = require("utils/CookieJar");
+
+    describe("CookieJar", function () {
+        var cookieJar,
+            testHost = "ez.git.local";
+
+        beforeEach(function () {
+            cookieJar = new CookieJar();
+        });
+
+        it("should return an empty header when there's no cookie", function () {
+            expect(cookieJar.getCookieHeader(testHost, "/")).toEqual("");
+        });
+
+        it("should store the cookies from a Set-Cookie header", function () {
+            cookieJar.setCookies(testHost, "eZSESSID=o7i8r1sapfc9r84ae53bgq8gp4; path=/; HttpOnly");
+
+            expect(cookieJar.getCookieHeader(testHost, "/api/ezp/v2/")).toEqual("eZSESSID=o7i8r1sapfc9r84ae53bgq8gp4");
+        });
+
+        it("should store the cookies from several Set-Cookie headers", function () {
+            cookieJar.setCookies(testHost, ["first=1", "second=2; Path=/"]);
+
+            expect(cookieJar.getCookieHeader(testHost, "/")).toEqual("first=1; second=2");
+        });
+
+        it("should bind the cookies to the host", function () {
+            cookieJar.setCookies(testHost, "eZSESSID=o7i8r1sapfc9r84ae53bgq8gp4");
+
+            expect(cookieJar.getCookieHeader("other.host", "/")).toEqual("");
+        });
+
+        it("should take the path into account", function () {
+            cookieJar.setCookies(testHost, "eZSESSID=o7i8r1sapfc9r84ae53bgq8gp4; path=/api");
+
+            expect(cookieJar.getCookieHeader(testHost, "/")).toEqual("");
+            expect(cookieJar.getCookieHeader(testHost, "/api/ezp/v2/")).toEqual("eZSESSID=o7i8r1sapfc9r84ae53bgq8gp4");
+        });
+
+        it("should overwrite a cookie with the same name", function () {
+            cookieJar.setCookies(testHost, "eZSESSID=first");
+            cookieJar.setCookies(testHost, "eZSESSID=second");
+
+            expect(cookieJar.getCookieHeader(testHost, "/")).toEqual("eZSESSID=second");
+        });
+
+        it("should remove expired cookies", function () {
+            cookieJar.setCookies(testHost, "eZSESSID=o7i8r1sapfc9r84ae53bgq8gp4");
+            cookieJar.setCookies(testHost, "eZSESSID=deleted; expires=Thu, 01-Jan-1970 00:00:01 GMT");
+
+            expect(cookieJar.getCookieHeader(testHost, "/")).toEqual("");
+        });
+
+        it("should remove a cookie with a Max-Age of 0", function () {
+            cookieJar.setCookies(testHost, "eZSESSID=o7i8r1sapfc9r84ae53bgq8gp4");
+            cookieJar.setCookies(testHost, "eZSESSID=deleted; Max-Age=0");
+
+            expect(cookieJar.getCookieHeader(testHost, "/")).toEqual("");
+        });
+
+        it("should clear the cookies", function () {
+            cookieJar.setCookies(testHost, "eZSESSID=o7i8r1sapfc9r84ae53bgq8gp4");
+            cookieJar.setCookies("other.host", "eZSESSID=o7i8r1sapfc9r84ae53bgq8gp4");
+
+            cookieJar.clear(testHost);
+            expect(cookieJar.getCookieHeader(testHost, "/")).toEqual("");
+            expect(cookieJar.getCookieHeader("other.host", "/")).not.toEqual("");
+
+            cookieJar.clear();
+            expect(cookieJar.getCookieHeader("other.host", "/")).toEqual("");
+        });
+    });
+});
@@ -0,0 +1,140 @@
+/* global define, describe, it, expect, beforeEach, afterEach */
+define(["storages/CookieStorage"], function (CookieStorage) {
+    describe("CookieStorage", function () {
+        var originalCookieDescriptor,
+            writtenCookies,
+            mockCookies = function (cookie) {
+                originalCookieDescriptor = Object.getOwnPropertyDescriptor(document, "cookie");
+                Object.defineProperty(document, "cookie", {
+                    configurable: true,
+                    get: function () {
+                        return cookie;
+                    },
+                    set: function (value) {
+                        writtenCookies.push(value);
+                    }
+                });
+            };
+
+        beforeEach(function () {
+            writtenCookies = [];
+            originalCookieDescriptor = null;
+        });
+
+        afterEach(function () {
+            if (originalCookieDescriptor) {
+                Object.defineProperty(document, "cookie", originalCookieDescriptor);
+            } else {
+                delete document.cookie;
+            }
+        });
+
+        describe("Compatibility", function () {
+            it("detects positive compatibility", function () {
+                expect(CookieStorage.isCompatible()).toBeTruthy();
+            });
+
+            it("detects negative compatibility if the cookies are disabled", function () {
+                mockCookies("");
+                expect(CookieStorage.isCompatible()).toBeFalsy();
+            });
+
+            it("throws an error while instantiating CookieStorage if not compatible", function () {
+                mockCookies("");
+                expect(function () {
+                    new CookieStorage();
+                }).toThrow();
+            });
+        });
+
+        describe("Storage API", function () {
+            var storage;
+
+            beforeEach(function () {
+                storage = new CookieStorage();
+            });
+
+            afterEach(function () {
+                storage.removeItem("someKey");
+                storage.removeItem("someKeyWithSuffix");
+            });
+
+            it("should store and retrieve data under the given key", function () {
+                storage.setItem("someKey", "someValue");
+
+                expect(storage.getItem("someKey")).toEqual("someValue");
+            });
+
+            it("should encode the keys and the values", function () {
+                storage.setItem("http://ez.git.local|someKey", {some: "value; with=special chars"});
+
+                expect(storage.getItem("http://ez.git.local|someKey")).toEqual({some: "value; with=special chars"});
+                storage.removeItem("http://ez.git.local|someKey");
+            });
+
+            it("should not confuse keys sharing the same prefix", function () {
+                storage.setItem("someKeyWithSuffix", "otherValue");
+
+                expect(storage.getItem("someKey")).toBeNull();
+            });
+
+            it("should allow removal of data under a given key", function () {
+                storage.setItem("someKey", "someValue");
+                storage.removeItem("someKey");
+
+                expect(storage.getItem("someKey")).toBeNull();
+            });
+
+            it("should return null if requested key does not exist", function () {
+                expect(storage.getItem("nonExistantKey")).toBeNull();
+            });
+        });
+
+        describe("Cookie attributes", function () {
+            it("should write session cookies by default", function () {
+                var storage = new CookieStorage();
+
+                mockCookies("");
+                storage.setItem("someKey", "someValue");
+
+                expect(writtenCookies).toEqual(["someKey=%22someValue%22; path=/; samesite=Strict"]);
+            });
+
+            it("should use the given attributes", function () {
+                var storage = new CookieStorage({
+                        path: "/admin",
+                        domain: "ez.git.local",
+                        secure: true,
+                        sameSite: "Lax",
+                        maxAge: 3600
+                    });
+
+                mockCookies("");
+                storage.setItem("someKey", "someValue");
+
+                expect(writtenCookies).toEqual([
+                    "someKey=%22someValue%22; path=/admin; domain=ez.git.local; secure; samesite=Lax; max-age=3600"
+                ]);
+            });
+
+            it("should expire the cookie to remove an item", function () {
+                var storage = new CookieStorage();
+
+                mockCookies("");
+                storage.removeItem("someKey");
+
+                expect(writtenCookies).toEqual(["someKey=; path=/; samesite=Strict; expires=Thu, 01 Jan 1970 00:00:00 GMT"]);
+            });
+
+            it("should ignore the cookies which are not JSON encoded", function () {
+                var storage = new CookieStorage();
+
+                mockCookies("someKey=plain value; otherKey=%E0%A4%A; validKey=%22someValue%22");
+
+                expect(storage.getItem("someKey")).toBeNull();
+                expect(storage.getItem("otherKey")).toBeNull();
+                expect(storage.getItem("validKey")).toEqual("someValue");
+            });
+        });
+    });
+});
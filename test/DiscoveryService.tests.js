@@ -1,12 +1,20 @@
-/* global define, describe, it, expect, beforeEach, jasmine, spyOn */
+/* global define, describe, it, expect, beforeEach, afterEach, jasmine, spyOn */
 define(function (require) {
     var DiscoveryService = require("services/DiscoveryService"),
-        CAPIError = require("structures/CAPIError");
+        ConnectionManager = require("ConnectionManager"),
+        CAPIError = require("structures/CAPIError"),
+        RequestAbortedError = require("structures/RequestAbortedError"),
+        UnsupportedResourceError = require("structures/UnsupportedResourceError"),
+        InMemoryStorage = require("storages/InMemoryStorage"),
+        Response = require("structures/Response");
 
     describe("Discovery Service", function () {
         var mockCallback,
             discoveryService,
-            testRootPath = "/api/ezp/v2/";
+            testRootPath = "/api/ezp/v2/",
+            bindToActiveHandle = function (fn) {
+                return fn;
+            };
 
         beforeEach(function () {
             mockCallback = jasmine.createSpy('mockCallback');
@@ -28,7 +36,8 @@ define(function (require) {
                 mockConnectionManager = {
                     request : function (method, url, body, headers, callback) {
                         callback(false, {document: testRootObject});
-                    }
+                    },
+                    bindToActiveHandle: bindToActiveHandle
                 };
 
                 discoveryService = new DiscoveryService(
@@ -68,6 +77,117 @@ define(function (require) {
                     jasmine.any(CAPIError), false
                 );
             });
+
+            it("should give an UnsupportedResourceError if the value does not exist", function () {
+                discoveryService.getInfoObject("doesnotexist", mockCallback);
+
+                expect(mockCallback).toHaveBeenCalledWith(
+                    jasmine.any(UnsupportedResourceError), false
+                );
+                expect(mockCallback.mostRecentCall.args[0].details.name).toEqual("doesnotexist");
+            });
+        });
+
+        describe("Server capabilities", function () {
+            var mockConnectionManager,
+                testRootObject;
+
+            beforeEach(function () {
+                testRootObject = {
+                    "Root": {
+                        "_href": "/api/ezp/v2/",
+                        "_media-type": "application/vnd.ez.api.Root+json",
+                        "content": {"_href": "/api/ezp/v2/content/objects"},
+                        "trash": {"_href": "/api/ezp/v2/content/trash"}
+                    }
+                };
+                mockConnectionManager = {
+                    request: function (method, url, body, headers, callback) {
+                        callback(false, {document: testRootObject});
+                    },
+                    bindToActiveHandle: bindToActiveHandle
+                };
+                spyOn(mockConnectionManager, "request").andCallThrough();
+
+                discoveryService = new DiscoveryService(testRootPath, mockConnectionManager);
+            });
+
+            describe("supports", function () {
+                it("should report a resource provided by the Root", function () {
+                    discoveryService.supports("trash", mockCallback);
+
+                    expect(mockCallback).toHaveBeenCalledWith(false, true);
+                });
+
+                it("should report a resource missing in the Root", function () {
+                    discoveryService.supports("views", mockCallback);
+
+                    expect(mockCallback).toHaveBeenCalledWith(false, false);
+                });
+
+                it("should give the root discovery error", function () {
+                    var errorResponse = {status: 500};
+
+                    mockConnectionManager.request.andCallFake(function (method, url, body, headers, callback) {
+                        callback(new CAPIError(""), errorResponse);
+                    });
+                    discoveryService.supports("trash", mockCallback);
+
+                    expect(mockCallback).toHaveBeenCalledWith(jasmine.any(CAPIError), errorResponse);
+                });
+            });
+
+            describe("getServerInfo", function () {
+                it("should describe the server", function () {
+                    discoveryService.getServerInfo(mockCallback);
+
+                    expect(mockCallback).toHaveBeenCalledWith(false, {
+                        version: "2",
+                        mediaType: "application/vnd.ez.api.Root+json",
+                        resources: ["content", "trash"]
+                    });
+                });
+
+                it("should request the root only once", function () {
+                    discoveryService.getServerInfo(mockCallback);
+                    discoveryService.getServerInfo(mockCallback);
+
+                    expect(mockConnectionManager.request.callCount).toEqual(1);
+                });
+
+                it("should detect the version from the media type", function () {
+                    testRootObject.Root["_media-type"] = "application/vnd.ez.api.Root+json; version=1.1";
+                    discoveryService.getServerInfo(mockCallback);
+
+                    expect(mockCallback.mostRecentCall.args[1].version).toEqual("1.1");
+                });
+
+                it("should detect the version from the root path", function () {
+                    delete testRootObject.Root._href;
+                    discoveryService = new DiscoveryService("/api/ezp/v3", mockConnectionManager);
+                    discoveryService.getServerInfo(mockCallback);
+
+                    expect(mockCallback.mostRecentCall.args[1].version).toEqual("3");
+                });
+
+                it("should not detect an unknown version", function () {
+                    testRootObject.Root._href = "/rest/";
+                    discoveryService.getServerInfo(mockCallback);
+
+                    expect(mockCallback.mostRecentCall.args[1].version).toBe(null);
+                });
+
+                it("should give the root discovery error", function () {
+                    var errorResponse = {status: 500};
+
+                    mockConnectionManager.request.andCallFake(function (method, url, body, headers, callback) {
+                        callback(new CAPIError(""), errorResponse);
+                    });
+                    discoveryService.getServerInfo(mockCallback);
+
+                    expect(mockCallback).toHaveBeenCalledWith(jasmine.any(CAPIError), errorResponse);
+                });
+            });
         });
 
         describe("getInfoObject error handling", function () {
@@ -78,7 +198,8 @@ define(function (require) {
                 mockFaultyConnectionManager = {
                     request : function (method, url, body, headers, callback) {
                         callback(new CAPIError(""), errorResponse);
-                    }
+                    },
+                    bindToActiveHandle: bindToActiveHandle
                 };
 
                 discoveryService = new DiscoveryService(
@@ -94,5 +215,305 @@ define(function (require) {
                 );
             });
         });
+
+        describe("Concurrent discovery", function () {
+            var mockConnectionManager,
+                requestCallbacks,
+                testRootObject = {"Root": {"trash": {"_href": "/api/ezp/v2/content/trash"}}};
+
+            beforeEach(function () {
+                requestCallbacks = [];
+                mockConnectionManager = {
+                    request: jasmine.createSpy('request').andCallFake(function (method, url, body, headers, callback) {
+                        requestCallbacks.push(callback);
+                    }),
+                    bindToActiveHandle: bindToActiveHandle
+                };
+                discoveryService = new DiscoveryService(testRootPath, mockConnectionManager);
+            });
+
+            it("should share the root discovery", function () {
+                var otherCallback = jasmine.createSpy('otherCallback');
+
+                discoveryService.getInfoObject("trash", mockCallback);
+                discoveryService.getInfoObject("trash", otherCallback);
+                requestCallbacks[0](false, {document: testRootObject});
+
+                expect(mockConnectionManager.request.callCount).toEqual(1);
+                expect(mockCallback).toHaveBeenCalledWith(false, testRootObject.Root.trash);
+                expect(otherCallback).toHaveBeenCalledWith(false, testRootObject.Root.trash);
+            });
+
+            it("should give the discovery error to all the calls", function () {
+                var otherCallback = jasmine.createSpy('otherCallback'),
+                    error = new CAPIError("Connection error : 500."),
+                    response = {status: 500};
+
+                discoveryService.getInfoObject("trash", mockCallback);
+                discoveryService.getInfoObject("trash", otherCallback);
+                requestCallbacks[0](error, response);
+
+                expect(mockCallback).toHaveBeenCalledWith(error, response);
+                expect(otherCallback).toHaveBeenCalledWith(error, response);
+            });
+
+            it("should restart the discovery for the other calls when it is aborted", function () {
+                var otherCallback = jasmine.createSpy('otherCallback'),
+                    error = new RequestAbortedError("The request has been aborted.");
+
+                jasmine.Clock.useMock();
+                discoveryService.getInfoObject("trash", mockCallback);
+                discoveryService.getInfoObject("trash", otherCallback);
+                requestCallbacks[0](error, false);
+
+                expect(mockCallback).toHaveBeenCalledWith(error, false);
+                expect(mockConnectionManager.request.callCount).toEqual(1);
+                jasmine.Clock.tick(0);
+                expect(otherCallback).not.toHaveBeenCalled();
+                expect(mockConnectionManager.request.callCount).toEqual(2);
+
+                requestCallbacks[1](false, {document: testRootObject});
+
+                expect(otherCallback).toHaveBeenCalledWith(false, testRootObject.Root.trash);
+            });
+        });
+
+        describe("Aborted discovery", function () {
+            var connectionManager,
+                connections;
+
+            beforeEach(function () {
+                connections = [];
+                jasmine.Clock.useMock();
+                connectionManager = new ConnectionManager("http://ez.git.local", {
+                    ensureAuthentication: function (done) {
+                        done(false, true);
+                    },
+                    authenticateRequest: function (request, done) {
+                        done(false, request);
+                    }
+                }, {
+                    createConnection: function () {
+                        var connection = jasmine.createSpyObj('connection', ['execute', 'abort']);
+
+                        connections.push(connection);
+                        return connection;
+                    }
+                });
+                connectionManager.logRequests = false;
+                discoveryService = new DiscoveryService(testRootPath, connectionManager);
+            });
+
+            afterEach(function () {
+                jasmine.Clock.reset();
+            });
+
+            it("should discover the root for the other calls when the request is aborted", function () {
+                var otherCallback = jasmine.createSpy('otherCallback'),
+                    handle = connectionManager.runWithHandle(discoveryService.getInfoObject, discoveryService, ["trash", mockCallback]);
+
+                connectionManager.runWithHandle(discoveryService.getInfoObject, discoveryService, ["trash", otherCallback]);
+                expect(connections.length).toEqual(1);
+
+                handle.abort();
+                jasmine.Clock.tick(0);
+
+                expect(mockCallback).toHaveBeenCalledWith(jasmine.any(RequestAbortedError), false);
+                expect(connections[0].abort).toHaveBeenCalled();
+                expect(connections.length).toEqual(2);
+                expect(otherCallback).not.toHaveBeenCalled();
+
+                connections[1].execute.mostRecentCall.args[1](false, new Response({
+                    status: 200,
+                    headers: "",
+                    body: JSON.stringify({"Root": {"trash": {"_href": "/api/ezp/v2/content/trash"}}})
+                }));
+
+                expect(otherCallback).toHaveBeenCalledWith(false, {"_href": "/api/ezp/v2/content/trash"});
+            });
+
+            it("should continue each call with its own handle", function () {
+                var otherCallback = jasmine.createSpy('otherCallback'),
+                    loadTrash = function (callback) {
+                        discoveryService.getInfoObject("trash", function (error, trash) {
+                            connectionManager.request("GET", trash._href, "", {}, callback);
+                        });
+                    },
+                    handle = connectionManager.runWithHandle(loadTrash, null, [mockCallback]),
+                    otherHandle = connectionManager.runWithHandle(loadTrash, null, [otherCallback]);
+
+                connections[0].execute.mostRecentCall.args[1](false, new Response({
+                    status: 200,
+                    headers: "",
+                    body: JSON.stringify({"Root": {"trash": {"_href": "/api/ezp/v2/content/trash"}}})
+                }));
+                expect(connections.length).toEqual(3);
+
+                otherHandle.abort();
+
+                expect(connections[1].abort).not.toHaveBeenCalled();
+                expect(connections[2].abort).toHaveBeenCalled();
+                expect(otherCallback).toHaveBeenCalledWith(jasmine.any(RequestAbortedError), false);
+                expect(mockCallback).not.toHaveBeenCalled();
+                expect(handle.aborted).toBeFalsy();
+            });
+        });
+
+        describe("Persistent cache", function () {
+            var mockConnectionManager,
+                storage,
+                testNamespace = "http://ez.git.local",
+                storageKey = testNamespace + "|" + DiscoveryService.KEY_ROOT,
+                testRootObject = {"Root": {"trash": {"_href": "/api/ezp/v2/content/trash"}}},
+                storedRootObject = {"Root": {"trash": {"_href": "/api/ezp/v2/stored/trash"}}},
+                testResponse,
+                storeRoot = function (storedAt, etag) {
+                    storage.setItem(storageKey, {
+                        rootPath: testRootPath,
+                        document: storedRootObject,
+                        etag: etag || null,
+                        storedAt: storedAt
+                    });
+                },
+                createService = function (options) {
+                    discoveryService = new DiscoveryService(testRootPath, mockConnectionManager, options || {
+                        storage: storage,
+                        namespace: testNamespace
+                    });
+                };
+
+            beforeEach(function () {
+                storage = new InMemoryStorage();
+                testResponse = new Response({
+                    status: 200,
+                    headers: "ETag: \"root-etag\"\r\n",
+                    body: JSON.stringify(testRootObject)
+                });
+                mockConnectionManager = {
+                    request: jasmine.createSpy('request').andCallFake(function (method, url, body, headers, callback) {
+                        callback(false, testResponse);
+                    }),
+                    bindToActiveHandle: bindToActiveHandle
+                };
+            });
+
+            it("should persist the root", function () {
+                createService();
+                discoveryService.getInfoObject("trash", mockCallback);
+
+                expect(storage.getItem(storageKey)).toEqual({
+                    rootPath: testRootPath,
+                    document: testRootObject,
+                    etag: '"root-etag"',
+                    storedAt: jasmine.any(Number)
+                });
+            });
+
+            it("should use the persisted root during its time to live", function () {
+                storeRoot(Date.now() - 1000);
+                createService();
+                discoveryService.getInfoObject("trash", mockCallback);
+
+                expect(mockConnectionManager.request).not.toHaveBeenCalled();
+                expect(mockCallback).toHaveBeenCalledWith(false, storedRootObject.Root.trash);
+            });
+
+            it("should revalidate the expired root with its ETag", function () {
+                storeRoot(Date.now() - 3600001, '"stored-etag"');
+                testResponse = new Response({status: 304});
+                createService();
+                discoveryService.getInfoObject("trash", mockCallback);
+
+                expect(mockConnectionManager.request).toHaveBeenCalledWith(
+                    "GET", testRootPath, "",
+                    {"Accept": "application/vnd.ez.api.Root+json", "If-None-Match": '"stored-etag"'},
+                    jasmine.any(Function)
+                );
+                expect(mockCallback).toHaveBeenCalledWith(false, storedRootObject.Root.trash);
+                expect(storage.getItem(storageKey).etag).toEqual('"stored-etag"');
+                expect(storage.getItem(storageKey).storedAt).toBeGreaterThan(Date.now() - 1000);
+            });
+
+            it("should replace the expired root when it changed", function () {
+                storeRoot(Date.now() - 3600001, '"stored-etag"');
+                createService();
+                discoveryService.getInfoObject("trash", mockCallback);
+
+                expect(mockCallback).toHaveBeenCalledWith(false, testRootObject.Root.trash);
+                expect(storage.getItem(storageKey).document).toEqual(testRootObject);
+            });
+
+            it("should always revalidate the root with a time to live of 0", function () {
+                storeRoot(Date.now());
+                createService({storage: storage, namespace: testNamespace, ttl: 0});
+                discoveryService.getInfoObject("trash", mockCallback);
+
+                expect(mockConnectionManager.request).toHaveBeenCalled();
+            });
+
+            it("should ignore the root persisted for another root path", function () {
+                storage.setItem(storageKey, {
+                    rootPath: "/other/",
+                    document: storedRootObject,
+                    etag: null,
+                    storedAt: Date.now()
+                });
+                createService();
+                discoveryService.getInfoObject("trash", mockCallback);
+
+                expect(mockCallback).toHaveBeenCalledWith(false, testRootObject.Root.trash);
+            });
+
+            it("should use an asynchronous storage", function () {
+                var items = {},
+                    asyncStorage = {
+                        async: true,
+                        getItem: function (key, callback) {
+                            callback(false, items[key] === undefined ? null : items[key]);
+                        },
+                        setItem: function (key, value, callback) {
+                            items[key] = value;
+                            callback(false);
+                        }
+                    };
+
+                createService({storage: asyncStorage});
+                discoveryService.getInfoObject("trash", mockCallback);
+                createService({storage: asyncStorage});
+                discoveryService.getInfoObject("trash", mockCallback);
+
+                expect(mockConnectionManager.request.callCount).toEqual(1);
+                expect(items[DiscoveryService.KEY_ROOT].document).toEqual(testRootObject);
+            });
+
+            describe("refresh", function () {
+                it("should discover the root again", function () {
+                    storeRoot(Date.now(), '"stored-etag"');
+                    createService();
+                    discoveryService.getInfoObject("trash", function () {});
+                    discoveryService.refresh(mockCallback);
+
+                    expect(mockConnectionManager.request.callCount).toEqual(1);
+                    expect(mockConnectionManager.request.mostRecentCall.args[3]["If-None-Match"]).toEqual('"stored-etag"');
+                    expect(mockCallback).toHaveBeenCalledWith(false, true);
+
+                    discoveryService.getInfoObject("trash", mockCallback);
+                    expect(mockCallback).toHaveBeenCalledWith(false, testRootObject.Root.trash);
+                });
+            });
+
+            describe("clearCache", function () {
+                it("should remove the root from the memory and from the storage", function () {
+                    createService();
+                    discoveryService.getInfoObject("trash", mockCallback);
+                    discoveryService.clearCache();
+
+                    expect(storage.getItem(storageKey)).toBeNull();
+
+                    discoveryService.getInfoObject("trash", mockCallback);
+                    expect(mockConnectionManager.request.callCount).toEqual(2);
+                });
+            });
+        });
     });
 });
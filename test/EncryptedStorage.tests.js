@@ -0,0 +1,203 @@
+/* global define, describe, it, expect, beforeEach, jasmine, runs, waitsFor, spyOn */
+define(["storages/EncryptedStorage", "storages/InMemoryStorage", "structures/CAPIError", "jasmineFakeWebCrypto"],
+    function (EncryptedStorage, InMemoryStorage, CAPIError, FakeWebCrypto) {
+    describe("EncryptedStorage", function () {
+        var innerStorage,
+            fakeCrypto,
+            storage,
+            callback,
+            waitForCallback = function (count) {
+                waitsFor(function () {
+                    return callback.callCount >= (count || 1);
+                }, "Waiting for the callback to be called", 2000);
+            };
+
+        beforeEach(function () {
+            innerStorage = new InMemoryStorage();
+            fakeCrypto = new FakeWebCrypto();
+            storage = new EncryptedStorage(innerStorage, {secret: "app secret", iterations: 10, crypto: fakeCrypto});
+            callback = jasmine.createSpy('callback');
+        });
+
+        describe("Compatibility", function () {
+            it("throws an error while instantiating EncryptedStorage without the WebCrypto API", function () {
+                spyOn(EncryptedStorage, "isCompatible").andReturn(false);
+
+                expect(function () {
+                    new EncryptedStorage(innerStorage, {secret: "app secret"});
+                }).toThrow();
+            });
+
+            it("can use the given WebCrypto implementation without the WebCrypto API", function () {
+                spyOn(EncryptedStorage, "isCompatible").andReturn(false);
+
+                expect(function () {
+                    new EncryptedStorage(innerStorage, {secret: "app secret", crypto: fakeCrypto});
+                }).not.toThrow();
+            });
+
+            it("should be asynchronous", function () {
+                expect(storage.async).toBe(true);
+            });
+
+            it("throws an error while instantiating EncryptedStorage without a secret", function () {
+                expect(function () {
+                    new EncryptedStorage(innerStorage, {crypto: fakeCrypto});
+                }).toThrow();
+            });
+        });
+
+        describe("Storage API", function () {
+            it("should encrypt the items", function () {
+                runs(function () {
+                    storage.setItem("someKey", {csrfToken: "someToken"}, callback);
+                });
+                waitForCallback();
+                runs(function () {
+                    var encrypted = innerStorage.getItem("someKey");
+
+                    expect(callback).toHaveBeenCalledWith(false);
+                    expect(typeof encrypted).toEqual("string");
+                    expect(encrypted).not.toContain("someToken");
+                });
+            });
+
+            it("should decrypt the items", function () {
+                runs(function () {
+                    storage.setItem("someKey", {csrfToken: "someToken", unicode: "éàü"}, function () {
+                        storage.getItem("someKey", callback);
+                    });
+                });
+                waitForCallback();
+                runs(function () {
+                    expect(callback).toHaveBeenCalledWith(false, {csrfToken: "someToken", unicode: "éàü"});
+                });
+            });
+
+            it("should return null if requested key does not exist", function () {
+                runs(function () {
+                    storage.getItem("nonExistantKey", callback);
+                });
+                waitForCallback();
+                runs(function () {
+                    expect(callback).toHaveBeenCalledWith(false, null);
+                });
+            });
+
+            it("should remove the items", function () {
+                runs(function () {
+                    storage.setItem("someKey", "someValue", function () {
+                        storage.removeItem("someKey", callback);
+                    });
+                });
+                waitForCallback();
+                runs(function () {
+                    expect(innerStorage.getItem("someKey")).toBeNull();
+                });
+            });
+
+            it("should write the items in the order of the calls", function () {
+                runs(function () {
+                    storage.setItem("someKey", "someValue", callback);
+                    storage.removeItem("someKey", callback);
+                });
+                waitForCallback(2);
+                runs(function () {
+                    expect(innerStorage.getItem("someKey")).toBeNull();
+                });
+            });
+
+            it("should use an asynchronous storage", function () {
+                var items = {},
+                    asyncStorage = {
+                        async: true,
+                        getItem: function (key, cb) {
+                            cb(false, items[key] === undefined ? null : items[key]);
+                        },
+                        setItem: function (key, value, cb) {
+                            items[key] = value;
+                            cb(false);
+                        }
+                    };
+
+                runs(function () {
+                    storage = new EncryptedStorage(asyncStorage, {secret: "app secret", iterations: 10, crypto: fakeCrypto});
+                    storage.setItem("someKey", "someValue", function () {
+                        storage.getItem("someKey", callback);
+                    });
+                });
+                waitForCallback();
+                runs(function () {
+                    expect(typeof items.someKey).toEqual("string");
+                    expect(callback).toHaveBeenCalledWith(false, "someValue");
+                });
+            });
+        });
+
+        describe("Tampered items", function () {
+            var expectMissing = function (tamper) {
+                    runs(function () {
+                        storage.setItem("someKey", "someValue", function () {
+                            tamper();
+                            storage.getItem("someKey", callback);
+                        });
+                    });
+                    waitForCallback();
+                    runs(function () {
+                        expect(callback).toHaveBeenCalledWith(false, null);
+                    });
+                };
+
+            it("should consider a modified item as missing", function () {
+                expectMissing(function () {
+                    var parts = innerStorage.getItem("someKey").split("."),
+                        bytes = EncryptedStorage._decodeBase64(parts[1]);
+
+                    bytes[0] = (bytes[0] + 1) % 256;
+                    innerStorage.setItem("someKey", parts[0] + "." + EncryptedStorage._encodeBase64(bytes));
+                });
+            });
+
+            it("should consider an item moved from another key as missing", function () {
+                runs(function () {
+                    storage.setItem("otherKey", "otherValue", function () {
+                        innerStorage.setItem("someKey", innerStorage.getItem("otherKey"));
+                        storage.getItem("someKey", callback);
+                    });
+                });
+                waitForCallback();
+                runs(function () {
+                    expect(callback).toHaveBeenCalledWith(false, null);
+                });
+            });
+
+            it("should consider a plain item as missing", function () {
+                expectMissing(function () {
+                    innerStorage.setItem("someKey", "plainValue");
+                });
+            });
+
+            it("should consider an item encrypted with another secret as missing", function () {
+                expectMissing(function () {
+                    storage = new EncryptedStorage(innerStorage, {secret: "other secret", iterations: 10, crypto: fakeCrypto});
+                });
+            });
+        });
+
+        describe("Encryption errors", function () {
+            it("should provide an error if the item can not be encrypted", function () {
+                runs(function () {
+                    storage.setItem("someKey", {
+                        toJSON: function () {
+                            throw new Error("Not serializable");
+                        }
+                    }, callback);
+                });
+                waitForCallback();
+                runs(function () {
+                    expect(callback.mostRecentCall.args[0] instanceof CAPIError).toBeTruthy();
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,42 @@
+/* global define, describe, it, expect, beforeEach, jasmine */
+define(["utils/EventEmitter"], function (EventEmitter) {
+    describe("EventEmitter", function () {
+        var emitter,
+            listener;
+
+        beforeEach(function () {
+            emitter = new EventEmitter();
+            listener = jasmine.createSpy('listener');
+        });
+
+        it("should call the listeners with the event facade", function () {
+            var facade = {};
+
+            emitter.on("test", listener);
+            emitter.emit("test", facade);
+
+            expect(listener).toHaveBeenCalledWith(facade);
+        });
+
+        it("should only call the listeners of the event", function () {
+            emitter.on("other", listener);
+            emitter.emit("test", {});
+
+            expect(listener).not.toHaveBeenCalled();
+        });
+
+        it("should unregister a listener", function () {
+            emitter.on("test", listener);
+            emitter.off("test", listener);
+            emitter.emit("test", {});
+
+            expect(listener).not.toHaveBeenCalled();
+        });
+
+        it("should not fail when unregistering an unknown listener", function () {
+            expect(function () {
+                emitter.off("test", listener);
+            }).not.toThrow();
+        });
+    });
+});
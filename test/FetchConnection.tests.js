@@ -0,0 +1,267 @@
+/* global define, describe, it, expect, beforeEach, afterEach, jasmine, spyOn, runs, waitsFor */
+define(function (require) {
+
+    // Declaring dependencies
+    var FetchConnection = require("connections/FetchConnection"),
+        Response = require("structures/Response"),
+        CAPIError = require("structures/CAPIError");
+
+    describe("Fetch Connection", function () {
+
+        var connection,
+            mockCallback,
+            mockFetchResponse,
+            mockRequest,
+            originalFetch,
+            originalAbortController,
+            testBody = '{"Root": {}}',
+            testErrorCode = 404,
+            testLogin = "login",
+            testPassword = "password",
+            thenable,
+            waitForCallback = function () {
+                waitsFor(function () {
+                    return mockCallback.callCount > 0;
+                }, "Waiting for the callback to be called", 200);
+            };
+
+        // Minimal synchronous promise-like object, so that mocking fetch does
+        // not depend on a promise implementation
+        thenable = function (value, rejected) {
+            if (!rejected && value && typeof value.then === "function") {
+                return value;
+            }
+            return {
+                then: function (onFulfilled, onRejected) {
+                    var handler = rejected ? onRejected : onFulfilled;
+
+                    if (!handler) {
+                        return this;
+                    }
+                    try {
+                        return thenable(handler(value));
+                    } catch (e) {
+                        return thenable(e, true);
+                    }
+                }
+            };
+        };
+
+        beforeEach(function () {
+            originalFetch = window.fetch;
+            originalAbortController = window.AbortController;
+
+            mockCallback = jasmine.createSpy('mockCallback');
+            mockRequest = {
+                body: "",
+                headers: {"Accept": "application/vnd.ez.api.Root+json"},
+                httpBasicAuth: false,
+                method: "GET",
+                url: "/api/ezp/v2/"
+            };
+            mockFetchResponse = {
+                status: 200,
+                headers: {
+                    forEach: function (fn) {
+                        fn("application/vnd.ez.api.Root+json", "content-type");
+                    }
+                },
+                text: function () {
+                    return thenable(testBody);
+                }
+            };
+
+            window.fetch = jasmine.createSpy('fetch').andCallFake(function () {
+                return thenable(mockFetchResponse);
+            });
+        });
+
+        afterEach(function () {
+            window.fetch = originalFetch;
+            window.AbortController = originalAbortController;
+        });
+
+        it("is checking compatibility correctly when fetch is present", function () {
+            expect(FetchConnection.isCompatible()).toEqual(true);
+        });
+
+        it("is checking compatibility correctly when fetch is absent", function () {
+            window.fetch = undefined;
+            expect(FetchConnection.isCompatible()).toEqual(false);
+        });
+
+        describe("is correctly using fetch while performing:", function () {
+
+            it("execute call", function () {
+                connection = new FetchConnection();
+                connection.execute(mockRequest, mockCallback);
+
+                waitForCallback();
+
+                runs(function () {
+                    var init = window.fetch.mostRecentCall.args[1];
+
+                    expect(window.fetch.mostRecentCall.args[0]).toEqual("/api/ezp/v2/");
+                    expect(init.method).toEqual("GET");
+                    expect(init.headers).toEqual({"Accept": "application/vnd.ez.api.Root+json"});
+                    expect(init.credentials).toEqual("same-origin");
+                    expect(init.body).toBeUndefined();
+
+                    expect(mockCallback.mostRecentCall.args[0]).toEqual(false);
+                    expect(mockCallback.mostRecentCall.args[1]).toEqual(jasmine.any(Response));
+                    expect(mockCallback.mostRecentCall.args[1].document).toEqual({Root: {}});
+                    expect(mockCallback.mostRecentCall.args[1].getHeader('Content-Type')).toEqual(
+                        "application/vnd.ez.api.Root+json"
+                    );
+                });
+            });
+
+            it("execute call with a body and the credentials mode", function () {
+                mockRequest.method = "POST";
+                mockRequest.body = '{"SessionInput": {}}';
+
+                connection = new FetchConnection({credentials: "include"});
+                connection.execute(mockRequest, mockCallback);
+
+                waitForCallback();
+
+                runs(function () {
+                    var init = window.fetch.mostRecentCall.args[1];
+
+                    expect(init.method).toEqual("POST");
+                    expect(init.body).toEqual('{"SessionInput": {}}');
+                    expect(init.credentials).toEqual("include");
+                });
+            });
+
+            it("execute call with BasicHttp Authorization", function () {
+                mockRequest.httpBasicAuth = true;
+                mockRequest.login = testLogin;
+                mockRequest.password = testPassword;
+
+                connection = new FetchConnection();
+                connection.execute(mockRequest, mockCallback);
+
+                waitForCallback();
+
+                runs(function () {
+                    expect(window.fetch.mostRecentCall.args[1].headers.Authorization).toEqual(
+                        "Basic bG9naW46cGFzc3dvcmQ="
+                    );
+                });
+            });
+
+            it("execute call reading a streamed body", function () {
+                var chunks = [[123, 34, 82], [111, 111, 116, 34, 58, 32, 123, 125, 125]],
+                    onChunk = jasmine.createSpy('onChunk');
+
+                mockFetchResponse.body = {
+                    getReader: function () {
+                        return {
+                            read: function () {
+                                var value = chunks.shift();
+
+                                return thenable(value ? {done: false, value: new Uint8Array(value)} : {done: true});
+                            }
+                        };
+                    }
+                };
+                spyOn(mockFetchResponse, 'text');
+
+                connection = new FetchConnection({onChunk: onChunk});
+                connection.execute(mockRequest, mockCallback);
+
+                waitForCallback();
+
+                runs(function () {
+                    expect(mockFetchResponse.text).not.toHaveBeenCalled();
+                    expect(onChunk.callCount).toEqual(2);
+                    expect(onChunk.calls[0].args).toEqual(['{"R', 3, mockRequest]);
+                    expect(onChunk.calls[1].args).toEqual(['oot": {}}', 12, mockRequest]);
+                    expect(mockCallback.mostRecentCall.args[1].body).toEqual(testBody);
+                });
+            });
+        });
+
+        describe("is returning errors correctly, when", function () {
+
+            it("request have failed", function () {
+                mockFetchResponse.status = testErrorCode;
+
+                connection = new FetchConnection();
+                connection.execute(mockRequest, mockCallback);
+
+                waitForCallback();
+
+                runs(function () {
+                    expect(mockCallback).toHaveBeenCalledWith(
+                        jasmine.any(CAPIError), jasmine.any(Response)
+                    );
+                    expect(mockCallback.mostRecentCall.args[0].details.request).toBe(mockRequest);
+                    expect(mockCallback.mostRecentCall.args[1].status).toEqual(testErrorCode);
+                });
+            });
+
+            it("fetch fails to connect", function () {
+                window.fetch = function () {
+                    return thenable(new TypeError("Failed to fetch"), true);
+                };
+
+                connection = new FetchConnection();
+                connection.execute(mockRequest, mockCallback);
+
+                waitForCallback();
+
+                runs(function () {
+                    expect(mockCallback).toHaveBeenCalledWith(
+                        jasmine.any(CAPIError), jasmine.any(Response)
+                    );
+                    expect(mockCallback.mostRecentCall.args[0].message).toEqual("Connection error : 0.");
+                });
+            });
+
+            it("request is aborted", function () {
+                var abortError = new Error("The user aborted a request.");
+
+                abortError.name = "AbortError";
+                window.AbortController = function () {
+                    var that = this;
+
+                    this.signal = {aborted: false};
+                    this.abort = function () {
+                        that.signal.aborted = true;
+                    };
+                };
+                window.fetch = function (url, init) {
+                    return {
+                        then: function (onFulfilled, onRejected) {
+                            return {
+                                then: function (onFulfilled, onRejected) {
+                                    // the response is rejected after the abort() call
+                                    setTimeout(function () {
+                                        if (init.signal.aborted) {
+                                            onRejected(abortError);
+                                        }
+                                    }, 0);
+                                }
+                            };
+                        }
+                    };
+                };
+
+                connection = new FetchConnection();
+                connection.execute(mockRequest, mockCallback);
+                connection.abort();
+
+                waitForCallback();
+
+                runs(function () {
+                    expect(mockCallback).toHaveBeenCalledWith(
+                        jasmine.any(CAPIError), jasmine.any(Response)
+                    );
+                    expect(mockCallback.mostRecentCall.args[0].message).toEqual("Connection aborted.");
+                });
+            });
+        });
+    });
+});
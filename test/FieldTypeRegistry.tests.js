@@ -0,0 +1,171 @@
+/* global define, describe, it, expect, beforeEach */
+define(function (require) {
+    var FieldTypeRegistry = require("fieldTypes/FieldTypeRegistry");
+
+    describe("FieldTypeRegistry", function () {
+        var registry;
+
+        beforeEach(function () {
+            registry = new FieldTypeRegistry();
+        });
+
+        describe("register", function () {
+            it("should register the standard field types", function () {
+                ["ezstring", "ezimage", "ezbinaryfile", "ezxmltext", "ezdate", "ezdatetime", "ezselection",
+                 "ezobjectrelationlist", "ezurl", "ezgmaplocation", "ezuser", "ezkeyword", "ezcountry", "ezprice"
+                ].forEach(function (fieldType) {
+                    expect(registry.has(fieldType)).toBe(true);
+                });
+            });
+
+            it("should register a custom field type", function () {
+                var definition = {
+                        serialize: function (tags) {
+                            return {tags: tags};
+                        },
+                        parse: function (fieldValue) {
+                            return fieldValue.tags;
+                        }
+                    };
+
+                expect(registry.register("mytags", definition)).toBe(registry);
+                expect(registry.serialize("mytags", ["a"])).toEqual({tags: ["a"]});
+                expect(registry.parse("mytags", {tags: ["a"]})).toEqual(["a"]);
+            });
+
+            it("should reject an invalid definition", function () {
+                expect(function () {
+                    registry.register("mytags", {serialize: function () {}});
+                }).toThrow();
+            });
+
+            it("should use the values of the unknown field types as is", function () {
+                var value = {any: "thing"};
+
+                expect(registry.has("unknown")).toBe(false);
+                expect(registry.serialize("unknown", value)).toBe(value);
+                expect(registry.parse("unknown", value)).toBe(value);
+            });
+        });
+
+        describe("standard field types", function () {
+            it("should check the scalar values", function () {
+                expect(registry.serialize("ezstring", "title")).toEqual("title");
+                expect(registry.serialize("ezinteger", 42)).toEqual(42);
+                expect(registry.serialize("ezboolean", false)).toBe(false);
+                expect(function () {
+                    registry.serialize("ezinteger", "42");
+                }).toThrow();
+            });
+
+            it("should handle the dates", function () {
+                var date = new Date(1400000000000);
+
+                expect(registry.serialize("ezdate", date)).toEqual({timestamp: 1400000000});
+                expect(registry.serialize("ezdatetime", 1400000000)).toEqual({timestamp: 1400000000});
+                expect(registry.parse("ezdatetime", {timestamp: 1400000000, rfc850: ""})).toEqual(date);
+                expect(registry.parse("ezdate", null)).toBe(null);
+                expect(function () {
+                    registry.serialize("ezdate", "2014-05-13");
+                }).toThrow();
+            });
+
+            it("should handle the XML fields", function () {
+                var xml = '<?xml version="1.0" encoding="utf-8"?><section/>';
+
+                expect(registry.serialize("ezxmltext", xml)).toEqual({xml: xml});
+                expect(registry.parse("ezxmltext", {xml: xml})).toEqual(xml);
+            });
+
+            it("should handle the files", function () {
+                expect(registry.serialize("ezimage", {
+                    fileName: "ez.png",
+                    alternativeText: "eZ",
+                    data: "aGVsbG8=",
+                    ignored: true
+                })).toEqual({fileName: "ez.png", alternativeText: "eZ", data: "aGVsbG8="});
+                expect(registry.serialize("ezbinaryfile", {fileName: "ez.pdf", data: "aGVsbG8=", fileSize: 5}))
+                    .toEqual({fileName: "ez.pdf", data: "aGVsbG8=", fileSize: 5});
+                expect(function () {
+                    registry.serialize("ezimage", {data: "aGVsbG8="});
+                }).toThrow();
+            });
+
+            it("should handle the selections and the keywords", function () {
+                expect(registry.serialize("ezselection", 1)).toEqual([1]);
+                expect(registry.serialize("ezselection", [0, 2])).toEqual([0, 2]);
+                expect(registry.serialize("ezkeyword", "ez, rest ,,js")).toEqual(["ez", "rest", "js"]);
+                expect(registry.parse("ezkeyword", null)).toEqual([]);
+                expect(function () {
+                    registry.serialize("ezselection", "first");
+                }).toThrow();
+            });
+
+            it("should handle the relations", function () {
+                expect(registry.serialize("ezobjectrelationlist", [42, "/api/ezp/v2/content/objects/43", "44"]))
+                    .toEqual({destinationContentIds: [42, 43, 44]});
+                expect(registry.parse("ezobjectrelationlist", {destinationContentIds: [42, 43]})).toEqual([42, 43]);
+                expect(registry.serialize("ezobjectrelation", "/api/ezp/v2/content/objects/42"))
+                    .toEqual({destinationContentId: 42});
+                expect(registry.parse("ezobjectrelation", {destinationContentId: 42})).toEqual(42);
+                expect(function () {
+                    registry.serialize("ezobjectrelationlist", ["/api/ezp/v2/content/locations/1/2"]);
+                }).toThrow();
+            });
+
+            it("should handle the urls, the locations and the users", function () {
+                expect(registry.serialize("ezurl", "http://ez.no")).toEqual({link: "http://ez.no", text: ""});
+                expect(registry.serialize("ezgmaplocation", {latitude: 59.9, longitude: 10.7}))
+                    .toEqual({latitude: 59.9, longitude: 10.7, address: ""});
+                expect(registry.serialize("ezuser", {login: "john", email: "john@ez.no", password: "secret"}))
+                    .toEqual({login: "john", email: "john@ez.no", password: "secret", enabled: true});
+                expect(function () {
+                    registry.serialize("ezgmaplocation", {latitude: "59.9"});
+                }).toThrow();
+            });
+
+            it("should handle the countries, the prices and the authors", function () {
+                expect(registry.serialize("ezcountry", "NO")).toEqual(["NO"]);
+                expect(registry.parse("ezcountry", {"NO": {"Name": "Norway", "Alpha2": "NO"}})).toEqual(["NO"]);
+                expect(registry.parse("ezcountry", [{"Name": "Norway", "Alpha2": "NO"}])).toEqual(["NO"]);
+                expect(registry.serialize("ezprice", 9.99)).toEqual({price: 9.99});
+                expect(registry.parse("ezprice", {price: 9.99})).toEqual(9.99);
+                expect(registry.serialize("ezauthor", {name: "John"})).toEqual([{id: 1, name: "John", email: ""}]);
+            });
+        });
+
+        describe("parseFields", function () {
+            var fields = [
+                    {fieldDefinitionIdentifier: "title", languageCode: "eng-GB", fieldValue: "Title"},
+                    {fieldDefinitionIdentifier: "title", languageCode: "fre-FR", fieldValue: "Titre"},
+                    {fieldDefinitionIdentifier: "published", languageCode: "eng-GB", fieldValue: {timestamp: 1400000000}},
+                    {
+                        fieldDefinitionIdentifier: "related",
+                        fieldTypeIdentifier: "ezobjectrelationlist",
+                        languageCode: "eng-GB",
+                        fieldValue: {destinationContentIds: [42]}
+                    }
+                ],
+                fieldDefinitions = [
+                    {identifier: "title", fieldType: "ezstring"},
+                    {identifier: "published", fieldType: "ezdatetime"}
+                ];
+
+            it("should parse the fields of a language", function () {
+                expect(registry.parseFields(fields, fieldDefinitions, "eng-GB")).toEqual({
+                    title: "Title",
+                    published: new Date(1400000000000),
+                    related: [42]
+                });
+            });
+
+            it("should parse the fields without the field definitions", function () {
+                var values = registry.parseFields(fields);
+
+                expect(values.title).toEqual("Titre");
+                expect(values.published).toEqual({timestamp: 1400000000});
+                expect(values.related).toEqual([42]);
+            });
+        });
+    });
+});
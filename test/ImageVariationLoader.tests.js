@@ -0,0 +1,210 @@
+/* global define, describe, it, expect, beforeEach, jasmine */
+define(function (require) {
+    var ImageVariationLoader = require("fieldTypes/ImageVariationLoader"),
+        CAPIError = require("structures/CAPIError");
+
+    describe("ImageVariationLoader", function () {
+        var contentService,
+            loader,
+            callback,
+            pending,
+            createImageField = function (contentId, versionNo) {
+                var imageId = contentId + "-" + versionNo,
+                    variations = "/api/ezp/v2/content/binary/images/" + contentId + "-254/variations/";
+
+                return {
+                    "id": 254,
+                    "fieldDefinitionIdentifier": "image",
+                    "languageCode": "eng-GB",
+                    "fieldValue": {
+                        "id": "var/site/storage/images/" + imageId + "-eng-GB/image.png",
+                        "fileName": "image.png",
+                        "variations": {
+                            "small": {"href": variations + "small"},
+                            "medium": {"href": variations + "medium"}
+                        }
+                    }
+                };
+            },
+            respond = function (index) {
+                var request = pending.splice(index || 0, 1)[0];
+
+                request.callback(false, {
+                    document: {
+                        "ContentImageVariation": {
+                            "_href": request.href,
+                            "uri": request.href.replace("/api/ezp/v2/content/binary/images/", "/images/") + ".png",
+                            "width": 100,
+                            "height": 50,
+                            "fileSize": 1024,
+                            "contentType": "image/png"
+                        }
+                    }
+                });
+            };
+
+        beforeEach(function () {
+            pending = [];
+            callback = jasmine.createSpy('callback');
+            contentService = jasmine.createSpyObj('contentService', ['loadImageVariation']);
+            contentService.loadImageVariation.andCallFake(function (href, cb) {
+                pending.push({href: href, callback: cb});
+            });
+            loader = new ImageVariationLoader(contentService, {concurrency: 2});
+        });
+
+        describe("getVariation", function () {
+            it("should load the variation of the field", function () {
+                loader.getVariation(createImageField(42, 1), "medium", callback);
+
+                expect(contentService.loadImageVariation).toHaveBeenCalledWith(
+                    "/api/ezp/v2/content/binary/images/42-254/variations/medium", jasmine.any(Function)
+                );
+                respond();
+                expect(callback).toHaveBeenCalledWith(false, {
+                    uri: "/images/42-254/variations/medium.png",
+                    width: 100,
+                    height: 50,
+                    fileSize: 1024,
+                    contentType: "image/png"
+                });
+            });
+
+            it("should accept the field value", function () {
+                loader.getVariation(createImageField(42, 1).fieldValue, "small", callback);
+                respond();
+
+                expect(callback.mostRecentCall.args[1].uri).toEqual("/images/42-254/variations/small.png");
+            });
+
+            it("should cache the variation for the version of the image", function () {
+                loader.getVariation(createImageField(42, 1), "medium", callback);
+                respond();
+                loader.getVariation(createImageField(42, 1), "medium", callback);
+
+                expect(contentService.loadImageVariation.callCount).toEqual(1);
+                expect(callback.callCount).toEqual(2);
+
+                loader.getVariation(createImageField(42, 2), "medium", callback);
+                expect(contentService.loadImageVariation.callCount).toEqual(2);
+            });
+
+            it("should load a variation once for simultaneous calls", function () {
+                var otherCallback = jasmine.createSpy('otherCallback');
+
+                loader.getVariation(createImageField(42, 1), "medium", callback);
+                loader.getVariation(createImageField(42, 1), "medium", otherCallback);
+                respond();
+
+                expect(contentService.loadImageVariation.callCount).toEqual(1);
+                expect(otherCallback).toHaveBeenCalledWith(false, callback.mostRecentCall.args[1]);
+            });
+
+            it("should give null for an empty field", function () {
+                loader.getVariation({fieldValue: null}, "medium", callback);
+
+                expect(callback).toHaveBeenCalledWith(false, null);
+                expect(contentService.loadImageVariation).not.toHaveBeenCalled();
+            });
+
+            it("should give an error for an unknown variation", function () {
+                loader.getVariation(createImageField(42, 1), "huge", callback);
+
+                expect(callback).toHaveBeenCalledWith(jasmine.any(CAPIError), null);
+                expect(callback.mostRecentCall.args[0].details.variation).toEqual("huge");
+            });
+
+            it("should give the error of the request", function () {
+                var response = {status: 404};
+
+                loader.getVariation(createImageField(42, 1), "medium", callback);
+                pending[0].callback(new CAPIError("not found"), response);
+
+                expect(callback).toHaveBeenCalledWith(jasmine.any(CAPIError), response);
+                expect(loader.getVariationUrl(createImageField(42, 1), "medium")).toBe(null);
+            });
+        });
+
+        describe("getVariationUrl", function () {
+            it("should return the uri of a loaded variation", function () {
+                var field = createImageField(42, 1);
+
+                expect(loader.getVariationUrl(field, "medium")).toBe(null);
+                expect(loader.getVariationUrl(field, "unknown")).toBe(null);
+                expect(loader.getVariationUrl({fieldValue: null}, "medium")).toBe(null);
+
+                loader.getVariationUrl(field, "medium", callback);
+                respond();
+
+                expect(callback).toHaveBeenCalledWith(false, "/images/42-254/variations/medium.png");
+                expect(loader.getVariationUrl(field, "medium")).toEqual("/images/42-254/variations/medium.png");
+            });
+
+            it("should forget the variations", function () {
+                var field = createImageField(42, 1);
+
+                loader.getVariationUrl(field, "medium", callback);
+                respond();
+                loader.clearCache();
+
+                expect(loader.getVariationUrl(field, "medium")).toBe(null);
+            });
+        });
+
+        describe("loadVariations", function () {
+            it("should load the variations with a bounded concurrency", function () {
+                var fields = [createImageField(1, 1), createImageField(2, 1), {fieldValue: null}, createImageField(3, 1)];
+
+                loader.loadVariations(fields, "small", callback);
+
+                expect(pending.length).toEqual(2);
+                respond(1);
+                expect(pending.length).toEqual(2);
+                respond();
+                respond();
+
+                expect(contentService.loadImageVariation.callCount).toEqual(3);
+                expect(callback.callCount).toEqual(1);
+                expect(callback.mostRecentCall.args[0]).toBe(false);
+                expect(callback.mostRecentCall.args[1].map(function (variation) {
+                    return variation && variation.uri;
+                })).toEqual([
+                    "/images/1-254/variations/small.png",
+                    "/images/2-254/variations/small.png",
+                    null,
+                    "/images/3-254/variations/small.png"
+                ]);
+            });
+
+            it("should give the first error and load the other variations", function () {
+                loader.loadVariations([createImageField(1, 1), createImageField(2, 1)], "small", callback);
+                pending.shift().callback(new CAPIError("not found"), {status: 404});
+                respond();
+
+                expect(callback).toHaveBeenCalledWith(jasmine.any(CAPIError), [null, jasmine.any(Object)]);
+            });
+
+            it("should go on loading when a callback throws", function () {
+                loader.getVariation(createImageField(1, 1), "small", function () {
+                    throw new Error("rendering error");
+                });
+                loader.getVariation(createImageField(2, 1), "small", callback);
+                loader.getVariation(createImageField(3, 1), "small", callback);
+
+                expect(function () {
+                    respond();
+                }).toThrow();
+                expect(pending.length).toEqual(2);
+                respond();
+                respond();
+                expect(callback.callCount).toEqual(2);
+            });
+
+            it("should load an empty list", function () {
+                loader.loadVariations([], "small", callback);
+
+                expect(callback).toHaveBeenCalledWith(false, []);
+            });
+        });
+    });
+});
@@ -0,0 +1,191 @@
+/* global define, describe, it, expect, beforeEach, afterEach, jasmine */
+define(["storages/IndexedDbStorage", "structures/CAPIError"], function (IndexedDbStorage, CAPIError) {
+    describe("IndexedDbStorage", function () {
+        var originalIndexedDB,
+            storeData,
+            pendingRequests,
+            mockStore,
+            mockDb,
+            openRequest,
+            callback,
+            createRequest = function (result) {
+                var request = {result: result, error: null};
+
+                pendingRequests.push(request);
+                return request;
+            },
+            flush = function () {
+                var request;
+
+                while (pendingRequests.length) {
+                    request = pendingRequests.shift();
+                    request.onsuccess();
+                }
+            };
+
+        beforeEach(function () {
+            storeData = {};
+            pendingRequests = [];
+            callback = jasmine.createSpy('callback');
+
+            mockStore = {
+                get: function (key) {
+                    return createRequest(storeData[key]);
+                },
+                put: function (value, key) {
+                    storeData[key] = value;
+                    return createRequest(key);
+                },
+                delete: function (key) {
+                    delete storeData[key];
+                    return createRequest(undefined);
+                }
+            };
+            mockDb = {
+                transaction: jasmine.createSpy('transaction').andReturn({
+                    objectStore: function () {
+                        return mockStore;
+                    }
+                })
+            };
+
+            originalIndexedDB = window.indexedDB;
+            window.indexedDB = {
+                open: jasmine.createSpy('open').andCallFake(function () {
+                    openRequest = createRequest(mockDb);
+                    return openRequest;
+                })
+            };
+        });
+
+        afterEach(function () {
+            window.indexedDB = originalIndexedDB;
+        });
+
+        describe("Compatibility", function () {
+            it("detects positive compatibility", function () {
+                expect(IndexedDbStorage.isCompatible()).toBeTruthy();
+            });
+
+            it("detects negative compatibility if indexedDB is missing", function () {
+                window.indexedDB = undefined;
+                expect(IndexedDbStorage.isCompatible()).toBeFalsy();
+            });
+
+            it("throws an error while instantiating IndexedDbStorage if not compatible", function () {
+                window.indexedDB = undefined;
+                expect(function () {
+                    new IndexedDbStorage();
+                }).toThrow();
+            });
+        });
+
+        describe("Storage API", function () {
+            var storage;
+
+            beforeEach(function () {
+                storage = new IndexedDbStorage();
+            });
+
+            it("should be asynchronous", function () {
+                expect(storage.async).toBe(true);
+            });
+
+            it("should open the database once", function () {
+                storage.getItem("someKey", callback);
+                storage.getItem("otherKey", callback);
+                flush();
+                storage.getItem("someKey", callback);
+                flush();
+
+                expect(window.indexedDB.open.callCount).toEqual(1);
+                expect(window.indexedDB.open).toHaveBeenCalledWith("ezpRestClient", 1);
+                expect(callback.callCount).toEqual(3);
+            });
+
+            it("should create the object store", function () {
+                var createObjectStore = jasmine.createSpy('createObjectStore');
+
+                storage.getItem("someKey", callback);
+                openRequest.result = {createObjectStore: createObjectStore};
+                openRequest.onupgradeneeded();
+
+                expect(createObjectStore).toHaveBeenCalledWith("storage");
+            });
+
+            it("should use the given database and object store names", function () {
+                storage = new IndexedDbStorage({dbName: "myDb", storeName: "myStore"});
+                storage.getItem("someKey", callback);
+                flush();
+
+                expect(window.indexedDB.open).toHaveBeenCalledWith("myDb", 1);
+                expect(mockDb.transaction).toHaveBeenCalledWith("myStore", "readonly");
+            });
+
+            it("should store data under the given key", function () {
+                storage.setItem("someKey", {some: "value"}, callback);
+                flush();
+
+                expect(storeData.someKey).toEqual({some: "value"});
+                expect(mockDb.transaction).toHaveBeenCalledWith("storage", "readwrite");
+                expect(callback).toHaveBeenCalledWith(false, "someKey");
+            });
+
+            it("should allow retrieval of data under a given key", function () {
+                storeData.someKey = "someValue";
+                storage.getItem("someKey", callback);
+                flush();
+
+                expect(callback).toHaveBeenCalledWith(false, "someValue");
+            });
+
+            it("should return null if requested key does not exist", function () {
+                storage.getItem("nonExistantKey", callback);
+                flush();
+
+                expect(callback).toHaveBeenCalledWith(false, null);
+            });
+
+            it("should allow removal of data under a given key", function () {
+                storeData.someKey = "someValue";
+                storage.removeItem("someKey", callback);
+                flush();
+
+                expect(storeData).toEqual({});
+                expect(callback).toHaveBeenCalled();
+            });
+
+            it("should not require a callback to write", function () {
+                storage.setItem("someKey", "someValue");
+                storage.removeItem("otherKey");
+
+                expect(flush).not.toThrow();
+            });
+
+            it("should provide an error if the database can not be opened", function () {
+                storage.getItem("someKey", callback);
+                pendingRequests = [];
+                openRequest.error = new Error("blocked");
+                openRequest.onerror();
+
+                expect(callback.mostRecentCall.args[0] instanceof CAPIError).toBeTruthy();
+                expect(callback.mostRecentCall.args[0].details.error).toBe(openRequest.error);
+            });
+
+            it("should provide an error if a request fails", function () {
+                var request;
+
+                storage.setItem("someKey", "someValue", callback);
+                flush();
+                callback.reset();
+                storage.setItem("someKey", "someValue", callback);
+                request = pendingRequests.shift();
+                request.error = new Error("quota exceeded");
+                request.onerror();
+
+                expect(callback.mostRecentCall.args[0] instanceof CAPIError).toBeTruthy();
+                expect(callback.mostRecentCall.args[0].details.error).toBe(request.error);
+            });
+        });
+    });
+});
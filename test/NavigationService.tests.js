@@ -0,0 +1,134 @@
+/* global define, describe, it, expect, beforeEach, jasmine, spyOn */
+define(function (require) {
+
+    // Declaring dependencies
+    var NavigationService = require("services/NavigationService"),
+        CAPIError = require("structures/CAPIError");
+
+    describe("Navigation Service", function () {
+
+        var mockConnectionManager,
+            mockDiscoveryService,
+            mockCallback,
+            navigationService,
+            testLocationId = "/api/ezp/v2/content/locations/1/2",
+            testChildren = "/api/ezp/v2/content/locations/1/2/children",
+            testContentByRemoteIdTemplate = "/api/ezp/v2/content/objects{?remoteId}",
+            testRemoteId = "f5c88a2209584891056f987fd965b0ba",
+            testLocation;
+
+        beforeEach(function () {
+            mockConnectionManager = jasmine.createSpyObj('mockConnectionManager', ['request']);
+            mockCallback = jasmine.createSpy('mockCallback');
+            mockDiscoveryService = {
+                getInfoObject: function (name, callback) {
+                    if (name === "contentByRemoteId") {
+                        callback(false, {"_href": testContentByRemoteIdTemplate, "_media-type": ""});
+                    } else if (name === "rootLocation") {
+                        callback(false, {"_href": testLocationId, "_media-type": "application/vnd.ez.api.Location+json"});
+                    } else {
+                        callback(new CAPIError("Discover service failed to find object with name '" + name + "'"), false);
+                    }
+                }
+            };
+            spyOn(mockDiscoveryService, 'getInfoObject').andCallThrough();
+
+            testLocation = {
+                "_href": testLocationId,
+                "_media-type": "application/vnd.ez.api.Location+json",
+                "Children": {
+                    "_href": testChildren,
+                    "_media-type": "application/vnd.ez.api.LocationList+json"
+                }
+            };
+
+            navigationService = new NavigationService(mockConnectionManager, mockDiscoveryService);
+        });
+
+        describe("follow", function () {
+            it("should load the linked resource", function () {
+                navigationService.follow(testLocation, "Children", mockCallback);
+
+                expect(mockConnectionManager.request).toHaveBeenCalledWith(
+                    "GET",
+                    testChildren,
+                    "",
+                    {"Accept": "application/vnd.ez.api.LocationList+json"},
+                    mockCallback
+                );
+            });
+
+            it("should follow the link of the resource of a response", function () {
+                navigationService.follow({document: {"Location": testLocation}}, "Children", mockCallback);
+
+                expect(mockConnectionManager.request).toHaveBeenCalledWith(
+                    "GET",
+                    testChildren,
+                    "",
+                    {"Accept": "application/vnd.ez.api.LocationList+json"},
+                    mockCallback
+                );
+            });
+
+            it("should follow the link of a wrapped resource", function () {
+                navigationService.follow({"Location": testLocation}, "Children", mockCallback);
+
+                expect(mockConnectionManager.request.mostRecentCall.args[1]).toEqual(testChildren);
+            });
+
+            it("should add the parameters to the query string", function () {
+                navigationService.follow(testLocation, "Children", {offset: 10, limit: 5}, mockCallback);
+
+                expect(mockConnectionManager.request.mostRecentCall.args[1]).toEqual(testChildren + "?offset=10&limit=5");
+            });
+
+            it("should add the parameters to an existing query string", function () {
+                testLocation.Children._href = testChildren + "?limit=5";
+                navigationService.follow(testLocation, "Children", {"sort key": "name"}, mockCallback);
+
+                expect(mockConnectionManager.request.mostRecentCall.args[1]).toEqual(testChildren + "?limit=5&sort%20key=name");
+            });
+
+            it("should follow a link of the Root resource", function () {
+                navigationService.follow(null, "rootLocation", mockCallback);
+
+                expect(mockDiscoveryService.getInfoObject).toHaveBeenCalledWith("rootLocation", jasmine.any(Function));
+                expect(mockConnectionManager.request).toHaveBeenCalledWith(
+                    "GET",
+                    testLocationId,
+                    "",
+                    {"Accept": "application/vnd.ez.api.Location+json"},
+                    mockCallback
+                );
+            });
+
+            it("should expand a templated link with the parameters", function () {
+                navigationService.follow(null, "contentByRemoteId", {remoteId: testRemoteId}, mockCallback);
+
+                expect(mockConnectionManager.request).toHaveBeenCalledWith(
+                    "GET",
+                    "/api/ezp/v2/content/objects?remoteId=" + testRemoteId,
+                    "",
+                    {"Accept": "application/json"},
+                    mockCallback
+                );
+            });
+
+            it("should pass the discovery error to the callback", function () {
+                navigationService.follow(null, "unknown", mockCallback);
+
+                expect(mockConnectionManager.request).not.toHaveBeenCalled();
+                expect(mockCallback).toHaveBeenCalledWith(jasmine.any(CAPIError), false);
+            });
+
+            it("should return an error when the resource does not have the link", function () {
+                navigationService.follow(testLocation, "ContentInfo", mockCallback);
+
+                expect(mockConnectionManager.request).not.toHaveBeenCalled();
+                expect(mockCallback).toHaveBeenCalledWith(jasmine.any(CAPIError), false);
+                expect(mockCallback.mostRecentCall.args[0].details.relation).toEqual("ContentInfo");
+            });
+        });
+    });
+
+});
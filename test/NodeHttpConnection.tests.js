@@ -0,0 +1,303 @@
+/* global define, describe, it, expect, beforeEach, afterEach, jasmine */
+define(function (require) {
+
+    // Declaring dependencies
+    var NodeHttpConnection = require("connections/NodeHttpConnection"),
+        CookieJar = require("utils/CookieJar"),
+        Response = require("structures/Response"),
+        CAPIError = require("structures/CAPIError"),
+        NotFoundError = require("structures/NotFoundError");
+
+    describe("NodeHttp Connection", function () {
+
+        var connection,
+            cookieJar,
+            mockCallback,
+            mockHttp,
+            mockHttps,
+            mockClientRequest,
+            mockRequest,
+            testStatus,
+            testHeaders,
+            testBody = '{"Root": {}}',
+            MockEmitter = function () {
+                this._handlers = {};
+            },
+            createMockHttp = function () {
+                return {
+                    request: jasmine.createSpy('request').andCallFake(function (options, responseCallback) {
+                        mockClientRequest = new MockEmitter();
+                        mockClientRequest.abort = jasmine.createSpy('abort');
+                        mockClientRequest.end = jasmine.createSpy('end').andCallFake(function () {
+                            var res = new MockEmitter();
+
+                            res.statusCode = testStatus;
+                            res.headers = testHeaders;
+                            res.setEncoding = function () {};
+                            responseCallback(res);
+                            res.emit("data", testBody.substring(0, 5));
+                            res.emit("data", testBody.substring(5));
+                            res.emit("end");
+                        });
+                        return mockClientRequest;
+                    })
+                };
+            };
+
+        MockEmitter.prototype.on = function (event, handler) {
+            this._handlers[event] = handler;
+        };
+
+        MockEmitter.prototype.emit = function (event, arg) {
+            this._handlers[event](arg);
+        };
+
+        beforeEach(function () {
+            testStatus = 200;
+            testHeaders = {"content-type": "application/vnd.ez.api.Root+json"};
+
+            mockCallback = jasmine.createSpy('mockCallback');
+            mockHttp = createMockHttp();
+            mockHttps = createMockHttp();
+            cookieJar = new CookieJar();
+            mockRequest = {
+                body: "",
+                headers: {"Accept": "application/vnd.ez.api.Root+json"},
+                httpBasicAuth: false,
+                method: "GET",
+                url: "http://ez.git.local/api/ezp/v2/"
+            };
+
+            connection = new NodeHttpConnection({
+                http: mockHttp,
+                https: mockHttps,
+                cookieJar: cookieJar
+            });
+        });
+
+        describe("Compatibility", function () {
+            afterEach(function () {
+                NodeHttpConnection.http = null;
+                NodeHttpConnection.https = null;
+            });
+
+            it("is not compatible without the http modules", function () {
+                expect(NodeHttpConnection.isCompatible()).toEqual(false);
+            });
+
+            it("is compatible when the http modules are set", function () {
+                NodeHttpConnection.http = mockHttp;
+                NodeHttpConnection.https = mockHttps;
+
+                expect(NodeHttpConnection.isCompatible()).toEqual(true);
+            });
+        });
+
+        describe("is correctly using the http modules while performing:", function () {
+
+            it("execute call", function () {
+                var options;
+
+                connection.execute(mockRequest, mockCallback);
+
+                expect(mockHttps.request).not.toHaveBeenCalled();
+                options = mockHttp.request.mostRecentCall.args[0];
+                expect(options.method).toEqual("GET");
+                expect(options.hostname).toEqual("ez.git.local");
+                expect(options.port).toEqual(80);
+                expect(options.path).toEqual("/api/ezp/v2/");
+                expect(options.headers).toEqual({"Accept": "application/vnd.ez.api.Root+json"});
+                expect(mockClientRequest.end).toHaveBeenCalledWith(undefined);
+
+                expect(mockCallback.mostRecentCall.args[0]).toEqual(false);
+                expect(mockCallback.mostRecentCall.args[1]).toEqual(jasmine.any(Response));
+                expect(mockCallback.mostRecentCall.args[1].document).toEqual({Root: {}});
+                expect(mockCallback.mostRecentCall.args[1].getHeader("Content-Type")).toEqual(
+                    "application/vnd.ez.api.Root+json"
+                );
+            });
+
+            it("execute call over https with a body", function () {
+                var options;
+
+                mockRequest.url = "https://ez.git.local:8443/api/ezp/v2/user/sessions";
+                mockRequest.method = "POST";
+                mockRequest.body = '{"SessionInput": {}}';
+
+                connection.execute(mockRequest, mockCallback);
+
+                expect(mockHttp.request).not.toHaveBeenCalled();
+                options = mockHttps.request.mostRecentCall.args[0];
+                expect(options.port).toEqual(8443);
+                expect(options.path).toEqual("/api/ezp/v2/user/sessions");
+                expect(options.headers["Content-Length"]).toEqual(20);
+                expect(mockClientRequest.end).toHaveBeenCalledWith('{"SessionInput": {}}');
+            });
+
+            it("execute call with BasicHttp Authorization", function () {
+                mockRequest.httpBasicAuth = true;
+                mockRequest.login = "login";
+                mockRequest.password = "password";
+
+                connection.execute(mockRequest, mockCallback);
+
+                expect(mockHttp.request.mostRecentCall.args[0].auth).toEqual("login:password");
+            });
+
+            it("execute calls keeping the cookies", function () {
+                testHeaders["set-cookie"] = ["eZSESSID=o7i8r1sapfc9r84ae53bgq8gp4; path=/; HttpOnly"];
+
+                connection.execute(mockRequest, mockCallback);
+                expect(mockHttp.request.mostRecentCall.args[0].headers.Cookie).toBeUndefined();
+
+                connection.execute(mockRequest, mockCallback);
+                expect(mockHttp.request.mostRecentCall.args[0].headers.Cookie).toEqual(
+                    "eZSESSID=o7i8r1sapfc9r84ae53bgq8gp4"
+                );
+            });
+
+            it("execute calls without the cookies of the other connections", function () {
+                var otherConnection = new NodeHttpConnection({http: mockHttp, https: mockHttps});
+
+                testHeaders["set-cookie"] = ["eZSESSID=o7i8r1sapfc9r84ae53bgq8gp4; path=/; HttpOnly"];
+                otherConnection.execute(mockRequest, mockCallback);
+
+                connection.execute(mockRequest, mockCallback);
+                expect(mockHttp.request.mostRecentCall.args[0].headers.Cookie).toBeUndefined();
+                expect(new NodeHttpConnection()._cookieJar).not.toBe(new NodeHttpConnection()._cookieJar);
+            });
+
+            it("abort the request in progress", function () {
+                mockHttp.request.andCallFake(function () {
+                    mockClientRequest = new MockEmitter();
+                    mockClientRequest.abort = jasmine.createSpy('abort');
+                    mockClientRequest.end = function () {};
+                    return mockClientRequest;
+                });
+
+                connection.execute(mockRequest, mockCallback);
+                connection.abort();
+
+                expect(mockClientRequest.abort).toHaveBeenCalled();
+            });
+
+            describe("with an onProgress function", function () {
+                var onProgress,
+                    written,
+                    chunkSize = NodeHttpConnection.UPLOAD_CHUNK_SIZE;
+
+                beforeEach(function () {
+                    onProgress = jasmine.createSpy('onProgress');
+                    written = [];
+                    mockHttp.request.andCallFake(function () {
+                        mockClientRequest = new MockEmitter();
+                        mockClientRequest.write = function (chunk, callback) {
+                            written.push(chunk);
+                            callback();
+                        };
+                        mockClientRequest.end = jasmine.createSpy('end');
+                        return mockClientRequest;
+                    });
+                    connection = new NodeHttpConnection({
+                        http: mockHttp,
+                        https: mockHttps,
+                        cookieJar: cookieJar,
+                        onProgress: onProgress
+                    });
+                    mockRequest.method = "POST";
+                    NodeHttpConnection.UPLOAD_CHUNK_SIZE = 8;
+                });
+
+                afterEach(function () {
+                    NodeHttpConnection.UPLOAD_CHUNK_SIZE = chunkSize;
+                });
+
+                it("report the upload progress", function () {
+                    mockRequest.body = '{"data": "aGVsbG8="}';
+
+                    connection.execute(mockRequest, mockCallback);
+
+                    expect(written).toEqual(['{"data":', ' "aGVsbG', '8="}']);
+                    expect(onProgress.calls.map(function (call) {
+                        return call.args;
+                    })).toEqual([[8, 20, mockRequest], [16, 20, mockRequest], [20, 20, mockRequest]]);
+                    expect(mockClientRequest.end).toHaveBeenCalledWith();
+                });
+
+                it("report the upload progress in bytes", function () {
+                    NodeHttpConnection.UPLOAD_CHUNK_SIZE = 3;
+                    mockRequest.body = "ab\uD83D\uDE00cd";
+
+                    connection.execute(mockRequest, mockCallback);
+
+                    expect(written).toEqual(["ab\uD83D\uDE00", "cd"]);
+                    expect(onProgress.mostRecentCall.args).toEqual([8, 8, mockRequest]);
+                });
+
+                it("send the requests without a body at once", function () {
+                    mockRequest.method = "GET";
+
+                    connection.execute(mockRequest, mockCallback);
+
+                    expect(written).toEqual([]);
+                    expect(onProgress).not.toHaveBeenCalled();
+                    expect(mockClientRequest.end).toHaveBeenCalled();
+                });
+            });
+        });
+
+        describe("is returning errors correctly, when", function () {
+
+            it("request have failed", function () {
+                testStatus = 404;
+
+                connection.execute(mockRequest, mockCallback);
+
+                expect(mockCallback).toHaveBeenCalledWith(
+                    jasmine.any(NotFoundError), jasmine.any(Response)
+                );
+                expect(mockCallback.mostRecentCall.args[0].details.request).toBe(mockRequest);
+            });
+
+            it("it fails to connect", function () {
+                mockHttp.request.andCallFake(function () {
+                    mockClientRequest = new MockEmitter();
+                    mockClientRequest.end = function () {
+                        mockClientRequest.emit("error", new Error("ECONNREFUSED"));
+                    };
+                    return mockClientRequest;
+                });
+
+                connection.execute(mockRequest, mockCallback);
+
+                expect(mockCallback).toHaveBeenCalledWith(
+                    jasmine.any(CAPIError), jasmine.any(Response)
+                );
+                expect(mockCallback.mostRecentCall.args[0].message).toEqual("Connection error : 0.");
+            });
+
+            it("the http module refuses the request", function () {
+                mockHttp.request.andCallFake(function () {
+                    throw new TypeError("Invalid character in header content");
+                });
+
+                connection.execute(mockRequest, mockCallback);
+
+                expect(mockCallback).toHaveBeenCalledWith(
+                    jasmine.any(CAPIError), jasmine.any(Response)
+                );
+                expect(mockCallback.mostRecentCall.args[0].details.error).toEqual(jasmine.any(TypeError));
+                expect(mockCallback.mostRecentCall.args[1].status).toEqual(0);
+                expect(connection._request).toBe(null);
+            });
+
+            it("the url is not absolute", function () {
+                mockRequest.url = "/api/ezp/v2/";
+
+                expect(function () {
+                    connection.execute(mockRequest, mockCallback);
+                }).toThrow();
+            });
+        });
+    });
+});
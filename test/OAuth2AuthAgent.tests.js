@@ -0,0 +1,374 @@
+/* global define, describe, it, expect, beforeEach, jasmine, spyOn */
+/* jshint camelcase: false */ // the OAuth2 parameters are not camel cased
+define(["authAgents/OAuth2AuthAgent", "structures/CAPIError", "storages/InMemoryStorage"],
+    function (OAuth2AuthAgent, CAPIError, InMemoryStorage) {
+    describe("OAuth2 Authorization Agent", function () {
+
+        var testLogin = "login",
+            testPassword = "password",
+            testTokenEndpoint = "https://sso.example.com/oauth/token",
+            tokenEndpointResponse,
+            tokenEndpointError,
+            mockConnectionManager,
+            mockContentService,
+            mockCAPI,
+            mockCallback,
+            storage,
+            authAgent,
+            parseForm = function (body) {
+                var params = {};
+
+                body.split("&").forEach(function (pair) {
+                    pair = pair.split("=");
+                    params[decodeURIComponent(pair[0])] = decodeURIComponent(pair[1]);
+                });
+                return params;
+            },
+            storeTokens = function (accessToken, refreshToken, expiresAt) {
+                storage.setItem(OAuth2AuthAgent.KEY_ACCESS_TOKEN, accessToken);
+                storage.setItem(OAuth2AuthAgent.KEY_REFRESH_TOKEN, refreshToken);
+                storage.setItem(OAuth2AuthAgent.KEY_EXPIRES_AT, expiresAt);
+            };
+
+        beforeEach(function () {
+            tokenEndpointError = false;
+            tokenEndpointResponse = {
+                access_token: "newAccessToken",
+                refresh_token: "newRefreshToken",
+                expires_in: 3600,
+                token_type: "Bearer"
+            };
+
+            // stub of the token endpoint
+            mockConnectionManager = {
+                notAuthorizedRequest: function (method, url, body, headers, callback) {
+                    if ( tokenEndpointError ) {
+                        callback(tokenEndpointError, {status: 400});
+                        return;
+                    }
+                    callback(false, {document: tokenEndpointResponse});
+                }
+            };
+            spyOn(mockConnectionManager, 'notAuthorizedRequest').andCallThrough();
+
+            mockContentService = {
+                loadRoot: jasmine.createSpy('loadRoot')
+            };
+
+            mockCAPI = {
+                getConnectionManager: function () {
+                    return mockConnectionManager;
+                },
+                getContentService: function () {
+                    return mockContentService;
+                },
+                getEndPointUrl: function () {
+                    return "";
+                }
+            };
+
+            mockCallback = jasmine.createSpy('mockCallback');
+            storage = new InMemoryStorage();
+
+            authAgent = new OAuth2AuthAgent({
+                tokenEndpoint: testTokenEndpoint,
+                clientId: "capi",
+                login: testLogin,
+                password: testPassword
+            }, storage);
+            authAgent.setCAPI(mockCAPI);
+        });
+
+        describe("Storage", function () {
+            it("should create some sort of Storage if none is given", function () {
+                authAgent = new OAuth2AuthAgent({});
+
+                expect(authAgent._storage).toBeDefined();
+                expect(authAgent._storage.setItem).toBeDefined();
+            });
+        });
+
+        describe("ensureAuthentication", function () {
+            it("should request a token with the credentials", function () {
+                var params;
+
+                authAgent.ensureAuthentication(mockCallback);
+
+                expect(mockConnectionManager.notAuthorizedRequest).toHaveBeenCalledWith(
+                    "POST", testTokenEndpoint, jasmine.any(String),
+                    {"Content-Type": "application/x-www-form-urlencoded", "Accept": "application/json"},
+                    jasmine.any(Function)
+                );
+                params = parseForm(mockConnectionManager.notAuthorizedRequest.mostRecentCall.args[2]);
+                expect(params).toEqual({
+                    grant_type: "password",
+                    username: testLogin,
+                    password: testPassword,
+                    client_id: "capi"
+                });
+
+                expect(mockCallback).toHaveBeenCalledWith(false, tokenEndpointResponse);
+                expect(storage.getItem(OAuth2AuthAgent.KEY_ACCESS_TOKEN)).toEqual("newAccessToken");
+                expect(storage.getItem(OAuth2AuthAgent.KEY_REFRESH_TOKEN)).toEqual("newRefreshToken");
+                expect(storage.getItem(OAuth2AuthAgent.KEY_EXPIRES_AT)).toBeGreaterThan(Date.now());
+            });
+
+            it("should not request a token when the access token is valid", function () {
+                storeTokens("accessToken", "refreshToken", Date.now() + 3600 * 1000);
+
+                authAgent.ensureAuthentication(mockCallback);
+
+                expect(mockConnectionManager.notAuthorizedRequest).not.toHaveBeenCalled();
+                expect(mockCallback).toHaveBeenCalledWith(false, true);
+            });
+
+            it("should refresh the access token before it expires", function () {
+                storeTokens("accessToken", "refreshToken", Date.now() + 30 * 1000);
+
+                authAgent.ensureAuthentication(mockCallback);
+
+                expect(parseForm(mockConnectionManager.notAuthorizedRequest.mostRecentCall.args[2])).toEqual({
+                    grant_type: "refresh_token",
+                    refresh_token: "refreshToken",
+                    client_id: "capi"
+                });
+                expect(mockCallback).toHaveBeenCalledWith(false, tokenEndpointResponse);
+                expect(storage.getItem(OAuth2AuthAgent.KEY_ACCESS_TOKEN)).toEqual("newAccessToken");
+            });
+
+            it("should use the refresh margin option", function () {
+                authAgent = new OAuth2AuthAgent({tokenEndpoint: testTokenEndpoint, refreshMargin: 10}, storage);
+                authAgent.setCAPI(mockCAPI);
+                storeTokens("accessToken", "refreshToken", Date.now() + 30 * 1000);
+
+                authAgent.ensureAuthentication(mockCallback);
+
+                expect(mockConnectionManager.notAuthorizedRequest).not.toHaveBeenCalled();
+            });
+
+            it("should fall back to the credentials when the refresh fails", function () {
+                var calls = 0;
+
+                mockConnectionManager.notAuthorizedRequest.andCallFake(function (method, url, body, headers, callback) {
+                    calls++;
+                    if ( calls === 1 ) {
+                        callback(new CAPIError("invalid_grant"), {status: 400});
+                        return;
+                    }
+                    callback(false, {document: tokenEndpointResponse});
+                });
+                storeTokens("accessToken", "refreshToken", Date.now() - 1000);
+
+                authAgent.ensureAuthentication(mockCallback);
+
+                expect(parseForm(mockConnectionManager.notAuthorizedRequest.mostRecentCall.args[2]).grant_type).toEqual("password");
+                expect(mockCallback).toHaveBeenCalledWith(false, tokenEndpointResponse);
+            });
+
+            it("should give the token endpoint error", function () {
+                tokenEndpointError = new CAPIError("Connection error : 401.");
+
+                authAgent.ensureAuthentication(mockCallback);
+
+                expect(mockCallback).toHaveBeenCalledWith(tokenEndpointError, false);
+                expect(storage.getItem(OAuth2AuthAgent.KEY_ACCESS_TOKEN)).toBeNull();
+            });
+
+            it("should give an error for an invalid token response", function () {
+                tokenEndpointResponse = {error: "invalid_request"};
+
+                authAgent.ensureAuthentication(mockCallback);
+
+                expect(mockCallback).toHaveBeenCalledWith(jasmine.any(CAPIError), false);
+            });
+
+            it("should give an error without credentials", function () {
+                authAgent = new OAuth2AuthAgent({tokenEndpoint: testTokenEndpoint}, storage);
+
+                authAgent.ensureAuthentication(mockCallback);
+
+                expect(mockCallback).toHaveBeenCalledWith(jasmine.any(CAPIError), false);
+            });
+
+            it("should use the fetchToken function", function () {
+                var fetchToken = jasmine.createSpy('fetchToken').andCallFake(function (params, callback) {
+                        callback(false, {access_token: "fetchedToken"});
+                    });
+
+                authAgent = new OAuth2AuthAgent({login: testLogin, password: testPassword, fetchToken: fetchToken}, storage);
+                authAgent.ensureAuthentication(mockCallback);
+
+                expect(fetchToken).toHaveBeenCalledWith(
+                    {grant_type: "password", username: testLogin, password: testPassword},
+                    jasmine.any(Function)
+                );
+                expect(mockConnectionManager.notAuthorizedRequest).not.toHaveBeenCalled();
+                expect(storage.getItem(OAuth2AuthAgent.KEY_ACCESS_TOKEN)).toEqual("fetchedToken");
+                expect(storage.getItem(OAuth2AuthAgent.KEY_EXPIRES_AT)).toBeNull();
+            });
+        });
+
+        describe("authenticateRequest", function () {
+            it("should add the access token", function () {
+                var request = {method: "GET", url: "http://ez.git.local/api/ezp/v2/", headers: {}};
+
+                storage.setItem(OAuth2AuthAgent.KEY_ACCESS_TOKEN, "accessToken");
+                authAgent.authenticateRequest(request, mockCallback);
+
+                expect(mockCallback).toHaveBeenCalledWith(false, request);
+                expect(request.headers.Authorization).toEqual("Bearer accessToken");
+            });
+
+            it("should not add the access token to the token endpoint requests", function () {
+                var request = {method: "POST", url: testTokenEndpoint, headers: {}};
+
+                storage.setItem(OAuth2AuthAgent.KEY_ACCESS_TOKEN, "accessToken");
+                authAgent.authenticateRequest(request, mockCallback);
+
+                expect(request.headers.Authorization).toBeUndefined();
+            });
+
+            it("should keep the request intact without access token", function () {
+                var request = {method: "GET", url: "http://ez.git.local/api/ezp/v2/", headers: {}};
+
+                authAgent.authenticateRequest(request, mockCallback);
+
+                expect(request.headers.Authorization).toBeUndefined();
+            });
+        });
+
+        describe("logIn", function () {
+            it("should request new tokens with the credentials", function () {
+                storeTokens("accessToken", "refreshToken", Date.now() + 3600 * 1000);
+
+                authAgent.logIn(mockCallback);
+
+                expect(parseForm(mockConnectionManager.notAuthorizedRequest.mostRecentCall.args[2]).grant_type).toEqual("password");
+                expect(storage.getItem(OAuth2AuthAgent.KEY_ACCESS_TOKEN)).toEqual("newAccessToken");
+                expect(mockCallback).toHaveBeenCalledWith(false, tokenEndpointResponse);
+            });
+        });
+
+        describe("logOut", function () {
+            it("should remove the tokens", function () {
+                storeTokens("accessToken", "refreshToken", Date.now() + 3600 * 1000);
+
+                authAgent.logOut(mockCallback);
+
+                expect(storage.getItem(OAuth2AuthAgent.KEY_ACCESS_TOKEN)).toBeNull();
+                expect(storage.getItem(OAuth2AuthAgent.KEY_REFRESH_TOKEN)).toBeNull();
+                expect(storage.getItem(OAuth2AuthAgent.KEY_EXPIRES_AT)).toBeNull();
+                expect(mockCallback).toHaveBeenCalledWith(false, true);
+            });
+        });
+
+        describe("isLoggedIn", function () {
+            it("should not be logged in without token", function () {
+                authAgent.isLoggedIn(mockCallback);
+
+                expect(mockCallback).toHaveBeenCalledWith(true, false);
+            });
+
+            it("should load the root resource", function () {
+                storeTokens("accessToken", "refreshToken", Date.now() + 3600 * 1000);
+
+                authAgent.isLoggedIn(mockCallback);
+
+                expect(mockContentService.loadRoot).toHaveBeenCalledWith(mockCallback);
+            });
+        });
+
+        describe("invalidateAuthentication", function () {
+            it("should remove the access token but keep the refresh token", function () {
+                storeTokens("accessToken", "refreshToken", Date.now() + 3600 * 1000);
+
+                expect(authAgent.invalidateAuthentication({})).toBe(true);
+                expect(storage.getItem(OAuth2AuthAgent.KEY_ACCESS_TOKEN)).toBeNull();
+                expect(storage.getItem(OAuth2AuthAgent.KEY_REFRESH_TOKEN)).toEqual("refreshToken");
+            });
+        });
+
+        describe("Asynchronous storage", function () {
+            var readCallbacks;
+
+            beforeEach(function () {
+                readCallbacks = {};
+                authAgent = new OAuth2AuthAgent({}, {
+                    async: true,
+                    getItem: function (key, callback) {
+                        readCallbacks[key] = callback;
+                    },
+                    setItem: function () {},
+                    removeItem: function () {}
+                });
+                authAgent.setCAPI(mockCAPI);
+            });
+
+            it("should wait for the storage to be loaded", function () {
+                var request = {headers: {}, url: "/api/ezp/v2/content/objects/1"};
+
+                authAgent.authenticateRequest(request, mockCallback);
+
+                expect(mockCallback).not.toHaveBeenCalled();
+
+                readCallbacks[OAuth2AuthAgent.KEY_REFRESH_TOKEN](false, null);
+                readCallbacks[OAuth2AuthAgent.KEY_EXPIRES_AT](false, null);
+                expect(mockCallback).not.toHaveBeenCalled();
+                readCallbacks[OAuth2AuthAgent.KEY_ACCESS_TOKEN](false, "accessToken");
+
+                expect(mockCallback).toHaveBeenCalledWith(false, request);
+                expect(request.headers.Authorization).toEqual("Bearer accessToken");
+            });
+        });
+
+        describe("Namespace", function () {
+            var endPointUrl = "http://ez.example.com";
+
+            beforeEach(function () {
+                mockCAPI.getEndPointUrl = function () {
+                    return endPointUrl;
+                };
+            });
+
+            it("should store the tokens under keys derived from the end point url", function () {
+                authAgent = new OAuth2AuthAgent({}, storage);
+                authAgent.setCAPI(mockCAPI);
+                authAgent._storeToken({access_token: "accessToken", refresh_token: "refreshToken", expires_in: 3600});
+
+                expect(storage.getItem(endPointUrl + "|" + OAuth2AuthAgent.KEY_ACCESS_TOKEN)).toEqual("accessToken");
+                expect(storage.getItem(endPointUrl + "|" + OAuth2AuthAgent.KEY_REFRESH_TOKEN)).toEqual("refreshToken");
+                expect(storage.getItem(OAuth2AuthAgent.KEY_ACCESS_TOKEN)).toBeNull();
+            });
+
+            it("should use the given namespace", function () {
+                authAgent = new OAuth2AuthAgent({namespace: "production"}, storage);
+                authAgent.setCAPI(mockCAPI);
+                authAgent._storeToken({access_token: "accessToken"});
+
+                expect(storage.getItem("production|" + OAuth2AuthAgent.KEY_ACCESS_TOKEN)).toEqual("accessToken");
+            });
+
+            it("should migrate the tokens stored under the keys without namespace", function () {
+                storeTokens("accessToken", "refreshToken", Date.now() + 3600 * 1000);
+
+                authAgent = new OAuth2AuthAgent({}, storage);
+                authAgent.setCAPI(mockCAPI);
+
+                expect(authAgent._hasValidAccessToken()).toBe(true);
+                expect(storage.getItem(endPointUrl + "|" + OAuth2AuthAgent.KEY_REFRESH_TOKEN)).toEqual("refreshToken");
+                expect(storage.getItem(OAuth2AuthAgent.KEY_ACCESS_TOKEN)).toBeNull();
+                expect(storage.getItem(OAuth2AuthAgent.KEY_REFRESH_TOKEN)).toBeNull();
+                expect(storage.getItem(OAuth2AuthAgent.KEY_EXPIRES_AT)).toBeNull();
+            });
+        });
+
+        describe("setCredentials", function () {
+            it("should set the credentials", function () {
+                authAgent.setCredentials({login: "other", password: "secret"});
+
+                expect(authAgent._login).toEqual("other");
+                expect(authAgent._password).toEqual("secret");
+            });
+        });
+    });
+});
@@ -0,0 +1,277 @@
+/* global define, describe, it, expect, beforeEach, jasmine, runs, waitsFor, Symbol */
+define(function (require) {
+    var Pager = require("utils/Pager"),
+        CAPIError = require("structures/CAPIError");
+
+    describe("Pager", function () {
+        var loadPage,
+            pager,
+            callback,
+            testCount,
+            withCount;
+
+        beforeEach(function () {
+            testCount = 5;
+            withCount = true;
+            callback = jasmine.createSpy('callback');
+
+            // mimics a list method, the list contains the numbers from 0 to testCount - 1
+            loadPage = jasmine.createSpy('loadPage').andCallFake(function (limit, offset, cb) {
+                var items = [],
+                    list,
+                    i;
+
+                for (i = offset; i < Math.min(offset + limit, testCount); i++) {
+                    items.push(i);
+                }
+                list = {"_media-type": "application/vnd.ez.api.Trash+json", "TrashItem": items};
+                if (withCount) {
+                    list.count = testCount;
+                }
+                cb(false, {document: {"Trash": list}});
+            });
+            pager = new Pager(loadPage, {pageSize: 2});
+        });
+
+        describe("extractList", function () {
+            it("should extract the items and the count of the list", function () {
+                expect(Pager.extractList({document: {"Trash": {"count": 3, "TrashItem": [1, 2]}}})).toEqual({
+                    items: [1, 2],
+                    totalCount: 3
+                });
+            });
+
+            it("should not have a total count if the list does not provide it", function () {
+                expect(Pager.extractList({document: {"LocationList": {"_href": "", "Location": [1]}}})).toEqual({
+                    items: [1],
+                    totalCount: null
+                });
+            });
+        });
+
+        describe("next", function () {
+            it("should load the pages one after the other", function () {
+                pager.next(callback);
+                expect(loadPage.mostRecentCall.args.slice(0, 2)).toEqual([2, 0]);
+                expect(callback).toHaveBeenCalledWith(false, [0, 1]);
+                expect(pager.hasNext()).toBe(true);
+
+                pager.next(callback);
+                expect(loadPage.mostRecentCall.args.slice(0, 2)).toEqual([2, 2]);
+                expect(callback).toHaveBeenCalledWith(false, [2, 3]);
+
+                pager.next(callback);
+                expect(callback).toHaveBeenCalledWith(false, [4]);
+                expect(pager.hasNext()).toBe(false);
+
+                pager.next(callback);
+                expect(callback.mostRecentCall.args).toEqual([false, []]);
+                expect(loadPage.callCount).toEqual(3);
+            });
+
+            it("should stop when the total count is reached", function () {
+                testCount = 4;
+                pager.next(callback);
+                pager.next(callback);
+
+                expect(pager.hasNext()).toBe(false);
+            });
+
+            it("should restart from the first page", function () {
+                pager.next(callback);
+                pager.reset();
+                pager.next(callback);
+
+                expect(loadPage.mostRecentCall.args.slice(0, 2)).toEqual([2, 0]);
+            });
+
+            it("should give the error of the page", function () {
+                var response = {status: 500};
+
+                loadPage.andCallFake(function (limit, offset, cb) {
+                    cb(new CAPIError("server error"), response);
+                });
+                pager.next(callback);
+
+                expect(callback).toHaveBeenCalledWith(jasmine.any(CAPIError), response);
+                expect(pager.hasNext()).toBe(true);
+            });
+        });
+
+        describe("getTotalCount", function () {
+            it("should give the count of the list", function () {
+                pager.getTotalCount(callback);
+
+                expect(callback).toHaveBeenCalledWith(false, 5);
+                expect(loadPage.callCount).toEqual(1);
+
+                pager.getTotalCount(callback);
+                expect(loadPage.callCount).toEqual(1);
+            });
+
+            it("should not know the total count before the last page", function () {
+                withCount = false;
+                pager.getTotalCount(callback);
+
+                expect(callback).toHaveBeenCalledWith(false, null);
+            });
+
+            it("should know the total count once the last page is loaded", function () {
+                withCount = false;
+                pager.next(callback);
+                pager.next(callback);
+                pager.next(callback);
+
+                expect(pager.totalCount).toEqual(5);
+            });
+        });
+
+        describe("forEach", function () {
+            it("should walk all the items", function () {
+                var items = [],
+                    indexes = [];
+
+                pager.forEach(function (item, index, done) {
+                    items.push(item);
+                    indexes.push(index);
+                    done();
+                }, callback);
+
+                expect(items).toEqual([0, 1, 2, 3, 4]);
+                expect(indexes).toEqual([0, 1, 2, 3, 4]);
+                expect(loadPage.callCount).toEqual(3);
+                expect(callback).toHaveBeenCalledWith(false, {count: 5, totalCount: 5});
+            });
+
+            it("should walk an empty list", function () {
+                var iteratee = jasmine.createSpy('iteratee');
+
+                testCount = 0;
+                pager.forEach(iteratee, callback);
+
+                expect(iteratee).not.toHaveBeenCalled();
+                expect(callback).toHaveBeenCalledWith(false, {count: 0, totalCount: 0});
+            });
+
+            it("should stop the walk", function () {
+                var items = [];
+
+                pager.forEach(function (item, index, done) {
+                    items.push(item);
+                    done(false, item === 2);
+                }, callback);
+
+                expect(items).toEqual([0, 1, 2]);
+                expect(loadPage.callCount).toEqual(2);
+                expect(callback).toHaveBeenCalledWith(false, {count: 3, totalCount: 5});
+            });
+
+            it("should limit the concurrency", function () {
+                var pending = [],
+                    maxRunning = 0;
+
+                pager = new Pager(loadPage, {pageSize: 3});
+                pager.forEach(function (item, index, done) {
+                    pending.push(done);
+                    maxRunning = Math.max(maxRunning, pending.length);
+                }, {concurrency: 2}, callback);
+
+                expect(pending.length).toEqual(2);
+                while (pending.length) {
+                    pending.shift()();
+                }
+
+                expect(maxRunning).toEqual(2);
+                expect(loadPage.callCount).toEqual(2);
+                expect(callback).toHaveBeenCalledWith(false, {count: 5, totalCount: 5});
+            });
+
+            it("should give the error of the iteratee", function () {
+                var error = new Error("render failed"),
+                    iteratee = jasmine.createSpy('iteratee').andCallFake(function (item, index, done) {
+                        done(error);
+                    });
+
+                pager.forEach(iteratee, callback);
+
+                expect(iteratee.callCount).toEqual(1);
+                expect(callback.callCount).toEqual(1);
+                expect(callback.mostRecentCall.args[0]).toBe(error);
+            });
+
+            it("should give the error of a page", function () {
+                var response = {status: 500};
+
+                pager.forEach(function (item, index, done) {
+                    loadPage.andCallFake(function (limit, offset, cb) {
+                        cb(new CAPIError("server error"), response);
+                    });
+                    done();
+                }, callback);
+
+                expect(callback).toHaveBeenCalledWith(jasmine.any(CAPIError), response);
+            });
+        });
+
+        describe("async iteration", function () {
+            var collect = function (iterable, items, done) {
+                    var iterator = iterable[Symbol.asyncIterator](),
+                        step = function () {
+                            iterator.next().then(function (item) {
+                                if (item.done) {
+                                    done(false);
+                                    return;
+                                }
+                                items.push(item.value);
+                                step();
+                            }, done);
+                        };
+
+                    step();
+                };
+
+            it("should iterate over all the items", function () {
+                var items = [],
+                    finished = false;
+
+                runs(function () {
+                    collect(pager, items, function () {
+                        finished = true;
+                    });
+                });
+
+                waitsFor(function () {
+                    return finished;
+                }, "the iteration to finish", 1000);
+
+                runs(function () {
+                    expect(items).toEqual([0, 1, 2, 3, 4]);
+                    expect(loadPage.callCount).toEqual(3);
+                });
+            });
+
+            it("should reject when a page can not be loaded", function () {
+                var items = [],
+                    error = null;
+
+                runs(function () {
+                    loadPage.andCallFake(function (limit, offset, cb) {
+                        cb(new CAPIError("server error"), {});
+                    });
+                    collect(pager, items, function (e) {
+                        error = e;
+                    });
+                });
+
+                waitsFor(function () {
+                    return error !== null;
+                }, "the iteration to fail", 1000);
+
+                runs(function () {
+                    expect(items).toEqual([]);
+                    expect(error).toEqual(jasmine.any(CAPIError));
+                });
+            });
+        });
+    });
+});
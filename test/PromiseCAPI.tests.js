@@ -1,8 +1,11 @@
-/* global define, describe, it, expect, beforeEach */
+/* global define, describe, it, expect, beforeEach, runs, waitsFor, spyOn, jasmine */
 define(function (require) {
 
     var PromiseCAPI = require("PromiseCAPI"),
-        PromiseService = require("services/PromiseService");
+        PromiseService = require("services/PromiseService"),
+        CAPI = require("CAPI"),
+        Response = require("structures/Response"),
+        q = require("q");
 
     describe("PromiseCAPI", function () {
 
@@ -25,7 +28,7 @@ define(function (require) {
             mockCAPI.somethingElse = function somethingElse() {};
             mockCAPI.andSomethingElse = "dummy string parameter";
 
-            promiseCAPI = new PromiseCAPI(mockCAPI);
+            promiseCAPI = new PromiseCAPI(mockCAPI, q);
         });
 
         it("is running constructor correctly (auto-generating promise-based services based on every existing CAPI service)", function () {
@@ -52,6 +55,73 @@ define(function (require) {
             expect(anotherPromiseContentService).toBe(promiseContentService);
         });
 
+        it("is giving the promise library to the promise-based services", function () {
+            var promiseLib = jasmine.createSpy('promiseLib');
+
+            promiseCAPI = new PromiseCAPI(mockCAPI, promiseLib);
+
+            expect(promiseCAPI.getContentService().loadRoot()).toEqual(jasmine.any(promiseLib));
+            expect(promiseLib).toHaveBeenCalledWith(jasmine.any(Function));
+        });
+
+        it("is following the links with the promise-based NavigationService", function () {
+            var promise = {},
+                mockNavigationService = {follow: function () {}},
+                resource = {},
+                params = {};
+
+            mockCAPI.getNavigationService = function () {
+                return mockNavigationService;
+            };
+            mockCAPI.follow = function () {};
+            promiseCAPI = new PromiseCAPI(mockCAPI, q);
+            spyOn(promiseCAPI.getNavigationService(), 'follow').andReturn(promise);
+
+            expect(promiseCAPI.follow(resource, "Children", params)).toBe(promise);
+            expect(promiseCAPI.getNavigationService().follow).toHaveBeenCalledWith(resource, "Children", params);
+        });
+
+        describe("with a CAPI", function () {
+            var MockConnection = function () {};
+
+            MockConnection.isCompatible = function () {
+                return true;
+            };
+            MockConnection.prototype.execute = function (request, callback) {
+                callback(false, new Response({
+                    status: 200,
+                    headers: "",
+                    body: JSON.stringify({"Root": {}})
+                }));
+            };
+
+            beforeEach(function () {
+                promiseCAPI = new PromiseCAPI(new CAPI("http://ez.git.local", {
+                    setCAPI: function () {},
+                    ensureAuthentication: function (done) {
+                        done(false, true);
+                    },
+                    authenticateRequest: function (request, done) {
+                        done(false, request);
+                    }
+                }, {connectionStack: [{connection: MockConnection}]}), q);
+            });
+
+            it("is calling the methods of the services bound to the request handles", function () {
+                var result = jasmine.createSpy('result');
+
+                runs(function () {
+                    promiseCAPI.getContentService().loadRoot().then(result);
+                });
+                waitsFor(function () {
+                    return result.callCount;
+                }, "Waiting for promise to be fulfilled", 100);
+                runs(function () {
+                    expect(result.mostRecentCall.args[0].document).toEqual({"Root": {}});
+                });
+            });
+        });
+
 
 
     });
@@ -1,7 +1,8 @@
-/* global define, describe, it, expect, beforeEach, runs, waitsFor, spyOn, eZ */
+/* global define, describe, it, expect, beforeEach, afterEach, runs, waitsFor, jasmine, eZ */
 define(function (require) {
 
-    var PromiseService = require("services/PromiseService");
+    var PromiseService = require("services/PromiseService"),
+        q = require("q");
 
     require("jasmineCAPIMatchers");
 
@@ -22,25 +23,36 @@ define(function (require) {
                         function (error) {
                             promiseError = error;
                         }
-                    ).done();
+                    );
                 });
             };
 
 
         beforeEach(function () {
-
-            eZ.addJasmineCAPIMatchers.call(this);
-
             mockService = {};
 
             // mock call
             mockService.loadRoot = function loadRoot(rootPath, callback) {
                 callback(false, true);
             };
+            // mock call with optional arguments
+            mockService.loadChildren = function loadChildren(id, limit, offset, callback) {
+                if (arguments.length < 4) {
+                    callback = arguments[arguments.length - 1];
+                }
+                callback(false, Array.prototype.slice.call(arguments, 0, -1));
+            };
             // structure constructor (should be ignored)
-            mockService.newContentUpdateStruct = function newContentUpdateStruct() {};
+            mockService.newContentUpdateStruct = function newContentUpdateStruct(identifier, language) {
+                return {identifier: identifier, language: language, service: this};
+            };
+            // pager constructor (should be ignored)
+            mockService.newTrashItemsPager = function newTrashItemsPager(options) {
+                return {options: options, service: this};
+            };
 
-            promiseService = new PromiseService(mockService);
+            // PhantomJS does not provide native promises
+            promiseService = new PromiseService(mockService, q);
 
             promiseSuccess = false;
             promiseError = false;
@@ -71,16 +83,104 @@ define(function (require) {
 
         });
 
-        // *****************
-        // Cases with errors
-        it("is throwing exception when supplied number of arguments is incorrect", function () {
-            expect(promiseService.loadRoot).toThrowCAPIError();
+        describe("without a promise library", function () {
+            var originalPromise;
+
+            beforeEach(function () {
+                eZ.addJasmineCAPIMatchers.call(this);
+                originalPromise = window.Promise;
+            });
+
+            afterEach(function () {
+                window.Promise = originalPromise;
+            });
+
+            it("is returning native promises by default", function () {
+                var MockPromise = function (executor) {
+                        executor(function () {}, function () {});
+                    };
+
+                window.Promise = MockPromise;
+                promiseService = new PromiseService(mockService);
+
+                expect(promiseService.loadRoot(testRootPath)).toEqual(jasmine.any(MockPromise));
+            });
+
+            it("is throwing an error if there is no native promise", function () {
+                window.Promise = undefined;
+
+                expect(function () {
+                    new PromiseService(mockService);
+                }).toThrowCAPIError();
+            });
         });
 
-        it("is running generated promise-based calls correctly when promise is rejected", function () {
-            // Do not output Q related warning about rejection handling
-            spyOn(console, "warn");
+        it("is supporting the omitted optional arguments", function () {
+            handlePromise(promiseService.loadChildren("/locations/1/2"));
+
+            waitsFor(function () {
+                return promiseSuccess;
+            }, "Waiting for promise to be fulfilled", 100);
+
+            runs(function () {
+                expect(promiseSuccess).toEqual(["/locations/1/2"]);
+            });
+        });
+
+        it("is passing all the given arguments", function () {
+            handlePromise(promiseService.loadChildren("/locations/1/2", 10, 20));
+
+            waitsFor(function () {
+                return promiseSuccess;
+            }, "Waiting for promise to be fulfilled", 100);
 
+            runs(function () {
+                expect(promiseSuccess).toEqual(["/locations/1/2", 10, 20]);
+            });
+        });
+
+        it("is mapping the structure constructors with their arguments", function () {
+            var struct = promiseService.newContentUpdateStruct("id", "eng-GB");
+
+            expect(struct).toEqual({identifier: "id", language: "eng-GB", service: mockService});
+        });
+
+        it("is mapping the pager constructors with their arguments", function () {
+            var options = {pageSize: 10};
+
+            expect(promiseService.newTrashItemsPager(options)).toEqual({options: options, service: mockService});
+        });
+
+        it("is using an injected Promise constructor", function () {
+            var MockPromise = jasmine.createSpy('MockPromise').andCallFake(function (executor) {
+                    executor(function () {}, function () {});
+                });
+
+            promiseService = new PromiseService(mockService, MockPromise);
+
+            expect(promiseService.loadRoot(testRootPath)).toEqual(jasmine.any(MockPromise));
+            expect(MockPromise).toHaveBeenCalledWith(jasmine.any(Function));
+        });
+
+        it("is using an injected library providing deferreds", function () {
+            promise = promiseService.loadRoot(testRootPath);
+
+            expect(q.isPromise(promise)).toBe(true);
+
+            handlePromise(promise);
+
+            waitsFor(function () {
+                return promiseSuccess;
+            }, "Waiting for promise to be fulfilled", 100);
+
+            runs(function () {
+                expect(promiseSuccess).toBe(true);
+            });
+        });
+
+        // *****************
+        // Cases with errors
+        it("is running generated promise-based calls correctly when promise is rejected", function () {
             mockService = {};
             // mock call
             mockService.loadRoot = function loadRoot(rootPath, callback) {
@@ -88,7 +188,7 @@ define(function (require) {
                 callback(new Error("Test Error"), false);
             };
 
-            promiseService = new PromiseService(mockService);
+            promiseService = new PromiseService(mockService, q);
             promise = promiseService.loadRoot(testRootPath);
 
             handlePromise(promise);
@@ -100,7 +200,6 @@ define(function (require) {
             runs(function () {
                 expect(promiseSuccess).toBeFalsy();
                 expect(promiseError).toBeTruthy();
-                expect(console.warn.callCount).toBe(1);
             });
 
         });
@@ -0,0 +1,181 @@
+/* global define, describe, it, expect, beforeEach, jasmine */
+define(function (require) {
+    var QueryBuilder = require("structures/QueryBuilder"),
+        ViewCreateStruct = require("structures/ViewCreateStruct"),
+        CAPIError = require("structures/CAPIError");
+
+    describe("QueryBuilder", function () {
+        var query;
+
+        beforeEach(function () {
+            query = new QueryBuilder();
+        });
+
+        describe("criteria", function () {
+            it("should create the value criteria", function () {
+                expect(QueryBuilder.contentTypeIdentifier("folder")).toEqual({"ContentTypeIdentifierCriterion": "folder"});
+                expect(QueryBuilder.parentLocationId([2, 43])).toEqual({"ParentLocationIdCriterion": [2, 43]});
+                expect(QueryBuilder.subtree("/1/2/")).toEqual({"SubtreeCriterion": "/1/2/"});
+                expect(QueryBuilder.sectionId(1)).toEqual({"SectionIdCriterion": 1});
+                expect(QueryBuilder.objectStateId(2)).toEqual({"ObjectStateIdCriterion": 2});
+                expect(QueryBuilder.languageCode("eng-GB")).toEqual({"LanguageCodeCriterion": "eng-GB"});
+                expect(QueryBuilder.fullText("ez")).toEqual({"FullTextCriterion": "ez"});
+                expect(QueryBuilder.visibility("HIDDEN")).toEqual({"VisibilityCriterion": "HIDDEN"});
+            });
+
+            it("should create the Field criterion", function () {
+                expect(QueryBuilder.field("title", "LIKE", "ez*")).toEqual({
+                    "FieldCriterion": {"target": "title", "operator": "LIKE", "value": "ez*"}
+                });
+            });
+
+            it("should create the DateMetadata criterion", function () {
+                expect(QueryBuilder.dateMetadata("modified", "BETWEEN", [1400000000, 1500000000])).toEqual({
+                    "DateMetadataCriterion": {"Target": "modified", "Operator": "BETWEEN", "Value": [1400000000, 1500000000]}
+                });
+            });
+
+            it("should combine the criteria", function () {
+                var folder = QueryBuilder.contentTypeIdentifier("folder"),
+                    section = QueryBuilder.sectionId(1);
+
+                expect(QueryBuilder.and(folder, section)).toEqual({"AND": [folder, section]});
+                expect(QueryBuilder.or(folder, section)).toEqual({"OR": [folder, section]});
+                expect(QueryBuilder.not(folder)).toEqual({"NOT": folder});
+                expect(QueryBuilder.and(QueryBuilder.or(folder, section), QueryBuilder.not(folder))).toEqual({
+                    "AND": [{"OR": [folder, section]}, {"NOT": folder}]
+                });
+            });
+
+            it("should reject an invalid operator", function () {
+                expect(function () {
+                    QueryBuilder.field("title", "MATCHES", "ez");
+                }).toThrow();
+                expect(function () {
+                    QueryBuilder.dateMetadata("modified", "LIKE", 1400000000);
+                }).toThrow();
+            });
+
+            it("should throw a CAPIError describing the invalid operator", function () {
+                var error;
+
+                try {
+                    QueryBuilder.field("title", "MATCHES", "ez");
+                } catch (e) {
+                    error = e;
+                }
+
+                expect(error).toEqual(jasmine.any(CAPIError));
+                expect(error.details).toEqual({criterion: "Field", operator: "MATCHES", value: "ez"});
+            });
+
+            it("should check the value of the operator", function () {
+                expect(function () {
+                    QueryBuilder.field("title", "IN", "ez");
+                }).toThrow();
+                expect(function () {
+                    QueryBuilder.field("price", "BETWEEN", [1]);
+                }).toThrow();
+                expect(function () {
+                    QueryBuilder.field("title", "EQ", ["ez"]);
+                }).toThrow();
+            });
+
+            it("should reject the invalid criteria", function () {
+                expect(function () {
+                    QueryBuilder.dateMetadata("published", "GT", 1400000000);
+                }).toThrow();
+                expect(function () {
+                    QueryBuilder.visibility(true);
+                }).toThrow();
+                expect(function () {
+                    QueryBuilder.subtree("1/2");
+                }).toThrow();
+                expect(function () {
+                    QueryBuilder.sectionId([]);
+                }).toThrow();
+                expect(function () {
+                    QueryBuilder.fullText("");
+                }).toThrow();
+                expect(function () {
+                    QueryBuilder.and(QueryBuilder.sectionId(1));
+                }).toThrow();
+                expect(function () {
+                    QueryBuilder.not({"SectionId": 1});
+                }).toThrow();
+            });
+        });
+
+        describe("build", function () {
+            it("should build a ViewCreateStruct", function () {
+                var struct = query.build("my-view");
+
+                expect(struct).toEqual(jasmine.any(ViewCreateStruct));
+                expect(struct.body.ViewInput.identifier).toEqual("my-view");
+                expect(struct.body.ViewInput.Query.Criteria).toEqual({});
+            });
+
+            it("should write the criterion", function () {
+                var struct = query.where(QueryBuilder.subtree("/1/2/")).build("my-view");
+
+                expect(struct.body.ViewInput.Query.Criteria).toEqual({"SubtreeCriterion": "/1/2/"});
+            });
+
+            it("should combine the criteria with AND", function () {
+                var struct = query
+                        .where(QueryBuilder.subtree("/1/2/"))
+                        .where(QueryBuilder.contentTypeIdentifier("article"))
+                        .build("my-view");
+
+                expect(struct.body.ViewInput.Query.Criteria).toEqual({
+                    "AND": [{"SubtreeCriterion": "/1/2/"}, {"ContentTypeIdentifierCriterion": "article"}]
+                });
+            });
+
+            it("should write the sort clauses, the facet builders, the limit and the offset", function () {
+                var struct = query
+                        .sortBy("DatePublished", "descending")
+                        .sortBy("ContentName")
+                        .facet("ContentType", {name: "types", limit: 10})
+                        .limit(20)
+                        .offset(40)
+                        .build("my-view"),
+                    body = struct.body.ViewInput.Query;
+
+                expect(body.SortClauses).toEqual({"DatePublished": "descending", "ContentName": "ascending"});
+                expect(body.FacetBuilders).toEqual({"ContentTypeFacetBuilder": {name: "types", limit: 10}});
+                expect(body.limit).toEqual(20);
+                expect(body.offset).toEqual(40);
+            });
+
+            it("should apply the query to an existing struct", function () {
+                var struct = new ViewCreateStruct("my-view");
+
+                expect(query.where(QueryBuilder.sectionId(1)).applyTo(struct)).toBe(struct);
+                expect(struct.body.ViewInput.Query.Criteria).toEqual({"SectionIdCriterion": 1});
+                expect(struct.body.ViewInput.Query.limit).toBeUndefined();
+            });
+
+            it("should reject the invalid sort clauses, facet builders and limits", function () {
+                expect(function () {
+                    query.sortBy("Title");
+                }).toThrow();
+                expect(function () {
+                    query.sortBy("ContentName", "up");
+                }).toThrow();
+                expect(function () {
+                    query.facet("Tag");
+                }).toThrow();
+                expect(function () {
+                    query.limit(-1);
+                }).toThrow();
+                expect(function () {
+                    query.offset(1.5);
+                }).toThrow();
+                expect(function () {
+                    query.where({});
+                }).toThrow();
+            });
+        });
+    });
+});
@@ -0,0 +1,108 @@
+/* global define, describe, it, expect, beforeEach, afterEach, jasmine */
+define(function (require) {
+
+    var RequestHandle = require("structures/RequestHandle"),
+        RequestAbortedError = require("structures/RequestAbortedError"),
+        RequestTimeoutError = require("structures/RequestTimeoutError"),
+        CAPIError = require("structures/CAPIError");
+
+    describe("RequestHandle", function () {
+        var handle,
+            cancel;
+
+        beforeEach(function () {
+            handle = new RequestHandle();
+            cancel = jasmine.createSpy('cancel');
+        });
+
+        it("should not be aborted by default", function () {
+            expect(handle.aborted).toBe(false);
+        });
+
+        describe("abort", function () {
+            it("should cancel the pending requests", function () {
+                handle._register(cancel);
+                handle.abort();
+
+                expect(handle.aborted).toBe(true);
+                expect(cancel).toHaveBeenCalledWith(RequestAbortedError, jasmine.any(String));
+            });
+
+            it("should not cancel the unregistered requests", function () {
+                handle._register(cancel)();
+                handle.abort();
+
+                expect(cancel).not.toHaveBeenCalled();
+            });
+
+            it("should cancel all the pending requests when they unregister themselves", function () {
+                var otherCancel = jasmine.createSpy('otherCancel'),
+                    unregister = handle._register(cancel),
+                    otherUnregister = handle._register(otherCancel);
+
+                cancel.andCallFake(unregister);
+                otherCancel.andCallFake(otherUnregister);
+                handle.abort();
+
+                expect(cancel).toHaveBeenCalled();
+                expect(otherCancel).toHaveBeenCalled();
+            });
+
+            it("should cancel the pending requests only once", function () {
+                handle._register(cancel);
+                handle.abort();
+                handle.abort();
+
+                expect(cancel.callCount).toEqual(1);
+            });
+        });
+
+        describe("timeout", function () {
+            beforeEach(function () {
+                jasmine.Clock.useMock();
+            });
+
+            afterEach(function () {
+                jasmine.Clock.reset();
+            });
+
+            it("should return the handle", function () {
+                expect(handle.timeout(100)).toBe(handle);
+            });
+
+            it("should cancel the pending requests after the delay", function () {
+                handle._register(cancel);
+                handle.timeout(100);
+
+                jasmine.Clock.tick(99);
+                expect(cancel).not.toHaveBeenCalled();
+
+                jasmine.Clock.tick(1);
+                expect(handle.aborted).toBe(true);
+                expect(cancel).toHaveBeenCalledWith(RequestTimeoutError, "The request timed out after 100ms.");
+            });
+
+            it("should not cancel anything once the call is finished", function () {
+                handle._register(cancel);
+                handle.timeout(100);
+                handle._finish();
+
+                jasmine.Clock.tick(100);
+                expect(handle.aborted).toBe(false);
+                expect(cancel).not.toHaveBeenCalled();
+            });
+        });
+
+        describe("errors", function () {
+            it("should be CAPIErrors", function () {
+                var aborted = new RequestAbortedError("aborted", {}),
+                    timedOut = new RequestTimeoutError("timed out", {});
+
+                expect(aborted instanceof CAPIError).toBe(true);
+                expect(aborted.name).toEqual("RequestAbortedError");
+                expect(timedOut instanceof CAPIError).toBe(true);
+                expect(timedOut.name).toEqual("RequestTimeoutError");
+            });
+        });
+    });
+});
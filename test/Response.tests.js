@@ -58,5 +58,15 @@ define(function (require) {
             response.getHeader(header);
             expect(xhr.getResponseHeader).toHaveBeenCalledWith(header);
         });
+
+        it("should read the raw headers when there is no XHR object", function () {
+            var response = new Response({
+                    headers: "Content-Type: application/json\r\nLocation: /api/ezp/v2/content/objects/1\r\n"
+                });
+
+            expect(response.getHeader('location')).toEqual("/api/ezp/v2/content/objects/1");
+            expect(response.getHeader('Content-Type')).toEqual("application/json");
+            expect(response.getHeader('ETag')).toBeNull();
+        });
     });
 });
@@ -0,0 +1,109 @@
+/* global define, describe, it, expect, beforeEach, jasmine, spyOn */
+define(function (require) {
+
+    var RetryPolicy = require("RetryPolicy"),
+        Request = require("structures/Request"),
+        Response = require("structures/Response");
+
+    describe("RetryPolicy", function () {
+        var policy,
+            getRequest,
+            failedResponse;
+
+        beforeEach(function () {
+            policy = new RetryPolicy({jitter: false});
+            getRequest = new Request({method: "GET", url: "/api/ezp/v2/"});
+            failedResponse = new Response({status: 503});
+        });
+
+        describe("shouldRetry", function () {
+            it("should retry the safe methods", function () {
+                expect(policy.shouldRetry(getRequest, failedResponse, 1)).toBe(true);
+                expect(policy.shouldRetry(new Request({method: "HEAD"}), failedResponse, 1)).toBe(true);
+                expect(policy.shouldRetry(new Request({method: "options"}), failedResponse, 1)).toBe(true);
+            });
+
+            it("should retry the connection errors", function () {
+                expect(policy.shouldRetry(getRequest, false, 1)).toBe(true);
+                expect(policy.shouldRetry(getRequest, new Response({status: 0}), 1)).toBe(true);
+            });
+
+            it("should not retry the other errors", function () {
+                expect(policy.shouldRetry(getRequest, new Response({status: 404}), 1)).toBe(false);
+                expect(policy.shouldRetry(getRequest, new Response({status: 500}), 1)).toBe(false);
+            });
+
+            it("should stop after the maximum number of attempts", function () {
+                expect(policy.shouldRetry(getRequest, failedResponse, 2)).toBe(true);
+                expect(policy.shouldRetry(getRequest, failedResponse, 3)).toBe(false);
+            });
+
+            it("should not retry the unsafe methods by default", function () {
+                expect(policy.shouldRetry(new Request({method: "PUBLISH"}), failedResponse, 1)).toBe(false);
+                expect(policy.shouldRetry(new Request({method: "POST"}), failedResponse, 1)).toBe(false);
+            });
+
+            it("should ask the retryUnsafe function for the unsafe methods", function () {
+                var publishRequest = new Request({method: "PUBLISH"}),
+                    retryUnsafe = jasmine.createSpy('retryUnsafe').andCallFake(function (request) {
+                        return request.method === "PUBLISH";
+                    });
+
+                policy = new RetryPolicy({retryUnsafe: retryUnsafe});
+
+                expect(policy.shouldRetry(publishRequest, failedResponse, 1)).toBe(true);
+                expect(retryUnsafe).toHaveBeenCalledWith(publishRequest, failedResponse, 1);
+                expect(policy.shouldRetry(new Request({method: "COPY"}), failedResponse, 1)).toBe(false);
+            });
+
+            it("should not retry when Retry-After exceeds the maximum delay", function () {
+                failedResponse.headers = "Retry-After: 120\r\n";
+
+                expect(policy.shouldRetry(getRequest, failedResponse, 1)).toBe(false);
+            });
+        });
+
+        describe("getDelay", function () {
+            it("should grow exponentially", function () {
+                expect(policy.getDelay(failedResponse, 1)).toEqual(200);
+                expect(policy.getDelay(failedResponse, 2)).toEqual(400);
+                expect(policy.getDelay(failedResponse, 3)).toEqual(800);
+            });
+
+            it("should not exceed the maximum delay", function () {
+                policy = new RetryPolicy({jitter: false, maxDelay: 1000});
+
+                expect(policy.getDelay(failedResponse, 10)).toEqual(1000);
+            });
+
+            it("should randomize the delay", function () {
+                policy = new RetryPolicy();
+                spyOn(Math, 'random').andReturn(0.5);
+
+                expect(policy.getDelay(failedResponse, 2)).toEqual(300);
+            });
+
+            it("should use the Retry-After header in seconds", function () {
+                failedResponse.headers = "Retry-After: 2\r\n";
+
+                expect(policy.getDelay(failedResponse, 1)).toEqual(2000);
+            });
+
+            it("should use the Retry-After header as a date", function () {
+                var delay;
+
+                failedResponse.headers = "Retry-After: " + new Date(Date.now() + 5000).toUTCString() + "\r\n";
+                delay = policy.getDelay(failedResponse, 1);
+
+                expect(delay).toBeGreaterThan(3000);
+                expect(delay).not.toBeGreaterThan(5000);
+            });
+
+            it("should ignore an invalid Retry-After header", function () {
+                failedResponse.headers = "Retry-After: soon\r\n";
+
+                expect(policy.getDelay(failedResponse, 1)).toEqual(200);
+            });
+        });
+    });
+});
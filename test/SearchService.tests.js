@@ -0,0 +1,294 @@
+/* global define, describe, it, expect, beforeEach, jasmine, spyOn, runs, waitsFor, Symbol */
+define(function (require) {
+
+    // Declaring dependencies
+    var SearchService = require("services/SearchService"),
+        SearchResult = require("structures/SearchResult"),
+        QueryBuilder = require("structures/QueryBuilder"),
+        ViewCreateStruct = require("structures/ViewCreateStruct"),
+        CAPIError = require("structures/CAPIError");
+
+    describe("Search Service", function () {
+
+        var mockConnectionManager,
+            mockDiscoveryService,
+            mockCallback,
+            searchService,
+            testViews = "/api/ezp/v2/content/views",
+            testTotalCount = 5,
+            getQuery = function (limit) {
+                return new QueryBuilder().where(QueryBuilder.contentTypeIdentifier("article")).limit(limit);
+            },
+            getRequestQuery = function (call) {
+                return JSON.parse(call.args[2]).ViewInput.Query;
+            };
+
+        beforeEach(function () {
+            mockCallback = jasmine.createSpy('mockCallback');
+            mockDiscoveryService = {
+                getInfoObject: function (name, callback) {
+                    if (name === "views") {
+                        callback(false, {"_href": testViews});
+                    } else {
+                        callback(new CAPIError("Discover service failed to find object with name '" + name + "'"), false);
+                    }
+                }
+            };
+            spyOn(mockDiscoveryService, 'getInfoObject').andCallThrough();
+
+            // the results are 5 Content items named "Content 0" to "Content 4"
+            mockConnectionManager = {
+                request: function (method, url, body, headers, callback) {
+                    var query = JSON.parse(body).ViewInput.Query,
+                        hits = [],
+                        i;
+
+                    for (i = query.offset; i < Math.min(query.offset + query.limit, testTotalCount); i++) {
+                        hits.push({"_score": 1, "value": {"_media-type": "", "Content": {"Name": "Content " + i}}});
+                    }
+                    callback(false, {
+                        document: {
+                            "View": {
+                                "Result": {
+                                    "count": testTotalCount,
+                                    "searchHits": {"searchHit": hits},
+                                    "facets": {"facet": []}
+                                }
+                            }
+                        }
+                    });
+                }
+            };
+            spyOn(mockConnectionManager, 'request').andCallThrough();
+
+            searchService = new SearchService(mockConnectionManager, mockDiscoveryService);
+        });
+
+        describe("search", function () {
+            it("should run the query as a View", function () {
+                searchService.search(getQuery(2), mockCallback);
+
+                expect(mockDiscoveryService.getInfoObject).toHaveBeenCalledWith("views", jasmine.any(Function));
+                expect(mockConnectionManager.request).toHaveBeenCalledWith(
+                    "POST",
+                    testViews,
+                    jasmine.any(String),
+                    {"Accept": "application/vnd.ez.api.View+json", "Content-Type": "application/vnd.ez.api.ViewInput+json"},
+                    jasmine.any(Function)
+                );
+                expect(getRequestQuery(mockConnectionManager.request.mostRecentCall)).toEqual({
+                    "Criteria": {"ContentTypeIdentifierCriterion": "article"},
+                    "offset": 0,
+                    "limit": 2,
+                    "FacetBuilders": {},
+                    "SortClauses": {},
+                    "spellcheck": false
+                });
+            });
+
+            it("should give the first page of the results", function () {
+                var result;
+
+                searchService.search(getQuery(2), mockCallback);
+                result = mockCallback.mostRecentCall.args[1];
+
+                expect(mockCallback.mostRecentCall.args[0]).toBe(false);
+                expect(result).toEqual(jasmine.any(SearchResult));
+                expect(result.totalCount).toEqual(testTotalCount);
+                expect(result.offset).toEqual(0);
+                expect(result.limit).toEqual(2);
+                expect(result.facets).toEqual({"facet": []});
+                expect(result.hits).toEqual([
+                    {type: "Content", value: {"Name": "Content 0"}, score: 1},
+                    {type: "Content", value: {"Name": "Content 1"}, score: 1}
+                ]);
+            });
+
+            it("should run a ViewCreateStruct", function () {
+                var struct = new ViewCreateStruct("my-view");
+
+                struct.body.ViewInput.Query.limit = 3;
+                searchService.search(struct, mockCallback);
+
+                expect(mockConnectionManager.request.mostRecentCall.args[2]).toEqual(JSON.stringify(struct.body));
+                expect(mockCallback.mostRecentCall.args[1].hits.length).toEqual(3);
+            });
+
+            it("should set the default limit without changing the query", function () {
+                var struct = new ViewCreateStruct("my-view");
+
+                searchService.search(struct, mockCallback);
+
+                expect(getRequestQuery(mockConnectionManager.request.mostRecentCall).limit).toEqual(SearchService.DEFAULT_LIMIT);
+                expect(struct.body.ViewInput.Query.limit).toBeUndefined();
+            });
+
+            it("should give a unique identifier to each query", function () {
+                searchService.search(getQuery(2), mockCallback);
+                searchService.search(getQuery(2), mockCallback);
+
+                expect(JSON.parse(mockConnectionManager.request.calls[0].args[2]).ViewInput.identifier).not.toEqual(
+                    JSON.parse(mockConnectionManager.request.calls[1].args[2]).ViewInput.identifier
+                );
+            });
+
+            it("should give the discovery error", function () {
+                mockDiscoveryService.getInfoObject.andCallFake(function (name, callback) {
+                    callback(new CAPIError("unsupported"), false);
+                });
+                searchService.search(getQuery(2), mockCallback);
+
+                expect(mockConnectionManager.request).not.toHaveBeenCalled();
+                expect(mockCallback).toHaveBeenCalledWith(jasmine.any(CAPIError), false);
+            });
+
+            it("should give the request error", function () {
+                var response = {status: 400};
+
+                mockConnectionManager.request.andCallFake(function (method, url, body, headers, callback) {
+                    callback(new CAPIError("bad request"), response);
+                });
+                searchService.search(getQuery(2), mockCallback);
+
+                expect(mockCallback).toHaveBeenCalledWith(jasmine.any(CAPIError), response);
+            });
+        });
+
+        describe("paging", function () {
+            it("should load the next pages", function () {
+                var result;
+
+                searchService.search(getQuery(2), mockCallback);
+                result = mockCallback.mostRecentCall.args[1];
+                expect(result.hasNext()).toBe(true);
+
+                result.next(mockCallback);
+                result = mockCallback.mostRecentCall.args[1];
+                expect(getRequestQuery(mockConnectionManager.request.mostRecentCall).offset).toEqual(2);
+                expect(result.offset).toEqual(2);
+                expect(result.hits[0].value.Name).toEqual("Content 2");
+                expect(result.hasNext()).toBe(true);
+
+                result.next(mockCallback);
+                result = mockCallback.mostRecentCall.args[1];
+                expect(result.hits.length).toEqual(1);
+                expect(result.hits[0].value.Name).toEqual("Content 4");
+                expect(result.hasNext()).toBe(false);
+            });
+
+            it("should not have a next page without hits", function () {
+                testTotalCount = 0;
+                searchService.search(getQuery(2), mockCallback);
+                testTotalCount = 5;
+
+                expect(mockCallback.mostRecentCall.args[1].hasNext()).toBe(false);
+            });
+        });
+
+        describe("stream", function () {
+            it("should walk all the results page by page", function () {
+                var names = [],
+                    indexes = [];
+
+                searchService.stream(getQuery(2), function (hit, index) {
+                    names.push(hit.value.Name);
+                    indexes.push(index);
+                }, mockCallback);
+
+                expect(names).toEqual(["Content 0", "Content 1", "Content 2", "Content 3", "Content 4"]);
+                expect(indexes).toEqual([0, 1, 2, 3, 4]);
+                expect(mockConnectionManager.request.callCount).toEqual(3);
+                expect(mockCallback).toHaveBeenCalledWith(false, testTotalCount);
+            });
+
+            it("should stop when the hit function returns false", function () {
+                var names = [];
+
+                searchService.stream(getQuery(2), function (hit) {
+                    names.push(hit.value.Name);
+                    return names.length < 3;
+                }, mockCallback);
+
+                expect(names).toEqual(["Content 0", "Content 1", "Content 2"]);
+                expect(mockConnectionManager.request.callCount).toEqual(2);
+                expect(mockCallback).toHaveBeenCalledWith(false, testTotalCount);
+            });
+
+            it("should give the error of a page", function () {
+                var response = {status: 500};
+
+                searchService.stream(getQuery(2), function () {
+                    mockConnectionManager.request.andCallFake(function (method, url, body, headers, callback) {
+                        callback(new CAPIError("server error"), response);
+                    });
+                }, mockCallback);
+
+                expect(mockCallback).toHaveBeenCalledWith(jasmine.any(CAPIError), response);
+            });
+        });
+
+        describe("async iteration", function () {
+            var collect = function (result, names, done) {
+                    var iterator = result[Symbol.asyncIterator](),
+                        step = function () {
+                            iterator.next().then(function (item) {
+                                if (item.done) {
+                                    done(false);
+                                    return;
+                                }
+                                names.push(item.value.value.Name);
+                                step();
+                            }, done);
+                        };
+
+                    step();
+                };
+
+            it("should iterate over all the results", function () {
+                var names = [],
+                    finished = false;
+
+                runs(function () {
+                    searchService.search(getQuery(2), mockCallback);
+                    collect(mockCallback.mostRecentCall.args[1], names, function () {
+                        finished = true;
+                    });
+                });
+
+                waitsFor(function () {
+                    return finished;
+                }, "the iteration to finish", 1000);
+
+                runs(function () {
+                    expect(names).toEqual(["Content 0", "Content 1", "Content 2", "Content 3", "Content 4"]);
+                    expect(mockConnectionManager.request.callCount).toEqual(3);
+                });
+            });
+
+            it("should reject when a page can not be loaded", function () {
+                var names = [],
+                    error = null;
+
+                runs(function () {
+                    searchService.search(getQuery(2), mockCallback);
+                    mockConnectionManager.request.andCallFake(function (method, url, body, headers, callback) {
+                        callback(new CAPIError("server error"), {});
+                    });
+                    collect(mockCallback.mostRecentCall.args[1], names, function (e) {
+                        error = e;
+                    });
+                });
+
+                waitsFor(function () {
+                    return error !== null;
+                }, "the iteration to fail", 1000);
+
+                runs(function () {
+                    expect(names).toEqual(["Content 0", "Content 1"]);
+                    expect(error).toEqual(jasmine.any(CAPIError));
+                });
+            });
+        });
+    });
+
+});
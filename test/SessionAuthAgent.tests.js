@@ -1,5 +1,7 @@
-/* global define, describe, it, expect, beforeEach, jasmine, spyOn */
-define(["authAgents/SessionAuthAgent", "structures/CAPIError"], function (SessionAuthAgent, CAPIError) {
+/* global define, describe, it, expect, beforeEach, afterEach, jasmine, spyOn, runs, waitsFor */
+define(["authAgents/SessionAuthAgent", "structures/CAPIError", "storages/InMemoryStorage", "storages/CachedStorage",
+        "storages/EncryptedStorage", "jasmineFakeWebCrypto"],
+    function (SessionAuthAgent, CAPIError, InMemoryStorage, CachedStorage, EncryptedStorage, FakeWebCrypto) {
     describe("Session Authorization Agent", function () {
 
         var testLogin = "login",
@@ -78,6 +80,9 @@ define(["authAgents/SessionAuthAgent", "structures/CAPIError"], function (Sessio
             mockCAPI = {
                 getUserService: function (){
                     return mockUserService;
+                },
+                getEndPointUrl: function () {
+                    return "";
                 }
             };
 
@@ -97,6 +102,20 @@ define(["authAgents/SessionAuthAgent", "structures/CAPIError"], function (Sessio
                 expect(sessionAuthAgent._storage).not.toBeNull();
                 expect(sessionAuthAgent._storage.setItem).not.toBeUndefined();
             });
+
+            it("should use an InMemoryStorage if the localStorage is not available", function () {
+                var originalStorage = window.localStorage,
+                    sessionAuthAgent;
+
+                window.localStorage = null;
+                sessionAuthAgent = new SessionAuthAgent({
+                    login: testLogin,
+                    password: testPassword
+                });
+                window.localStorage = originalStorage;
+
+                expect(sessionAuthAgent._storage instanceof InMemoryStorage).toBeTruthy();
+            });
         });
 
         describe("Existing session", function () {
@@ -189,6 +208,9 @@ define(["authAgents/SessionAuthAgent", "structures/CAPIError"], function (Sessio
                 capi = {
                     getUserService: function () {
                         return userService;
+                    },
+                    getEndPointUrl: function () {
+                        return "";
                     }
                 };
 
@@ -303,6 +325,9 @@ define(["authAgents/SessionAuthAgent", "structures/CAPIError"], function (Sessio
                     capi = {
                         getUserService: function () {
                             return userService;
+                        },
+                        getEndPointUrl: function () {
+                            return "";
                         }
                     },
                     userService = {
@@ -393,6 +418,38 @@ define(["authAgents/SessionAuthAgent", "structures/CAPIError"], function (Sessio
             });
         });
 
+        describe("invalidateAuthentication", function () {
+            beforeEach(function () {
+                mockStorage.setItem(SessionAuthAgent.KEY_SESSION_NAME, testSessionName);
+                mockStorage.setItem(SessionAuthAgent.KEY_SESSION_HREF, testSessionHref);
+                mockStorage.setItem(SessionAuthAgent.KEY_SESSION_ID, testSessionId);
+                mockStorage.setItem(SessionAuthAgent.KEY_CSRF_TOKEN, testCsrfToken);
+            });
+
+            it("should remove the session info and allow to replay the request", function () {
+                var replay = sessionAuthAgent.invalidateAuthentication({
+                        method: "GET",
+                        url: "http://ez.git.local/api/ezp/v2/content/objects/1"
+                    });
+
+                expect(replay).toBe(true);
+                expect(mockStorage.getItem(SessionAuthAgent.KEY_SESSION_NAME)).toBeNull();
+                expect(mockStorage.getItem(SessionAuthAgent.KEY_SESSION_HREF)).toBeNull();
+                expect(mockStorage.getItem(SessionAuthAgent.KEY_SESSION_ID)).toBeNull();
+                expect(mockStorage.getItem(SessionAuthAgent.KEY_CSRF_TOKEN)).toBeNull();
+            });
+
+            it("should not allow to replay a request on the expired session", function () {
+                var replay = sessionAuthAgent.invalidateAuthentication({
+                        method: "POST",
+                        url: "http://ez.git.local" + testSessionHref + "/refresh"
+                    });
+
+                expect(replay).toBe(false);
+                expect(mockStorage.getItem(SessionAuthAgent.KEY_SESSION_ID)).toBeNull();
+            });
+        });
+
         describe("logOut", function () {
             beforeEach(function () {
                 sessionAuthAgent.setCAPI(mockCAPI);
@@ -418,6 +475,9 @@ define(["authAgents/SessionAuthAgent", "structures/CAPIError"], function (Sessio
                     capi = {
                         getUserService: function () {
                             return userService;
+                        },
+                        getEndPointUrl: function () {
+                            return "";
                         }
                     },
                     userService = {
@@ -444,13 +504,426 @@ define(["authAgents/SessionAuthAgent", "structures/CAPIError"], function (Sessio
             });
         });
 
+        describe("Tab synchronisation", function () {
+            var listener,
+                originalBroadcastChannel,
+                MockBroadcastChannel,
+                channels,
+                fireStorageEvent = function (key) {
+                    var e = document.createEvent("Event");
+
+                    e.initEvent("storage", false, false);
+                    e.key = key;
+                    window.dispatchEvent(e);
+                };
+
+            beforeEach(function () {
+                channels = [];
+                MockBroadcastChannel = function (name) {
+                    this.name = name;
+                    this.postMessage = jasmine.createSpy('postMessage');
+                    this.close = jasmine.createSpy('close');
+                    channels.push(this);
+                };
+                originalBroadcastChannel = window.BroadcastChannel;
+                window.BroadcastChannel = MockBroadcastChannel;
+
+                listener = jasmine.createSpy('listener');
+                sessionAuthAgent = new SessionAuthAgent({login: testLogin, password: testPassword}, mockStorage);
+                sessionAuthAgent.setCAPI(mockCAPI);
+            });
+
+            afterEach(function () {
+                sessionAuthAgent.stopTabSync();
+                window.BroadcastChannel = originalBroadcastChannel;
+            });
+
+            it("should emit the login event", function () {
+                sessionAuthAgent.on("login", listener);
+                sessionAuthAgent.ensureAuthentication(mockCallback);
+
+                expect(listener).toHaveBeenCalledWith({
+                    sessionId: testSessionId,
+                    previousSessionId: null,
+                    remote: false
+                });
+            });
+
+            it("should emit the logout event", function () {
+                mockStorage.setItem(SessionAuthAgent.KEY_SESSION_HREF, testSessionHref);
+                sessionAuthAgent.ensureAuthentication(mockCallback);
+                sessionAuthAgent.on("logout", listener);
+                sessionAuthAgent.logOut(mockCallback);
+
+                expect(listener).toHaveBeenCalledWith({
+                    sessionId: null,
+                    previousSessionId: testSessionId,
+                    remote: false
+                });
+            });
+
+            it("should signal the session changes without the session info", function () {
+                sessionAuthAgent.ensureAuthentication(mockCallback);
+
+                expect(channels[0].name).toEqual(SessionAuthAgent.SYNC_CHANNEL_NAME);
+                expect(channels[0].postMessage).toHaveBeenCalledWith({namespace: "", loggedIn: true});
+
+                sessionAuthAgent.logOut(mockCallback);
+                expect(channels[0].postMessage).toHaveBeenCalledWith({namespace: "", loggedIn: false});
+            });
+
+            it("should detect a log out in another tab with the storage events", function () {
+                sessionAuthAgent.ensureAuthentication(mockCallback);
+                sessionAuthAgent.on("logout", listener);
+
+                mockStorage.removeItem(SessionAuthAgent.KEY_SESSION_ID);
+                fireStorageEvent(SessionAuthAgent.KEY_SESSION_ID);
+
+                expect(listener).toHaveBeenCalledWith({
+                    sessionId: null,
+                    previousSessionId: testSessionId,
+                    remote: true
+                });
+            });
+
+            it("should detect a new session in another tab with the storage events", function () {
+                sessionAuthAgent.ensureAuthentication(mockCallback);
+                sessionAuthAgent.on("sessionChanged", listener);
+
+                mockStorage.setItem(SessionAuthAgent.KEY_SESSION_ID, "newSessionId");
+                fireStorageEvent(SessionAuthAgent.KEY_SESSION_ID);
+                fireStorageEvent(SessionAuthAgent.KEY_CSRF_TOKEN);
+
+                expect(listener.callCount).toEqual(1);
+                expect(listener).toHaveBeenCalledWith({
+                    sessionId: "newSessionId",
+                    previousSessionId: testSessionId,
+                    remote: true
+                });
+            });
+
+            it("should ignore the other storage events", function () {
+                sessionAuthAgent.ensureAuthentication(mockCallback);
+                sessionAuthAgent.on("logout", listener);
+
+                mockStorage.removeItem(SessionAuthAgent.KEY_SESSION_ID);
+                fireStorageEvent("someOtherKey");
+
+                expect(listener).not.toHaveBeenCalled();
+            });
+
+            it("should read the session from the storage after a log in in another tab", function () {
+                sessionAuthAgent.on("login", listener);
+
+                mockStorage.setItem(SessionAuthAgent.KEY_SESSION_ID, testSessionId);
+                channels[0].onmessage({data: {namespace: "", loggedIn: true}});
+
+                expect(listener).toHaveBeenCalledWith({
+                    sessionId: testSessionId,
+                    previousSessionId: null,
+                    remote: true
+                });
+                expect(channels[0].postMessage).not.toHaveBeenCalled();
+            });
+
+            it("should ignore a log in in another tab when the session is not in the storage", function () {
+                sessionAuthAgent.on("login", listener);
+
+                channels[0].onmessage({data: {namespace: "", loggedIn: true}});
+
+                expect(listener).not.toHaveBeenCalled();
+            });
+
+            it("should remove the session after a log out in another tab", function () {
+                sessionAuthAgent.ensureAuthentication(mockCallback);
+                sessionAuthAgent.on("logout", listener);
+
+                channels[0].onmessage({data: {namespace: "", loggedIn: false}});
+
+                expect(mockStorage.getItem(SessionAuthAgent.KEY_SESSION_ID)).toBeNull();
+                expect(mockStorage.getItem(SessionAuthAgent.KEY_CSRF_TOKEN)).toBeNull();
+                expect(listener).toHaveBeenCalled();
+                expect(channels[0].postMessage.callCount).toEqual(1);
+            });
+
+            it("should ignore the messages of the agents using another namespace", function () {
+                sessionAuthAgent.ensureAuthentication(mockCallback);
+                sessionAuthAgent.on("logout", listener);
+
+                channels[0].onmessage({data: {namespace: "http://staging.example.com", loggedIn: false}});
+
+                expect(mockStorage.getItem(SessionAuthAgent.KEY_SESSION_ID)).toEqual(testSessionId);
+                expect(listener).not.toHaveBeenCalled();
+            });
+
+            it("should stop the synchronisation", function () {
+                sessionAuthAgent.ensureAuthentication(mockCallback);
+                sessionAuthAgent.on("logout", listener);
+                sessionAuthAgent.stopTabSync();
+
+                mockStorage.removeItem(SessionAuthAgent.KEY_SESSION_ID);
+                fireStorageEvent(SessionAuthAgent.KEY_SESSION_ID);
+
+                expect(listener).not.toHaveBeenCalled();
+                expect(channels[0].close).toHaveBeenCalled();
+            });
+
+            it("should not synchronise the tabs when disabled", function () {
+                sessionAuthAgent.stopTabSync();
+                channels = [];
+                sessionAuthAgent = new SessionAuthAgent(false, mockStorage, {syncTabs: false});
+
+                expect(channels.length).toEqual(0);
+                expect(sessionAuthAgent._storageListener).toBeNull();
+            });
+        });
+
         describe("setCAPI", function () {
             it("should set the capi", function () {
-                var anotherCAPI = {};
+                var anotherCAPI = {
+                        getEndPointUrl: function () {
+                            return "";
+                        }
+                    };
                 sessionAuthAgent.setCAPI(anotherCAPI);
 
                 expect(sessionAuthAgent._CAPI).toBe(anotherCAPI);
             });
         });
+
+        describe("Asynchronous storage", function () {
+            var asyncStorage,
+                asyncItems,
+                readCallbacks,
+                loadStorage = function (items) {
+                    var key;
+
+                    asyncItems = items;
+                    for (key in readCallbacks) {
+                        if (readCallbacks.hasOwnProperty(key)) {
+                            readCallbacks[key](false, items[key] === undefined ? null : items[key]);
+                        }
+                    }
+                };
+
+            beforeEach(function () {
+                readCallbacks = {};
+                asyncItems = null;
+                asyncStorage = {
+                    async: true,
+                    getItem: function (key, callback) {
+                        if ( asyncItems ) {
+                            callback(false, asyncItems[key] === undefined ? null : asyncItems[key]);
+                        } else {
+                            readCallbacks[key] = callback;
+                        }
+                    },
+                    setItem: jasmine.createSpy('setItem'),
+                    removeItem: jasmine.createSpy('removeItem')
+                };
+                sessionAuthAgent = new SessionAuthAgent({login: testLogin, password: testPassword}, asyncStorage);
+                sessionAuthAgent.setCAPI(mockCAPI);
+            });
+
+            it("should wrap the storage in a CachedStorage", function () {
+                expect(sessionAuthAgent._storage instanceof CachedStorage).toBeTruthy();
+            });
+
+            it("should wait for the storage to be loaded", function () {
+                var items = {};
+
+                items[SessionAuthAgent.KEY_SESSION_ID] = testSessionId;
+                sessionAuthAgent.ensureAuthentication(mockCallback);
+
+                expect(mockCallback).not.toHaveBeenCalled();
+
+                loadStorage(items);
+
+                expect(mockCallback).toHaveBeenCalledWith(false, true);
+                expect(mockUserService.createSession).not.toHaveBeenCalled();
+            });
+
+            it("should write the session in the asynchronous storage", function () {
+                loadStorage({});
+                sessionAuthAgent.ensureAuthentication(mockCallback);
+
+                expect(asyncStorage.setItem).toHaveBeenCalledWith(
+                    SessionAuthAgent.KEY_SESSION_ID, testSessionId, jasmine.any(Function)
+                );
+            });
+
+            it("should reload the session after a log in in another tab", function () {
+                var listener = jasmine.createSpy('listener'),
+                    items = {};
+
+                loadStorage({});
+                sessionAuthAgent.on("login", listener);
+
+                items[SessionAuthAgent.KEY_SESSION_ID] = testSessionId;
+                asyncItems = items;
+                sessionAuthAgent._handleSyncMessage({namespace: "", loggedIn: true});
+
+                expect(listener).toHaveBeenCalledWith({
+                    sessionId: testSessionId,
+                    previousSessionId: null,
+                    remote: true
+                });
+            });
+        });
+
+        describe("Encrypted storage", function () {
+            var innerStorage,
+                createAgent = function () {
+                    sessionAuthAgent = new SessionAuthAgent(
+                        {login: testLogin, password: testPassword},
+                        new EncryptedStorage(innerStorage, {secret: "app secret", iterations: 10, crypto: new FakeWebCrypto()})
+                    );
+                    sessionAuthAgent.setCAPI(mockCAPI);
+                },
+                waitForCallback = function () {
+                    waitsFor(function () {
+                        return mockCallback.callCount > 0;
+                    }, "Waiting for the callback to be called", 2000);
+                };
+
+            beforeEach(function () {
+                innerStorage = new InMemoryStorage();
+            });
+
+            it("should reuse the encrypted session", function () {
+                runs(function () {
+                    createAgent();
+                    sessionAuthAgent.ensureAuthentication(function () {});
+                });
+                waitsFor(function () {
+                    return innerStorage.getItem(SessionAuthAgent.KEY_CSRF_TOKEN) !== null;
+                }, "Waiting for the session to be written", 2000);
+                runs(function () {
+                    createAgent();
+                    sessionAuthAgent.ensureAuthentication(mockCallback);
+                });
+                waitForCallback();
+                runs(function () {
+                    expect(innerStorage.getItem(SessionAuthAgent.KEY_CSRF_TOKEN)).not.toContain(testCsrfToken);
+                    expect(mockUserService.createSession.callCount).toEqual(1);
+                    expect(mockCallback).toHaveBeenCalledWith(false, true);
+                });
+            });
+
+            it("should consider a tampered session as missing", function () {
+                runs(function () {
+                    innerStorage.setItem(SessionAuthAgent.KEY_SESSION_ID, "forgedSessionId");
+                    createAgent();
+                    sessionAuthAgent.ensureAuthentication(mockCallback);
+                });
+                waitForCallback();
+                runs(function () {
+                    expect(mockUserService.createSession).toHaveBeenCalled();
+                });
+            });
+        });
+
+        describe("Namespace", function () {
+            var endPointUrl = "http://ez.example.com",
+                namespacedKey = function (key) {
+                    return endPointUrl + "|" + key;
+                };
+
+            beforeEach(function () {
+                mockCAPI.getEndPointUrl = function () {
+                    return endPointUrl + "/";
+                };
+            });
+
+            it("should store the session under keys derived from the end point url", function () {
+                sessionAuthAgent = new SessionAuthAgent({login: testLogin, password: testPassword}, mockStorage);
+                sessionAuthAgent.setCAPI(mockCAPI);
+                sessionAuthAgent.ensureAuthentication(mockCallback);
+
+                expect(mockStorage.getItem(namespacedKey(SessionAuthAgent.KEY_SESSION_ID))).toEqual(testSessionId);
+                expect(mockStorage.getItem(namespacedKey(SessionAuthAgent.KEY_CSRF_TOKEN))).toEqual(testCsrfToken);
+                expect(mockStorage.getItem(SessionAuthAgent.KEY_SESSION_ID)).toBeNull();
+            });
+
+            it("should isolate the sessions of different end points", function () {
+                var otherCAPI = {
+                        getUserService: mockCAPI.getUserService,
+                        getEndPointUrl: function () {
+                            return "http://staging.example.com";
+                        }
+                    },
+                    otherAgent = new SessionAuthAgent({login: testLogin, password: testPassword}, mockStorage);
+
+                sessionAuthAgent = new SessionAuthAgent({login: testLogin, password: testPassword}, mockStorage);
+                sessionAuthAgent.setCAPI(mockCAPI);
+                otherAgent.setCAPI(otherCAPI);
+                sessionAuthAgent.ensureAuthentication(mockCallback);
+                otherAgent.ensureAuthentication(mockCallback);
+
+                expect(mockUserService.createSession.callCount).toEqual(2);
+            });
+
+            it("should use the given namespace", function () {
+                sessionAuthAgent = new SessionAuthAgent(
+                    {login: testLogin, password: testPassword}, mockStorage, {namespace: "production"}
+                );
+                sessionAuthAgent.setCAPI(mockCAPI);
+                sessionAuthAgent.ensureAuthentication(mockCallback);
+
+                expect(mockStorage.getItem("production|" + SessionAuthAgent.KEY_SESSION_ID)).toEqual(testSessionId);
+            });
+
+            it("should not namespace the keys when disabled", function () {
+                sessionAuthAgent = new SessionAuthAgent(
+                    {login: testLogin, password: testPassword}, mockStorage, {namespace: false}
+                );
+                sessionAuthAgent.setCAPI(mockCAPI);
+                sessionAuthAgent.ensureAuthentication(mockCallback);
+
+                expect(mockStorage.getItem(SessionAuthAgent.KEY_SESSION_ID)).toEqual(testSessionId);
+            });
+
+            it("should migrate the session stored under the keys without namespace", function () {
+                mockStorage.setItem(SessionAuthAgent.KEY_SESSION_NAME, testSessionName);
+                mockStorage.setItem(SessionAuthAgent.KEY_SESSION_ID, testSessionId);
+                mockStorage.setItem(SessionAuthAgent.KEY_SESSION_HREF, testSessionHref);
+                mockStorage.setItem(SessionAuthAgent.KEY_CSRF_TOKEN, testCsrfToken);
+
+                sessionAuthAgent = new SessionAuthAgent(false, mockStorage);
+                sessionAuthAgent.setCAPI(mockCAPI);
+                sessionAuthAgent.ensureAuthentication(mockCallback);
+
+                expect(mockUserService.createSession).not.toHaveBeenCalled();
+                expect(mockStorage.getItem(namespacedKey(SessionAuthAgent.KEY_SESSION_NAME))).toEqual(testSessionName);
+                expect(mockStorage.getItem(namespacedKey(SessionAuthAgent.KEY_SESSION_ID))).toEqual(testSessionId);
+                expect(mockStorage.getItem(namespacedKey(SessionAuthAgent.KEY_SESSION_HREF))).toEqual(testSessionHref);
+                expect(mockStorage.getItem(namespacedKey(SessionAuthAgent.KEY_CSRF_TOKEN))).toEqual(testCsrfToken);
+                expect(mockStorage.getItem(SessionAuthAgent.KEY_SESSION_ID)).toBeNull();
+                expect(mockStorage.getItem(SessionAuthAgent.KEY_CSRF_TOKEN)).toBeNull();
+            });
+
+            it("should migrate the session given to the constructor", function () {
+                sessionAuthAgent = new SessionAuthAgent({
+                    name: testSessionName,
+                    identifier: testSessionId,
+                    href: testSessionHref,
+                    csrfToken: testCsrfToken
+                }, mockStorage);
+                sessionAuthAgent.setCAPI(mockCAPI);
+
+                expect(mockStorage.getItem(namespacedKey(SessionAuthAgent.KEY_SESSION_ID))).toEqual(testSessionId);
+            });
+
+            it("should not overwrite a session already stored in the namespace", function () {
+                mockStorage.setItem(SessionAuthAgent.KEY_SESSION_ID, "oldSessionId");
+                mockStorage.setItem(namespacedKey(SessionAuthAgent.KEY_SESSION_ID), testSessionId);
+
+                sessionAuthAgent = new SessionAuthAgent(false, mockStorage);
+                sessionAuthAgent.setCAPI(mockCAPI);
+
+                expect(mockStorage.getItem(namespacedKey(SessionAuthAgent.KEY_SESSION_ID))).toEqual(testSessionId);
+                expect(mockStorage.getItem(SessionAuthAgent.KEY_SESSION_ID)).toBeNull();
+            });
+        });
     });
 });
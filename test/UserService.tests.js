@@ -14,7 +14,8 @@ define(function (require) {
         PolicyCreateStruct = require('structures/PolicyCreateStruct'),
         PolicyUpdateStruct = require('structures/PolicyUpdateStruct'),
         RoleInputStruct = require('structures/RoleInputStruct'),
-        RoleAssignInputStruct = require('structures/RoleAssignInputStruct');
+        RoleAssignInputStruct = require('structures/RoleAssignInputStruct'),
+        Pager = require("utils/Pager");
 
     describe("User Service", function () {
 
@@ -669,6 +670,24 @@ define(function (require) {
             });
 
 
+            it("newRolesPager", function () {
+                var pager;
+
+                spyOn(userService, 'loadRoles');
+                pager = userService.newRolesPager(testRoleIdentifier, {pageSize: testLimit});
+                pager.next(mockCallback);
+
+                expect(pager).toEqual(jasmine.any(Pager));
+                expect(userService.loadRoles).toHaveBeenCalledWith(testRoleIdentifier, testLimit, 0, jasmine.any(Function));
+            });
+
+            it("newRolesPager without identifier", function () {
+                spyOn(userService, 'loadRoles');
+                userService.newRolesPager({pageSize: testLimit}).next(mockCallback);
+
+                expect(userService.loadRoles).toHaveBeenCalledWith("", testLimit, 0, jasmine.any(Function));
+            });
+
             it("updateRole", function () {
 
                 var roleUpdateStruct = userService.newRoleInputStruct(
@@ -4,7 +4,8 @@ define(function (require) {
     // Declaring dependencies
     var XmlHttpRequestConnection = require("connections/XmlHttpRequestConnection"),
         Response = require("structures/Response"),
-        CAPIError = require("structures/CAPIError");
+        CAPIError = require("structures/CAPIError"),
+        BadRequestError = require("structures/BadRequestError");
 
 
     describe("XmlHttpRequest Connection", function () {
@@ -228,6 +229,29 @@ define(function (require) {
                 });
             });
 
+            it("should provide a typed error with the parsed ErrorMessage", function () {
+                mockXMLHttpRequest.prototype.send = function (body){
+                    this.readyState = 4;
+                    this.status = testErrorCode;
+                    this.responseText = '{"ErrorMessage": {"errorCode": 400, "errorMessage": "Bad Request"}}';
+                    this.onreadystatechange();
+                };
+                window.XMLHttpRequest = (function () {
+                    return mockXMLHttpRequest;
+                }());
+
+                connection = new XmlHttpRequestConnection();
+                connection.execute(mockRequest, mockCallback);
+
+                expect(mockCallback).toHaveBeenCalledWith(
+                    jasmine.any(BadRequestError), jasmine.any(Response)
+                );
+                expect(mockCallback.mostRecentCall.args[0].status).toEqual(testErrorCode);
+                expect(mockCallback.mostRecentCall.args[0].errorMessage.errorMessage).toEqual("Bad Request");
+                expect(mockCallback.mostRecentCall.args[0].request).toBe(mockRequest);
+                expect(mockCallback.mostRecentCall.args[0].response).toBe(mockCallback.mostRecentCall.args[1]);
+            });
+
             it("should handle the fail to connect error", function () {
                 mockXMLHttpRequest.prototype.send = function (body){
                     this.readyState = 4;
@@ -249,5 +273,35 @@ define(function (require) {
                 );
             });
         });
+
+        describe("with an onProgress function", function () {
+            var onProgress;
+
+            beforeEach(function () {
+                onProgress = jasmine.createSpy('onProgress');
+                mockXMLHttpRequest.prototype.send = function (body) {
+                    this.upload.onprogress({loaded: 5, total: 10, lengthComputable: true});
+                    this.upload.onprogress({loaded: 10, total: 0, lengthComputable: false});
+                    this.readyState = 4;
+                    this.status = 200;
+                    this.onreadystatechange();
+                };
+                window.XMLHttpRequest = function () {
+                    this.upload = {};
+                };
+                window.XMLHttpRequest.prototype = mockXMLHttpRequest.prototype;
+                connection = new XmlHttpRequestConnection({onProgress: onProgress});
+            });
+
+            it("should report the upload progress", function () {
+                var request = {body: '{"data": "aGVsbG8="}', headers: {}, method: "POST", url: "/"};
+
+                connection.execute(request, mockCallback);
+
+                expect(onProgress.calls[0].args).toEqual([5, 10, request]);
+                expect(onProgress.calls[1].args).toEqual([10, null, request]);
+                expect(mockCallback).toHaveBeenCalledWith(false, jasmine.any(Response));
+            });
+        });
     });
 });
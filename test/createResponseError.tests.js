@@ -0,0 +1,110 @@
+/* globals define, describe, beforeEach, it, expect */
+define(function (require) {
+
+    var createResponseError = require("utils/createResponseError"),
+        Request = require("structures/Request"),
+        Response = require("structures/Response"),
+        CAPIError = require("structures/CAPIError"),
+        ResponseError = require("structures/ResponseError"),
+        BadRequestError = require("structures/BadRequestError"),
+        ValidationError = require("structures/ValidationError"),
+        UnauthorizedError = require("structures/UnauthorizedError"),
+        ForbiddenError = require("structures/ForbiddenError"),
+        NotFoundError = require("structures/NotFoundError"),
+        ConflictError = require("structures/ConflictError"),
+        PreconditionFailedError = require("structures/PreconditionFailedError"),
+        ServerError = require("structures/ServerError");
+
+    describe("createResponseError", function () {
+        var request,
+            createResponse = function (status, errorMessage) {
+                return new Response({
+                    status: status,
+                    body: errorMessage ? JSON.stringify({ErrorMessage: errorMessage}) : ""
+                });
+            },
+            expectError = function (status, ErrorConstructor, name) {
+                var error = createResponseError(request, createResponse(status));
+
+                expect(error instanceof ErrorConstructor).toBe(true);
+                expect(error instanceof ResponseError).toBe(true);
+                expect(error instanceof CAPIError).toBe(true);
+                expect(error.name).toEqual(name);
+                expect(error.status).toEqual(status);
+            };
+
+        beforeEach(function () {
+            request = new Request({method: "GET", url: "/api/ezp/v2/content/objects/1"});
+        });
+
+        it("should create an error dedicated to the status", function () {
+            expectError(400, BadRequestError, "BadRequestError");
+            expectError(401, UnauthorizedError, "UnauthorizedError");
+            expectError(403, ForbiddenError, "ForbiddenError");
+            expectError(404, NotFoundError, "NotFoundError");
+            expectError(409, ConflictError, "ConflictError");
+            expectError(412, PreconditionFailedError, "PreconditionFailedError");
+            expectError(500, ServerError, "ServerError");
+            expectError(503, ServerError, "ServerError");
+            expectError(405, ResponseError, "ResponseError");
+        });
+
+        it("should create a CAPIError when the connection failed", function () {
+            var error = createResponseError(request, createResponse(0));
+
+            expect(error instanceof CAPIError).toBe(true);
+            expect(error instanceof ResponseError).toBe(false);
+            expect(error.message).toEqual("Connection error : 0.");
+        });
+
+        it("should keep the message and the details of the connection errors", function () {
+            var response = createResponse(404),
+                error = createResponseError(request, response);
+
+            expect(error.message).toEqual("Connection error : 404.");
+            expect(error.details.request).toBe(request);
+            expect(error.request).toBe(request);
+            expect(error.response).toBe(response);
+        });
+
+        it("should parse the ErrorMessage", function () {
+            var errorMessage = {
+                    errorCode: 404,
+                    errorMessage: "Not Found",
+                    errorDescription: "Could not find 'Content' with identifier '1'"
+                },
+                error = createResponseError(request, createResponse(404, errorMessage));
+
+            expect(error.errorMessage).toEqual(errorMessage);
+        });
+
+        it("should not fail when the body is not an ErrorMessage", function () {
+            var error = createResponseError(request, new Response({status: 404, body: "<html></html>"}));
+
+            expect(error.errorMessage).toBe(null);
+        });
+
+        it("should create a ValidationError when the data does not validate", function () {
+            var error = createResponseError(request, createResponse(400, {
+                    errorCode: 400,
+                    errorMessage: "Bad Request",
+                    errorDescription: "Content fields did not validate"
+                }));
+
+            expect(error instanceof ValidationError).toBe(true);
+            expect(error instanceof BadRequestError).toBe(true);
+            expect(error.name).toEqual("ValidationError");
+        });
+
+        it("should create a ValidationError when the ErrorMessage has details", function () {
+            var error = createResponseError(request, createResponse(400, {
+                    errorCode: 400,
+                    errorMessage: "Bad Request",
+                    errorDescription: "Invalid data",
+                    errorDetails: {fields: {}}
+                }));
+
+            expect(error instanceof ValidationError).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,240 @@
+/* global define, describe, it, expect, beforeEach, afterEach, jasmine, runs, waitsFor, Blob, Buffer */
+define(function (require) {
+    var encodeFile = require("utils/encodeFile"),
+        CAPIError = require("structures/CAPIError"),
+        FakeBuffer = require("jasmineFakeBuffer"),
+        q = require("q");
+
+    describe("encodeFile", function () {
+        var callback,
+            uninstallFakeBuffer,
+            testContent = "Hello eZ, this file is encoded by chunks!",
+            testData = "SGVsbG8gZVosIHRoaXMgZmlsZSBpcyBlbmNvZGVkIGJ5IGNodW5rcyE=",
+            MockStream = function () {
+                this._handlers = {};
+            },
+            waitForCallback = function () {
+                waitsFor(function () {
+                    return callback.callCount > 0;
+                }, "the file to be encoded", 1000);
+            };
+
+        MockStream.prototype.on = function (event, handler) {
+            this._handlers[event] = handler;
+        };
+
+        MockStream.prototype.pipe = function () {};
+
+        MockStream.prototype.emit = function (event, arg) {
+            this._handlers[event](arg);
+        };
+
+        beforeEach(function () {
+            callback = jasmine.createSpy('callback');
+            // the Buffers only exist with Node.js
+            uninstallFakeBuffer = FakeBuffer.install();
+        });
+
+        afterEach(function () {
+            uninstallFakeBuffer();
+        });
+
+        // PhantomJS does not provide the Blob constructor
+        if (typeof Blob !== "undefined") {
+            it("should encode a Blob by chunks", function () {
+                runs(function () {
+                    encodeFile(new Blob([testContent], {type: "text/plain"}), {fileName: "hello.txt", chunkSize: 10}, callback);
+                });
+                waitForCallback();
+                runs(function () {
+                    expect(callback).toHaveBeenCalledWith(false, {
+                        fileName: "hello.txt",
+                        fileSize: testContent.length,
+                        mimeType: "text/plain",
+                        data: testData
+                    });
+                });
+            });
+
+            describe("without the FileReader API", function () {
+                var originalFileReader;
+
+                beforeEach(function () {
+                    // e.g. Node.js provides Blob#arrayBuffer but not FileReader
+                    originalFileReader = window.FileReader;
+                    window.FileReader = undefined;
+                });
+
+                afterEach(function () {
+                    window.FileReader = originalFileReader;
+                });
+
+                it("should read the Blob slices as ArrayBuffers", function () {
+                    var blob = new Blob([testContent], {type: "text/plain"});
+
+                    blob.slice = function (start, end) {
+                        return {
+                            arrayBuffer: function () {
+                                var bytes = new Uint8Array(testContent.substring(start, end).split("").map(function (character) {
+                                    return character.charCodeAt(0);
+                                }));
+
+                                return q.resolve(bytes.buffer);
+                            }
+                        };
+                    };
+                    runs(function () {
+                        encodeFile(blob, {fileName: "hello.txt", chunkSize: 10}, callback);
+                    });
+                    waitForCallback();
+                    runs(function () {
+                        expect(callback).toHaveBeenCalledWith(false, {
+                            fileName: "hello.txt",
+                            fileSize: testContent.length,
+                            mimeType: "text/plain",
+                            data: testData
+                        });
+                    });
+                });
+
+                it("should give an error when the Blob can not be read", function () {
+                    var blob = new Blob([testContent], {type: "text/plain"});
+
+                    blob.slice = function () {
+                        return {};
+                    };
+                    encodeFile(blob, {fileName: "hello.txt"}, callback);
+
+                    expect(callback).toHaveBeenCalledWith(jasmine.any(CAPIError));
+                });
+            });
+        }
+
+        it("should encode a Buffer by chunks", function () {
+            runs(function () {
+                encodeFile(Buffer.from(testContent), {fileName: "photo.JPG", chunkSize: 7}, callback);
+            });
+            waitForCallback();
+            runs(function () {
+                expect(callback).toHaveBeenCalledWith(false, {
+                    fileName: "photo.JPG",
+                    fileSize: testContent.length,
+                    mimeType: "image/jpeg",
+                    data: testData
+                });
+            });
+        });
+
+        it("should reject a Buffer larger than the maximum size", function () {
+            var error;
+
+            encodeFile(Buffer.from(testContent), {fileName: "hello.txt", maxSize: 10}, callback);
+
+            expect(callback).toHaveBeenCalledWith(jasmine.any(CAPIError));
+            error = callback.mostRecentCall.args[0];
+            expect(error.details).toEqual({fileName: "hello.txt", fileSize: testContent.length, maxSize: 10});
+        });
+
+        it("should encode the Buffer chunks of a stream", function () {
+            var stream = new MockStream();
+
+            encodeFile(stream, {fileName: "hello.txt"}, callback);
+            stream.emit("data", Buffer.from(testContent.substring(0, 5)));
+            stream.emit("data", testContent.substring(5, 22));
+            stream.emit("data", Buffer.from(testContent.substring(22)));
+            stream.emit("end");
+
+            expect(callback.mostRecentCall.args[1].data).toEqual(testData);
+        });
+
+        it("should keep the bytes of the Buffer chunks", function () {
+            var stream = new MockStream();
+
+            encodeFile(stream, {fileName: "data.bin"}, callback);
+            stream.emit("data", Buffer.from([0xff, 0xfe]));
+            stream.emit("data", Buffer.from([0x00, 0x80]));
+            stream.emit("end");
+
+            expect(callback.mostRecentCall.args[1].fileSize).toEqual(4);
+            expect(callback.mostRecentCall.args[1].data).toEqual("//4AgA==");
+        });
+
+        it("should encode the Uint8Array chunks of a stream", function () {
+            var stream = new MockStream();
+
+            encodeFile(stream, {fileName: "data.bin"}, callback);
+            stream.emit("data", new Uint8Array([0xff, 0xfe]));
+            stream.emit("data", new Uint8Array([0x00, 0x80]));
+            stream.emit("end");
+
+            expect(callback.mostRecentCall.args[1].fileSize).toEqual(4);
+            expect(callback.mostRecentCall.args[1].data).toEqual("//4AgA==");
+        });
+
+        it("should encode a stream", function () {
+            var stream = new MockStream();
+
+            stream.path = "/var/files/report.pdf";
+            encodeFile(stream, callback);
+            stream.emit("data", testContent.substring(0, 5));
+            stream.emit("data", testContent.substring(5, 22));
+            stream.emit("data", testContent.substring(22));
+            expect(callback).not.toHaveBeenCalled();
+            stream.emit("end");
+
+            expect(callback).toHaveBeenCalledWith(false, {
+                fileName: "report.pdf",
+                fileSize: testContent.length,
+                mimeType: "application/pdf",
+                data: testData
+            });
+        });
+
+        it("should stop reading a stream larger than the maximum size", function () {
+            var stream = new MockStream();
+
+            stream.destroy = jasmine.createSpy('destroy');
+            encodeFile(stream, {maxSize: 10}, callback);
+            stream.emit("data", testContent);
+            stream.emit("end");
+
+            expect(stream.destroy).toHaveBeenCalled();
+            expect(callback.callCount).toEqual(1);
+            expect(callback).toHaveBeenCalledWith(jasmine.any(CAPIError));
+        });
+
+        it("should encode the string chunks of a stream in UTF-8", function () {
+            var stream = new MockStream();
+
+            encodeFile(stream, {fileName: "hello.txt"}, callback);
+            stream.emit("data", "\u00e9t\u00e9");
+            stream.emit("end");
+
+            expect(callback.mostRecentCall.args[1].fileSize).toEqual(5);
+            expect(callback.mostRecentCall.args[1].data).toEqual("w6l0w6k=");
+        });
+
+        it("should give the error of a stream", function () {
+            var stream = new MockStream();
+
+            encodeFile(stream, callback);
+            stream.emit("error", new Error("EACCES"));
+
+            expect(callback.mostRecentCall.args[0]).toEqual(jasmine.any(CAPIError));
+        });
+
+        it("should reject the other values", function () {
+            encodeFile("hello", callback);
+
+            expect(callback).toHaveBeenCalledWith(jasmine.any(CAPIError));
+        });
+
+        describe("getMimeType", function () {
+            it("should give the mime type matching the extension", function () {
+                expect(encodeFile.getMimeType("logo.PNG")).toEqual("image/png");
+                expect(encodeFile.getMimeType("archive.tar.gz")).toEqual("application/octet-stream");
+                expect(encodeFile.getMimeType("README")).toEqual("application/octet-stream");
+            });
+        });
+    });
+});
@@ -0,0 +1,64 @@
+/* global define, describe, it, expect, beforeEach, afterEach, jasmine */
+define(function (require) {
+    var encodeFileField = require("utils/encodeFileField"),
+        CAPIError = require("structures/CAPIError"),
+        FakeBuffer = require("jasmineFakeBuffer");
+
+    describe("encodeFileField", function () {
+        var callback,
+            fill,
+            stream,
+            uninstallFakeBuffer;
+
+        beforeEach(function () {
+            // the streams are encoded with the Node.js Buffers
+            uninstallFakeBuffer = FakeBuffer.install();
+            callback = jasmine.createSpy('callback');
+            fill = jasmine.createSpy('fill');
+            stream = {
+                pipe: function () {},
+                on: function (event, handler) {
+                    this[event] = handler;
+                }
+            };
+        });
+
+        afterEach(function () {
+            uninstallFakeBuffer();
+        });
+
+        it("should fill the field with the encoded file", function () {
+            encodeFileField(stream, "ezbinaryfile", {fileName: "report.pdf"}, fill, callback);
+            stream.data("hello");
+            stream.end();
+
+            expect(fill).toHaveBeenCalledWith({fileName: "report.pdf", fileSize: 5, mimeType: "application/pdf", data: "aGVsbG8="});
+            expect(callback).toHaveBeenCalledWith(false);
+        });
+
+        it("should build the value of an image field", function () {
+            encodeFileField(stream, "ezimage", {fileName: "ez.png", alternativeText: "eZ"}, fill, callback);
+            stream.data("hello");
+            stream.end();
+
+            expect(fill).toHaveBeenCalledWith({fileName: "ez.png", fileSize: 5, alternativeText: "eZ", data: "aGVsbG8="});
+        });
+
+        it("should give the error of the encoding", function () {
+            encodeFileField("not a file", undefined, {}, fill, callback);
+
+            expect(callback).toHaveBeenCalledWith(jasmine.any(CAPIError));
+            expect(fill).not.toHaveBeenCalled();
+        });
+
+        it("should give the error thrown while filling the field", function () {
+            var error = new CAPIError("The field unknown does not exist in the Content Type.");
+
+            fill.andThrow(error);
+            encodeFileField(stream, undefined, {fileName: "ez.png"}, fill, callback);
+            stream.end();
+
+            expect(callback).toHaveBeenCalledWith(error);
+        });
+    });
+});
@@ -0,0 +1,80 @@
+/* global define, btoa, unescape, escape, Buffer */
+define(function () {
+
+    /**
+     * Fake of the part of the Node.js Buffer API used by encodeFile, to test
+     * the Buffer and stream encoding in the environments which do not provide
+     * it (e.g. PhantomJS). The bytes are kept in an array.
+     *
+     * @class FakeBuffer
+     * @constructor
+     * @param bytes {Array}
+     */
+    var FakeBuffer = function (bytes) {
+        this._bytes = bytes;
+        this.length = bytes.length;
+    };
+
+    FakeBuffer.isBuffer = function (value) {
+        return value instanceof FakeBuffer;
+    };
+
+    /**
+     * Builds a buffer from a string, encoded in UTF-8, or from an array of
+     * bytes (e.g. an Uint8Array)
+     */
+    FakeBuffer.from = function (value) {
+        var binary;
+
+        if (typeof value === "string") {
+            binary = unescape(encodeURIComponent(value));
+            return new FakeBuffer(binary.split("").map(function (character) {
+                return character.charCodeAt(0);
+            }));
+        }
+        return new FakeBuffer(Array.prototype.slice.call(value));
+    };
+
+    FakeBuffer.alloc = function (size) {
+        var bytes = [];
+
+        while (bytes.length < size) {
+            bytes.push(0);
+        }
+        return new FakeBuffer(bytes);
+    };
+
+    FakeBuffer.concat = function (buffers) {
+        return new FakeBuffer(buffers.reduce(function (bytes, buffer) {
+            return bytes.concat(buffer._bytes);
+        }, []));
+    };
+
+    FakeBuffer.prototype.slice = function (start, end) {
+        return new FakeBuffer(this._bytes.slice(start, end));
+    };
+
+    FakeBuffer.prototype.toString = function (encoding) {
+        var binary = String.fromCharCode.apply(null, this._bytes);
+
+        return (encoding === "base64") ? btoa(binary) : decodeURIComponent(escape(binary));
+    };
+
+    /**
+     * Makes the fake the global Buffer if the environment does not provide
+     * one
+     *
+     * @return {Function} function restoring the environment
+     */
+    FakeBuffer.install = function () {
+        if (typeof Buffer !== "undefined") {
+            return function () {};
+        }
+        window.Buffer = FakeBuffer;
+        return function () {
+            window.Buffer = undefined;
+        };
+    };
+
+    return FakeBuffer;
+});
@@ -0,0 +1,77 @@
+/* global define */
+define(function (require) {
+
+    var q = require("q"),
+        toArray = function (bytes) {
+            return Array.prototype.slice.call(bytes.buffer ? bytes : new Uint8Array(bytes));
+        },
+        shift = function (bytes, offset) {
+            var shifted = new Uint8Array(bytes.length),
+                i;
+
+            for (i = 0; i < bytes.length; ++i) {
+                shifted[i] = (bytes[i] + offset) % 256;
+            }
+            return shifted;
+        },
+
+        /**
+         * Fake of the WebCrypto API to test the EncryptedStorage in the
+         * environments which do not provide it (e.g. PhantomJS). It only
+         * obfuscates the data, but like AES-GCM, the decryption fails if the data,
+         * the key, the iv or the additional data does not match.
+         *
+         * @class FakeWebCrypto
+         * @constructor
+         */
+        FakeWebCrypto = function () {
+            this.subtle = {
+                importKey: function (format, secret) {
+                    return q.resolve({secret: toArray(secret)});
+                },
+
+                deriveKey: function (params, baseKey) {
+                    return q.resolve({id: JSON.stringify([baseKey.secret, toArray(params.salt), params.iterations])});
+                },
+
+                encrypt: function (params, key, data) {
+                    var json = JSON.stringify({
+                            key: key.id,
+                            iv: toArray(params.iv),
+                            aad: toArray(params.additionalData),
+                            data: toArray(data)
+                        }),
+                        bytes = new Uint8Array(json.length),
+                        i;
+
+                    for (i = 0; i < json.length; ++i) {
+                        bytes[i] = json.charCodeAt(i);
+                    }
+                    return q.resolve(shift(bytes, 90).buffer);
+                },
+
+                decrypt: function (params, key, data) {
+                    return q.fcall(function () {
+                        var decrypted = JSON.parse(String.fromCharCode.apply(null, shift(new Uint8Array(data), 166))),
+                            expected = JSON.stringify([key.id, toArray(params.iv), toArray(params.additionalData)]);
+
+                        if (JSON.stringify([decrypted.key, decrypted.iv, decrypted.aad]) !== expected) {
+                            throw new Error("The data can not be decrypted");
+                        }
+                        return new Uint8Array(decrypted.data).buffer;
+                    });
+                }
+            };
+        };
+
+    FakeWebCrypto.prototype.getRandomValues = function (array) {
+        var i;
+
+        for (i = 0; i < array.length; ++i) {
+            array[i] = Math.floor(Math.random() * 256);
+        }
+        return array;
+    };
+
+    return FakeWebCrypto;
+});
@@ -4,7 +4,35 @@
 
     window.eZ.HttpBasicAuthAgent = require('authAgents/HttpBasicAuthAgent');
     window.eZ.SessionAuthAgent = require('authAgents/SessionAuthAgent');
+    window.eZ.OAuth2AuthAgent = require('authAgents/OAuth2AuthAgent');
     window.eZ.CAPI = require('CAPI');
     window.eZ.PromiseCAPI = require('PromiseCAPI');
 
+    window.eZ.LocalStorage = require('storages/LocalStorage');
+    window.eZ.SessionStorage = require('storages/SessionStorage');
+    window.eZ.CookieStorage = require('storages/CookieStorage');
+    window.eZ.IndexedDbStorage = require('storages/IndexedDbStorage');
+    window.eZ.EncryptedStorage = require('storages/EncryptedStorage');
+    window.eZ.InMemoryStorage = require('storages/InMemoryStorage');
+
+    window.eZ.CAPIError = require('structures/CAPIError');
+    window.eZ.ResponseError = require('structures/ResponseError');
+    window.eZ.BadRequestError = require('structures/BadRequestError');
+    window.eZ.ValidationError = require('structures/ValidationError');
+    window.eZ.UnauthorizedError = require('structures/UnauthorizedError');
+    window.eZ.ForbiddenError = require('structures/ForbiddenError');
+    window.eZ.NotFoundError = require('structures/NotFoundError');
+    window.eZ.ConflictError = require('structures/ConflictError');
+    window.eZ.PreconditionFailedError = require('structures/PreconditionFailedError');
+    window.eZ.ServerError = require('structures/ServerError');
+    window.eZ.RequestAbortedError = require('structures/RequestAbortedError');
+    window.eZ.RequestTimeoutError = require('structures/RequestTimeoutError');
+    window.eZ.UnsupportedResourceError = require('structures/UnsupportedResourceError');
+    window.eZ.QueryBuilder = require('structures/QueryBuilder');
+    window.eZ.Pager = require('utils/Pager');
+    window.eZ.FieldTypeRegistry = require('fieldTypes/FieldTypeRegistry');
+    window.eZ.ContentValidator = require('fieldTypes/ContentValidator');
+    window.eZ.ImageVariationLoader = require('fieldTypes/ImageVariationLoader');
+    window.eZ.encodeFile = require('utils/encodeFile');
+
 }));
\ No newline at end of file
@@ -0,0 +1,39 @@
+    // Exporting needed parts of the CAPI as a CommonJS module
+
+    var NodeHttpConnection = require('connections/NodeHttpConnection');
+
+    NodeHttpConnection.http = nodeRequire('http');
+    NodeHttpConnection.https = nodeRequire('https');
+
+    nodeModule.exports = {
+        HttpBasicAuthAgent: require('authAgents/HttpBasicAuthAgent'),
+        SessionAuthAgent: require('authAgents/SessionAuthAgent'),
+        OAuth2AuthAgent: require('authAgents/OAuth2AuthAgent'),
+        InMemoryStorage: require('storages/InMemoryStorage'),
+        EncryptedStorage: require('storages/EncryptedStorage'),
+        NodeHttpConnection: NodeHttpConnection,
+        CookieJar: require('utils/CookieJar'),
+        CAPI: require('CAPI'),
+        PromiseCAPI: require('PromiseCAPI'),
+        CAPIError: require('structures/CAPIError'),
+        ResponseError: require('structures/ResponseError'),
+        BadRequestError: require('structures/BadRequestError'),
+        ValidationError: require('structures/ValidationError'),
+        UnauthorizedError: require('structures/UnauthorizedError'),
+        ForbiddenError: require('structures/ForbiddenError'),
+        NotFoundError: require('structures/NotFoundError'),
+        ConflictError: require('structures/ConflictError'),
+        PreconditionFailedError: require('structures/PreconditionFailedError'),
+        ServerError: require('structures/ServerError'),
+        RequestAbortedError: require('structures/RequestAbortedError'),
+        RequestTimeoutError: require('structures/RequestTimeoutError'),
+        UnsupportedResourceError: require('structures/UnsupportedResourceError'),
+        QueryBuilder: require('structures/QueryBuilder'),
+        Pager: require('utils/Pager'),
+        FieldTypeRegistry: require('fieldTypes/FieldTypeRegistry'),
+        ContentValidator: require('fieldTypes/ContentValidator'),
+        ImageVariationLoader: require('fieldTypes/ImageVariationLoader'),
+        encodeFile: require('utils/encodeFile')
+    };
+
+}(require, module));
@@ -0,0 +1,5 @@
+(function (nodeRequire, nodeModule) {
+// Hiding the CommonJS variables, so that the bundled libraries register
+// themselves as AMD modules
+var module, exports;
+//almond, and your modules will be inlined here